@@ -0,0 +1,323 @@
+/**
+ * COMPOSANT BILLING PANEL - ONGLET FACTURATION DU PROFIL
+ *
+ * Affiche l'abonnement de l'utilisateur connecté et ouvre le portail
+ * client Stripe pour le gérer.
+ *
+ * Fonctionnalités:
+ * - Formule, statut et date de renouvellement ou d'expiration
+ * - Moyen de paiement enregistré (marque et 4 derniers chiffres)
+ * - Dernières factures avec lien PDF
+ * - Utilisation d'un code cadeau (/api/premium/redeem) et codes achetés
+ * - Bouton "Gérer mon abonnement" (résiliation, carte, formule) via
+ *   /api/billing/portal
+ */
+
+import { useState, useEffect, useCallback } from "react";
+import Link from "next/link";
+import { authFetch } from "../lib/apiClient";
+
+const PLAN_LABELS = {
+  monthly: "Premium mensuel",
+  yearly: "Premium annuel",
+};
+
+// Statut de l'abonnement : libellé et couleur du badge
+const STATUS_BADGES = {
+  active: { label: "Actif", className: "bg-green-100 text-green-800" },
+  past_due: {
+    label: "Paiement en échec",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  canceled: { label: "Résilié", className: "bg-gray-100 text-gray-700" },
+};
+
+const INVOICE_STATUS_LABELS = {
+  paid: "Payée",
+  open: "À payer",
+  uncollectible: "Impayée",
+  void: "Annulée",
+};
+
+const formatDate = (iso) =>
+  iso ? new Date(iso).toLocaleDateString("fr-FR") : "—";
+
+const formatAmount = (amount, currency) =>
+  new Intl.NumberFormat("fr-FR", {
+    style: "currency",
+    currency: (currency || "eur").toUpperCase(),
+  }).format(amount / 100);
+
+// Libellé de l'échéance selon le statut
+const dueDateLabel = (billing) => {
+  if (billing.status === "active" && !billing.cancelAtPeriodEnd) {
+    return "Prochain renouvellement";
+  }
+  if (billing.status === "past_due") return "Premium conservé jusqu'au";
+  return "Premium jusqu'au";
+};
+
+// Statut d'un code cadeau acheté
+const giftStatusLabel = (gift) => {
+  if (gift.revoked) return "Annulé";
+  return gift.redeemed ? "Utilisé" : "Disponible";
+};
+
+export default function BillingPanel() {
+  const [billing, setBilling] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isOpeningPortal, setIsOpeningPortal] = useState(false);
+  const [error, setError] = useState("");
+
+  // Code cadeau saisi et résultat de son utilisation
+  const [giftCode, setGiftCode] = useState("");
+  const [isRedeeming, setIsRedeeming] = useState(false);
+  const [giftMessage, setGiftMessage] = useState(null);
+
+  const chargerFacturation = useCallback(async () => {
+    try {
+      const response = await authFetch("/api/billing");
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Erreur de chargement");
+      }
+      setBilling(data.billing);
+    } catch (err) {
+      console.error("❌ Erreur chargement facturation:", err);
+      setError("Impossible de charger vos informations de facturation");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    chargerFacturation();
+  }, [chargerFacturation]);
+
+  // Utilisation d'un code cadeau sur ce compte
+  const utiliserCode = async (e) => {
+    e.preventDefault();
+    setIsRedeeming(true);
+    setGiftMessage(null);
+    try {
+      const response = await authFetch("/api/premium/redeem", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ code: giftCode }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Code cadeau refusé");
+      }
+      setGiftCode("");
+      setGiftMessage({
+        succes: true,
+        texte: `${data.months} mois de Premium ajoutés, jusqu'au ${formatDate(
+          data.premium_expires_at
+        )}`,
+      });
+      await chargerFacturation();
+    } catch (err) {
+      setGiftMessage({ succes: false, texte: err.message });
+    } finally {
+      setIsRedeeming(false);
+    }
+  };
+
+  // Redirection vers le portail client Stripe
+  const ouvrirPortail = async () => {
+    setIsOpeningPortal(true);
+    setError("");
+    try {
+      const response = await authFetch("/api/billing/portal", {
+        method: "POST",
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || "Erreur d'ouverture du portail");
+      }
+      window.location.href = data.url;
+    } catch (err) {
+      console.error("❌ Erreur portail de facturation:", err);
+      setError(err.message);
+      setIsOpeningPortal(false);
+    }
+  };
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Chargement...</p>;
+  }
+
+  if (!billing) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  const badge = STATUS_BADGES[billing.status];
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="p-4 rounded-md bg-red-50 text-red-700">
+          <p className="text-sm">{error}</p>
+        </div>
+      )}
+
+      {/* === ABONNEMENT === */}
+      <div className="border border-gray-200 rounded-md p-6">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-medium text-gray-900">
+            {PLAN_LABELS[billing.plan] ||
+              (billing.isPremium ? "Premium" : "Gratuit")}
+          </h3>
+          {badge && (
+            <span
+              className={`px-2 py-1 rounded-full text-xs font-medium ${badge.className}`}
+            >
+              {billing.cancelAtPeriodEnd
+                ? "Résiliation programmée"
+                : badge.label}
+            </span>
+          )}
+        </div>
+
+        {billing.expiresAt && (
+          <p className="text-sm text-gray-700">
+            {dueDateLabel(billing)} : {formatDate(billing.expiresAt)}
+          </p>
+        )}
+
+        {billing.paymentMethod && (
+          <p className="text-sm text-gray-700 mt-2">
+            Moyen de paiement : {billing.paymentMethod.brand.toUpperCase()} ••••{" "}
+            {billing.paymentMethod.last4} (expire{" "}
+            {String(billing.paymentMethod.expMonth).padStart(2, "0")}/
+            {billing.paymentMethod.expYear})
+          </p>
+        )}
+
+        {billing.stripeUnavailable && (
+          <p className="text-sm text-yellow-700 mt-2">
+            Moyen de paiement et factures momentanément indisponibles.
+          </p>
+        )}
+
+        {billing.hasBillingAccount ? (
+          <button
+            onClick={ouvrirPortail}
+            disabled={isOpeningPortal}
+            className="mt-4 bg-meteo-blue hover:bg-meteo-title text-white font-medium py-2 px-4 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-meteo-blue disabled:opacity-50"
+          >
+            {isOpeningPortal ? "Redirection..." : "Gérer mon abonnement"}
+          </button>
+        ) : (
+          <p className="text-sm text-gray-500 mt-4">
+            Aucun abonnement.{" "}
+            <Link href="/" className="text-meteo-blue underline">
+              Découvrir la version Premium
+            </Link>
+          </p>
+        )}
+      </div>
+
+      {/* === CODE CADEAU === */}
+      <form onSubmit={utiliserCode} className="space-y-2">
+        <label
+          htmlFor="giftCode"
+          className="block text-sm font-medium text-gray-700"
+        >
+          Code cadeau
+        </label>
+        <div className="flex gap-2">
+          <input
+            id="giftCode"
+            value={giftCode}
+            onChange={(e) => setGiftCode(e.target.value)}
+            placeholder="CADEAU-XXXX-XXXX-XXXX"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono uppercase focus:outline-none focus:ring-meteo-blue focus:border-meteo-blue"
+          />
+          <button
+            type="submit"
+            disabled={isRedeeming || !giftCode.trim()}
+            className="bg-meteo-blue hover:bg-meteo-title text-white font-medium py-2 px-4 rounded-md text-sm disabled:opacity-50"
+          >
+            {isRedeeming ? "Vérification..." : "Utiliser"}
+          </button>
+        </div>
+        {giftMessage && (
+          <p
+            className={`text-sm ${
+              giftMessage.succes ? "text-green-700" : "text-red-600"
+            }`}
+          >
+            {giftMessage.texte}
+          </p>
+        )}
+      </form>
+
+      {/* === CODES CADEAUX ACHETÉS === */}
+      {billing.gifts.length > 0 && (
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            Premium offert
+          </h3>
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {billing.gifts.map((gift) => (
+              <li
+                key={gift.code}
+                className="flex justify-between items-center px-4 py-3 text-sm"
+              >
+                <span className="font-mono text-gray-900 select-all">
+                  {gift.code}
+                </span>
+                <span className="flex items-center gap-4">
+                  <span className="text-gray-700">{gift.months} mois</span>
+                  <span className="text-gray-500">{giftStatusLabel(gift)}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* === FACTURES === */}
+      {billing.invoices.length > 0 && (
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Factures</h3>
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {billing.invoices.map((invoice) => (
+              <li
+                key={invoice.id}
+                className="flex justify-between items-center px-4 py-3 text-sm"
+              >
+                <span className="text-gray-700">
+                  {formatDate(invoice.date)}
+                  {invoice.number && (
+                    <span className="text-gray-400"> · {invoice.number}</span>
+                  )}
+                </span>
+                <span className="flex items-center gap-4">
+                  <span className="text-gray-900">
+                    {formatAmount(invoice.amount, invoice.currency)}
+                  </span>
+                  <span className="text-gray-500">
+                    {INVOICE_STATUS_LABELS[invoice.status] || invoice.status}
+                  </span>
+                  {invoice.pdfUrl && (
+                    <a
+                      href={invoice.pdfUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-meteo-blue underline"
+                    >
+                      PDF
+                    </a>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,208 @@
+/**
+ * COMPOSANT COMMUNE SEARCH - RECHERCHE DE COMMUNE (COMBOBOX ACCESSIBLE)
+ *
+ * Champ de recherche avec autocomplétion sur l'API Géo, utilisable
+ * entièrement au clavier (motif ARIA "combobox" + "listbox").
+ *
+ * Props:
+ * - query: texte saisi (contrôlé par le parent)
+ * - onQueryChange: callback appelé à chaque frappe
+ * - onSelect: callback appelé avec la commune choisie (lance la recherche)
+ *
+ * Fonctionnalités:
+ * - Requêtes temporisées (debounce) et annulées via AbortController
+ * - Navigation ↑/↓, Entrée pour choisir, Échap pour fermer
+ * - Recherches récentes proposées quand le champ est vide
+ * - Libellés désambiguïsés par département
+ */
+
+import { useState, useEffect, useRef, useId } from "react";
+import { communesService, formatCommuneLabel } from "../lib/communes";
+import { recentSearches } from "../lib/recentSearches";
+
+// Délai avant d'interroger l'API après la dernière frappe
+const DEBOUNCE_MS = 250;
+
+export default function CommuneSearch({ query, onQueryChange, onSelect }) {
+  // Suggestions affichées (résultats API ou recherches récentes)
+  const [suggestions, setSuggestions] = useState([]);
+
+  // La liste est-elle ouverte ?
+  const [isOpen, setIsOpen] = useState(false);
+
+  // Index de l'option active au clavier (-1 = aucune)
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  // true si les suggestions sont des recherches récentes
+  const [showingRecent, setShowingRecent] = useState(false);
+
+  // Vrai uniquement si le texte vient d'une frappe de l'utilisateur
+  // (une valeur imposée par le parent ne doit pas ouvrir la liste)
+  const typedRef = useRef(false);
+
+  const listboxId = useId();
+  const optionId = (index) => `${listboxId}-option-${index}`;
+
+  // === AUTOCOMPLÉTION TEMPORISÉE ET ANNULABLE ===
+  useEffect(() => {
+    if (!typedRef.current) return;
+
+    const value = query.trim();
+
+    // Champ vidé : la liste des recherches récentes (ouverte par
+    // handleChange) reste affichée
+    if (!value) return;
+
+    if (value.length < 2) {
+      setSuggestions([]);
+      setIsOpen(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(async () => {
+      const { data, aborted } = await communesService.search(value, {
+        signal: controller.signal,
+      });
+      if (aborted) return;
+
+      setSuggestions(data);
+      setShowingRecent(false);
+      setActiveIndex(-1);
+      setIsOpen(data.length > 0);
+    }, DEBOUNCE_MS);
+
+    // Nouvelle frappe : on annule le délai et la requête en cours
+    return () => {
+      clearTimeout(timeoutId);
+      controller.abort();
+    };
+  }, [query]);
+
+  // Proposer les recherches récentes quand le champ est vide
+  // (value : texte à jour, query n'étant rafraîchi qu'au rendu suivant)
+  const openRecent = (value = query) => {
+    if (value.trim()) return;
+    const recent = recentSearches.list();
+    setSuggestions(recent);
+    setShowingRecent(true);
+    setActiveIndex(-1);
+    setIsOpen(recent.length > 0);
+  };
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const handleChange = (e) => {
+    typedRef.current = true;
+    const value = e.target.value;
+    onQueryChange(value);
+    if (!value) openRecent(value);
+  };
+
+  const choose = (commune) => {
+    typedRef.current = false;
+    close();
+    setSuggestions([]);
+    onSelect(commune);
+  };
+
+  // === NAVIGATION AU CLAVIER ===
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+        e.preventDefault();
+        if (!isOpen) {
+          openRecent();
+          return;
+        }
+        setActiveIndex((i) => (i + 1) % suggestions.length);
+        break;
+      case "ArrowUp":
+        e.preventDefault();
+        if (!isOpen) return;
+        setActiveIndex((i) => (i <= 0 ? suggestions.length - 1 : i - 1));
+        break;
+      case "Enter":
+        // Option active : on la choisit au lieu de soumettre le formulaire
+        if (isOpen && activeIndex >= 0) {
+          e.preventDefault();
+          choose(suggestions[activeIndex]);
+        } else {
+          close();
+        }
+        break;
+      case "Escape":
+        if (isOpen) {
+          e.preventDefault();
+          close();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="relative flex-1">
+      <input
+        type="search"
+        role="combobox"
+        aria-label="Rechercher une commune"
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={listboxId}
+        aria-activedescendant={activeIndex >= 0 ? optionId(activeIndex) : ""}
+        placeholder="Tapez votre ville"
+        value={query}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => openRecent()}
+        onBlur={close}
+        className="w-full p-3 my-5 text-lg rounded-md border-none bg-[#b4d9e2] md:my-4 md:text-base md:rounded-full lg:text-lg"
+        autoComplete="off"
+      />
+
+      {/* Liste d'autocomplétion */}
+      <ul
+        id={listboxId}
+        role="listbox"
+        aria-label={showingRecent ? "Recherches récentes" : "Communes"}
+        hidden={!isOpen}
+        className="absolute top-16 left-0 w-full bg-white border border-gray-300 rounded-b-md max-h-44 overflow-y-auto z-10 list-none"
+      >
+        {showingRecent && (
+          <li role="presentation" className="px-2 pt-2 text-xs text-gray-500">
+            Recherches récentes
+          </li>
+        )}
+        {suggestions.map((commune, index) => (
+          <li
+            key={commune.code}
+            id={optionId(index)}
+            role="option"
+            aria-selected={index === activeIndex}
+            // mousedown plutôt que click : passe avant le blur du champ
+            onMouseDown={(e) => {
+              e.preventDefault();
+              choose(commune);
+            }}
+            onMouseEnter={() => setActiveIndex(index)}
+            className={`p-2 cursor-pointer ${
+              index === activeIndex ? "bg-gray-200" : ""
+            }`}
+          >
+            {formatCommuneLabel(commune)}
+            {commune.codesPostaux?.[0] && (
+              <span className="ml-2 text-xs text-gray-500">
+                {commune.codesPostaux[0]}
+              </span>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * COMPOSANT DAILY BULLETIN - BULLETIN DE LA JOURNÉE
+ *
+ * Agrège tous les créneaux du jour sélectionné (et non plus seulement
+ * les 3 moments affichés) pour un résumé complet de la journée.
+ *
+ * Props:
+ * - points: créneaux normalisés du jour
+ * - location: localisation des prévisions (lever/coucher du soleil, fuseau)
+ *
+ * Fonctionnalités:
+ * - Températures et ressenti minimum/maximum
+ * - Humidité, pression moyenne et visibilité minimale
+ * - Vent moyen et rafale maximale
+ * - Cumul et risque maximal de précipitations
+ * - Lever/coucher du soleil et durée du jour (jour pour lequel le
+ *   fournisseur les donne, masqués les autres jours)
+ * - Unités selon les préférences de l'utilisateur
+ */
+
+import { summarizeDay } from "../lib/dailySummary";
+import { usePreferences } from "../contexts/PreferencesContext";
+
+export default function DailyBulletin({ points, location }) {
+  const summary = summarizeDay(points, location);
+  const { format } = usePreferences();
+  const offset = location?.timezoneOffset;
+
+  // Lignes du bulletin : [libellé, valeur avec unité]
+  const rows = summary
+    ? [
+        summary.temperature && [
+          "Températures",
+          `${format.temperature(summary.temperature.min)} / ${format.temperature(
+            summary.temperature.max
+          )}`,
+        ],
+        summary.feelsLike && [
+          "Ressenti",
+          `${format.temperature(summary.feelsLike.min)} / ${format.temperature(
+            summary.feelsLike.max
+          )}`,
+        ],
+        summary.humidity && [
+          "Humidité",
+          `${format.percent(summary.humidity.min, false)} – ${format.percent(
+            summary.humidity.max,
+            false
+          )}`,
+        ],
+        summary.windAverage != null && [
+          "Vent moyen",
+          format.wind(summary.windAverage),
+        ],
+        summary.windGustMax != null && [
+          "Rafales max.",
+          format.wind(summary.windGustMax),
+        ],
+        [
+          "Précipitations",
+          `${format.precipitation(summary.precipitationTotal)}${
+            summary.precipitationProbabilityMax != null
+              ? ` (risque ${format.percent(
+                  summary.precipitationProbabilityMax
+                )})`
+              : ""
+          }`,
+        ],
+        summary.pressure != null && [
+          "Pression",
+          format.pressure(summary.pressure),
+        ],
+        summary.visibilityMin != null && [
+          "Visibilité min.",
+          format.visibility(summary.visibilityMin),
+        ],
+        summary.sunrise &&
+          summary.sunset && [
+            "Soleil",
+            `${format.time(summary.sunrise, offset)} – ${format.time(
+              summary.sunset,
+              offset
+            )}`,
+          ],
+        summary.daylightSeconds != null && [
+          "Durée du jour",
+          format.duration(summary.daylightSeconds),
+        ],
+      ].filter(Boolean)
+    : [];
+
+  return (
+    <div className="bg-[#63bed4] rounded-lg p-3 mb-4 text-center">
+      <div className="mt-1 text-sm">
+        <p>Bulletin de la Journée</p>
+        {rows.length > 0 && (
+          <dl className="grid grid-cols-2 gap-x-4 gap-y-1 mt-2 text-left md:grid-cols-4">
+            {rows.map(([label, value]) => (
+              <div key={label} className="flex flex-col">
+                <dt className="text-xs text-gray-700">{label}</dt>
+                <dd className="font-bold">{value}</dd>
+              </div>
+            ))}
+          </dl>
+        )}
+      </div>
+    </div>
+  );
+}
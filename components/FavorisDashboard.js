@@ -0,0 +1,272 @@
+/**
+ * COMPOSANT FAVORIS DASHBOARD - MÉTÉO DE TOUS LES FAVORIS EN UN COUP D'ŒIL
+ *
+ * Affiche une carte compacte par ville favorite avec les conditions
+ * actuelles, le min/max du jour et la tendance des prochaines heures.
+ * Réservé aux comptes connectés (appel groupé authentifié).
+ *
+ * Props:
+ * - favoris: favoris de l'utilisateur ({ id, ville, label, insee, lat, lon })
+ * - groupes: groupes de favoris (premium), pour filtrer et comparer
+ * - onSelect: callback appelé avec le favori cliqué (météo détaillée)
+ *
+ * Fonctionnalités:
+ * - Appels groupés à /api/weather/batch, par lots de 20 favoris au plus
+ *   (limite de l'API), lancés en parallèle
+ * - Rafraîchissement automatique périodique
+ * - Comparaison des villes d'un groupe (plus chaud, plus froid, écart)
+ * - Unités selon les préférences de l'utilisateur
+ */
+
+import { useState, useEffect } from "react";
+import { usePreferences } from "../contexts/PreferencesContext";
+import { getConditionIconUrl } from "../lib/weatherConditions";
+import { WEATHER_BATCH_MAX_LOCATIONS } from "../lib/validations";
+import { authFetch } from "../lib/apiClient";
+
+// Intervalle de rafraîchissement (aligné sur le cache serveur par défaut)
+const REFRESH_MS = 10 * 60 * 1000;
+
+// Flèche et libellé de chaque tendance
+const TRENDS = {
+  up: { symbol: "↗", label: "En hausse", className: "text-orange-600" },
+  down: { symbol: "↘", label: "En baisse", className: "text-blue-600" },
+  stable: { symbol: "→", label: "Stable", className: "text-gray-500" },
+};
+
+// Découpe les favoris en lots acceptés par l'appel groupé
+const toBatches = (items, size = WEATHER_BATCH_MAX_LOCATIONS) => {
+  const batches = [];
+  for (let i = 0; i < items.length; i += size) {
+    batches.push(items.slice(i, i + size));
+  }
+  return batches;
+};
+
+// Résumés météo d'un lot de favoris (une erreur HTTP fait échouer le lot)
+const fetchBatch = async (batch, lang, signal) => {
+  const response = await authFetch("/api/weather/batch", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      lang,
+      locations: batch.map((f) => ({
+        id: f.id,
+        ville: f.ville,
+        insee: f.insee,
+        lat: f.lat,
+        lon: f.lon,
+      })),
+    }),
+    signal,
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error || "Météo indisponible");
+  }
+  return result.data;
+};
+
+export default function FavorisDashboard({ favoris, groupes = [], onSelect }) {
+  // Résumés météo indexés par id de favori
+  const [summaries, setSummaries] = useState({});
+
+  // Chargement initial et erreur globale de l'appel groupé
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  // Heure de la dernière mise à jour réussie
+  const [updatedAt, setUpdatedAt] = useState(null);
+
+  // Groupe affiché ("" = tous les favoris)
+  const [groupeId, setGroupeId] = useState("");
+
+  const { preferences, format } = usePreferences();
+  const lang = preferences.language;
+
+  // === APPEL GROUPÉ + RAFRAÎCHISSEMENT PÉRIODIQUE ===
+  useEffect(() => {
+    if (favoris.length === 0) return;
+
+    let controller = null;
+
+    const refresh = async () => {
+      controller?.abort();
+      controller = new AbortController();
+
+      try {
+        const lots = await Promise.all(
+          toBatches(favoris).map((batch) =>
+            fetchBatch(batch, lang, controller.signal)
+          )
+        );
+
+        setSummaries(
+          Object.fromEntries(lots.flat().map((item) => [item.id, item]))
+        );
+        setUpdatedAt(new Date());
+        setError("");
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error("Erreur météo groupée:", err);
+        setError("❌ Impossible de charger la météo des favoris");
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    setIsLoading(true);
+    refresh();
+    const intervalId = setInterval(refresh, REFRESH_MS);
+
+    return () => {
+      clearInterval(intervalId);
+      controller?.abort();
+    };
+  }, [favoris, lang]);
+
+  if (favoris.length === 0) {
+    return null;
+  }
+
+  // Groupe sélectionné (ignoré s'il a été supprimé entre-temps)
+  const groupe = groupes.find((g) => g.id === groupeId) || null;
+  const affiches = groupe
+    ? favoris.filter((f) => f.group_id === groupe.id)
+    : favoris;
+
+  // Comparaison du groupe : villes extrêmes selon la température actuelle
+  const mesures = affiches
+    .map((favori) => ({
+      favori,
+      temperature: summaries[favori.id]?.current?.temperature,
+    }))
+    .filter((m) => typeof m.temperature === "number")
+    .sort((a, b) => b.temperature - a.temperature);
+  const plusChaud = mesures[0];
+  const plusFroid = mesures[mesures.length - 1];
+
+  return (
+    <div className="mb-4">
+      {error && (
+        <div className="mb-2 p-2 rounded text-sm bg-red-100 text-red-700">
+          {error}
+        </div>
+      )}
+
+      {groupes.length > 0 && (
+        <div className="flex items-center gap-2 mb-2 text-sm">
+          <label htmlFor="favoris-dashboard-groupe" className="text-gray-600">
+            Groupe
+          </label>
+          <select
+            id="favoris-dashboard-groupe"
+            value={groupe?.id || ""}
+            onChange={(e) => setGroupeId(e.target.value)}
+            className="px-2 py-1 border rounded text-gray-800"
+          >
+            <option value="">Tous les favoris</option>
+            {groupes.map((g) => (
+              <option key={g.id} value={g.id}>
+                {g.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {groupe && mesures.length >= 2 && (
+        <p className="mb-2 p-2 rounded text-sm bg-blue-50 text-gray-700">
+          🌡️ {groupe.name} : plus chaud à{" "}
+          {plusChaud.favori.label || plusChaud.favori.ville} (
+          {format.temperature(plusChaud.temperature)}), plus froid à{" "}
+          {plusFroid.favori.label || plusFroid.favori.ville} (
+          {format.temperature(plusFroid.temperature)}), écart de{" "}
+          {format.temperatureValue(plusChaud.temperature) -
+            format.temperatureValue(plusFroid.temperature)}
+          °
+        </p>
+      )}
+
+      {groupe && affiches.length === 0 && (
+        <p className="mb-2 text-sm text-gray-600">
+          Aucun favori dans ce groupe
+        </p>
+      )}
+
+      <ul className="grid grid-cols-1 gap-2 sm:grid-cols-2 lg:grid-cols-3 list-none">
+        {affiches.map((favori) => {
+          const summary = summaries[favori.id];
+          const current = summary?.current;
+          const trend = TRENDS[summary?.trend];
+
+          return (
+            <li key={favori.id}>
+              <button
+                onClick={() => onSelect(favori)}
+                className="w-full flex items-center gap-3 p-2 bg-blue-50 rounded-lg text-left hover:bg-blue-100"
+              >
+                {current ? (
+                  <img
+                    src={getConditionIconUrl(current.condition, current.isDay)}
+                    alt={current.description}
+                    title={current.description}
+                    width="40"
+                    height="40"
+                  />
+                ) : (
+                  <span className="w-10 text-center" aria-hidden="true">
+                    {isLoading ? "⏳" : "—"}
+                  </span>
+                )}
+
+                <span className="flex-1 min-w-0">
+                  <span className="block font-medium text-blue-700 truncate">
+                    {favori.label || favori.ville}
+                  </span>
+                  {summary?.today && (
+                    <span className="block text-xs text-gray-600">
+                      {format.temperature(summary.today.min)} /{" "}
+                      {format.temperature(summary.today.max)}
+                    </span>
+                  )}
+                  {summary?.error && (
+                    <span className="block text-xs text-red-600">
+                      {summary.error}
+                    </span>
+                  )}
+                </span>
+
+                {current && (
+                  <span className="text-lg font-bold text-gray-800">
+                    {format.temperature(current.temperature)}
+                  </span>
+                )}
+                {trend && (
+                  <span
+                    className={`text-lg ${trend.className}`}
+                    title={trend.label}
+                    aria-label={trend.label}
+                  >
+                    {trend.symbol}
+                  </span>
+                )}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      {updatedAt && (
+        <p className="text-xs text-gray-500 mt-1">
+          Mis à jour à{" "}
+          {format.time(
+            updatedAt.toISOString(),
+            -updatedAt.getTimezoneOffset() * 60
+          )}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -3,64 +3,248 @@
  *
  * Ce composant gère la liste des villes favorites de l'utilisateur.
  * Il permet d'ajouter, supprimer et naviguer entre les villes favorites.
- * Limite de 3 villes pour les utilisateurs gratuits.
+ * La limite dépend de l'offre (renvoyée par l'API : 3 en gratuit,
+ * illimité en premium). Un visiteur non connecté dispose des mêmes règles
+ * que l'offre gratuite, ses favoris étant conservés sur l'appareil
+ * (lib/localFavoris) puis importés dans son compte à la connexion.
  *
  * Props:
  * - villeActuelle: nom de la ville actuellement affichée
+ * - communeActuelle: commune affichée ({ nom, code INSEE, lat, lon }) si connue
  * - onVilleChange: fonction callback appelée quand l'utilisateur change de ville
  *
  * Fonctionnalités:
  * - Affichage de la liste des favoris
- * - Ajout de nouvelles villes (avec limite)
- * - Suppression de villes existantes
+ * - Ajout de nouvelles villes (avec limite), affichées sans attendre le serveur
+ * - Suppression immédiate, annulable pendant 5 secondes ("Annuler")
+ * - Synchronisation en direct des changements faits dans un autre onglet
+ *   ou sur un autre appareil (lib/favorisSync)
+ * - Ordre personnalisé (glisser-déposer ou flèches)
+ * - Libellé personnalisé et note libre, modifiables sur place
+ * - Groupes nommés repliables (premium), comparables dans le tableau de bord
  * - Navigation entre les villes
- * - Messages de feedback utilisateur
+ * - Export (JSON, CSV, GeoJSON) et import avec rapport ligne par ligne
+ * - Tableau de bord : météo actuelle de tous les favoris en un appel
+ * - Messages de statut typés (succès, erreur, information)
  * - Gestion des états de chargement
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { authFetch } from "../lib/apiClient";
+import { isSameFavoriCommune } from "../lib/communes";
+import { localFavoris } from "../lib/localFavoris";
+import { createFavorisSync } from "../lib/favorisSync";
+import { supabase } from "../lib/supabase";
+import { FAVORIS_TRANSFER_FORMATS } from "../lib/favorisTransfer";
+import FavorisDashboard from "./FavorisDashboard";
 
-export default function FavorisManager({ villeActuelle, onVilleChange }) {
+// Types de message de statut
+const STATUTS = {
+  SUCCES: "succes",
+  ERREUR: "erreur",
+  INFO: "info",
+};
+
+// Pictogramme et couleurs du bandeau selon le type de statut
+const STATUT_STYLES = {
+  [STATUTS.SUCCES]: { icone: "✅", classes: "bg-green-100 text-green-700" },
+  [STATUTS.ERREUR]: { icone: "❌", classes: "bg-red-100 text-red-700" },
+  [STATUTS.INFO]: { icone: "ℹ️", classes: "bg-blue-50 text-blue-800" },
+};
+
+// Délai pendant lequel une suppression peut être annulée (ms)
+const DELAI_ANNULATION = 5000;
+
+// Regroupement des changements reçus en rafale (un réordonnancement
+// modifie chaque favori) avant de relire la liste (ms)
+const DELAI_SYNCHRONISATION = 300;
+
+/**
+ * Bilan de la fusion des favoris locaux dans le compte
+ * @param {Object} fusion - { added, duplicates, overflow, limits, error }
+ * @returns {{ type: string, texte: string }} Statut affiché à l'utilisateur
+ */
+const statutFusion = (fusion) => {
+  if (fusion.error) {
+    return {
+      type: STATUTS.ERREUR,
+      texte: `Favoris de cet appareil non importés : ${fusion.error}`,
+    };
+  }
+
+  const { added, duplicates, overflow, limits } = fusion;
+
+  // Limite de l'offre dépassée : villes restées sur l'appareil
+  if (overflow.length > 0) {
+    return {
+      type: STATUTS.ERREUR,
+      texte: `${overflow.length} favori(s) non importé(s), limite de ${
+        limits.maxFavoris
+      } atteinte : ${overflow
+        .map((f) => f.ville)
+        .join(", ")} (conservés sur cet appareil)`,
+    };
+  }
+
+  const doublons =
+    duplicates.length > 0 ? ` (${duplicates.length} déjà présent(s))` : "";
+  return {
+    type: STATUTS.SUCCES,
+    texte: `${added.length} favori(s) de cet appareil importé(s)${doublons}`,
+  };
+};
+
+export default function FavorisManager({
+  villeActuelle,
+  communeActuelle,
+  onVilleChange,
+}) {
   // État local pour stocker la liste des villes favorites
   const [favoris, setFavoris] = useState([]);
 
   // État de chargement pour les opérations asynchrones
   const [isLoading, setIsLoading] = useState(false);
 
-  // Messages de feedback pour l'utilisateur (succès, erreurs, etc.)
-  const [message, setMessage] = useState("");
+  // Statut affiché à l'utilisateur : { type (STATUTS), texte, action } ou null
+  // action : bouton du bandeau, ex. { libelle: "Annuler", onClick }
+  const [statut, setStatut] = useState(null);
+  const statutTimer = useRef(null);
+
+  // Suppression annulable pas encore envoyée ({ favori, index, timer, envoyer })
+  const suppressionEnAttente = useRef(null);
+
+  // Abonnement aux changements faits ailleurs ({ notify, unsubscribe })
+  const synchronisation = useRef(null);
 
-  // Récupération de l'utilisateur connecté
-  const { user } = useAuth();
+  // Limites de l'offre renvoyées par l'API ({ plan, maxFavoris, favorisGroups })
+  const [limits, setLimits] = useState(null);
+
+  // Affichage : "liste" (gestion) ou "tableau" (météo de chaque favori)
+  const [vue, setVue] = useState("liste");
+
+  // Favori en cours de modification ({ id, label, note, group_id }) ou null
+  const [edition, setEdition] = useState(null);
+
+  // Identifiant du favori en cours de glisser-déposer
+  const [dragId, setDragId] = useState(null);
+
+  // Groupes de favoris (premium) et groupes repliés ({ [id]: true })
+  const [groupes, setGroupes] = useState([]);
+  const [groupesReplies, setGroupesReplies] = useState({});
+  const [nouveauGroupe, setNouveauGroupe] = useState("");
+
+  // Rapport du dernier import ({ results, summary }) ou null
+  const [rapportImport, setRapportImport] = useState(null);
+
+  // Récupération de l'utilisateur connecté et du rapport de fusion
+  const { user, loading, isDemoMode, favorisMerge, clearFavorisMerge } =
+    useAuth();
 
   // Effet pour charger les favoris quand l'utilisateur change
+  // (favoris de l'appareil tant que personne n'est connecté)
   useEffect(() => {
-    if (user?.id) {
-      chargerFavoris();
+    if (loading) return;
+    chargerFavoris();
+  }, [user, loading]);
+
+  // Changements faits dans un autre onglet ou sur un autre appareil
+  // (Realtime pour un compte hors mode démo, sinon onglets du navigateur)
+  useEffect(() => {
+    if (loading) return;
+
+    let rechargement = null;
+    const sync = createFavorisSync({ client: isDemoMode ? null : supabase });
+    const abonnement = sync.subscribe(user?.id ?? null, ({ type, id }) => {
+      // Suppression : retrait direct (id absent de la liste = ignoré)
+      if (type === "DELETE") {
+        setFavoris((liste) => liste.filter((f) => f.id !== id));
+        return;
+      }
+      clearTimeout(rechargement);
+      rechargement = setTimeout(chargerFavoris, DELAI_SYNCHRONISATION);
+    });
+    synchronisation.current = abonnement;
+
+    return () => {
+      clearTimeout(rechargement);
+      abonnement.unsubscribe();
+      synchronisation.current = null;
+    };
+  }, [user?.id, loading, isDemoMode]);
+
+  // Favoris locaux importés à la connexion : liste rechargée et bilan affiché
+  useEffect(() => {
+    if (!favorisMerge || !user) return;
+
+    chargerFavoris();
+    const { type, texte } = statutFusion(favorisMerge);
+    afficherStatut(type, texte, { duree: 6000 });
+    clearFavorisMerge();
+  }, [favorisMerge, user]);
+
+  // Suppression encore annulable au démontage : envoyée sans attendre
+  useEffect(
+    () => () => {
+      validerSuppression();
+    },
+    []
+  );
+
+  // Groupes chargés uniquement si l'offre les inclut
+  const groupesActifs = Boolean(limits?.favorisGroups);
+  useEffect(() => {
+    if (groupesActifs) {
+      chargerGroupes();
+    } else {
+      setGroupes([]);
     }
-  }, [user]);
+  }, [groupesActifs]);
+
+  /**
+   * Afficher un message de statut, effacé après `duree` millisecondes
+   * @param {string} type - Valeur de STATUTS
+   * @param {string} texte - Message affiché
+   * @param {Object} options - { duree, action }
+   */
+  const afficherStatut = (
+    type,
+    texte,
+    { duree = 3000, action = null } = {}
+  ) => {
+    clearTimeout(statutTimer.current);
+    setStatut({ type, texte, action });
+    statutTimer.current = setTimeout(() => setStatut(null), duree);
+  };
+
+  // Prévenir les autres onglets d'une modification enregistrée
+  const signalerChangement = () => synchronisation.current?.notify();
+
+  // Favori dont la suppression est encore annulable : absent de la liste
+  const sansSuppressionEnAttente = (liste) =>
+    liste.filter((f) => f.id !== suppressionEnAttente.current?.favori.id);
 
   /**
    * Fonction pour charger la liste des villes favorites depuis l'API
-   * Utilise une requête GET avec l'ID utilisateur en paramètre
+   * L'utilisateur est identifié côté serveur par son jeton d'accès
    */
   const chargerFavoris = async () => {
-    // Vérification de la présence de l'utilisateur
-    if (!user?.id) return;
+    // Visiteur : favoris conservés sur l'appareil
+    if (!user?.id) {
+      setFavoris(sansSuppressionEnAttente(localFavoris.list()));
+      setLimits(localFavoris.limits);
+      return;
+    }
 
     try {
-      // Construction de l'URL avec les paramètres de requête
-      const url = new URL("/api/favoris", window.location.origin);
-      url.searchParams.append("userId", user.id);
-
-      // Appel de l'API pour récupérer les favoris
-      const response = await fetch(url);
+      // Appel de l'API pour récupérer les favoris (jeton en en-tête)
+      const response = await authFetch("/api/favoris");
 
       if (response.ok) {
         const result = await response.json();
         // Mise à jour de l'état avec les données reçues (tableau vide par défaut)
-        setFavoris(result.data || []);
+        setFavoris(sansSuppressionEnAttente(result.data || []));
+        setLimits(result.limits || null);
       }
     } catch (error) {
       // Gestion des erreurs de réseau ou d'API
@@ -70,134 +254,740 @@ export default function FavorisManager({ villeActuelle, onVilleChange }) {
 
   /**
    * Fonction pour ajouter la ville actuelle aux favoris
-   * Vérifie les conditions avant l'ajout (limite, doublons, etc.)
+   * Le favori est affiché aussitôt puis retiré si le serveur le refuse
+   * (limite, doublon, erreur réseau)
    */
   const ajouterFavori = async () => {
-    // Vérifications préalables: utilisateur connecté et ville sélectionnée
-    if (!user?.id || !villeActuelle) return;
+    // Vérification préalable: ville sélectionnée
+    if (!villeActuelle) return;
 
-    // Activation de l'état de chargement
-    setIsLoading(true);
-    setMessage("");
+    // Suppression encore annulable envoyée d'abord (limite de l'offre)
+    await validerSuppression();
+
+    const nouveau = {
+      ville: villeActuelle,
+      // Identité de la commune (homonymes) et coordonnées
+      insee: communeActuelle?.code || null,
+      lat: communeActuelle?.lat ?? null,
+      lon: communeActuelle?.lon ?? null,
+    };
+
+    // Visiteur : ajout sur l'appareil, mêmes règles que l'API
+    if (!user?.id) {
+      const { error } = localFavoris.add(nouveau);
+      if (error) {
+        afficherStatut(STATUTS.ERREUR, error);
+      } else {
+        afficherStatut(STATUTS.SUCCES, "Ville ajoutée aux favoris !");
+        signalerChangement();
+      }
+      chargerFavoris();
+      return;
+    }
+
+    // Favori provisoire, remplacé par la ligne créée côté serveur
+    const provisoire = {
+      ...nouveau,
+      id: `provisoire-${Date.now()}`,
+      label: null,
+      note: null,
+      group_id: null,
+      enAttente: true,
+    };
+    const retirerProvisoire = () =>
+      setFavoris((liste) => liste.filter((f) => f.id !== provisoire.id));
+
+    setFavoris((liste) => [...liste, provisoire]);
 
     try {
       // Requête POST pour ajouter la ville aux favoris
-      const response = await fetch("/api/favoris", {
+      const response = await authFetch("/api/favoris", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          userId: user.id,
-          ville: villeActuelle,
-        }),
+        body: JSON.stringify(nouveau),
       });
 
       const result = await response.json();
+      if (result.limits) setLimits(result.limits);
 
       if (response.ok) {
-        // Succès: affichage du message de confirmation
-        setMessage("✅ Ville ajoutée aux favoris !");
-        chargerFavoris(); // Rechargement de la liste pour mise à jour
+        setFavoris((liste) =>
+          liste.map((f) => (f.id === provisoire.id ? result.data : f))
+        );
+        afficherStatut(STATUTS.SUCCES, "Ville ajoutée aux favoris !");
+        signalerChangement();
       } else {
-        // Erreur API: affichage du message d'erreur reçu
-        setMessage(`❌ ${result.error}`);
+        // Refus du serveur : retour à la liste précédente
+        retirerProvisoire();
+        afficherStatut(STATUTS.ERREUR, result.error);
       }
     } catch (error) {
-      // Erreur réseau: affichage d'un message générique
-      setMessage("❌ Erreur lors de l'ajout");
+      retirerProvisoire();
+      afficherStatut(STATUTS.ERREUR, "Erreur lors de l'ajout");
       console.error("Erreur ajout favori:", error);
     }
+  };
 
-    // Désactivation de l'état de chargement
-    setIsLoading(false);
+  // Remettre un favori à sa place (suppression annulée ou refusée)
+  const restaurerFavori = (favori, index) => {
+    setFavoris((liste) =>
+      liste.some((f) => f.id === favori.id)
+        ? liste
+        : [...liste.slice(0, index), favori, ...liste.slice(index)]
+    );
+  };
+
+  /**
+   * Supprimer définitivement un favori (appareil ou serveur)
+   * En cas d'échec, le favori reprend sa place dans la liste
+   * @param {Object} favori - Favori supprimé
+   * @param {number} index - Sa position avant suppression
+   */
+  const envoyerSuppression = async (favori, index) => {
+    // Visiteur : suppression sur l'appareil
+    if (!user?.id) {
+      const { error } = localFavoris.remove(favori.id);
+      if (error) {
+        restaurerFavori(favori, index);
+        afficherStatut(STATUTS.ERREUR, error);
+      } else {
+        signalerChangement();
+      }
+      return;
+    }
 
-    // Auto-suppression du message après 3 secondes
-    setTimeout(() => setMessage(""), 3000);
+    try {
+      // Requête DELETE pour supprimer la ville des favoris
+      const response = await authFetch("/api/favoris", {
+        method: "DELETE",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ id: favori.id }),
+      });
+
+      // 404 : déjà supprimé (autre appareil), rien à restaurer
+      if (response.ok) {
+        signalerChangement();
+      } else if (response.status !== 404) {
+        const result = await response.json();
+        restaurerFavori(favori, index);
+        afficherStatut(STATUTS.ERREUR, result.error);
+      }
+    } catch (error) {
+      restaurerFavori(favori, index);
+      afficherStatut(STATUTS.ERREUR, "Erreur lors de la suppression");
+      console.error("Erreur suppression favori:", error);
+    }
+  };
+
+  /**
+   * Envoyer sans attendre la suppression encore annulable (délai écoulé,
+   * autre modification de la liste ou démontage du composant)
+   */
+  const validerSuppression = async () => {
+    const attente = suppressionEnAttente.current;
+    if (!attente) return;
+
+    clearTimeout(attente.timer);
+    suppressionEnAttente.current = null;
+    await attente.envoyer();
+  };
+
+  // Bouton "Annuler" : le favori reprend sa place, rien n'est envoyé
+  const annulerSuppression = () => {
+    const attente = suppressionEnAttente.current;
+    if (!attente) return;
+
+    clearTimeout(attente.timer);
+    suppressionEnAttente.current = null;
+    restaurerFavori(attente.favori, attente.index);
+    afficherStatut(STATUTS.SUCCES, "Favori restauré");
   };
 
   /**
    * Fonction pour supprimer une ville des favoris
-   * @param {string} ville - Nom de la ville à supprimer
+   * Le favori disparaît aussitôt ; la suppression n'est envoyée qu'après
+   * DELAI_ANNULATION, le temps de cliquer sur "Annuler"
+   * @param {Object} favori - Favori à supprimer (identifié par son id)
+   */
+  const supprimerFavori = (favori) => {
+    const index = favoris.findIndex((f) => f.id === favori.id);
+
+    // Une seule suppression annulable à la fois : la précédente part
+    validerSuppression();
+
+    suppressionEnAttente.current = {
+      favori,
+      index,
+      envoyer: () => envoyerSuppression(favori, index),
+      timer: setTimeout(validerSuppression, DELAI_ANNULATION),
+    };
+    setFavoris((liste) => liste.filter((f) => f.id !== favori.id));
+
+    afficherStatut(
+      STATUTS.INFO,
+      `${favori.label || favori.ville} supprimé des favoris`,
+      {
+        duree: DELAI_ANNULATION,
+        action: { libelle: "Annuler", onClick: annulerSuppression },
+      }
+    );
+  };
+
+  /**
+   * Fonction pour déplacer un favori dans la liste
+   * L'ordre est appliqué immédiatement puis enregistré côté serveur
+   * @param {number} fromIndex - Position actuelle du favori
+   * @param {number} toIndex - Nouvelle position
+   */
+  const deplacerFavori = async (fromIndex, toIndex) => {
+    if (fromIndex === toIndex || toIndex < 0 || toIndex >= favoris.length) {
+      return;
+    }
+
+    // Ajout en cours : ordre modifiable une fois le favori créé
+    if (favoris.some((f) => f.enAttente)) return;
+
+    const nouvelOrdre = [...favoris];
+    const [deplace] = nouvelOrdre.splice(fromIndex, 1);
+    nouvelOrdre.splice(toIndex, 0, deplace);
+    setFavoris(nouvelOrdre);
+
+    // L'ordre enregistré doit couvrir exactement les favoris restants
+    await validerSuppression();
+
+    // Visiteur : ordre enregistré sur l'appareil
+    if (!user?.id) {
+      localFavoris.reorder(nouvelOrdre.map((f) => f.id));
+      signalerChangement();
+      return;
+    }
+
+    try {
+      const response = await authFetch("/api/favoris/reorder", {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ids: nouvelOrdre.map((f) => f.id) }),
+      });
+
+      if (response.ok) {
+        signalerChangement();
+      } else {
+        const result = await response.json();
+        afficherStatut(STATUTS.ERREUR, result.error);
+        chargerFavoris(); // Retour à l'ordre enregistré
+      }
+    } catch (error) {
+      afficherStatut(STATUTS.ERREUR, "Erreur lors du réordonnancement");
+      console.error("Erreur réordonnancement favoris:", error);
+      chargerFavoris();
+    }
+  };
+
+  // Glisser-déposer : le favori déposé prend la place de la cible
+  const deposerFavori = (cible) => {
+    const fromIndex = favoris.findIndex((f) => f.id === dragId);
+    const toIndex = favoris.findIndex((f) => f.id === cible.id);
+    setDragId(null);
+    if (fromIndex !== -1 && toIndex !== -1) {
+      deplacerFavori(fromIndex, toIndex);
+    }
+  };
+
+  // Flèches ↑/↓ : échange avec le voisin de la même section (groupe)
+  const deplacerDansSection = (voisins, fromIndex, toIndex) => {
+    const voisin = voisins[toIndex];
+    if (!voisin) return;
+    deplacerFavori(
+      favoris.indexOf(voisins[fromIndex]),
+      favoris.indexOf(voisin)
+    );
+  };
+
+  /**
+   * Fonction pour enregistrer le libellé, la note et le groupe du favori
+   * en cours de modification (validés côté serveur)
    */
-  const supprimerFavori = async (ville) => {
-    // Vérification de la présence de l'utilisateur
-    if (!user?.id) return;
+  const enregistrerModification = async () => {
+    if (!edition) return;
+
+    // Visiteur : modification sur l'appareil (mêmes validations)
+    if (!user?.id) {
+      const { data, error } = localFavoris.update(edition);
+      if (data) {
+        chargerFavoris();
+        setEdition(null);
+        afficherStatut(STATUTS.SUCCES, "Favori modifié");
+        signalerChangement();
+      } else {
+        afficherStatut(STATUTS.ERREUR, error);
+      }
+      return;
+    }
 
     setIsLoading(true);
 
     try {
-      // Requête DELETE pour supprimer la ville des favoris
-      const response = await fetch("/api/favoris", {
-        method: "DELETE",
+      const response = await authFetch("/api/favoris", {
+        method: "PATCH",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          userId: user.id,
-          ville: ville,
-        }),
+        body: JSON.stringify(edition),
       });
 
+      const result = await response.json();
+
       if (response.ok) {
-        // Succès: message de confirmation
-        setMessage("🗑️ Favori supprimé");
-        chargerFavoris(); // Recharger la liste
+        setFavoris((liste) =>
+          liste.map((f) => (f.id === result.data.id ? result.data : f))
+        );
+        setEdition(null);
+        afficherStatut(STATUTS.SUCCES, "Favori modifié");
+        signalerChangement();
       } else {
+        // Premier message de validation renvoyé par le serveur
+        const details = Object.values(result.details || {}).flat();
+        afficherStatut(STATUTS.ERREUR, details[0] || result.error);
+      }
+    } catch (error) {
+      afficherStatut(STATUTS.ERREUR, "Erreur lors de la modification");
+      console.error("Erreur modification favori:", error);
+    }
+
+    setIsLoading(false);
+  };
+
+  /**
+   * Fonction pour charger les groupes de favoris (premium)
+   */
+  const chargerGroupes = async () => {
+    try {
+      const response = await authFetch("/api/favoris/groups");
+
+      if (response.ok) {
         const result = await response.json();
-        setMessage(`❌ ${result.error}`);
+        setGroupes(result.data || []);
       }
     } catch (error) {
-      setMessage("❌ Erreur lors de la suppression");
-      console.error("Erreur suppression favori:", error);
+      console.error("Erreur chargement groupes:", error);
+    }
+  };
+
+  /**
+   * Fonction commune aux opérations sur les groupes
+   * @param {string} method - POST, PATCH ou DELETE
+   * @param {Object} body - Corps de la requête
+   * @param {string} succes - Message affiché en cas de succès
+   */
+  const modifierGroupes = async (method, body, succes) => {
+    setIsLoading(true);
+
+    try {
+      const response = await authFetch("/api/favoris/groups", {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+      const result = await response.json();
+
+      if (response.ok) {
+        afficherStatut(STATUTS.SUCCES, succes);
+        chargerGroupes();
+        // Suppression : les favoris du groupe passent "sans groupe"
+        if (method === "DELETE") {
+          chargerFavoris();
+          signalerChangement();
+        }
+      } else {
+        const details = Object.values(result.details || {}).flat();
+        afficherStatut(STATUTS.ERREUR, details[0] || result.error);
+      }
+    } catch (error) {
+      afficherStatut(
+        STATUTS.ERREUR,
+        "Erreur lors de la mise à jour des groupes"
+      );
+      console.error("Erreur groupes favoris:", error);
     }
 
     setIsLoading(false);
-    setTimeout(() => setMessage(""), 3000);
   };
 
-  const selectionnerFavori = (ville) => {
+  const creerGroupe = async (e) => {
+    e.preventDefault();
+    if (!nouveauGroupe.trim()) return;
+    await modifierGroupes("POST", { name: nouveauGroupe }, "Groupe créé");
+    setNouveauGroupe("");
+  };
+
+  const renommerGroupe = (groupe) => {
+    const name = window.prompt("Nouveau nom du groupe", groupe.name);
+    if (name && name.trim() !== groupe.name) {
+      modifierGroupes("PATCH", { id: groupe.id, name }, "Groupe renommé");
+    }
+  };
+
+  const supprimerGroupe = (groupe) => {
+    const confirmation = window.confirm(
+      `Supprimer le groupe "${groupe.name}" ? Ses favoris seront conservés.`
+    );
+    if (confirmation) {
+      modifierGroupes("DELETE", { id: groupe.id }, "Groupe supprimé");
+    }
+  };
+
+  const basculerGroupe = (id) => {
+    setGroupesReplies((replies) => ({ ...replies, [id]: !replies[id] }));
+  };
+
+  /**
+   * Fonction pour importer un fichier de favoris (compte connecté)
+   * Le format est déduit de l'extension du fichier
+   * @param {Event} e - Changement du champ fichier
+   */
+  const importerFavoris = async (e) => {
+    const fichier = e.target.files?.[0];
+    e.target.value = ""; // Permet de réimporter le même fichier
+    if (!fichier || !user?.id) return;
+
+    const extension = fichier.name.split(".").pop().toLowerCase();
+    const format = FAVORIS_TRANSFER_FORMATS.includes(extension)
+      ? extension
+      : "json";
+
+    // Suppression encore annulable envoyée d'abord (limite de l'offre)
+    await validerSuppression();
+
+    setIsLoading(true);
+    setRapportImport(null);
+
+    try {
+      const response = await authFetch(`/api/favoris/import?format=${format}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": format === "csv" ? "text/csv" : "application/json",
+        },
+        body: await fichier.text(),
+      });
+
+      const result = await response.json();
+
+      if (response.ok) {
+        const { created, updated, unchanged, error } = result.data.summary;
+        setRapportImport(result.data);
+        afficherStatut(
+          error > 0 ? STATUTS.ERREUR : STATUTS.SUCCES,
+          `Import : ${created} ajouté(s), ${updated} mis à jour, ${unchanged} inchangé(s), ${error} en erreur`,
+          { duree: 6000 }
+        );
+        chargerFavoris();
+        signalerChangement();
+      } else {
+        afficherStatut(STATUTS.ERREUR, result.error, { duree: 6000 });
+      }
+    } catch (error) {
+      afficherStatut(STATUTS.ERREUR, "Erreur lors de l'import", {
+        duree: 6000,
+      });
+      console.error("Erreur import favoris:", error);
+    }
+
+    setIsLoading(false);
+  };
+
+  const selectionnerFavori = (favori) => {
     if (onVilleChange) {
-      onVilleChange(ville);
+      onVilleChange(favori);
     }
   };
 
-  // N'afficher que si l'utilisateur est connecté
-  if (!user) {
-    return null;
-  }
+  /**
+   * Rendu d'un favori (ou de son formulaire de modification)
+   * @param {Object} favori - Favori à afficher
+   * @param {Array} voisins - Favoris de la même section (flèches ↑/↓)
+   * @param {number} index - Position du favori dans sa section
+   */
+  const renderFavori = (favori, voisins, index) =>
+    edition?.id === favori.id ? (
+      <div key={favori.id} className="p-2 bg-blue-50 rounded-lg">
+        <label className="block text-xs text-gray-600 mb-1">
+          Libellé ({favori.ville})
+          <input
+            type="text"
+            value={edition.label}
+            maxLength={60}
+            placeholder={favori.ville}
+            onChange={(e) => setEdition({ ...edition, label: e.target.value })}
+            className="mt-1 w-full px-2 py-1 border rounded text-sm text-gray-800"
+          />
+        </label>
+        <label className="block text-xs text-gray-600 mb-2">
+          Note
+          <textarea
+            value={edition.note}
+            maxLength={500}
+            rows={2}
+            onChange={(e) => setEdition({ ...edition, note: e.target.value })}
+            className="mt-1 w-full px-2 py-1 border rounded text-sm text-gray-800"
+          />
+        </label>
+        {groupesActifs && (
+          <label className="block text-xs text-gray-600 mb-2">
+            Groupe
+            <select
+              value={edition.group_id || ""}
+              onChange={(e) =>
+                setEdition({ ...edition, group_id: e.target.value || null })
+              }
+              className="mt-1 w-full px-2 py-1 border rounded text-sm text-gray-800"
+            >
+              <option value="">Sans groupe</option>
+              {groupes.map((groupe) => (
+                <option key={groupe.id} value={groupe.id}>
+                  {groupe.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <div className="flex gap-2 justify-end text-sm">
+          <button
+            onClick={() => setEdition(null)}
+            className="px-3 py-1 rounded text-gray-600 hover:text-gray-800"
+          >
+            Annuler
+          </button>
+          <button
+            onClick={enregistrerModification}
+            disabled={isLoading}
+            className="px-3 py-1 rounded bg-meteo-blue text-white hover:bg-meteo-title disabled:opacity-50"
+          >
+            Enregistrer
+          </button>
+        </div>
+      </div>
+    ) : (
+      <div
+        key={favori.id}
+        draggable={!favori.enAttente}
+        onDragStart={() => setDragId(favori.id)}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={() => deposerFavori(favori)}
+        onDragEnd={() => setDragId(null)}
+        className={`flex items-center justify-between p-2 bg-blue-50 rounded-lg cursor-move ${
+          dragId === favori.id || favori.enAttente ? "opacity-50" : ""
+        }`}
+      >
+        <button
+          onClick={() => selectionnerFavori(favori)}
+          className="flex-1 min-w-0 text-left text-blue-700 hover:text-blue-900 font-medium"
+        >
+          📍 {favori.label || favori.ville}
+          {favori.label && (
+            <span className="ml-1 text-xs font-normal text-gray-500">
+              ({favori.ville})
+            </span>
+          )}
+          {favori.note && (
+            <span className="block text-xs font-normal text-gray-600 whitespace-pre-line">
+              {favori.note}
+            </span>
+          )}
+        </button>
+        <button
+          onClick={() => deplacerDansSection(voisins, index, index - 1)}
+          disabled={favori.enAttente || index === 0}
+          className="text-gray-500 hover:text-gray-700 p-1 disabled:opacity-30"
+          aria-label={`Monter ${favori.label || favori.ville}`}
+        >
+          ↑
+        </button>
+        <button
+          onClick={() => deplacerDansSection(voisins, index, index + 1)}
+          disabled={favori.enAttente || index === voisins.length - 1}
+          className="text-gray-500 hover:text-gray-700 p-1 disabled:opacity-30"
+          aria-label={`Descendre ${favori.label || favori.ville}`}
+        >
+          ↓
+        </button>
+        <button
+          onClick={() =>
+            setEdition({
+              id: favori.id,
+              label: favori.label || "",
+              note: favori.note || "",
+              // Groupe modifiable uniquement si l'offre l'inclut
+              ...(groupesActifs && { group_id: favori.group_id || null }),
+            })
+          }
+          disabled={favori.enAttente}
+          className="p-1 disabled:opacity-30"
+          title="Modifier le libellé et la note"
+        >
+          ✏️
+        </button>
+        <button
+          onClick={() => supprimerFavori(favori)}
+          disabled={favori.enAttente}
+          className="text-red-500 hover:text-red-700 ml-2 p-1 disabled:opacity-30"
+          title="Supprimer ce favori"
+        >
+          🗑️
+        </button>
+      </div>
+    );
 
-  const villeEstEnFavori = favoris.some(
-    (f) => f.ville.toLowerCase() === villeActuelle?.toLowerCase()
-  );
+  // Sections de la liste : un bloc par groupe (premium), sinon un seul bloc
+  const idsGroupes = new Set(groupes.map((g) => g.id));
+  const sections = groupesActifs
+    ? [
+        ...groupes.map((groupe) => ({
+          id: groupe.id,
+          groupe,
+          titre: groupe.name,
+          favoris: favoris.filter((f) => f.group_id === groupe.id),
+        })),
+        {
+          id: "sans-groupe",
+          groupe: null,
+          titre: "Sans groupe",
+          favoris: favoris.filter((f) => !idsGroupes.has(f.group_id)),
+        },
+      ]
+    : [{ id: "tous", groupe: null, titre: null, favoris }];
+
+  // Limite atteinte ? (maxFavoris null = illimité, inconnue avant chargement)
+  const maxFavoris = limits?.maxFavoris ?? null;
+  const limiteAtteinte = maxFavoris != null && favoris.length >= maxFavoris;
+
+  // Comparaison par code INSEE si connu, sinon par nom
+  const villeEstEnFavori =
+    Boolean(villeActuelle) &&
+    favoris.some((f) =>
+      isSameFavoriCommune(f, {
+        ville: villeActuelle,
+        insee: communeActuelle?.code,
+      })
+    );
 
   return (
     <div className="bg-white/90 backdrop-blur-sm rounded-xl p-4 shadow-lg mb-4">
-      <h3 className="text-lg font-bold text-gray-800 mb-3 flex items-center">
-        ⭐ Mes Favoris ({favoris.length}/3)
-      </h3>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-bold text-gray-800 flex items-center">
+          ⭐ Mes Favoris ({favoris.length}
+          {maxFavoris != null ? `/${maxFavoris}` : ""})
+          {limits?.plan === "premium" && (
+            <span className="ml-2 text-xs font-medium text-yellow-700 bg-yellow-100 rounded-full px-2 py-0.5">
+              Premium · illimité
+            </span>
+          )}
+        </h3>
 
-      {/* Liste des favoris */}
-      {favoris.length > 0 && (
-        <div className="mb-4">
-          <div className="grid grid-cols-1 gap-2">
-            {favoris.map((favori, index) => (
-              <div
-                key={index}
-                className="flex items-center justify-between p-2 bg-blue-50 rounded-lg"
+        {/* Bascule liste / tableau de bord (météo groupée : comptes connectés) */}
+        {user && favoris.length > 0 && (
+          <div
+            className="flex text-xs rounded-full bg-blue-50 p-0.5"
+            role="group"
+            aria-label="Affichage des favoris"
+          >
+            {[
+              ["liste", "Liste"],
+              ["tableau", "Météo"],
+            ].map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setVue(value)}
+                aria-pressed={vue === value}
+                className={`px-3 py-1 rounded-full ${
+                  vue === value
+                    ? "bg-meteo-blue text-white"
+                    : "text-blue-700 hover:text-blue-900"
+                }`}
               >
-                <button
-                  onClick={() => selectionnerFavori(favori.ville)}
-                  className="flex-1 text-left text-blue-700 hover:text-blue-900 font-medium"
-                >
-                  📍 {favori.ville}
-                </button>
-                <button
-                  onClick={() => supprimerFavori(favori.ville)}
-                  className="text-red-500 hover:text-red-700 ml-2 p-1"
-                  title="Supprimer ce favori"
-                >
-                  🗑️
-                </button>
-              </div>
+                {label}
+              </button>
             ))}
           </div>
+        )}
+      </div>
+
+      {/* Tableau de bord : météo de tous les favoris */}
+      {user && vue === "tableau" && (
+        <FavorisDashboard
+          favoris={favoris}
+          groupes={groupes}
+          onSelect={selectionnerFavori}
+        />
+      )}
+
+      {/* Liste des favoris */}
+      {(!user || vue === "liste") && favoris.length > 0 && (
+        <div className="mb-4">
+          {sections.map((section) => {
+            const replie = groupesReplies[section.id];
+
+            return (
+              <div key={section.id} className="mb-2">
+                {groupesActifs && (
+                  <div className="flex items-center justify-between mb-1">
+                    <button
+                      onClick={() => basculerGroupe(section.id)}
+                      aria-expanded={!replie}
+                      className="flex-1 text-left text-sm font-semibold text-gray-700"
+                    >
+                      {replie ? "▸" : "▾"} {section.titre} (
+                      {section.favoris.length})
+                    </button>
+                    {section.groupe && (
+                      <>
+                        <button
+                          onClick={() => renommerGroupe(section.groupe)}
+                          className="p-1 text-xs"
+                          title="Renommer ce groupe"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          onClick={() => supprimerGroupe(section.groupe)}
+                          className="p-1 text-xs text-red-500 hover:text-red-700"
+                          title="Supprimer ce groupe"
+                        >
+                          🗑️
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+                {!replie && (
+                  <div className="grid grid-cols-1 gap-2">
+                    {section.favoris.map((favori, index) =>
+                      renderFavori(favori, section.favoris, index)
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {/* Création d'un groupe (premium) */}
+          {groupesActifs && (
+            <form onSubmit={creerGroupe} className="flex gap-2 mt-2">
+              <input
+                type="text"
+                value={nouveauGroupe}
+                maxLength={40}
+                placeholder="Nouveau groupe (ex. Bretagne)"
+                onChange={(e) => setNouveauGroupe(e.target.value)}
+                className="flex-1 px-2 py-1 border rounded text-sm text-gray-800"
+              />
+              <button
+                type="submit"
+                disabled={isLoading || !nouveauGroupe.trim()}
+                className="px-3 py-1 rounded text-sm text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50"
+              >
+                ➕ Groupe
+              </button>
+            </form>
+          )}
         </div>
       )}
 
@@ -209,7 +999,7 @@ export default function FavorisManager({ villeActuelle, onVilleChange }) {
             isLoading ||
             !villeActuelle ||
             villeEstEnFavori ||
-            favoris.length >= 3
+            limiteAtteinte
           }
           className="flex-1 bg-meteo-blue text-white px-4 py-2 rounded-lg hover:bg-meteo-title disabled:opacity-50 disabled:cursor-not-allowed text-sm"
         >
@@ -221,16 +1011,94 @@ export default function FavorisManager({ villeActuelle, onVilleChange }) {
         </button>
       </div>
 
-      {/* Message de statut */}
-      {message && (
+      {/* Import / export (compte connecté) */}
+      {user && (
+        <div className="flex flex-wrap items-center gap-2 mt-3 text-xs text-gray-600">
+          <span>📤 Exporter :</span>
+          {FAVORIS_TRANSFER_FORMATS.map((format) => (
+            <a
+              key={format}
+              href={`/api/favoris/export?format=${format}`}
+              className="uppercase text-blue-700 hover:underline"
+            >
+              {format}
+            </a>
+          ))}
+          <label className="ml-auto cursor-pointer text-blue-700 hover:underline">
+            📥 Importer (CSV, JSON, GeoJSON)
+            <input
+              type="file"
+              accept=".csv,.json,.geojson"
+              onChange={importerFavoris}
+              disabled={isLoading}
+              className="hidden"
+            />
+          </label>
+        </div>
+      )}
+
+      {/* Lignes de l'import en erreur */}
+      {rapportImport?.summary.error > 0 && (
+        <div className="mt-2 p-2 rounded text-xs bg-red-50 text-red-700">
+          <div className="flex justify-between mb-1 font-medium">
+            Lignes non importées
+            <button
+              onClick={() => setRapportImport(null)}
+              aria-label="Fermer le rapport d'import"
+            >
+              ✕
+            </button>
+          </div>
+          <ul className="list-none">
+            {rapportImport.results
+              .filter((r) => r.status === "error")
+              .map((r) => (
+                <li key={r.row}>
+                  Ligne {r.row}
+                  {r.ville ? ` (${r.ville})` : ""} : {r.error}
+                </li>
+              ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Limite de l'offre gratuite atteinte */}
+      {limiteAtteinte && !villeEstEnFavori && (
+        <p className="text-gray-600 text-sm mt-2">
+          🔒 Limite de {maxFavoris} favoris atteinte :{" "}
+          {user
+            ? "passez Premium pour des favoris illimités"
+            : "connectez-vous puis passez Premium pour des favoris illimités"}
+        </p>
+      )}
+
+      {/* Visiteur : favoris conservés sur cet appareil uniquement */}
+      {!user && favoris.length > 0 && (
+        <p className="text-gray-600 text-sm mt-2">
+          📱 Favoris enregistrés sur cet appareil : connectez-vous pour les
+          retrouver dans votre compte
+        </p>
+      )}
+
+      {/* Message de statut (avec "Annuler" après une suppression) */}
+      {statut && (
         <div
-          className={`mt-2 p-2 rounded text-sm ${
-            message.includes("✅")
-              ? "bg-green-100 text-green-700"
-              : "bg-red-100 text-red-700"
+          role="status"
+          className={`flex items-center justify-between gap-2 mt-2 p-2 rounded text-sm ${
+            STATUT_STYLES[statut.type].classes
           }`}
         >
-          {message}
+          <span>
+            {STATUT_STYLES[statut.type].icone} {statut.texte}
+          </span>
+          {statut.action && (
+            <button
+              onClick={statut.action.onClick}
+              className="font-semibold underline"
+            >
+              {statut.action.libelle}
+            </button>
+          )}
         </div>
       )}
 
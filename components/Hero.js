@@ -6,17 +6,40 @@
  * le carousel des jours et l'intégration avec les favoris.
  *
  * Fonctionnalités principales:
- * - Recherche de villes avec autocomplétion
+ * - Recherche de communes au clavier avec autocomplétion (code INSEE)
  * - Affichage des données météo (matin, après-midi, soir)
- * - Carousel interactif des jours de la semaine
+ * - Prévisions détaillées heure par heure du jour sélectionné
+ * - Bulletin complet de la journée (ressenti, humidité, vent, soleil)
+ * - Carousel des jours réellement couverts par les prévisions
  * - Intégration avec le système de favoris
- * - Gestion de la géolocalisation
- * - API OpenWeatherMap pour les données météo
+ * - Géolocalisation "météo autour de moi" (repli sur la localité du profil)
+ * - Prévisions via le proxy serveur /api/weather/forecast
  * - Design responsive avec vidéo de fond
+ * - URL partageable /meteo/[commune] mise à jour à chaque recherche
+ * - Unités et langue selon les préférences (PreferencesContext)
+ *
+ * Props (optionnelles, pages pré-rendues côté serveur):
+ * - initialCommune: commune affichée au chargement ({ nom, code, lat, lon })
+ * - initialForecast: prévisions normalisées de cette commune
  */
 
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef } from "react";
+import { useRouter } from "next/router";
 import FavorisManager from "./FavorisManager";
+import HourlyTimeline from "./HourlyTimeline";
+import DailyBulletin from "./DailyBulletin";
+import { useAuth } from "../contexts/AuthContext";
+import { usePreferences } from "../contexts/PreferencesContext";
+import CommuneSearch from "./CommuneSearch";
+import { communesService, communeSlug } from "../lib/communes";
+import { recentSearches } from "../lib/recentSearches";
+import { DEFAULT_PREFERENCES } from "../lib/preferences";
+import { getConditionIconUrl } from "../lib/weatherConditions";
+import {
+  getForecastDays,
+  getFirstAvailableDate,
+  getDayView,
+} from "../lib/forecastDays";
 
 // Configuration des images des jours de la semaine pour le carousel
 const jours = [
@@ -29,68 +52,139 @@ const jours = [
   { src: "/assets/img/dimanche.png", alt: "dimanche" },
 ];
 
-export default function Hero() {
+export default function Hero({
+  initialCommune = null,
+  initialForecast = null,
+}) {
+  // Vue initiale calculée à partir des prévisions pré-rendues (SSR)
+  const initialDate = initialForecast
+    ? getFirstAvailableDate(initialForecast)
+    : null;
+  const initialView = getDayView(initialForecast, initialDate);
+
   // === ÉTATS LOCAUX ===
 
-  // Index pour le carousel des jours (0 = lundi, 6 = dimanche)
-  const [index, setIndex] = useState(0);
+  // Date (YYYY-MM-DD) du jour affiché dans le carousel
+  const [selectedDate, setSelectedDate] = useState(initialDate);
 
   // Données de prévision météo complètes de l'API
-  const [forecastData, setForecastData] = useState(null);
+  const [forecastData, setForecastData] = useState(initialForecast);
 
   // Nom de la ville actuellement affichée
-  const [cityName, setCityName] = useState("météo ville");
+  const [cityName, setCityName] = useState(
+    initialCommune?.nom || "météo ville"
+  );
 
   // Requête de recherche tapée par l'utilisateur
-  const [searchQuery, setSearchQuery] = useState("");
+  const [searchQuery, setSearchQuery] = useState(initialCommune?.nom || "");
 
-  // Liste d'autocomplétion pour la recherche de villes
-  const [autocompleteList, setAutocompleteList] = useState([]);
+  // Commune choisie dans l'autocomplétion (code INSEE + coordonnées)
+  const [selectedCommune, setSelectedCommune] = useState(initialCommune);
+
+  // Commune actuellement affichée (transmise aux favoris)
+  const [currentCommune, setCurrentCommune] = useState(initialCommune);
 
   // Données météo formatées pour les 3 moments de la journée
   const [weatherData, setWeatherData] = useState({
-    matin: null, // Données du matin (6h-12h)
-    apres: null, // Données de l'après-midi (12h-18h)
-    soir: null, // Données du soir (18h-24h)
+    matin: initialView.matin, // Données du matin (6h-12h)
+    apres: initialView.apres, // Données de l'après-midi (12h-18h)
+    soir: initialView.soir, // Données du soir (18h-24h)
   });
 
-  // === CONFIGURATION API ===
+  // Tous les créneaux de prévision du jour sélectionné
+  const [dayPoints, setDayPoints] = useState(initialView.points);
+
+  // Message d'état de la géolocalisation
+  const [geoMessage, setGeoMessage] = useState("");
+
+  // Utilisateur connecté (pour le repli sur sa localité)
+  const { user } = useAuth();
+
+  // Préférences d'affichage (unités, langue des prévisions)
+  const { preferences, format } = usePreferences();
+
+  // Router Next.js pour refléter la commune affichée dans l'URL
+  const router = useRouter();
+
+  // Dernière recherche affichée et langue de ses descriptions, rejouée
+  // quand la langue des préférences change (prévisions SSR : langue par
+  // défaut)
+  const lastSearchRef = useRef(
+    initialCommune && initialForecast
+      ? {
+          language: DEFAULT_PREFERENCES.language,
+          replay: (language) => displayCommuneWeather(initialCommune, language),
+        }
+      : null
+  );
+
+  useEffect(() => {
+    const lastSearch = lastSearchRef.current;
+    if (!lastSearch || lastSearch.language === preferences.language) return;
+    lastSearch.replay(preferences.language);
+  }, [preferences.language]);
+
+  /**
+   * Refléter la recherche affichée dans la barre d'adresse, sans navigation
+   * Le routage shallow ne vaut que sur la page courante : une URL d'une
+   * autre page (/meteo/... depuis l'accueil, "/" depuis une commune)
+   * masque la route courante, sans quoi getServerSideProps serait relancé
+   * et Hero remonté avec les favoris.
+   * @param {string} href - /meteo/[commune], ou "/" sans commune identifiée
+   */
+  const replaceUrl = (href) => {
+    if (router.asPath === href) return;
+    const onCommunePage = router.pathname === "/meteo/[commune]";
+    const samePage = onCommunePage ? href.startsWith("/meteo/") : href === "/";
+    const url = samePage
+      ? href
+      : { pathname: router.pathname, query: router.query };
+    router.replace(url, href, { shallow: true, scroll: false });
+  };
 
-  // Clé API OpenWeatherMap (depuis les variables d'environnement)
-  const API_KEY =
-    process.env.NEXT_PUBLIC_OPENWEATHER_API_KEY ||
-    "07999b6dee5f40e19ea66fc271a547d0";
+  // === CONFIGURATION API ===
 
-  // URL de base de l'API OpenWeatherMap pour les prévisions
-  const API_URL = "https://api.openweathermap.org/data/2.5/forecast";
+  // Proxy serveur des prévisions (la clé du fournisseur reste côté serveur)
+  const API_URL = "/api/weather/forecast";
 
   // === FONCTIONS DE GESTION DU CAROUSEL ===
 
+  // Jours du carousel (aujourd'hui + 6 jours), marqués disponibles ou non
+  const days = getForecastDays(forecastData);
+
+  // Position du jour sélectionné (aujourd'hui par défaut)
+  const index = Math.max(
+    0,
+    days.findIndex((day) => day.date === selectedDate)
+  );
+
+  // Jours disponibles les plus proches avant/après la sélection
+  const prevIndex = days.findLastIndex((day, i) => i < index && day.available);
+  const nextIndex = days.findIndex((day, i) => i > index && day.available);
+
   /**
    * Fonction pour mettre à jour le carousel des jours
-   * @param {number} newIndex - Nouvel index du jour à afficher (0-6)
+   * @param {string} date - Date du jour à afficher (YYYY-MM-DD)
    */
-  const updateCarousel = (newIndex) => {
-    setIndex(newIndex);
-    displayMeteoForDay(newIndex);
+  const updateCarousel = (date) => {
+    setSelectedDate(date);
+    displayMeteoForDay(date);
   };
 
   /**
    * Gestionnaire pour le bouton "Précédent" du carousel
-   * Utilise le modulo pour faire une rotation circulaire
+   * Passe au jour disponible précédent
    */
   const handlePrev = () => {
-    const newIndex = (index - 1 + jours.length) % jours.length;
-    updateCarousel(newIndex);
+    if (prevIndex !== -1) updateCarousel(days[prevIndex].date);
   };
 
   /**
    * Gestionnaire pour le bouton "Suivant" du carousel
-   * Utilise le modulo pour faire une rotation circulaire
+   * Passe au jour disponible suivant (dans l'horizon des prévisions)
    */
   const handleNext = () => {
-    const newIndex = (index + 1) % jours.length;
-    updateCarousel(newIndex);
+    if (nextIndex !== -1) updateCarousel(days[nextIndex].date);
   };
 
   // === FONCTIONS DE RECHERCHE ET MÉTÉO ===
@@ -104,115 +198,197 @@ export default function Hero() {
     const ville = searchQuery.trim();
     if (!ville) return;
 
+    // Commune sélectionnée dans l'autocomplétion : recherche par code INSEE
+    if (selectedCommune && selectedCommune.nom === ville) {
+      await displayCommuneWeather(selectedCommune);
+      return;
+    }
+
     await searchAndDisplayWeather(ville);
   };
 
-  // Fonction pour changer de ville depuis les favoris
-  const handleVilleChange = async (ville) => {
-    setSearchQuery(ville);
-    await searchAndDisplayWeather(ville);
+  /**
+   * Fonction pour changer de ville depuis les favoris
+   * @param {Object} favori - Favori ({ ville, insee, lat, lon })
+   */
+  const handleVilleChange = async (favori) => {
+    setSearchQuery(favori.ville);
+
+    if (favori.insee && favori.lat != null && favori.lon != null) {
+      await displayCommuneWeather({
+        nom: favori.ville,
+        code: favori.insee,
+        lat: favori.lat,
+        lon: favori.lon,
+      });
+    } else {
+      await searchAndDisplayWeather(favori.ville);
+    }
   };
 
   // Fonction commune pour rechercher et afficher la météo
   const searchAndDisplayWeather = async (ville) => {
+    await fetchAndDisplayForecast({ ville });
+  };
+
+  // Afficher la météo d'une commune identifiée (INSEE + coordonnées)
+  const displayCommuneWeather = async (commune, language) => {
+    await fetchAndDisplayForecast(
+      { lat: commune.lat, lon: commune.lon, insee: commune.code },
+      commune,
+      language
+    );
+  };
+
+  /**
+   * Récupère les prévisions via le proxy et met à jour l'affichage
+   * @param {Object} params - { ville } ou { lat, lon, insee }
+   * @param {Object|null} commune - Commune connue (nom, code INSEE, coordonnées)
+   * @param {string} language - Langue des descriptions (préférences par défaut)
+   */
+  const fetchAndDisplayForecast = async (
+    params,
+    commune = null,
+    language = preferences.language
+  ) => {
     setCityName("Chargement...");
 
     try {
-      const url = `${API_URL}?q=${encodeURIComponent(
-        ville
-      )},fr&appid=${API_KEY}&units=metric&lang=fr`;
+      const url = `${API_URL}?${new URLSearchParams({
+        ...params,
+        lang: language,
+      })}`;
       const response = await fetch(url);
       if (!response.ok) throw new Error("Ville non trouvée");
-      const data = await response.json();
-
-      setCityName(data.city.name);
+      const { data } = await response.json();
+
+      lastSearchRef.current = {
+        language,
+        replay: (nextLanguage) =>
+          fetchAndDisplayForecast(params, commune, nextLanguage),
+      };
+
+      setCityName(commune?.nom || data.location.name);
+
+      // Commune identifiée : historique et URL partageable /meteo/[commune] ;
+      // sinon (texte libre, position hors commune) retour à l'accueil pour
+      // qu'un lien partagé ne désigne pas la commune précédente
+      if (commune?.code) {
+        recentSearches.add(commune);
+        replaceUrl(`/meteo/${communeSlug(commune)}`);
+      } else {
+        replaceUrl("/");
+      }
+      setCurrentCommune(
+        commune || {
+          nom: data.location.name,
+          code: null,
+          lat: data.location.lat,
+          lon: data.location.lon,
+        }
+      );
       setForecastData(data);
-      const now = new Date();
-      const currentDay = now.getDay() === 0 ? 6 : now.getDay() - 1;
-      displayMeteoForDay(currentDay);
+
+      // Premier jour couvert par les prévisions (normalement aujourd'hui)
+      const firstDate = getFirstAvailableDate(data);
+      setSelectedDate(firstDate);
+      displayMeteoForDay(firstDate, data);
     } catch (err) {
       setCityName("Ville non trouvée");
+      setCurrentCommune(null);
       setWeatherData({ matin: null, apres: null, soir: null });
+      setDayPoints([]);
     }
   };
 
-  // Fonction pour afficher la météo d'un jour donné
-  const displayMeteoForDay = (dayIndex) => {
-    if (!forecastData) return;
-
-    const list = forecastData.list;
-    const now = new Date();
-    const currentDay = now.getDay() === 0 ? 6 : now.getDay() - 1;
-    const diff = dayIndex - currentDay;
-    const targetDate = new Date(now);
-    targetDate.setDate(now.getDate() + diff);
-
-    const forecasts = list.filter((item) => {
-      const d = new Date(item.dt_txt);
-      return (
-        d.getDate() === targetDate.getDate() &&
-        d.getMonth() === targetDate.getMonth() &&
-        d.getFullYear() === targetDate.getFullYear()
-      );
-    });
+  // === GÉOLOCALISATION ===
 
-    if (forecasts.length === 0) return;
-
-    const getClosest = (hour) => {
-      return forecasts.reduce((prev, curr) => {
-        const currHour = new Date(curr.dt_txt).getHours();
-        return Math.abs(currHour - hour) <
-          Math.abs(new Date(prev.dt_txt).getHours() - hour)
-          ? curr
-          : prev;
-      }, forecasts[0]);
-    };
-
-    const matin = getClosest(9);
-    const apres = getClosest(15);
-    const soir = getClosest(21);
+  /**
+   * Gestionnaire du bouton "Météo autour de moi"
+   * Position du navigateur -> prévisions par coordonnées + nom de la commune
+   */
+  const handleLocateMe = () => {
+    if (!navigator.geolocation) {
+      fallbackToLocalite("Géolocalisation non supportée");
+      return;
+    }
 
-    setWeatherData({ matin, apres, soir });
+    setGeoMessage("📍 Localisation en cours...");
+
+    navigator.geolocation.getCurrentPosition(
+      async ({ coords }) => {
+        const { latitude: lat, longitude: lon } = coords;
+
+        // Nom de la commune française correspondant à la position
+        const { data: commune } = await communesService.findByCoordinates(
+          lat,
+          lon
+        );
+
+        setGeoMessage("");
+        if (commune) {
+          setSearchQuery(commune.nom);
+          setSelectedCommune(commune);
+        }
+        await fetchAndDisplayForecast(
+          commune ? { lat, lon, insee: commune.code } : { lat, lon },
+          commune
+        );
+      },
+      (error) => {
+        fallbackToLocalite(
+          error.code === error.PERMISSION_DENIED
+            ? "Géolocalisation refusée"
+            : "Position indisponible"
+        );
+      },
+      { timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
   };
 
-  // Fonction pour rechercher les communes
-  const fetchCommunes = async (query) => {
-    if (query.length < 2) {
-      setAutocompleteList([]);
+  /**
+   * Repli lorsque la position est inaccessible : localité du profil
+   * @param {string} raison - Motif affiché à l'utilisateur
+   */
+  const fallbackToLocalite = async (raison) => {
+    const localite = user?.user_metadata?.localite;
+
+    if (!localite) {
+      setGeoMessage(`⚠️ ${raison}`);
       return;
     }
-    try {
-      const url = `https://geo.api.gouv.fr/communes?nom=${encodeURIComponent(
-        query
-      )}&fields=nom&boost=population&limit=7`;
-      const res = await fetch(url);
-      const data = await res.json();
-      setAutocompleteList(data);
-    } catch (error) {
-      setAutocompleteList([]);
-    }
+
+    setGeoMessage(`⚠️ ${raison} : météo de votre localité (${localite})`);
+    setSearchQuery(localite);
+    await searchAndDisplayWeather(localite);
+  };
+
+  /**
+   * Fonction pour afficher la météo d'un jour donné
+   * @param {string} date - Date du jour (YYYY-MM-DD, heure locale de la ville)
+   * @param {Object} data - Prévisions normalisées (par défaut celles en mémoire)
+   */
+  const displayMeteoForDay = (date, data = forecastData) => {
+    if (!data) return;
+
+    const { points, matin, apres, soir } = getDayView(data, date);
+    setWeatherData({ matin, apres, soir });
+    setDayPoints(points);
   };
 
-  // Gestion de l'input de recherche
-  const handleInputChange = (e) => {
-    const value = e.target.value;
+  // Gestion de la saisie dans le champ de recherche
+  const handleQueryChange = (value) => {
     setSearchQuery(value);
-    fetchCommunes(value);
+    setSelectedCommune(null);
   };
 
-  // Sélection d'une commune dans l'autocomplétion
-  const selectCommune = (commune) => {
+  // Sélection d'une commune dans l'autocomplétion : recherche immédiate
+  const selectCommune = async (commune) => {
     setSearchQuery(commune.nom);
-    setAutocompleteList([]);
+    setSelectedCommune(commune);
+    await displayCommuneWeather(commune);
   };
 
-  // Initialisation au montage du composant
-  useEffect(() => {
-    const now = new Date();
-    const currentDay = now.getDay() === 0 ? 6 : now.getDay() - 1;
-    setIndex(currentDay);
-  }, []);
-
   return (
     <main className="w-full max-w-[350px] md:max-w-[980px] lg:max-w-[1200px] mx-auto">
       <div className="md:flex md:gap-5 lg:flex lg:gap-8">
@@ -223,37 +399,35 @@ export default function Hero() {
             onSubmit={handleCitySearch}
             className="relative flex gap-5 md:gap-3 lg:gap-5"
           >
-            <input
-              type="search"
-              placeholder="Tapez votre ville"
-              value={searchQuery}
-              onChange={handleInputChange}
-              className="flex-1 p-3 my-5 text-lg rounded-md border-none bg-[#b4d9e2] md:my-4 md:text-base md:rounded-full lg:text-lg"
-              autoComplete="off"
+            <CommuneSearch
+              query={searchQuery}
+              onQueryChange={handleQueryChange}
+              onSelect={selectCommune}
             />
+            <button
+              type="button"
+              onClick={handleLocateMe}
+              aria-label="Météo autour de moi"
+              title="Météo autour de moi"
+              className="p-3 my-5 text-lg rounded-md border-none bg-[#b4d9e2] hover:bg-[#9bc7d1] transition-colors md:my-4 md:text-base md:h-10 lg:text-lg lg:h-12"
+            >
+              📍
+            </button>
             <button
               type="submit"
               className="w-[30%] p-3 my-5 text-lg rounded-md border-none bg-[#b4d9e2] hover:bg-[#9bc7d1] transition-colors md:my-4 md:text-base md:h-10 lg:text-lg lg:h-12"
             >
               Valider
             </button>
-
-            {/* Liste d'autocomplétion */}
-            {autocompleteList.length > 0 && (
-              <ul className="absolute top-16 left-0 w-[70%] bg-white border border-gray-300 rounded-b-md max-h-44 overflow-y-auto z-10 list-none">
-                {autocompleteList.map((commune, idx) => (
-                  <li
-                    key={idx}
-                    onClick={() => selectCommune(commune)}
-                    className="p-2 cursor-pointer hover:bg-gray-200"
-                  >
-                    {commune.nom}
-                  </li>
-                ))}
-              </ul>
-            )}
           </form>
 
+          {/* Message de géolocalisation */}
+          {geoMessage && (
+            <p className="text-sm text-gray-800 bg-white/80 rounded-md p-2 mb-3">
+              {geoMessage}
+            </p>
+          )}
+
           {/* Gestionnaire de favoris */}
           <FavorisManager
             villeActuelle={
@@ -263,6 +437,7 @@ export default function Hero() {
                 ? cityName
                 : null
             }
+            communeActuelle={currentCommune}
             onVilleChange={handleVilleChange}
           />
 
@@ -280,38 +455,8 @@ export default function Hero() {
             </div>
           </div>
 
-          {/* Bloc bulletin */}
-          <div className="bg-[#63bed4] rounded-lg p-3 mb-4 text-center">
-            <div className="mt-1 text-sm">
-              <p>Bulletin de la Journée</p>
-              {weatherData.matin && weatherData.apres && weatherData.soir && (
-                <div className="flex justify-between mt-1">
-                  <p>
-                    Min:{" "}
-                    {Math.round(
-                      Math.min(
-                        weatherData.matin.main.temp,
-                        weatherData.apres.main.temp,
-                        weatherData.soir.main.temp
-                      )
-                    )}
-                    °C
-                  </p>
-                  <p>
-                    Max:{" "}
-                    {Math.round(
-                      Math.max(
-                        weatherData.matin.main.temp,
-                        weatherData.apres.main.temp,
-                        weatherData.soir.main.temp
-                      )
-                    )}
-                    °C
-                  </p>
-                </div>
-              )}
-            </div>
-          </div>
+          {/* Bloc bulletin : agrégat de tous les créneaux du jour */}
+          <DailyBulletin points={dayPoints} location={forecastData?.location} />
 
           {/* Périodes météo */}
           <div className="flex justify-between mb-4 gap-2 md:flex-row lg:flex-row">
@@ -321,15 +466,20 @@ export default function Hero() {
               {weatherData.matin && (
                 <>
                   <img
-                    src={`https://openweathermap.org/img/wn/${weatherData.matin.weather[0].icon}.png`}
+                    src={getConditionIconUrl(
+                      weatherData.matin.condition,
+                      weatherData.matin.isDay
+                    )}
                     alt="météo matin"
                     width="48"
                     height="48"
                     className="lg:order-1 lg:mr-3"
                   />
                   <div className="lg:order-2">
-                    <div>{Math.round(weatherData.matin.main.temp)}°C</div>
-                    <small>{weatherData.matin.weather[0].description}</small>
+                    <div>
+                      {format.temperature(weatherData.matin.temperature)}
+                    </div>
+                    <small>{weatherData.matin.description}</small>
                   </div>
                 </>
               )}
@@ -341,15 +491,20 @@ export default function Hero() {
               {weatherData.apres && (
                 <>
                   <img
-                    src={`https://openweathermap.org/img/wn/${weatherData.apres.weather[0].icon}.png`}
+                    src={getConditionIconUrl(
+                      weatherData.apres.condition,
+                      weatherData.apres.isDay
+                    )}
                     alt="météo après-midi"
                     width="48"
                     height="48"
                     className="lg:order-1 lg:mr-3"
                   />
                   <div className="lg:order-2">
-                    <div>{Math.round(weatherData.apres.main.temp)}°C</div>
-                    <small>{weatherData.apres.weather[0].description}</small>
+                    <div>
+                      {format.temperature(weatherData.apres.temperature)}
+                    </div>
+                    <small>{weatherData.apres.description}</small>
                   </div>
                 </>
               )}
@@ -361,20 +516,28 @@ export default function Hero() {
               {weatherData.soir && (
                 <>
                   <img
-                    src={`https://openweathermap.org/img/wn/${weatherData.soir.weather[0].icon}.png`}
+                    src={getConditionIconUrl(
+                      weatherData.soir.condition,
+                      weatherData.soir.isDay
+                    )}
                     alt="météo soir"
                     width="48"
                     height="48"
                     className="lg:order-1 lg:mr-3"
                   />
                   <div className="lg:order-2">
-                    <div>{Math.round(weatherData.soir.main.temp)}°C</div>
-                    <small>{weatherData.soir.weather[0].description}</small>
+                    <div>
+                      {format.temperature(weatherData.soir.temperature)}
+                    </div>
+                    <small>{weatherData.soir.description}</small>
                   </div>
                 </>
               )}
             </div>
           </div>
+
+          {/* Prévisions heure par heure */}
+          <HourlyTimeline points={dayPoints} />
         </div>
 
         {/* Colonne de droite - Carrousel */}
@@ -392,17 +555,25 @@ export default function Hero() {
 
             {/* Image du jour */}
             <img
-              src={jours[index].src}
-              alt={jours[index].alt}
+              src={jours[days[index].weekdayIndex].src}
+              alt={jours[days[index].weekdayIndex].alt}
               width="120"
               height="120"
               className="absolute top-5 left-1/2 transform -translate-x-1/2 z-[2] w-32 h-32 object-cover rounded-lg bg-white object-center shadow-[0_4px_16px_rgba(0,0,0,0.2)]"
             />
 
+            {/* Date du jour affiché */}
+            <p className="absolute bottom-5 left-1/2 transform -translate-x-1/2 z-[2] bg-white/90 text-meteo-title font-bold rounded-full px-4 py-1 text-base capitalize">
+              {format.day(days[index].date)}
+              {forecastData && !days[index].available && " — indisponible"}
+            </p>
+
             {/* Bouton précédent */}
             <button
               onClick={handlePrev}
-              className="absolute top-1/2 left-5 transform -translate-y-1/2 z-[3] bg-meteo-title text-white border-none rounded-full w-9 h-9 text-2xl cursor-pointer flex items-center justify-center opacity-90 hover:opacity-100"
+              disabled={prevIndex === -1}
+              aria-label="Jour précédent"
+              className="absolute top-1/2 left-5 transform -translate-y-1/2 z-[3] bg-meteo-title text-white border-none rounded-full w-9 h-9 text-2xl cursor-pointer flex items-center justify-center opacity-90 hover:opacity-100 disabled:opacity-30 disabled:cursor-not-allowed"
             >
               ←
             </button>
@@ -410,11 +581,37 @@ export default function Hero() {
             {/* Bouton suivant */}
             <button
               onClick={handleNext}
-              className="absolute top-1/2 right-5 transform -translate-y-1/2 z-[3] bg-meteo-title text-white border-none rounded-full w-9 h-9 text-2xl cursor-pointer flex items-center justify-center opacity-90 hover:opacity-100"
+              disabled={nextIndex === -1}
+              aria-label="Jour suivant"
+              className="absolute top-1/2 right-5 transform -translate-y-1/2 z-[3] bg-meteo-title text-white border-none rounded-full w-9 h-9 text-2xl cursor-pointer flex items-center justify-center opacity-90 hover:opacity-100 disabled:opacity-30 disabled:cursor-not-allowed"
             >
               →
             </button>
           </div>
+
+          {/* Sélection directe d'un jour (grisé hors horizon des prévisions) */}
+          <div className="flex flex-wrap gap-2 justify-center mb-4">
+            {days.map((day, i) => (
+              <button
+                key={day.date}
+                onClick={() => updateCarousel(day.date)}
+                disabled={!day.available}
+                aria-pressed={i === index}
+                title={
+                  day.available
+                    ? format.day(day.date)
+                    : "Prévisions indisponibles"
+                }
+                className={`px-3 py-1 rounded-full text-sm capitalize transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+                  i === index
+                    ? "bg-meteo-title text-white"
+                    : "bg-white/80 text-meteo-title hover:bg-white"
+                }`}
+              >
+                {format.day(day.date)}
+              </button>
+            ))}
+          </div>
         </div>
       </div>
     </main>
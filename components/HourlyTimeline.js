@@ -0,0 +1,78 @@
+/**
+ * COMPOSANT HOURLY TIMELINE - PRÉVISIONS HEURE PAR HEURE
+ *
+ * Affiche tous les créneaux de prévision du jour sélectionné
+ * (3h avec OpenWeatherMap, 1h avec Open-Meteo/Météo-France).
+ *
+ * Props:
+ * - points: créneaux normalisés du jour ({ hour, temperature, condition, ... })
+ *
+ * Fonctionnalités:
+ * - Heure, pictogramme et température de chaque créneau
+ * - Probabilité de précipitations (pop)
+ * - Vitesse et direction du vent
+ * - Défilement horizontal sur mobile
+ * - Unités et format horaire selon les préférences
+ */
+
+import { getConditionIconUrl } from "../lib/weatherConditions";
+import { usePreferences } from "../contexts/PreferencesContext";
+
+export default function HourlyTimeline({ points }) {
+  // Unités et format horaire choisis par l'utilisateur
+  const { format } = usePreferences();
+
+  // Rien à afficher tant qu'aucun jour n'est chargé
+  if (!points || points.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white/90 backdrop-blur-sm rounded-lg p-3 mb-4 shadow-lg">
+      <h3 className="text-sm font-bold text-gray-800 mb-2">Heure par heure</h3>
+
+      {/* Liste défilante horizontalement */}
+      <ol className="flex gap-2 overflow-x-auto snap-x pb-2 list-none">
+        {points.map((point) => (
+          <li
+            key={point.time}
+            className="snap-start shrink-0 w-20 flex flex-col items-center gap-1 p-2 rounded-lg bg-blue-50 text-gray-800 text-xs"
+          >
+            <span className="font-bold">{format.hour(point.hour)}</span>
+            <img
+              src={getConditionIconUrl(point.condition, point.isDay)}
+              alt={point.description}
+              title={point.description}
+              width="40"
+              height="40"
+            />
+            <span className="text-base font-bold">
+              {format.temperature(point.temperature)}
+            </span>
+
+            {/* Probabilité de précipitations */}
+            <span className="text-blue-700" title="Risque de précipitations">
+              💧 {format.percent(point.precipitationProbability)}
+            </span>
+
+            {/* Vent : flèche orientée dans le sens du vent */}
+            <span className="flex items-center gap-1" title="Vent">
+              {point.windDirection != null && (
+                <span
+                  aria-hidden="true"
+                  className="inline-block"
+                  style={{
+                    transform: `rotate(${point.windDirection + 180}deg)`,
+                  }}
+                >
+                  ↑
+                </span>
+              )}
+              {format.wind(point.windSpeed)}
+            </span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -9,13 +9,62 @@
  * - Récupération du statut premium via API
  * - Affichage conditionnel selon le statut
  * - Format de date localisé en français
+ * - Message selon l'abonnement : renouvellement, paiement en échec, résilié
  * - Design responsive avec icônes
+ *
+ * Props:
+ * - onStatusLoaded (function, optionnel): reçoit le statut chargé
+ *   (is_premium, subscription_status...) pour adapter la page parente
  */
 
 import { useState, useEffect } from "react";
 import { useAuth } from "../contexts/AuthContext";
 
-export default function PremiumStatus() {
+// Libellés des formules d'abonnement
+const PLAN_LABELS = {
+  monthly: "mensuel",
+  yearly: "annuel",
+};
+
+// Couleurs : vert si l'abonnement est à jour, jaune si le paiement a échoué
+const THEMES = {
+  ok: {
+    conteneur: "bg-green-50 border-green-200",
+    icone: "text-green-600",
+    titre: "text-green-800",
+    detail: "text-green-600",
+  },
+  alerte: {
+    conteneur: "bg-yellow-50 border-yellow-200",
+    icone: "text-yellow-600",
+    titre: "text-yellow-800",
+    detail: "text-yellow-700",
+  },
+};
+
+// Message selon le statut de l'abonnement Stripe
+// (none : pas d'abonnement, premium acheté ou ancien compte)
+const STATUS_DISPLAY = {
+  active: {
+    theme: THEMES.ok,
+    texte: (date) => `Renouvellement automatique le ${date}`,
+  },
+  past_due: {
+    theme: THEMES.alerte,
+    texte: (date) =>
+      `Paiement refusé : mettez à jour votre moyen de paiement avant le ${date}`,
+  },
+  canceled: {
+    theme: THEMES.ok,
+    texte: (date) => `Abonnement résilié : Premium jusqu'au ${date}`,
+  },
+  none: {
+    theme: THEMES.ok,
+    texte: (date) => `Votre abonnement expire le ${date}`,
+  },
+};
+
+export default function PremiumStatus({ onStatusLoaded }) {
   // Récupération de l'utilisateur connecté depuis le contexte d'authentification
   const { user } = useAuth();
 
@@ -47,6 +96,7 @@ export default function PremiumStatus() {
 
       // Mise à jour de l'état avec les données reçues
       setPremiumStatus(data);
+      onStatusLoaded?.(data);
     } catch (error) {
       // Gestion des erreurs de réseau ou d'API
       console.error("Erreur lors de la récupération du statut premium:", error);
@@ -66,14 +116,18 @@ export default function PremiumStatus() {
   if (premiumStatus?.is_premium) {
     // Conversion de la date d'expiration en objet Date JavaScript
     const expiresAt = new Date(premiumStatus.premium_expires_at);
+    const display =
+      STATUS_DISPLAY[premiumStatus.subscription_status] || STATUS_DISPLAY.none;
+    const { theme } = display;
+    const planLabel = PLAN_LABELS[premiumStatus.subscription_plan];
 
     return (
-      // Container principal avec design vert pour indiquer le statut premium
-      <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+      // Container principal : vert si à jour, jaune si paiement en échec
+      <div className={`border rounded-lg p-4 mb-6 ${theme.conteneur}`}>
         <div className="flex items-center">
           {/* Icône de validation (checkmark) */}
           <svg
-            className="w-5 h-5 text-green-600 mr-2"
+            className={`w-5 h-5 mr-2 ${theme.icone}`}
             fill="currentColor"
             viewBox="0 0 20 20"
           >
@@ -86,12 +140,13 @@ export default function PremiumStatus() {
 
           {/* Informations textuelles du statut premium */}
           <div>
-            <h3 className="text-green-800 font-semibold">
+            <h3 className={`font-semibold ${theme.titre}`}>
               Utilisateur Premium
+              {planLabel && ` · abonnement ${planLabel}`}
             </h3>
-            <p className="text-green-600 text-sm">
+            <p className={`text-sm ${theme.detail}`}>
               {/* Formatage de la date en français (DD/MM/YYYY) */}
-              Votre abonnement expire le {expiresAt.toLocaleDateString("fr-FR")}
+              {display.texte(expiresAt.toLocaleDateString("fr-FR"))}
             </p>
           </div>
         </div>
@@ -14,6 +14,7 @@
  * - Déconnexion sécurisée
  * - États de chargement pour l'UX
  * - Gestion d'erreurs avec messages localisés
+ * - Fusion des favoris locaux (visiteur) dans le compte à la connexion
  *
  * Utilisation:
  * const { user, signIn, signUp, signOut, loading } = useAuth();
@@ -23,6 +24,8 @@ import { createContext, useContext, useEffect, useState } from "react";
 import { supabase } from "../lib/supabase";
 import { demoAuth } from "../lib/demoAuth";
 import { supabaseUserService } from "../lib/supabaseUsers";
+import { syncAccessTokenCookie } from "../lib/apiClient";
+import { localFavoris } from "../lib/localFavoris";
 
 // Création du contexte d'authentification
 const AuthContext = createContext({});
@@ -64,6 +67,10 @@ export const AuthProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
   const [isDemoMode, setIsDemoMode] = useState(!isSupabaseConfigured());
 
+  // Rapport de la dernière fusion des favoris locaux
+  // ({ added, duplicates, overflow, limits, error }), affiché par FavorisManager
+  const [favorisMerge, setFavorisMerge] = useState(null);
+
   // Choisir le client à utiliser
   const authClient = isDemoMode ? demoAuth : supabase.auth;
 
@@ -89,6 +96,7 @@ export const AuthProvider = ({ children }) => {
             data: { session },
           } = await supabase.auth.getSession();
           setUser(session?.user ?? null);
+          syncAccessTokenCookie(session);
         }
       } catch (error) {
         console.error("Erreur lors de la récupération de la session:", error);
@@ -107,7 +115,20 @@ export const AuthProvider = ({ children }) => {
         })
       : supabase.auth.onAuthStateChange(async (event, session) => {
           setUser(session?.user ?? null);
+          // Jeton recopié en cookie pour les API routes (rafraîchi ici aussi)
+          syncAccessTokenCookie(session);
           setLoading(false);
+
+          // Favoris enregistrés avant la connexion : importés dans le compte
+          // (différé : pas d'appel Supabase dans le callback lui-même)
+          if (event === "SIGNED_IN" && session) {
+            setTimeout(async () => {
+              const { data, error } = await localFavoris.mergeIntoAccount();
+              if (data || error) {
+                setFavorisMerge({ ...data, error });
+              }
+            }, 0);
+          }
         });
 
     const subscription = isDemoMode
@@ -350,6 +371,9 @@ export const AuthProvider = ({ children }) => {
   const value = {
     user,
     loading,
+    isDemoMode,
+    favorisMerge,
+    clearFavorisMerge: () => setFavorisMerge(null),
     signUp,
     signIn,
     signOut,
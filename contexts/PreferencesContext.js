@@ -0,0 +1,86 @@
+/**
+ * CONTEXTE DES PRÉFÉRENCES - UNITÉS, FORMAT HORAIRE ET LANGUE
+ *
+ * Centralise les préférences d'affichage et les fonctions de formatage
+ * utilisées par tous les composants météo.
+ *
+ * Persistance:
+ * - Visiteur anonyme : localStorage du navigateur
+ * - Utilisateur connecté : colonne preferences de la table user
+ *   (recopiée dans localStorage pour un affichage immédiat)
+ *
+ * Utilisation:
+ * const { preferences, updatePreferences, format } = usePreferences();
+ * format.temperature(18) // "18°C" ou "64°F"
+ */
+
+import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { useAuth } from "./AuthContext";
+import { supabaseUserService } from "../lib/supabaseUsers";
+import {
+  DEFAULT_PREFERENCES,
+  localPreferences,
+  normalizePreferences,
+} from "../lib/preferences";
+import { createFormatters } from "../lib/formatters";
+
+const PreferencesContext = createContext({
+  preferences: DEFAULT_PREFERENCES,
+  updatePreferences: async () => ({ data: null, error: null }),
+  format: createFormatters(DEFAULT_PREFERENCES),
+});
+
+export const usePreferences = () => useContext(PreferencesContext);
+
+export const PreferencesProvider = ({ children }) => {
+  const { user, isDemoMode } = useAuth();
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+
+  // Préférences du navigateur, lues après le montage (absentes au rendu SSR)
+  useEffect(() => {
+    setPreferences(localPreferences.get());
+  }, []);
+
+  // Utilisateur connecté : les préférences du compte sont prioritaires
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId || isDemoMode) return;
+
+    let cancelled = false;
+    supabaseUserService.getUserById(userId).then(({ data }) => {
+      if (cancelled || !data?.preferences) return;
+      if (Object.keys(data.preferences).length === 0) return;
+
+      const stored = normalizePreferences(data.preferences);
+      setPreferences(stored);
+      localPreferences.set(stored);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, isDemoMode]);
+
+  // Modifier une ou plusieurs préférences
+  const updatePreferences = async (updates) => {
+    const next = normalizePreferences({ ...preferences, ...updates });
+    setPreferences(next);
+    localPreferences.set(next);
+
+    if (!userId || isDemoMode) {
+      return { data: next, error: null };
+    }
+
+    return supabaseUserService.updatePreferences(userId, next);
+  };
+
+  const format = useMemo(() => createFormatters(preferences), [preferences]);
+
+  const value = { preferences, updatePreferences, format };
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+};
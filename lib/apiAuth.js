@@ -0,0 +1,50 @@
+// Authentification des API routes à partir du jeton d'accès Supabase
+// ⚠️ Côté serveur uniquement : l'identité ne vient jamais du body/query
+
+import { supabaseAdmin } from "./supabaseAdmin";
+import { ACCESS_TOKEN_COOKIE } from "./apiClient";
+
+// Jeton depuis "Authorization: Bearer <jeton>" ou, à défaut, le cookie
+export const getAccessToken = (req) => {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length).trim() || null;
+  }
+  return req.cookies?.[ACCESS_TOKEN_COOKIE] || null;
+};
+
+/**
+ * Vérifier le jeton de la requête auprès de Supabase Auth
+ * @param {Object} req - Requête Next.js
+ * @returns {Promise<{ user: Object|null, error: string|null }>}
+ */
+export const getAuthenticatedUser = async (req) => {
+  const token = getAccessToken(req);
+  if (!token) {
+    return { user: null, error: "Authentification requise" };
+  }
+
+  try {
+    const { data, error } = await supabaseAdmin.auth.getUser(token);
+    if (error || !data?.user) {
+      return { user: null, error: "Session invalide ou expirée" };
+    }
+    return { user: data.user, error: null };
+  } catch (err) {
+    console.error("💥 Erreur vérification jeton:", err);
+    return { user: null, error: "Session invalide ou expirée" };
+  }
+};
+
+/**
+ * Exiger un utilisateur authentifié (répond 401 sinon)
+ * @returns {Promise<Object|null>} Utilisateur, ou null si la réponse est déjà envoyée
+ */
+export const requireUser = async (req, res) => {
+  const { user, error } = await getAuthenticatedUser(req);
+  if (!user) {
+    res.status(401).json({ error });
+    return null;
+  }
+  return user;
+};
@@ -0,0 +1,37 @@
+// Appels des API routes protégées depuis le navigateur
+
+import { supabase } from "./supabase";
+
+// Cookie lu par les API routes en l'absence d'en-tête Authorization
+export const ACCESS_TOKEN_COOKIE = "sb-access-token";
+
+// Recopier le jeton de la session dans le cookie (ou l'effacer)
+export const syncAccessTokenCookie = (session) => {
+  if (typeof document === "undefined") return;
+
+  const secure = window.location.protocol === "https:" ? "; Secure" : "";
+  document.cookie = session?.access_token
+    ? `${ACCESS_TOKEN_COOKIE}=${session.access_token}; Path=/; Max-Age=${
+        session.expires_in || 3600
+      }; SameSite=Lax${secure}`
+    : `${ACCESS_TOKEN_COOKIE}=; Path=/; Max-Age=0; SameSite=Lax${secure}`;
+};
+
+/**
+ * fetch avec le jeton d'accès Supabase de l'utilisateur connecté
+ * @param {string} url - URL de l'API
+ * @param {Object} options - Options fetch (headers fusionnés)
+ * @returns {Promise<Response>}
+ */
+export const authFetch = async (url, options = {}) => {
+  const {
+    data: { session },
+  } = await supabase.auth.getSession();
+
+  const headers = new Headers(options.headers);
+  if (session?.access_token) {
+    headers.set("Authorization", `Bearer ${session.access_token}`);
+  }
+
+  return fetch(url, { ...options, headers });
+};
@@ -0,0 +1,168 @@
+// Facturation de l'utilisateur : résumé de l'abonnement pour l'onglet
+// Facturation du profil et session du portail client Stripe (résiliation,
+// changement de carte ou de formule).
+//
+// Le statut premium reste celui enregistré par le webhook (lib/premium) ;
+// Stripe n'est interrogé que pour le moyen de paiement et les factures.
+// Les codes cadeaux achetés (lib/premiumGift) restent consultables ici.
+//
+// Client Supabase et client Stripe sont injectés (supabaseAdmin et
+// lib/stripe en production).
+
+import { createGiftRepository } from "./premiumGift";
+
+// Nombre de factures affichées
+export const INVOICES_LIMIT = 12;
+
+const fromUnix = (seconds) =>
+  seconds ? new Date(seconds * 1000).toISOString() : null;
+
+// Carte bancaire (seules la marque et les 4 derniers chiffres sont exposés)
+const summarizePaymentMethod = (paymentMethod) => {
+  if (!paymentMethod?.card) return null;
+  const { brand, last4, exp_month, exp_year } = paymentMethod.card;
+  return { brand, last4, expMonth: exp_month, expYear: exp_year };
+};
+
+// Code cadeau acheté : statut (utilisé, annulé) sans le bénéficiaire
+const summarizeGift = (gift) => ({
+  code: gift.code,
+  months: gift.months,
+  createdAt: gift.created_at,
+  redeemed: Boolean(gift.redeemed_at),
+  revoked: Boolean(gift.revoked_at),
+});
+
+const summarizeInvoice = (invoice) => ({
+  id: invoice.id,
+  number: invoice.number,
+  date: fromUnix(invoice.created),
+  amount: invoice.amount_paid || invoice.amount_due,
+  currency: invoice.currency,
+  status: invoice.status,
+  pdfUrl: invoice.invoice_pdf || null,
+  hostedUrl: invoice.hosted_invoice_url || null,
+});
+
+/**
+ * Créer le service de facturation
+ * @param {Object} client - Client Supabase (clé service)
+ * @param {Object} stripe - Client Stripe
+ */
+export const createBillingService = (client, stripe) => {
+  // Ligne user : statut premium et identifiants Stripe
+  const getAccount = async (userId) => {
+    const { data, error } = await client
+      .from("user")
+      .select(
+        "is_premium, premium_expires_at, subscription_status, subscription_plan, stripe_customer_id, stripe_subscription_id"
+      )
+      .eq("id", userId)
+      .maybeSingle();
+    if (error) {
+      console.error("❌ Erreur lecture compte facturation:", error);
+      return { data: null, error: error.message };
+    }
+    return { data, error: null };
+  };
+
+  // Moyen de paiement : celui de l'abonnement, sinon celui du client
+  const getPaymentDetails = async (account) => {
+    let subscription = null;
+    if (account.stripe_subscription_id) {
+      subscription = await stripe.subscriptions.retrieve(
+        account.stripe_subscription_id,
+        { expand: ["default_payment_method"] }
+      );
+    }
+
+    let paymentMethod = subscription?.default_payment_method;
+    if (!paymentMethod?.card) {
+      const customer = await stripe.customers.retrieve(
+        account.stripe_customer_id,
+        { expand: ["invoice_settings.default_payment_method"] }
+      );
+      paymentMethod = customer.deleted
+        ? null
+        : customer.invoice_settings?.default_payment_method;
+    }
+
+    const { data: invoices } = await stripe.invoices.list({
+      customer: account.stripe_customer_id,
+      limit: INVOICES_LIMIT,
+    });
+
+    return {
+      cancelAtPeriodEnd: Boolean(subscription?.cancel_at_period_end),
+      paymentMethod: summarizePaymentMethod(paymentMethod),
+      invoices: invoices
+        .filter((invoice) => invoice.status !== "draft")
+        .map(summarizeInvoice),
+    };
+  };
+
+  return {
+    /**
+     * Résumé de facturation de l'utilisateur
+     * Les informations Stripe manquent (stripeUnavailable) si Stripe ne
+     * répond pas : l'onglet affiche quand même la formule et l'échéance.
+     * @param {string} userId
+     * @returns {Promise<{ data: Object|null, error: string|null }>}
+     */
+    async getSummary(userId) {
+      const { data: account, error } = await getAccount(userId);
+      if (error) return { data: null, error };
+      if (!account) return { data: null, error: "Utilisateur non trouvé" };
+
+      const { data: gifts, error: giftsError } =
+        await createGiftRepository(client).listByPurchaser(userId);
+      if (giftsError) return { data: null, error: giftsError };
+
+      const summary = {
+        isPremium: Boolean(account.is_premium),
+        plan: account.subscription_plan,
+        status: account.subscription_status,
+        expiresAt: account.premium_expires_at,
+        hasBillingAccount: Boolean(account.stripe_customer_id),
+        cancelAtPeriodEnd: false,
+        paymentMethod: null,
+        invoices: [],
+        gifts: gifts.map(summarizeGift),
+        stripeUnavailable: false,
+      };
+      if (!account.stripe_customer_id) return { data: summary, error: null };
+
+      try {
+        const details = await getPaymentDetails(account);
+        return { data: { ...summary, ...details }, error: null };
+      } catch (err) {
+        console.error("⚠️ Stripe indisponible pour la facturation:", err);
+        return { data: { ...summary, stripeUnavailable: true }, error: null };
+      }
+    },
+
+    /**
+     * Session du portail client Stripe
+     * @param {string} userId
+     * @param {string} returnUrl - Page de retour après le portail
+     * @returns {Promise<{ data: { url: string }|null, error: string|null }>}
+     *   data null sans erreur : aucun client Stripe pour cet utilisateur
+     */
+    async createPortalSession(userId, returnUrl) {
+      const { data: account, error } = await getAccount(userId);
+      if (error) return { data: null, error };
+      if (!account?.stripe_customer_id) return { data: null, error: null };
+
+      try {
+        const session = await stripe.billingPortal.sessions.create({
+          customer: account.stripe_customer_id,
+          return_url: returnUrl,
+        });
+        return { data: { url: session.url }, error: null };
+      } catch (err) {
+        console.error("❌ Erreur création portail Stripe:", err);
+        return { data: null, error: err.message };
+      }
+    },
+  };
+};
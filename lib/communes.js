@@ -0,0 +1,144 @@
+// Service pour interroger l'API Géo (communes françaises)
+// NEXT_PUBLIC_GEO_API_URL permet de pointer vers un stand-in local
+
+const GEO_API_URL =
+  process.env.NEXT_PUBLIC_GEO_API_URL || "https://geo.api.gouv.fr";
+
+// Champs demandés pour identifier une commune sans ambiguïté
+const COMMUNE_FIELDS = "nom,code,codesPostaux,departement,centre";
+
+// Code INSEE : 5 chiffres (2A/2B pour la Corse)
+export const INSEE_REGEX = /^(\d{5}|2[AB]\d{3})$/;
+
+/**
+ * Convertir une commune de l'API Géo en référence utilisée par l'application
+ * @param {Object} commune - Commune brute ({ nom, code, centre, departement, ... })
+ * @returns {{ nom, code, lat, lon, departement, codesPostaux }}
+ */
+export const toCommuneRef = (commune) => ({
+  nom: commune.nom,
+  code: commune.code, // Code INSEE
+  lat: commune.centre?.coordinates?.[1] ?? null,
+  lon: commune.centre?.coordinates?.[0] ?? null,
+  departement: commune.departement
+    ? { code: commune.departement.code, nom: commune.departement.nom }
+    : null,
+  codesPostaux: commune.codesPostaux || [],
+});
+
+// Libellé désambiguïsé, ex: "Saint-Martin (Gers, 32)"
+export const formatCommuneLabel = (commune) =>
+  commune.departement
+    ? `${commune.nom} (${commune.departement.nom}, ${commune.departement.code})`
+    : commune.nom;
+
+// Nom sans accents ni caractères spéciaux, ex: "Saint-Étienne" -> "saint-etienne"
+export const slugify = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Segment d'URL partageable d'une commune, ex: "lyon-69123"
+export const communeSlug = (commune) =>
+  commune.code
+    ? `${slugify(commune.nom)}-${commune.code.toLowerCase()}`
+    : slugify(commune.nom);
+
+/**
+ * Décomposer un segment d'URL de commune
+ * @param {string} slug - "lyon-69123", "ajaccio-2a004" ou "lyon"
+ * @returns {{ code: string|null, nom: string }}
+ */
+export const parseCommuneSlug = (slug) => {
+  const match = /^(.*?)-?(\d{5}|2[ab]\d{3})$/i.exec(slug);
+  if (match) {
+    return { code: match[2].toUpperCase(), nom: match[1].replace(/-/g, " ") };
+  }
+  return { code: null, nom: slug.replace(/-/g, " ") };
+};
+
+// Clé de comparaison d'un nom de ville : sans casse, accents ni ponctuation
+// ex: "Saint-Étienne", "saint etienne" et "SAINT ÉTIENNE" -> "saint etienne"
+export const normalizeVille = (ville) =>
+  slugify(ville || "").replace(/-/g, " ");
+
+/**
+ * Deux favoris désignent-ils la même commune ?
+ * Code INSEE si les deux sont connus (homonymes), sinon nom normalisé
+ * @param {{ ville: string, insee?: string|null }} a
+ * @param {{ ville: string, insee?: string|null }} b
+ * @returns {boolean}
+ */
+export const isSameFavoriCommune = (a, b) =>
+  a.insee && b.insee
+    ? a.insee === b.insee
+    : normalizeVille(a.ville) === normalizeVille(b.ville);
+
+// Appel générique de l'API Géo (signal : AbortController optionnel)
+const fetchGeo = async (path, params, signal) => {
+  const url = new URL(path, GEO_API_URL);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.append(key, value)
+  );
+  url.searchParams.append("fields", COMMUNE_FIELDS);
+  url.searchParams.append("format", "json");
+
+  const response = await fetch(url, { signal });
+  if (!response.ok) {
+    throw new Error(`Erreur API Géo (${response.status})`);
+  }
+  return response.json();
+};
+
+export const communesService = {
+  // Rechercher des communes par nom (autocomplétion)
+  async search(query, { limit = 7, signal } = {}) {
+    try {
+      const communes = await fetchGeo(
+        "/communes",
+        { nom: query, boost: "population", limit },
+        signal
+      );
+      return { data: communes.map(toCommuneRef), error: null };
+    } catch (err) {
+      // Requête annulée par une saisie plus récente : pas une erreur
+      if (err.name === "AbortError") {
+        return { data: [], error: null, aborted: true };
+      }
+      console.error("💥 Erreur search communes:", err);
+      return { data: [], error: err.message };
+    }
+  },
+
+  // Récupérer une commune par son code INSEE
+  async getByCode(code) {
+    try {
+      const commune = await fetchGeo(
+        `/communes/${encodeURIComponent(code)}`,
+        {}
+      );
+      return { data: toCommuneRef(commune), error: null };
+    } catch (err) {
+      console.error("💥 Erreur getByCode:", err);
+      return { data: null, error: err.message };
+    }
+  },
+
+  // Trouver la commune contenant un point (géocodage inverse)
+  async findByCoordinates(lat, lon) {
+    try {
+      const communes = await fetchGeo("/communes", { lat, lon });
+      if (!communes.length) {
+        return { data: null, error: "Aucune commune à cette position" };
+      }
+
+      return { data: toCommuneRef(communes[0]), error: null };
+    } catch (err) {
+      console.error("💥 Erreur findByCoordinates:", err);
+      return { data: null, error: err.message };
+    }
+  },
+};
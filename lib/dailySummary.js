@@ -0,0 +1,109 @@
+// Agrégation des créneaux de prévision (bulletin du jour, tableau de bord)
+
+import { getLocalToday } from "./forecastDays";
+
+// Valeurs numériques d'un champ (créneaux sans donnée ignorés)
+const valuesOf = (points, field) =>
+  points.map((p) => p[field]).filter((v) => typeof v === "number");
+
+// Minimum/maximum d'un champ, null si aucune valeur
+const rangeOf = (points, field) => {
+  const values = valuesOf(points, field);
+  if (values.length === 0) return null;
+  return { min: Math.min(...values), max: Math.max(...values) };
+};
+
+const averageOf = (points, field) => {
+  const values = valuesOf(points, field);
+  if (values.length === 0) return null;
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+};
+
+const maxOf = (points, field) => {
+  const values = valuesOf(points, field);
+  return values.length ? Math.max(...values) : null;
+};
+
+/**
+ * Résumer tous les créneaux d'un jour
+ * @param {Array} points - Créneaux normalisés du jour
+ * @param {Object|null} location - Localisation (sunrise/sunset en ISO,
+ *   timezoneOffset) ; lever/coucher null pour un autre jour que le leur
+ * @returns {Object|null} Bulletin (unités du modèle : °C, %, hPa, mm, m/s, m)
+ */
+export const summarizeDay = (points, location = null) => {
+  if (!points || points.length === 0) return null;
+
+  // Lever/coucher fournis pour un seul jour (le premier) : repris
+  // uniquement pour ce jour-là, sans quoi chaque jour afficherait la
+  // durée du jour d'aujourd'hui
+  const sunDate = location?.sunrise
+    ? getLocalToday(location.timezoneOffset, new Date(location.sunrise))
+    : null;
+  const isSunDay = sunDate === points[0].date;
+  const sunrise = (isSunDay && location.sunrise) || null;
+  const sunset = (isSunDay && location?.sunset) || null;
+  const daylightSeconds =
+    sunrise && sunset ? (new Date(sunset) - new Date(sunrise)) / 1000 : null;
+
+  return {
+    temperature: rangeOf(points, "temperature"),
+    feelsLike: rangeOf(points, "feelsLike"),
+    humidity: rangeOf(points, "humidity"),
+    pressure: averageOf(points, "pressure"),
+    visibilityMin: rangeOf(points, "visibility")?.min ?? null,
+    windAverage: averageOf(points, "windSpeed"),
+    // Rafale la plus forte, à défaut le vent moyen le plus fort
+    windGustMax: maxOf(points, "windGust") ?? maxOf(points, "windSpeed"),
+    precipitationTotal: valuesOf(points, "precipitation").reduce(
+      (sum, v) => sum + v,
+      0
+    ),
+    precipitationProbabilityMax: maxOf(points, "precipitationProbability"),
+    sunrise,
+    sunset,
+    daylightSeconds,
+  };
+};
+
+// Écart (°C) en dessous duquel la température est jugée stable
+const TREND_THRESHOLD = 0.5;
+
+/**
+ * Conditions actuelles, min/max du jour et tendance d'une prévision
+ * @param {Object} forecast - Prévisions normalisées ({ location, points })
+ * @param {Date} now - Date courante (injectable)
+ * @returns {Object|null} { current, today: { min, max }, trend, delta }
+ */
+export const summarizeNow = (forecast, now = new Date()) => {
+  const points = forecast?.points || [];
+  if (points.length === 0) return null;
+
+  // Créneau en cours : le dernier déjà commencé (sinon le premier)
+  const currentIndex = Math.max(
+    0,
+    points.findLastIndex((p) => new Date(p.time) <= now)
+  );
+  const current = points[currentIndex];
+  const next = points[currentIndex + 1] || null;
+
+  const today = getLocalToday(forecast.location?.timezoneOffset, now);
+  const todayRange = rangeOf(
+    points.filter((p) => p.date === today),
+    "temperature"
+  );
+
+  // Tendance : comparaison avec le créneau suivant
+  const delta =
+    next && typeof next.temperature === "number"
+      ? next.temperature - current.temperature
+      : 0;
+  const trend =
+    delta > TREND_THRESHOLD
+      ? "up"
+      : delta < -TREND_THRESHOLD
+        ? "down"
+        : "stable";
+
+  return { current, today: todayRange, trend, delta };
+};
@@ -0,0 +1,94 @@
+// Droits d'un utilisateur selon son offre (gratuite ou premium)
+// Source unique des limites : l'API favoris et l'interface s'appuient dessus
+
+// Limites par offre (null = illimité)
+export const PLANS = {
+  free: {
+    maxFavoris: 3,
+    favorisGroups: false,
+  },
+  premium: {
+    maxFavoris: null,
+    favorisGroups: true,
+  },
+};
+
+/**
+ * Déterminer l'offre active à partir de la ligne user
+ * @param {Object|null} userRow - { is_premium, premium_expires_at }
+ * @param {Date} now - Date courante (injectable)
+ * @returns {"free"|"premium"}
+ */
+export const resolvePlan = (userRow, now = new Date()) => {
+  if (!userRow?.is_premium) return "free";
+
+  // Premium sans date d'expiration : accès permanent
+  if (!userRow.premium_expires_at) return "premium";
+
+  return new Date(userRow.premium_expires_at) > now ? "premium" : "free";
+};
+
+// Droits complets : offre, expiration et limites applicables
+export const resolveEntitlements = (userRow, now = new Date()) => {
+  const plan = resolvePlan(userRow, now);
+  return {
+    plan,
+    isPremium: plan === "premium",
+    premiumExpiresAt:
+      plan === "premium" ? userRow.premium_expires_at || null : null,
+    limits: PLANS[plan],
+  };
+};
+
+// Peut-on ajouter un favori avec `count` favoris existants ?
+export const canAddFavori = (entitlements, count) =>
+  entitlements.limits.maxFavoris == null ||
+  count < entitlements.limits.maxFavoris;
+
+// Groupes de favoris réservés au premium
+export const canUseFavorisGroups = (entitlements) =>
+  entitlements.limits.favorisGroups;
+
+// Abonnement en cours (payé ou en délai de grâce) : un nouvel abonnement
+// ou un code cadeau ferait double emploi avec sa période
+export const ONGOING_SUBSCRIPTION_STATUSES = ["active", "past_due"];
+
+export const hasOngoingSubscription = (userRow) =>
+  ONGOING_SUBSCRIPTION_STATUSES.includes(userRow?.subscription_status);
+
+// Limites exposées par les API favoris pour piloter l'interface
+export const toApiLimits = (entitlements) => ({
+  plan: entitlements.plan,
+  maxFavoris: entitlements.limits.maxFavoris,
+  favorisGroups: entitlements.limits.favorisGroups,
+});
+
+export const entitlementsService = {
+  /**
+   * Lire les droits d'un utilisateur
+   * @param {Object} client - Client Supabase (supabaseAdmin côté serveur,
+   *   client anon côté navigateur : RLS limite alors à sa propre ligne)
+   * @param {string} userId - Identifiant de l'utilisateur
+   * @returns {Promise<{ data: Object, error: string|null }>} Offre gratuite
+   *   en cas d'erreur (jamais plus de droits que prévu)
+   */
+  async getForUser(client, userId) {
+    try {
+      const { data, error } = await client
+        .from("user")
+        .select("is_premium, premium_expires_at")
+        .eq("id", userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error("❌ Erreur lecture droits:", error);
+        return { data: resolveEntitlements(null), error: error.message };
+      }
+
+      return { data: resolveEntitlements(data), error: null };
+    } catch (err) {
+      console.error("💥 Erreur getForUser:", err);
+      return { data: resolveEntitlements(null), error: err.message };
+    }
+  },
+};
@@ -0,0 +1,372 @@
+// Accès aux données des favoris (tables favorie et favorie_group)
+// Point d'entrée unique côté serveur : API routes et tout code serveur
+// passent par ce module pour partager les mêmes règles :
+// - doublon : même code INSEE, sinon même nom sans casse ni accents
+// - limite de l'offre (lib/entitlements)
+// - ordre : position croissante, puis plus récent en premier
+//
+// Le client est injecté (supabaseAdmin en production) : chaque requête est
+// explicitement restreinte à l'utilisateur, RLS étant contourné.
+
+import { isSameFavoriCommune } from "./communes";
+import {
+  canAddFavori,
+  canUseFavorisGroups,
+  entitlementsService,
+  toApiLimits,
+} from "./entitlements";
+
+const TABLE = "favorie";
+const GROUP_TABLE = "favorie_group";
+
+// Erreur renvoyée par le dépôt : statut HTTP, message et détails éventuels
+const failure = (status, message, details = {}) => ({
+  data: null,
+  error: { status, message, details },
+});
+
+const dbFailure = (label, error) => {
+  console.error(`❌ ${label}:`, error);
+  return failure(500, error.message);
+};
+
+// Position suivant la dernière d'une liste de favoris
+const nextPosition = (favoris) =>
+  favoris.reduce((max, f) => Math.max(max, f.position ?? -1), -1) + 1;
+
+// Ligne à insérer à partir d'un favori saisi ou importé
+const toInsertRow = (userId, favori, position) => ({
+  user_id: userId,
+  ville: favori.ville,
+  insee: favori.insee || null,
+  lat: Number.isFinite(favori.lat) ? favori.lat : null,
+  lon: Number.isFinite(favori.lon) ? favori.lon : null,
+  label: favori.label ?? null,
+  note: favori.note ?? null,
+  position,
+});
+
+/**
+ * Créer le dépôt des favoris
+ * @param {Object} client - Client Supabase (supabaseAdmin côté serveur)
+ * @returns {Object} Méthodes renvoyant { data, error } ; error vaut
+ *   { status, message, details } ou null
+ */
+export const createFavorisRepository = (client) => ({
+  // Table favorie présente ? (503 tant que la base n'est pas configurée)
+  async checkSetup() {
+    const { error } = await client.from(TABLE).select("id").limit(1);
+
+    if (error?.code === "PGRST116") {
+      return failure(503, "Setup required", {
+        message: "La table favorie doit être créée dans Supabase",
+        needsSetup: true,
+      });
+    }
+    if (error) return dbFailure("Erreur accès table favorie", error);
+
+    return { data: true, error: null };
+  },
+
+  /**
+   * Droits de l'utilisateur et limites exposées par l'API
+   * @returns {Promise<{ entitlements: Object, limits: Object }>}
+   */
+  async getLimits(userId) {
+    const { data: entitlements } = await entitlementsService.getForUser(
+      client,
+      userId
+    );
+    return { entitlements, limits: toApiLimits(entitlements) };
+  },
+
+  // Favoris de l'utilisateur dans son ordre personnalisé
+  async list(userId) {
+    const { data, error } = await client
+      .from(TABLE)
+      .select("*")
+      .eq("user_id", userId)
+      .order("position", { ascending: true })
+      .order("created_at", { ascending: false });
+
+    if (error) return dbFailure("Erreur lecture favoris", error);
+    return { data: data || [], error: null };
+  },
+
+  /**
+   * Ajouter un favori en fin de liste
+   * @param {string} userId
+   * @param {{ ville, insee, lat, lon, label, note }} favori
+   * @param {Object} entitlements - Droits de l'utilisateur
+   */
+  async add(userId, favori, entitlements) {
+    const { data: favoris, error } = await this.list(userId);
+    if (error) return { data: null, error };
+
+    if (favoris.some((f) => isSameFavoriCommune(f, favori))) {
+      return failure(400, "Cette ville est déjà en favoris", {
+        ville: favori.ville,
+      });
+    }
+
+    if (!canAddFavori(entitlements, favoris.length)) {
+      const max = entitlements.limits.maxFavoris;
+      return failure(400, `Limite de ${max} favoris atteinte`, {
+        current_count: favoris.length,
+        max_allowed: max,
+      });
+    }
+
+    const { data, error: insertError } = await client
+      .from(TABLE)
+      .insert([toInsertRow(userId, favori, nextPosition(favoris))])
+      .select()
+      .single();
+
+    if (insertError) {
+      // Contrainte unique (ajout concurrent de la même commune)
+      if (insertError.code === "23505") {
+        return failure(400, "Cette ville est déjà en favoris", {
+          ville: favori.ville,
+        });
+      }
+      return dbFailure("Erreur ajout favori", insertError);
+    }
+
+    return { data, error: null };
+  },
+
+  /**
+   * Ajouter plusieurs favoris (fusion, import) avec les mêmes règles
+   * Doublons (compte ou lot) ignorés, favoris au-delà de la limite refusés
+   * @returns {Promise<{ data: { added, accepted, duplicates, overflow } }>}
+   *   added : lignes créées ; accepted : favoris d'origine correspondants
+   */
+  async addMany(userId, favoris, entitlements) {
+    const { data: existing, error } = await this.list(userId);
+    if (error) return { data: null, error };
+
+    const known = [...existing];
+    const accepted = [];
+    const duplicates = [];
+    const overflow = [];
+    let position = nextPosition(existing);
+
+    favoris.forEach((favori) => {
+      if (known.some((f) => isSameFavoriCommune(f, favori))) {
+        duplicates.push(favori);
+      } else if (!canAddFavori(entitlements, known.length)) {
+        overflow.push(favori);
+      } else {
+        known.push(toInsertRow(userId, favori, position++));
+        accepted.push(favori);
+      }
+    });
+
+    let added = [];
+    if (accepted.length > 0) {
+      const { data, error: insertError } = await client
+        .from(TABLE)
+        .insert(known.slice(existing.length))
+        .select();
+
+      if (insertError) return dbFailure("Erreur ajout favoris", insertError);
+      added = data || [];
+    }
+
+    return {
+      data: { added, accepted, duplicates, overflow },
+      error: null,
+    };
+  },
+
+  /**
+   * Modifier le libellé, la note et/ou le groupe d'un favori
+   * @param {Object} changes - Champs définis uniquement
+   */
+  async update(userId, id, changes, entitlements) {
+    // Rattachement à un groupe : premium et groupe de l'utilisateur
+    if (changes.group_id) {
+      if (!canUseFavorisGroups(entitlements)) {
+        return failure(
+          403,
+          "Les groupes de favoris sont réservés aux comptes Premium"
+        );
+      }
+
+      const { data: group, error } = await client
+        .from(GROUP_TABLE)
+        .select("id")
+        .eq("id", changes.group_id)
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      if (error) return dbFailure("Erreur lecture groupe", error);
+      if (!group) return failure(404, "Groupe non trouvé");
+    }
+
+    const { data, error } = await client
+      .from(TABLE)
+      .update(changes)
+      .eq("id", id)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) return dbFailure("Erreur modification favori", error);
+    if (!data) return failure(404, "Favori non trouvé");
+
+    return { data, error: null };
+  },
+
+  /**
+   * Supprimer un favori par id, ou par nom de ville (mêmes règles de
+   * comparaison que les doublons)
+   * @param {{ id?: string|number, ville?: string }} criteria
+   */
+  async remove(userId, { id, ville }) {
+    let targetId = id;
+
+    if (!targetId) {
+      const { data: favoris, error } = await this.list(userId);
+      if (error) return { data: null, error };
+      targetId = favoris.find((f) => isSameFavoriCommune(f, { ville }))?.id;
+      if (!targetId) return failure(404, "Favori non trouvé");
+    }
+
+    const { data, error } = await client
+      .from(TABLE)
+      .delete()
+      .eq("id", targetId)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) return dbFailure("Erreur suppression favori", error);
+    if (!data) return failure(404, "Favori non trouvé");
+
+    return { data, error: null };
+  },
+
+  /**
+   * Enregistrer un nouvel ordre
+   * @param {Array} ids - Exactement les favoris de l'utilisateur, dans l'ordre
+   * @returns {Promise<{ data: Array }>} Favoris dans le nouvel ordre ;
+   *   ordre inchangé si l'enregistrement échoue (fonction reorder_favoris)
+   */
+  async reorder(userId, ids) {
+    const { data: favoris, error } = await this.list(userId);
+    if (error) return { data: null, error };
+
+    // Chaque favori une et une seule fois (un id répété en masquerait un)
+    const ownedIds = new Set(favoris.map((f) => String(f.id)));
+    const receivedIds = new Set(ids.map(String));
+    const isSameSet =
+      ids.length === ownedIds.size &&
+      receivedIds.size === ids.length &&
+      ids.every((id) => ownedIds.has(String(id)));
+
+    if (!isSameSet) {
+      return failure(400, "La liste doit contenir exactement vos favoris", {
+        expected_count: ownedIds.size,
+        received_count: ids.length,
+      });
+    }
+
+    // Une seule instruction (fonction SQL) : tout l'ordre ou rien
+    const { error: reorderError } = await client.rpc("reorder_favoris", {
+      p_user_id: userId,
+      p_ids: ids.map(String),
+    });
+
+    // Favori ajouté ou supprimé entre la lecture et la mise à jour
+    if (reorderError?.code === "40001") {
+      return failure(409, "Vos favoris ont changé, rechargez la liste");
+    }
+    if (reorderError) return dbFailure("Erreur réordonnancement", reorderError);
+
+    return this.list(userId);
+  },
+
+  // === GROUPES (premium : droits vérifiés par l'appelant) ===
+
+  async listGroups(userId) {
+    const { data, error } = await client
+      .from(GROUP_TABLE)
+      .select("*")
+      .eq("user_id", userId)
+      .order("position", { ascending: true })
+      .order("created_at", { ascending: true });
+
+    if (error) return dbFailure("Erreur lecture groupes", error);
+    return { data: data || [], error: null };
+  },
+
+  // Nouveau groupe placé après les groupes existants
+  async createGroup(userId, name) {
+    const { count, error: countError } = await client
+      .from(GROUP_TABLE)
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", userId);
+
+    if (countError) return dbFailure("Erreur comptage groupes", countError);
+
+    const { data, error } = await client
+      .from(GROUP_TABLE)
+      .insert([{ user_id: userId, name, position: count || 0 }])
+      .select()
+      .single();
+
+    if (error?.code === "23505") {
+      return failure(400, "Un groupe porte déjà ce nom", { name });
+    }
+    if (error) return dbFailure("Erreur création groupe", error);
+
+    return { data, error: null };
+  },
+
+  async renameGroup(userId, id, name) {
+    const { data, error } = await client
+      .from(GROUP_TABLE)
+      .update({ name })
+      .eq("id", id)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error?.code === "23505") {
+      return failure(400, "Un groupe porte déjà ce nom", { name });
+    }
+    if (error) return dbFailure("Erreur renommage groupe", error);
+    if (!data) return failure(404, "Groupe non trouvé");
+
+    return { data, error: null };
+  },
+
+  // Les favoris du groupe passent à group_id NULL (ON DELETE SET NULL)
+  async deleteGroup(userId, id) {
+    const { data, error } = await client
+      .from(GROUP_TABLE)
+      .delete()
+      .eq("id", id)
+      .eq("user_id", userId)
+      .select()
+      .maybeSingle();
+
+    if (error) return dbFailure("Erreur suppression groupe", error);
+    if (!data) return failure(404, "Groupe non trouvé");
+
+    return { data, error: null };
+  },
+});
+
+/**
+ * Réponse JSON d'une erreur du dépôt
+ * @param {Object} res - Réponse Next.js
+ * @param {{ status, message, details }} error
+ * @param {Object} extra - Champs ajoutés (ex. limits)
+ */
+export const sendRepositoryError = (res, error, extra = {}) =>
+  res
+    .status(error.status)
+    .json({ error: error.message, ...error.details, ...extra });
@@ -0,0 +1,105 @@
+// Synchronisation des favoris entre onglets et appareils
+// - Supabase Realtime : changements de la table favorie du compte, faits
+//   depuis un autre appareil ou un autre onglet
+// - BroadcastChannel : repli entre onglets du même navigateur quand Realtime
+//   n'est pas disponible (visiteur, mode démo, canal en erreur)
+//
+// Client Supabase et BroadcastChannel sont injectés : une doublure en
+// mémoire suffit pour reproduire les échanges hors navigateur.
+
+const TABLE = "favorie";
+const BROADCAST_NAME = "meteo:favoris";
+
+// BroadcastChannel absent côté serveur (SSR) et sur certains navigateurs
+const defaultBroadcast = (name) =>
+  typeof BroadcastChannel !== "undefined" ? new BroadcastChannel(name) : null;
+
+/**
+ * Créer la synchronisation des favoris
+ * @param {Object} options
+ * @param {Object|null} options.client - Client Supabase (null : sans Realtime)
+ * @param {Function|null} options.createBroadcast - (nom) => canal compatible
+ *   BroadcastChannel ({ postMessage, onmessage, close }) ou null
+ */
+export const createFavorisSync = ({
+  client = null,
+  createBroadcast = defaultBroadcast,
+} = {}) => ({
+  /**
+   * S'abonner aux changements des favoris faits ailleurs
+   * @param {string|null} userId - null pour un visiteur (favoris locaux)
+   * @param {Function} onChange - Appelée avec { type, id } :
+   *   "INSERT" | "UPDATE" | "DELETE" (Realtime, id du favori) ou
+   *   "BROADCAST" (autre onglet, id null : liste à relire)
+   * @returns {{ notify: Function, unsubscribe: Function }}
+   */
+  subscribe(userId, onChange) {
+    let realtimeActif = false;
+    let channel = null;
+
+    if (client && userId) {
+      const onRow = (payload) =>
+        onChange({
+          type: payload.eventType,
+          id: payload.new?.id ?? payload.old?.id ?? null,
+        });
+
+      // Suppressions non filtrables (RLS non applicable) : seul l'id est
+      // transmis, l'appelant ignore ceux qui ne sont pas dans sa liste
+      channel = client
+        .channel(`favorie:${userId}`)
+        .on(
+          "postgres_changes",
+          {
+            event: "INSERT",
+            schema: "public",
+            table: TABLE,
+            filter: `user_id=eq.${userId}`,
+          },
+          onRow
+        )
+        .on(
+          "postgres_changes",
+          {
+            event: "UPDATE",
+            schema: "public",
+            table: TABLE,
+            filter: `user_id=eq.${userId}`,
+          },
+          onRow
+        )
+        .on(
+          "postgres_changes",
+          { event: "DELETE", schema: "public", table: TABLE },
+          onRow
+        )
+        .subscribe((status) => {
+          realtimeActif = status === "SUBSCRIBED";
+          if (status === "CHANNEL_ERROR" || status === "TIMED_OUT") {
+            console.warn("⚠️ Realtime favoris indisponible:", status);
+          }
+        });
+    }
+
+    // Autres onglets : messages limités au même compte (ou aux visiteurs)
+    const broadcast = createBroadcast ? createBroadcast(BROADCAST_NAME) : null;
+    if (broadcast) {
+      broadcast.onmessage = ({ data }) => {
+        if (realtimeActif || (data?.userId ?? null) !== userId) return;
+        onChange({ type: "BROADCAST", id: null });
+      };
+    }
+
+    return {
+      // Prévenir les autres onglets après une modification réussie
+      notify() {
+        broadcast?.postMessage({ userId });
+      },
+
+      unsubscribe() {
+        if (channel) client.removeChannel(channel);
+        broadcast?.close();
+      },
+    };
+  },
+});
@@ -0,0 +1,226 @@
+// Export et import des favoris en masse (JSON, CSV, GeoJSON)
+// Mêmes colonnes dans les trois formats pour permettre l'aller-retour
+// avec un tableur
+
+export const FAVORIS_TRANSFER_FORMATS = ["json", "csv", "geojson"];
+
+// Colonnes exportées, dans l'ordre du fichier CSV
+export const FAVORIS_TRANSFER_FIELDS = [
+  "ville",
+  "insee",
+  "lat",
+  "lon",
+  "label",
+  "note",
+];
+
+const CONTENT_TYPES = {
+  json: "application/json; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  geojson: "application/geo+json; charset=utf-8",
+};
+
+// Ligne d'export : uniquement les colonnes publiques, null si absentes
+const toRow = (favori) =>
+  Object.fromEntries(
+    FAVORIS_TRANSFER_FIELDS.map((field) => [field, favori[field] ?? null])
+  );
+
+// Échappement RFC 4180 : guillemets si séparateur, guillemet ou saut de ligne
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (favoris) =>
+  [
+    FAVORIS_TRANSFER_FIELDS.join(","),
+    ...favoris.map((favori) =>
+      FAVORIS_TRANSFER_FIELDS.map((field) => csvCell(favori[field])).join(",")
+    ),
+  ].join("\r\n");
+
+// Point GeoJSON (longitude, latitude) ; géométrie nulle sans coordonnées
+const toGeoJson = (favoris) => ({
+  type: "FeatureCollection",
+  features: favoris.map((favori) => {
+    const { lat, lon, ...properties } = toRow(favori);
+    return {
+      type: "Feature",
+      geometry:
+        Number.isFinite(lat) && Number.isFinite(lon)
+          ? { type: "Point", coordinates: [lon, lat] }
+          : null,
+      properties,
+    };
+  }),
+});
+
+/**
+ * Sérialiser des favoris dans un format d'export
+ * @param {Array} favoris - Lignes favorie (coordonnées déjà complétées)
+ * @param {"json"|"csv"|"geojson"} format
+ * @returns {{ body: string, contentType: string, extension: string }}
+ */
+export const serializeFavoris = (favoris, format) => {
+  let body;
+  if (format === "csv") {
+    // BOM : accents correctement lus par Excel
+    body = `\uFEFF${toCsv(favoris)}\r\n`;
+  } else if (format === "geojson") {
+    body = JSON.stringify(toGeoJson(favoris), null, 2);
+  } else {
+    body = JSON.stringify({ favoris: favoris.map(toRow) }, null, 2);
+  }
+  return { body, contentType: CONTENT_TYPES[format], extension: format };
+};
+
+/**
+ * Découper un texte CSV (guillemets RFC 4180, séparateur "," ou ";")
+ * @param {string} text - Contenu du fichier
+ * @returns {Array<Array<string>>} Lignes de cellules
+ */
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, "");
+
+  // Séparateur deviné sur l'en-tête (";" pour les tableurs en français)
+  const header = source.split(/\r?\n/, 1)[0];
+  const separator =
+    (header.match(/;/g) || []).length > (header.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Lignes vides ignorées (fin de fichier, lignes blanches du tableur)
+  return rows.filter((cells) => cells.some((c) => c.trim() !== ""));
+};
+
+// Cellule CSV → valeur : vide = absente, coordonnées en nombre
+// (virgule décimale acceptée : "48,39")
+const csvValue = (field, raw) => {
+  const value = raw?.trim();
+  if (!value) return undefined;
+  if (field === "lat" || field === "lon") {
+    const number = Number(value.replace(",", "."));
+    return Number.isNaN(number) ? value : number;
+  }
+  // Code INSEE lu comme un nombre par le tableur : "1004" → "01004"
+  if (field === "insee" && /^\d{4}$/.test(value)) {
+    return `0${value}`;
+  }
+  return value;
+};
+
+const fromCsv = (text) => {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return { rows: [], error: "Fichier CSV vide" };
+  }
+
+  const columns = header.map((name) => name.trim().toLowerCase());
+  if (!columns.includes("ville") && !columns.includes("insee")) {
+    return {
+      rows: [],
+      error: "Colonne ville ou insee requise dans l'en-tête CSV",
+    };
+  }
+
+  return {
+    rows: lines.map((cells) =>
+      Object.fromEntries(
+        columns
+          .map((column, index) => [column, csvValue(column, cells[index])])
+          .filter(
+            ([column, value]) =>
+              FAVORIS_TRANSFER_FIELDS.includes(column) && value !== undefined
+          )
+      )
+    ),
+    error: null,
+  };
+};
+
+// Feature GeoJSON → ligne : coordonnées du point, autres champs en propriétés
+const fromGeoJson = (data) => {
+  if (data?.type !== "FeatureCollection" || !Array.isArray(data.features)) {
+    return { rows: [], error: "FeatureCollection GeoJSON attendue" };
+  }
+
+  return {
+    rows: data.features.map((feature) => {
+      const [lon, lat] =
+        feature?.geometry?.type === "Point" ? feature.geometry.coordinates : [];
+      return { ...(feature?.properties || {}), lat, lon };
+    }),
+    error: null,
+  };
+};
+
+/**
+ * Lire les lignes d'un fichier d'import (non validées)
+ * @param {"json"|"csv"|"geojson"} format
+ * @param {string|Object} body - Texte brut ou JSON déjà décodé
+ * @returns {{ rows: Array<Object>, error: string|null }}
+ */
+export const parseFavorisImport = (format, body) => {
+  if (format === "csv") {
+    return typeof body === "string"
+      ? fromCsv(body)
+      : { rows: [], error: "Contenu CSV attendu (text/csv)" };
+  }
+
+  let data = body;
+  if (typeof body === "string") {
+    try {
+      data = JSON.parse(body);
+    } catch (err) {
+      return { rows: [], error: "JSON invalide" };
+    }
+  }
+
+  if (format === "geojson") return fromGeoJson(data);
+
+  // JSON : tableau de lignes ou { favoris: [...] } (format d'export)
+  const rows = Array.isArray(data) ? data : data?.favoris;
+  return Array.isArray(rows)
+    ? { rows, error: null }
+    : { rows: [], error: "Tableau de favoris attendu" };
+};
@@ -0,0 +1,93 @@
+// Utilitaires de dates pour les prévisions (jours réels de la réponse météo)
+
+// Nombre de jours affichés dans le carrousel (au-delà : hors horizon)
+export const FORECAST_WINDOW_DAYS = 7;
+
+// Les dates "YYYY-MM-DD" sont manipulées à midi UTC pour éviter
+// tout décalage lié au fuseau horaire du navigateur
+const toUtcNoon = (date) => new Date(`${date}T12:00:00Z`);
+
+// Index du jour de la semaine (0 = lundi, 6 = dimanche)
+export const getWeekdayIndex = (date) => (toUtcNoon(date).getUTCDay() + 6) % 7;
+
+// Libellé court en français, ex: "lun. 20 oct."
+export const formatDayLabel = (date) =>
+  toUtcNoon(date).toLocaleDateString("fr-FR", {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    timeZone: "UTC",
+  });
+
+// Date du jour (YYYY-MM-DD) dans le fuseau de la ville
+export const getLocalToday = (timezoneOffset = null, now = new Date()) => {
+  if (timezoneOffset == null) {
+    // Sans ville chargée : date locale du navigateur
+    const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 10);
+  }
+  return new Date(now.getTime() + timezoneOffset * 1000)
+    .toISOString()
+    .slice(0, 10);
+};
+
+// Ajouter n jours à une date YYYY-MM-DD
+export const addDays = (date, n) => {
+  const d = toUtcNoon(date);
+  d.setUTCDate(d.getUTCDate() + n);
+  return d.toISOString().slice(0, 10);
+};
+
+/**
+ * Construire la liste des jours du carrousel à partir des prévisions
+ * @param {Object|null} forecast - Prévisions normalisées ({ location, points })
+ * @param {Date} now - Date courante (injectable)
+ * @returns {Array<{date, label, weekdayIndex, available}>}
+ */
+export const getForecastDays = (forecast, now = new Date()) => {
+  const today = getLocalToday(forecast?.location?.timezoneOffset, now);
+  const datesWithData = new Set((forecast?.points || []).map((p) => p.date));
+
+  return Array.from({ length: FORECAST_WINDOW_DAYS }, (_, i) => {
+    const date = addDays(today, i);
+    return {
+      date,
+      label: formatDayLabel(date),
+      weekdayIndex: getWeekdayIndex(date),
+      available: datesWithData.has(date),
+    };
+  });
+};
+
+// Premier jour du carrousel couvert par les prévisions (normalement aujourd'hui)
+export const getFirstAvailableDate = (forecast, now = new Date()) =>
+  getForecastDays(forecast, now).find((day) => day.available)?.date || null;
+
+/**
+ * Extraire les créneaux d'un jour et les 3 moments de la journée
+ * @param {Object|null} forecast - Prévisions normalisées
+ * @param {string|null} date - Date du jour (YYYY-MM-DD)
+ * @returns {{ points: Array, matin, apres, soir }}
+ */
+export const getDayView = (forecast, date) => {
+  const points = (forecast?.points || []).filter((p) => p.date === date);
+
+  if (points.length === 0) {
+    return { points, matin: null, apres: null, soir: null };
+  }
+
+  // Créneau le plus proche d'une heure donnée
+  const getClosest = (hour) =>
+    points.reduce(
+      (prev, curr) =>
+        Math.abs(curr.hour - hour) < Math.abs(prev.hour - hour) ? curr : prev,
+      points[0]
+    );
+
+  return {
+    points,
+    matin: getClosest(9),
+    apres: getClosest(15),
+    soir: getClosest(21),
+  };
+};
@@ -0,0 +1,119 @@
+// Formatage des valeurs météo selon les préférences de l'utilisateur
+// Le modèle normalisé reste en unités métriques (°C, m/s, mm, hPa, m) :
+// la conversion n'a lieu qu'à l'affichage
+
+import { DEFAULT_PREFERENCES } from "./preferences";
+
+// Locale Intl associée à chaque langue de prévision
+const LOCALES = {
+  fr: "fr-FR",
+  en: "en-US",
+};
+
+const TEMPERATURE_UNITS = {
+  celsius: { symbol: "°C", convert: (c) => c },
+  fahrenheit: { symbol: "°F", convert: (c) => (c * 9) / 5 + 32 },
+};
+
+// Affiché à la place d'une valeur absente (créneau sans donnée)
+export const MISSING_VALUE = "–";
+
+const isMissing = (value) => typeof value !== "number" || Number.isNaN(value);
+
+const WIND_UNITS = {
+  kmh: { symbol: "km/h", convert: (ms) => ms * 3.6, digits: 0 },
+  ms: { symbol: "m/s", convert: (ms) => ms, digits: 1 },
+  mph: { symbol: "mph", convert: (ms) => ms * 2.236936, digits: 0 },
+};
+
+/**
+ * Créer les fonctions de formatage pour des préférences données
+ * @param {Object} preferences - { temperatureUnit, windUnit, timeFormat, language }
+ * @returns {Object} Fonctions de formatage (chaînes avec unités)
+ */
+export const createFormatters = (preferences = DEFAULT_PREFERENCES) => {
+  const locale = LOCALES[preferences.language] || LOCALES.fr;
+  const temperatureUnit =
+    TEMPERATURE_UNITS[preferences.temperatureUnit] || TEMPERATURE_UNITS.celsius;
+  const windUnit = WIND_UNITS[preferences.windUnit] || WIND_UNITS.kmh;
+  const hour12 = preferences.timeFormat === "12h";
+
+  const number = (value, digits = 0) =>
+    new Intl.NumberFormat(locale, {
+      minimumFractionDigits: digits,
+      maximumFractionDigits: digits,
+    }).format(value);
+
+  // Heure "murale" d'un instant décalé du fuseau de la ville
+  const clock = (date, options) =>
+    new Intl.DateTimeFormat(locale, {
+      ...options,
+      hourCycle: hour12 ? "h12" : "h23",
+      timeZone: "UTC",
+    }).format(date);
+
+  return {
+    locale,
+
+    // Valeur convertie seule (pour les comparaisons/calculs d'affichage),
+    // null si absente
+    temperatureValue: (celsius) =>
+      isMissing(celsius) ? null : Math.round(temperatureUnit.convert(celsius)),
+
+    temperature: (celsius) =>
+      isMissing(celsius)
+        ? MISSING_VALUE
+        : `${Math.round(temperatureUnit.convert(celsius))}${temperatureUnit.symbol}`,
+
+    wind: (metersPerSecond) =>
+      `${number(
+        windUnit.convert(metersPerSecond || 0),
+        windUnit.digits
+      )} ${windUnit.symbol}`,
+
+    // Probabilité 0-1 ou humidité 0-100 (passer ratio=false)
+    percent: (value, ratio = true) =>
+      new Intl.NumberFormat(locale, {
+        style: "percent",
+        maximumFractionDigits: 0,
+      }).format(ratio ? value : value / 100),
+
+    precipitation: (mm) => `${number(mm, 1)} mm`,
+
+    pressure: (hPa) => `${number(hPa)} hPa`,
+
+    visibility: (meters) => `${number(meters / 1000, 1)} km`,
+
+    // Heure d'un créneau (heure locale de la ville, 0-23)
+    hour: (hour) =>
+      clock(new Date(Date.UTC(1970, 0, 1, hour)), {
+        hour: hour12 ? "numeric" : "2-digit",
+        ...(hour12 ? {} : { minute: "2-digit" }),
+      }),
+
+    // Heure locale de la ville à partir d'un instant ISO
+    time: (iso, timezoneOffset = 0) =>
+      clock(new Date(new Date(iso).getTime() + timezoneOffset * 1000), {
+        hour: hour12 ? "numeric" : "2-digit",
+        minute: "2-digit",
+      }),
+
+    // Durée en heures et minutes, ex: "10 h 42 min"
+    duration: (seconds) => {
+      const minutes = Math.round(seconds / 60);
+      return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(
+        2,
+        "0"
+      )} min`;
+    },
+
+    // Libellé court d'une date YYYY-MM-DD, ex: "lun. 20 oct."
+    day: (date) =>
+      new Date(`${date}T12:00:00Z`).toLocaleDateString(locale, {
+        weekday: "short",
+        day: "numeric",
+        month: "short",
+        timeZone: "UTC",
+      }),
+  };
+};
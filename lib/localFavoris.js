@@ -0,0 +1,190 @@
+// Favoris des visiteurs non connectés, conservés dans localStorage
+// Même forme que les lignes renvoyées par /api/favoris et mêmes règles
+// (limite de l'offre gratuite, doublons), fusionnés dans le compte à la connexion
+
+import { authFetch } from "./apiClient";
+import { isSameFavoriCommune } from "./communes";
+import { canAddFavori, resolveEntitlements, toApiLimits } from "./entitlements";
+import { favoriUpdateSchema } from "./validations";
+
+const STORAGE_KEY = "meteo:favoris";
+
+// localStorage n'existe pas côté serveur (SSR)
+const isBrowser = () => typeof window !== "undefined" && window.localStorage;
+
+// Un visiteur a les droits de l'offre gratuite
+const entitlements = resolveEntitlements(null);
+
+const read = () => {
+  if (!isBrowser()) return [];
+  try {
+    const favoris = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(favoris) ? favoris : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const write = (favoris) => {
+  if (!isBrowser()) return;
+  if (favoris.length === 0) {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } else {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(favoris));
+  }
+};
+
+// Identifiant local, distinct des identifiants de la base
+const localId = () =>
+  `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Fusion en cours (SIGNED_IN peut être émis plusieurs fois de suite)
+let pendingMerge = null;
+
+export const localFavoris = {
+  limits: toApiLimits(entitlements),
+
+  // Favoris du visiteur dans leur ordre d'affichage
+  list() {
+    return read().sort((a, b) => a.position - b.position);
+  },
+
+  /**
+   * Ajouter une ville (mêmes contrôles que POST /api/favoris)
+   * @param {{ ville, insee, lat, lon }} favori
+   * @returns {{ data: Object|null, error: string|null }}
+   */
+  add({ ville, insee = null, lat = null, lon = null }) {
+    const favoris = this.list();
+
+    if (favoris.some((f) => isSameFavoriCommune(f, { ville, insee }))) {
+      return { data: null, error: "Cette ville est déjà en favoris" };
+    }
+
+    if (!canAddFavori(entitlements, favoris.length)) {
+      return {
+        data: null,
+        error: `Limite de ${entitlements.limits.maxFavoris} favoris atteinte`,
+      };
+    }
+
+    const favori = {
+      id: localId(),
+      ville,
+      insee,
+      lat: Number.isFinite(lat) ? lat : null,
+      lon: Number.isFinite(lon) ? lon : null,
+      position: favoris.reduce((max, f) => Math.max(max, f.position), -1) + 1,
+      label: null,
+      note: null,
+      group_id: null,
+      created_at: new Date().toISOString(),
+    };
+    write([...favoris, favori]);
+    return { data: favori, error: null };
+  },
+
+  /**
+   * Modifier le libellé et/ou la note (mêmes règles que PATCH /api/favoris)
+   * @returns {{ data: Object|null, error: string|null }}
+   */
+  update(updates) {
+    const validation = favoriUpdateSchema.safeParse(updates);
+    if (!validation.success) {
+      const details = Object.values(
+        validation.error.flatten().fieldErrors
+      ).flat();
+      return { data: null, error: details[0] || "Données invalides" };
+    }
+
+    // Pas de groupes pour un visiteur (offre gratuite)
+    const { id, label, note } = validation.data;
+    const favoris = this.list();
+    const favori = favoris.find((f) => f.id === id);
+    if (!favori) {
+      return { data: null, error: "Favori non trouvé" };
+    }
+
+    if (label !== undefined) favori.label = label;
+    if (note !== undefined) favori.note = note;
+    write(favoris);
+    return { data: favori, error: null };
+  },
+
+  // Enregistrer un nouvel ordre (liste complète des ids)
+  reorder(ids) {
+    const favoris = this.list();
+    favoris.forEach((f) => {
+      f.position = ids.indexOf(f.id);
+    });
+    write(favoris);
+    return { data: this.list(), error: null };
+  },
+
+  remove(id) {
+    const favoris = this.list();
+    const favori = favoris.find((f) => f.id === id);
+    if (!favori) {
+      return { data: null, error: "Favori non trouvé" };
+    }
+    write(favoris.filter((f) => f.id !== id));
+    return { data: favori, error: null };
+  },
+
+  /**
+   * Fusionner les favoris locaux dans le compte qui vient de se connecter
+   * Les favoris importés ou déjà présents sont retirés de l'appareil ; ceux
+   * refusés (limite de l'offre) y restent pour une prochaine connexion
+   * @returns {Promise<{ data: Object|null, error: string|null }>} Rapport
+   *   { added, duplicates, overflow, limits } ou null si rien à fusionner
+   */
+  mergeIntoAccount() {
+    if (pendingMerge) return pendingMerge;
+
+    const favoris = this.list();
+    if (favoris.length === 0) {
+      return Promise.resolve({ data: null, error: null });
+    }
+
+    pendingMerge = (async () => {
+      try {
+        const response = await authFetch("/api/favoris/merge", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            favoris: favoris.map(({ ville, insee, lat, lon, label, note }) => ({
+              ville,
+              insee,
+              lat,
+              lon,
+              label,
+              note,
+            })),
+          }),
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+          console.error("❌ Erreur fusion favoris locaux:", result.error);
+          return { data: null, error: result.error };
+        }
+
+        // Seuls les favoris refusés pour la limite restent sur l'appareil
+        const { overflow } = result.data;
+        write(
+          favoris.filter((f) => overflow.some((o) => isSameFavoriCommune(o, f)))
+        );
+
+        console.log("✅ Favoris locaux fusionnés:", result.data);
+        return { data: { ...result.data, limits: result.limits }, error: null };
+      } catch (err) {
+        console.error("💥 Erreur mergeIntoAccount:", err);
+        return { data: null, error: err.message };
+      } finally {
+        pendingMerge = null;
+      }
+    })();
+
+    return pendingMerge;
+  },
+};
@@ -0,0 +1,127 @@
+// Sessions de paiement Stripe Checkout (table payments)
+// La session est enregistrée à sa création avec l'utilisateur authentifié
+// qui l'a ouverte ; le webhook la solde ensuite (paid, failed, rejected).
+//
+// L'utilisateur d'une session se déduit de trois sources qui doivent
+// concorder : la ligne payments, client_reference_id et metadata.userId.
+// L'email saisi sur Stripe n'est jamais utilisé (il peut différer du compte).
+//
+// Le client est injecté (supabaseAdmin en production).
+
+const TABLE = "payments";
+
+export const PAYMENT_STATUSES = {
+  PENDING: "pending",
+  PAID: "paid",
+  FAILED: "failed",
+  REJECTED: "rejected",
+};
+
+// Session réglée : payée, ou sans paiement dû (essai gratuit, code promo
+// couvrant la totalité du montant)
+export const isCheckoutSettled = (session) =>
+  session.payment_status === "paid" ||
+  session.payment_status === "no_payment_required";
+
+/**
+ * Utilisateur auquel créditer une session
+ * @param {Object} session - Session Stripe Checkout
+ * @param {Object|null} payment - Ligne payments de la session
+ * @returns {{ userId: string|null, mismatch: boolean }} userId null si
+ *   aucune source ou si les sources désignent des utilisateurs différents
+ */
+export const resolveCheckoutUser = (session, payment) => {
+  const sources = [
+    payment?.user_id,
+    session.client_reference_id,
+    session.metadata?.userId,
+  ].filter(Boolean);
+
+  const [userId = null] = sources;
+  const mismatch = sources.some((id) => id !== userId);
+  return { userId: mismatch ? null : userId, mismatch };
+};
+
+/**
+ * Créer l'accès à la table payments
+ * @param {Object} client - Client Supabase (clé service)
+ * @returns {Object} Méthodes renvoyant { data, error } (error : message)
+ */
+export const createPaymentsRepository = (client) => ({
+  /**
+   * Enregistrer une session créée par /api/checkout_sessions
+   * @param {Object} session - Session Stripe Checkout créée
+   * @param {string} userId - Utilisateur authentifié à l'origine
+   * @param {string|null} plan - Formule (monthly, yearly)
+   */
+  async recordCheckout(session, userId, plan = null) {
+    const { error } = await client.from(TABLE).insert([
+      {
+        session_id: session.id,
+        user_id: userId,
+        mode: session.mode,
+        plan,
+        amount: session.amount_total ?? null,
+        currency: session.currency ?? null,
+        status: PAYMENT_STATUSES.PENDING,
+      },
+    ]);
+    if (error) {
+      console.error("❌ Erreur enregistrement paiement:", error);
+      return { data: null, error: error.message };
+    }
+    return { data: true, error: null };
+  },
+
+  // Ligne de la session (null pour une session antérieure à la table)
+  async getBySession(sessionId) {
+    const { data, error } = await client
+      .from(TABLE)
+      .select("session_id, user_id, mode, plan, amount, currency, status")
+      .eq("session_id", sessionId)
+      .maybeSingle();
+    if (error) return { data: null, error: error.message };
+    return { data, error: null };
+  },
+
+  // Session d'un paiement (remboursement : charge.refunded)
+  async getByPaymentIntent(paymentIntent) {
+    const { data, error } = await client
+      .from(TABLE)
+      .select("session_id, user_id, mode, plan, status")
+      .eq("payment_intent", paymentIntent)
+      .maybeSingle();
+    if (error) return { data: null, error: error.message };
+    return { data, error: null };
+  },
+
+  /**
+   * Solder une session après un événement du webhook
+   * @param {Object} session - Session Stripe Checkout
+   * @param {string} status - PAYMENT_STATUSES
+   * @param {string|null} userId - Utilisateur crédité (inchangé si null)
+   */
+  async settle(session, status, userId = null) {
+    const { error } = await client.from(TABLE).upsert(
+      [
+        {
+          session_id: session.id,
+          ...(userId && { user_id: userId }),
+          mode: session.mode,
+          amount: session.amount_total ?? null,
+          currency: session.currency ?? null,
+          status,
+          stripe_customer_id: session.customer || null,
+          payment_intent: session.payment_intent || null,
+          updated_at: new Date().toISOString(),
+        },
+      ],
+      { onConflict: "session_id" }
+    );
+    if (error) {
+      console.error("❌ Erreur mise à jour paiement:", error);
+      return { data: null, error: error.message };
+    }
+    return { data: true, error: null };
+  },
+});
@@ -0,0 +1,71 @@
+// Préférences d'affichage (unités, format horaire, langue des prévisions)
+// Stockées sur la ligne `user` pour les comptes, dans localStorage sinon
+
+const STORAGE_KEY = "meteo:preferences";
+
+// Valeurs possibles de chaque préférence, avec leur libellé
+export const PREFERENCE_OPTIONS = {
+  temperatureUnit: {
+    celsius: "Celsius (°C)",
+    fahrenheit: "Fahrenheit (°F)",
+  },
+  windUnit: {
+    kmh: "Kilomètres/heure (km/h)",
+    ms: "Mètres/seconde (m/s)",
+    mph: "Miles/heure (mph)",
+  },
+  timeFormat: {
+    "24h": "24 heures (15:00)",
+    "12h": "12 heures (3:00 PM)",
+  },
+  language: {
+    fr: "Français",
+    en: "English",
+  },
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(PREFERENCE_OPTIONS.language);
+
+export const DEFAULT_PREFERENCES = {
+  temperatureUnit: "celsius",
+  windUnit: "kmh",
+  timeFormat: "24h",
+  language: "fr",
+};
+
+/**
+ * Compléter/assainir des préférences (valeurs inconnues → défaut)
+ * @param {Object|null} raw - Préférences lues (base ou localStorage)
+ * @returns {Object} Préférences complètes et valides
+ */
+export const normalizePreferences = (raw) =>
+  Object.fromEntries(
+    Object.entries(DEFAULT_PREFERENCES).map(([key, fallback]) => [
+      key,
+      raw && Object.hasOwn(PREFERENCE_OPTIONS[key], raw[key] ?? "")
+        ? raw[key]
+        : fallback,
+    ])
+  );
+
+// localStorage n'existe pas côté serveur (SSR)
+const isBrowser = () => typeof window !== "undefined" && window.localStorage;
+
+export const localPreferences = {
+  // Lire les préférences du visiteur (défaut si absentes)
+  get() {
+    if (!isBrowser()) return DEFAULT_PREFERENCES;
+    try {
+      return normalizePreferences(
+        JSON.parse(window.localStorage.getItem(STORAGE_KEY))
+      );
+    } catch (err) {
+      return DEFAULT_PREFERENCES;
+    }
+  },
+
+  set(preferences) {
+    if (!isBrowser()) return;
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  },
+};
@@ -0,0 +1,666 @@
+// Activation et retrait du premium à partir des événements Stripe
+// Seul le webhook (/api/stripe/webhook) modifie le statut premium ; la page
+// de succès ne fait que le lire. Chaque événement traité est enregistré
+// dans stripe_event : un événement renvoyé par Stripe est ignoré.
+//
+// Abonnements : premium_expires_at suit la période payée de l'abonnement
+// (customer.subscription.*, invoice.*), prolongée d'un délai de grâce
+// quand un paiement échoue. Statut enregistré : active, past_due, canceled.
+//
+// Une session de paiement n'est créditée qu'à l'utilisateur qui l'a ouverte
+// (lib/payments) : en cas de désaccord entre ses identifiants, elle est
+// refusée et marquée rejected.
+//
+// Premium offert : une session "gift" payée crée un code cadeau
+// (lib/premiumGift) au lieu d'activer le premium de l'acheteur ; le code
+// ajoute ses mois au compte qui l'utilise.
+//
+// Le client est injecté (supabaseAdmin en production).
+
+import { hasOngoingSubscription, resolveEntitlements } from "./entitlements";
+import {
+  PAYMENT_STATUSES,
+  createPaymentsRepository,
+  isCheckoutSettled,
+  resolveCheckoutUser,
+} from "./payments";
+import { createGiftRepository } from "./premiumGift";
+
+const EVENT_TABLE = "stripe_event";
+
+// Durée achetée par paiement unique (jours)
+export const PREMIUM_DURATION_DAYS = 30;
+
+// Formules d'abonnement : Price ID Stripe (variable d'environnement) et
+// durée utilisée à l'activation, avant les événements de l'abonnement
+export const SUBSCRIPTION_PLANS = {
+  monthly: { priceEnv: "STRIPE_PRICE_MONTHLY", days: 31 },
+  yearly: { priceEnv: "STRIPE_PRICE_YEARLY", days: 366 },
+};
+
+// Premium conservé après un échec de paiement, le temps de le régulariser
+export const PAYMENT_GRACE_DAYS = 7;
+
+// Essai gratuit d'un premier abonnement (jours, 0 : sans essai)
+export const getTrialDays = () =>
+  Math.max(0, parseInt(process.env.STRIPE_TRIAL_DAYS, 10) || 0);
+
+// Statut Stripe de l'abonnement → statut enregistré sur l'utilisateur
+// ("incomplete" : premier paiement en cours, rien n'est modifié)
+const SUBSCRIPTION_STATUSES = {
+  active: "active",
+  trialing: "active",
+  past_due: "past_due",
+  unpaid: "past_due",
+  canceled: "canceled",
+  incomplete_expired: "canceled",
+  paused: "canceled",
+};
+
+// Événements qui activent le premium (paiement immédiat ou différé)
+export const ACTIVATION_EVENTS = [
+  "checkout.session.completed",
+  "checkout.session.async_payment_succeeded",
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiration après un paiement : la période s'ajoute à un premium encore
+ * actif au lieu de repartir de la date du paiement
+ * @param {string|null} currentExpiresAt - Expiration actuelle
+ * @param {Date} paidAt - Date du paiement
+ * @param {number} days - Durée ajoutée (jours)
+ * @returns {Date}
+ */
+export const extendPremiumExpiry = (
+  currentExpiresAt,
+  paidAt,
+  days = PREMIUM_DURATION_DAYS
+) => {
+  const current = currentExpiresAt ? new Date(currentExpiresAt) : null;
+  const start = current && current > paidAt ? current : paidAt;
+  return new Date(start.getTime() + days * DAY_MS);
+};
+
+// Expiration après remboursement : la période achetée est retirée
+export const shortenPremiumExpiry = (currentExpiresAt) =>
+  new Date(
+    new Date(currentExpiresAt).getTime() - PREMIUM_DURATION_DAYS * DAY_MS
+  );
+
+// Price ID configuré d'une formule (null si la variable est absente)
+export const getPlanPriceId = (plan) =>
+  process.env[SUBSCRIPTION_PLANS[plan]?.priceEnv] || null;
+
+// Formule correspondant à un Price ID
+const planForPrice = (priceId) =>
+  Object.keys(SUBSCRIPTION_PLANS).find(
+    (plan) => priceId && getPlanPriceId(plan) === priceId
+  ) || null;
+
+const fromUnix = (seconds) => new Date(seconds * 1000);
+
+// Période en cours (champs déplacés sur les items dans les API récentes)
+const subscriptionPeriod = (subscription) => {
+  const item = subscription.items?.data?.[0];
+  return {
+    start: subscription.current_period_start ?? item?.current_period_start,
+    end: subscription.current_period_end ?? item?.current_period_end,
+  };
+};
+
+/**
+ * Expiration du premium d'après l'état d'un abonnement
+ * - active : fin de la période payée
+ * - past_due : début de la période impayée + délai de grâce
+ * - canceled : fin effective de l'abonnement
+ * @param {Object} subscription - Abonnement Stripe
+ * @param {string} status - Statut enregistré (SUBSCRIPTION_STATUSES)
+ * @returns {Date}
+ */
+export const subscriptionExpiry = (subscription, status) => {
+  const { start, end } = subscriptionPeriod(subscription);
+  if (status === "past_due") {
+    return new Date(fromUnix(start).getTime() + PAYMENT_GRACE_DAYS * DAY_MS);
+  }
+  if (status === "canceled") {
+    return fromUnix(subscription.ended_at ?? end);
+  }
+  return fromUnix(end);
+};
+
+// Ligne d'abonnement d'une facture, hors prorata (type déplacé sous
+// parent dans les API récentes)
+const isSubscriptionLine = (line) =>
+  (line.type === "subscription" ||
+    line.parent?.type === "subscription_item_details") &&
+  !(line.proration ?? line.parent?.subscription_item_details?.proration);
+
+/**
+ * Période facturée d'une facture d'abonnement, d'après ses lignes
+ * d'abonnement : au renouvellement, period_start/period_end de la facture
+ * désignent la période précédente. À défaut de ligne, la période facturée
+ * commence à period_end (date du renouvellement).
+ * @param {Object} invoice - Facture Stripe
+ * @returns {{ start: number, end: number }} Timestamps Unix (secondes)
+ */
+const invoicePeriod = (invoice) => {
+  const lines = (invoice.lines?.data || []).filter(isSubscriptionLine);
+  if (lines.length === 0) {
+    return { start: invoice.period_end, end: invoice.period_end };
+  }
+  return {
+    start: Math.max(...lines.map((line) => line.period.start)),
+    end: Math.max(...lines.map((line) => line.period.end)),
+  };
+};
+
+// Abonné : métadonnées de l'abonnement, sinon client Stripe enregistré
+const findSubscriberId = async (client, { metadata, customer }) => {
+  if (metadata?.userId) return metadata.userId;
+  if (!customer) return null;
+
+  const { data } = await client
+    .from("user")
+    .select("id")
+    .eq("stripe_customer_id", customer)
+    .maybeSingle();
+  return data?.id || null;
+};
+
+/**
+ * Créer le service premium
+ * @param {Object} client - Client Supabase (supabaseAdmin)
+ * @returns {Object} Méthodes renvoyant { data, error } (error : message)
+ */
+export const createPremiumService = (client) => ({
+  /**
+   * Modifier l'abonnement d'un utilisateur, sauf si un événement plus
+   * récent a déjà été appliqué (Stripe ne garantit pas l'ordre d'envoi)
+   * @param {Object} event - Événement à l'origine de la modification
+   * @param {string} userId
+   * @param {Object} changes - Colonnes de la table user
+   */
+  async applySubscriptionChange(event, userId, changes) {
+    const eventAt = fromUnix(event.created);
+
+    const { data: user, error: readError } = await client
+      .from("user")
+      .select("subscription_updated_at")
+      .eq("id", userId)
+      .maybeSingle();
+    if (readError) return { data: null, error: readError.message };
+
+    if (
+      user?.subscription_updated_at &&
+      new Date(user.subscription_updated_at) > eventAt
+    ) {
+      return { data: { status: "outdated", userId }, error: null };
+    }
+
+    const { error } = await client
+      .from("user")
+      .update({ ...changes, subscription_updated_at: eventAt.toISOString() })
+      .eq("id", userId);
+    if (error) return { data: null, error: error.message };
+
+    await client
+      .from(EVENT_TABLE)
+      .update({ user_id: userId })
+      .eq("id", event.id);
+
+    console.log(`🔄 Abonnement de ${userId}:`, changes);
+    return {
+      data: { status: changes.subscription_status, userId },
+      error: null,
+    };
+  },
+
+  /**
+   * Réserver le traitement d'un événement
+   * @returns {Promise<{ data: boolean }>} false si déjà traité
+   */
+  async claimEvent(event) {
+    const object = event.data?.object || {};
+    const { error } = await client.from(EVENT_TABLE).insert([
+      {
+        id: event.id,
+        type: event.type,
+        object_id: object.id || null,
+        payment_intent: object.payment_intent || null,
+      },
+    ]);
+
+    if (error?.code === "23505") return { data: false, error: null };
+    if (error) {
+      console.error("❌ Erreur enregistrement événement Stripe:", error);
+      return { data: null, error: error.message };
+    }
+    return { data: true, error: null };
+  },
+
+  // Traitement échoué : l'événement pourra être rejoué par Stripe
+  async releaseEvent(eventId) {
+    const { error } = await client.from(EVENT_TABLE).delete().eq("id", eventId);
+    if (error) console.error("❌ Erreur libération événement Stripe:", error);
+  },
+
+  /**
+   * Activer le premium après une session de paiement réglée
+   * @param {Object} event - checkout.session.completed ou
+   *   checkout.session.async_payment_succeeded
+   */
+  async activateFromCheckout(event) {
+    const session = event.data.object;
+
+    // Paiement différé (virement...) : activation à async_payment_succeeded
+    if (!isCheckoutSettled(session)) {
+      return { data: { status: "pending" }, error: null };
+    }
+
+    const payments = createPaymentsRepository(client);
+    const { data: payment, error: paymentError } = await payments.getBySession(
+      session.id
+    );
+    if (paymentError) return { data: null, error: paymentError };
+
+    const { userId, mismatch } = resolveCheckoutUser(session, payment);
+    if (mismatch) {
+      // Paiement encaissé mais non crédité : à rembourser manuellement
+      console.error("🚫 Session refusée, utilisateurs incohérents:", {
+        session: session.id,
+        payment: payment?.user_id,
+        client_reference_id: session.client_reference_id,
+        metadata: session.metadata?.userId,
+      });
+      const { error } = await payments.settle(
+        session,
+        PAYMENT_STATUSES.REJECTED
+      );
+      if (error) return { data: null, error };
+      return { data: { status: "user_mismatch" }, error: null };
+    }
+    if (!userId) {
+      console.error("⚠️ Paiement sans utilisateur identifié:", session.id);
+      return { data: { status: "user_not_found" }, error: null };
+    }
+
+    // Premium offert : code cadeau, premium de l'acheteur inchangé
+    if (session.metadata?.type === "gift") {
+      // Un code cadeau n'est créé que contre un paiement encaissé (jamais
+      // pour une session sans paiement dû)
+      if (session.payment_status !== "paid") {
+        console.error("🚫 Premium offert non payé:", session.id);
+        const { error } = await payments.settle(
+          session,
+          PAYMENT_STATUSES.REJECTED,
+          userId
+        );
+        if (error) return { data: null, error };
+        return { data: { status: "gift_unpaid" }, error: null };
+      }
+
+      const { error: settleError } = await payments.settle(
+        session,
+        PAYMENT_STATUSES.PAID,
+        userId
+      );
+      if (settleError) return { data: null, error: settleError };
+
+      const { data: gift, error } = await createGiftRepository(
+        client
+      ).createForSession(session, userId, Number(session.metadata.months));
+      if (error) return { data: null, error };
+
+      console.log(`🎁 Code cadeau de ${gift.months} mois créé pour`, userId);
+      return { data: { status: "gift_created", userId }, error: null };
+    }
+
+    const { data: user, error: readError } = await client
+      .from("user")
+      .select("is_premium, premium_expires_at")
+      .eq("id", userId)
+      .maybeSingle();
+    if (readError) return { data: null, error: readError.message };
+
+    // Base de prolongation : expiration seulement si le premium est actif
+    const { isPremium, premiumExpiresAt } = resolveEntitlements(user);
+    const paidAt = fromUnix(event.created);
+    const plan = session.metadata?.plan;
+
+    let expiresAt;
+    let subscription = {};
+    if (session.mode === "subscription") {
+      // Première période de l'abonnement (ou essai gratuit), précisée
+      // ensuite par customer.subscription.* et invoice.paid (jamais
+      // raccourcie ici)
+      const days =
+        Number(session.metadata?.trialDays) ||
+        (SUBSCRIPTION_PLANS[plan]?.days ?? PREMIUM_DURATION_DAYS);
+      const periodEnd = new Date(paidAt.getTime() + days * DAY_MS);
+      expiresAt =
+        isPremium && new Date(premiumExpiresAt) > periodEnd
+          ? new Date(premiumExpiresAt)
+          : periodEnd;
+      subscription = {
+        stripe_subscription_id: session.subscription,
+        subscription_status: "active",
+        ...(SUBSCRIPTION_PLANS[plan] && { subscription_plan: plan }),
+      };
+    } else {
+      expiresAt = extendPremiumExpiry(
+        isPremium ? premiumExpiresAt : null,
+        paidAt
+      );
+    }
+
+    // Session soldée avant le crédit : un échec ici laisse l'événement
+    // rejouable sans qu'une période ait déjà été ajoutée
+    const { error: settleError } = await payments.settle(
+      session,
+      PAYMENT_STATUSES.PAID,
+      userId
+    );
+    if (settleError) return { data: null, error: settleError };
+
+    const { error } = await client
+      .from("user")
+      .update({
+        is_premium: true,
+        premium_expires_at: expiresAt.toISOString(),
+        ...(session.customer && { stripe_customer_id: session.customer }),
+        ...subscription,
+      })
+      .eq("id", userId);
+    if (error) return { data: null, error: error.message };
+
+    await client
+      .from(EVENT_TABLE)
+      .update({ user_id: userId })
+      .eq("id", event.id);
+
+    console.log(`✅ Premium activé pour ${userId} jusqu'au`, expiresAt);
+    return {
+      data: { status: "activated", userId, premiumExpiresAt: expiresAt },
+      error: null,
+    };
+  },
+
+  /**
+   * Paiement différé refusé : session soldée sans activation
+   * @param {Object} event - checkout.session.async_payment_failed
+   */
+  async failCheckout(event) {
+    const session = event.data.object;
+    console.log("⚠️ Paiement différé échoué:", session.id);
+
+    const { error } = await createPaymentsRepository(client).settle(
+      session,
+      PAYMENT_STATUSES.FAILED
+    );
+    if (error) return { data: null, error };
+    return { data: { status: "payment_failed" }, error: null };
+  },
+
+  /**
+   * Synchroniser le premium sur l'état d'un abonnement
+   * @param {Object} event - customer.subscription.created, .updated
+   *   ou .deleted
+   */
+  async syncSubscription(event) {
+    const subscription = event.data.object;
+    const status = SUBSCRIPTION_STATUSES[subscription.status];
+    if (!status) {
+      return { data: { status: subscription.status }, error: null };
+    }
+
+    const userId = await findSubscriberId(client, subscription);
+    if (!userId) {
+      console.error(
+        "⚠️ Abonnement sans utilisateur identifié:",
+        subscription.id
+      );
+      return { data: { status: "user_not_found" }, error: null };
+    }
+
+    const expiresAt = subscriptionExpiry(subscription, status);
+    const plan = planForPrice(subscription.items?.data?.[0]?.price?.id);
+
+    return this.applySubscriptionChange(event, userId, {
+      is_premium: expiresAt > new Date(),
+      premium_expires_at: expiresAt.toISOString(),
+      stripe_customer_id: subscription.customer,
+      stripe_subscription_id: subscription.id,
+      subscription_status: status,
+      ...(plan && { subscription_plan: plan }),
+    });
+  },
+
+  /**
+   * Facture d'abonnement : réglée (période prolongée) ou en échec
+   * (premium conservé pendant le délai de grâce)
+   * @param {Object} event - invoice.paid ou invoice.payment_failed
+   */
+  async syncInvoice(event) {
+    const invoice = event.data.object;
+    // Abonnement de la facture (sous parent dans les API récentes)
+    const details =
+      invoice.subscription_details || invoice.parent?.subscription_details;
+    const subscriptionId = invoice.subscription || details?.subscription;
+    if (!subscriptionId) {
+      return { data: { status: "not_subscription" }, error: null };
+    }
+
+    const userId = await findSubscriberId(client, {
+      metadata: details?.metadata,
+      customer: invoice.customer,
+    });
+    if (!userId) {
+      console.error("⚠️ Facture sans utilisateur identifié:", invoice.id);
+      return { data: { status: "user_not_found" }, error: null };
+    }
+
+    const { start, end } = invoicePeriod(invoice);
+    const paid = event.type === "invoice.paid";
+    const expiresAt = paid
+      ? fromUnix(end)
+      : new Date(fromUnix(start).getTime() + PAYMENT_GRACE_DAYS * DAY_MS);
+
+    return this.applySubscriptionChange(event, userId, {
+      is_premium: expiresAt > new Date(),
+      premium_expires_at: expiresAt.toISOString(),
+      stripe_customer_id: invoice.customer,
+      stripe_subscription_id: subscriptionId,
+      subscription_status: paid ? "active" : "past_due",
+    });
+  },
+
+  /**
+   * Retirer la période achetée après un remboursement complet d'un
+   * paiement unique (abonnement remboursé : résiliation, traitée par
+   * customer.subscription.deleted ; premium offert : code annulé s'il
+   * n'a pas été utilisé)
+   * @param {Object} event - charge.refunded
+   */
+  async revokeFromRefund(event) {
+    const charge = event.data.object;
+
+    // Remboursement partiel : premium conservé
+    if (!charge.refunded) {
+      return { data: { status: "partial_refund" }, error: null };
+    }
+    if (!charge.payment_intent) {
+      return { data: { status: "not_activated" }, error: null };
+    }
+
+    // Premium offert : le code est annulé, aucun premium n'a été activé
+    const { data: payment, error: paymentError } =
+      await createPaymentsRepository(client).getByPaymentIntent(
+        charge.payment_intent
+      );
+    if (paymentError) return { data: null, error: paymentError };
+    if (payment) {
+      const { data: giftStatus, error: giftError } = await createGiftRepository(
+        client
+      ).revokeBySession(payment.session_id);
+      if (giftError) return { data: null, error: giftError };
+      if (giftStatus) {
+        console.log(`↩️ Remboursement d'un code cadeau (${giftStatus})`);
+        return { data: { status: `gift_${giftStatus}` }, error: null };
+      }
+    }
+
+    // Utilisateur de l'activation liée au même paiement
+    const { data: activation, error: lookupError } = await client
+      .from(EVENT_TABLE)
+      .select("user_id")
+      .eq("payment_intent", charge.payment_intent)
+      .in("type", ACTIVATION_EVENTS)
+      .not("user_id", "is", null)
+      .limit(1)
+      .maybeSingle();
+    if (lookupError) return { data: null, error: lookupError.message };
+    if (!activation) return { data: { status: "not_activated" }, error: null };
+
+    const userId = activation.user_id;
+    const { data: user, error: readError } = await client
+      .from("user")
+      .select("premium_expires_at")
+      .eq("id", userId)
+      .maybeSingle();
+    if (readError) return { data: null, error: readError.message };
+
+    const expiresAt = user?.premium_expires_at
+      ? shortenPremiumExpiry(user.premium_expires_at)
+      : new Date();
+    const isPremium = expiresAt > new Date();
+
+    const { error } = await client
+      .from("user")
+      .update({
+        is_premium: isPremium,
+        premium_expires_at: expiresAt.toISOString(),
+      })
+      .eq("id", userId);
+    if (error) return { data: null, error: error.message };
+
+    await client
+      .from(EVENT_TABLE)
+      .update({ user_id: userId })
+      .eq("id", event.id);
+
+    console.log(`↩️ Remboursement : premium de ${userId} jusqu'au`, expiresAt);
+    return {
+      data: { status: isPremium ? "shortened" : "revoked", userId },
+      error: null,
+    };
+  },
+
+  /**
+   * Activation d'une session enregistrée ? (lecture seule, page de succès)
+   * @param {string} sessionId - Identifiant cs_...
+   * @returns {Promise<{ data: string|null }>} Utilisateur activé ou null
+   */
+  async getActivatedUserId(sessionId) {
+    const { data, error } = await client
+      .from(EVENT_TABLE)
+      .select("user_id")
+      .eq("object_id", sessionId)
+      .in("type", ACTIVATION_EVENTS)
+      .not("user_id", "is", null)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) return { data: null, error: error.message };
+    return { data: data?.user_id || null, error: null };
+  },
+
+  /**
+   * Compte Stripe et abonnement d'un utilisateur, avant d'ouvrir une
+   * session de paiement
+   * @param {string} userId
+   * @returns {Promise<{ data: Object|null, error: string|null }>} data :
+   *   { customerId (client Stripe connu ou null), hasOngoingSubscription,
+   *   isFirstSubscription (l'essai gratuit n'est proposé qu'une fois) }
+   */
+  async getCheckoutAccount(userId) {
+    const { data: user, error } = await client
+      .from("user")
+      .select("stripe_customer_id, stripe_subscription_id, subscription_status")
+      .eq("id", userId)
+      .maybeSingle();
+    if (error) return { data: null, error: error.message };
+    return {
+      data: {
+        customerId: user?.stripe_customer_id || null,
+        hasOngoingSubscription: hasOngoingSubscription(user),
+        isFirstSubscription:
+          !user?.stripe_subscription_id && !user?.subscription_status,
+      },
+      error: null,
+    };
+  },
+
+  /**
+   * Utiliser un code cadeau : ses mois s'ajoutent au premium du compte
+   * @param {string} code - Code normalisé (normalizeGiftCode)
+   * @param {string} userId - Compte crédité
+   * @returns {Promise<{ data: Object|null, error: string|null }>} data.status :
+   *   "redeemed", "not_found", "redeemed_already", "revoked",
+   *   "subscription_active" (abonnement en cours : sa période le
+   *   remplacerait) ou "premium_permanent" ; le code reste utilisable
+   *   dans ces deux derniers cas
+   */
+  async redeemGift(code, userId) {
+    const { data: user, error: readError } = await client
+      .from("user")
+      .select("is_premium, premium_expires_at, subscription_status")
+      .eq("id", userId)
+      .maybeSingle();
+    if (readError) return { data: null, error: readError.message };
+    if (!user) return { data: null, error: "Utilisateur non trouvé" };
+
+    if (hasOngoingSubscription(user)) {
+      return { data: { status: "subscription_active" }, error: null };
+    }
+    const { isPremium, premiumExpiresAt } = resolveEntitlements(user);
+    if (isPremium && !premiumExpiresAt) {
+      return { data: { status: "premium_permanent" }, error: null };
+    }
+
+    const gifts = createGiftRepository(client);
+    const { data: claim, error: claimError } = await gifts.claim(code, userId);
+    if (claimError) return { data: null, error: claimError };
+    if (!claim.gift) {
+      const status =
+        claim.reason === "redeemed" ? "redeemed_already" : claim.reason;
+      return { data: { status }, error: null };
+    }
+
+    // Prolongation atomique (fonction SQL extend_premium) : l'expiration
+    // lue plus haut peut avoir changé depuis (autre code utilisé en même
+    // temps sur le compte)
+    const { data: extendedUntil, error } = await client.rpc("extend_premium", {
+      p_user_id: userId,
+      p_days: claim.gift.months * PREMIUM_DURATION_DAYS,
+    });
+    if (error || !extendedUntil) {
+      // Crédit impossible : le code redevient utilisable
+      await gifts.release(code, userId);
+      if (error) return { data: null, error: error.message };
+      return { data: { status: "premium_permanent" }, error: null };
+    }
+    const expiresAt = new Date(extendedUntil);
+
+    console.log(`🎁 Code cadeau utilisé par ${userId} jusqu'au`, expiresAt);
+    return {
+      data: {
+        status: "redeemed",
+        months: claim.gift.months,
+        premiumExpiresAt: expiresAt,
+      },
+      error: null,
+    };
+  },
+});
@@ -0,0 +1,174 @@
+// Premium offert (table premium_gift)
+// L'acheteur paie N mois en une fois (session "gift" de /api/checkout_sessions) ;
+// le webhook crée alors un code cadeau, utilisable une seule fois sur
+// n'importe quel compte via /api/premium/redeem (crédit : lib/premium).
+//
+// Utilisation unique : le code est réservé par un UPDATE conditionnel
+// (redeemed_at encore vide), atomique côté Postgres. redeemed_by ne sert
+// pas de garde : il repasse à NULL quand le compte bénéficiaire est
+// supprimé (ON DELETE SET NULL), le code resterait sinon réutilisable.
+//
+// Le client est injecté (supabaseAdmin en production).
+
+import { randomInt } from "crypto";
+
+const TABLE = "premium_gift";
+
+// Nombre de mois offerts par code
+export const GIFT_MONTHS = { min: 1, max: 12 };
+
+// Prix unitaire d'un mois offert (prix ponctuel Stripe, quantité = mois)
+export const GIFT_PRICE_ENV = "STRIPE_PRICE_GIFT_MONTH";
+
+export const getGiftPriceId = () => process.env[GIFT_PRICE_ENV] || null;
+
+// Code lisible : préfixe + 3 groupes de 4 caractères sans 0/O ni 1/I
+const CODE_PREFIX = "CADEAU";
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+export const generateGiftCode = () => {
+  const groups = Array.from({ length: CODE_GROUPS }, () =>
+    Array.from(
+      { length: CODE_GROUP_LENGTH },
+      () => CODE_ALPHABET[randomInt(CODE_ALPHABET.length)]
+    ).join("")
+  );
+  return [CODE_PREFIX, ...groups].join("-");
+};
+
+// Code saisi → format enregistré (casse, espaces et tirets indifférents)
+export const normalizeGiftCode = (input) => {
+  const compact = String(input || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  const body = compact.startsWith(CODE_PREFIX)
+    ? compact.slice(CODE_PREFIX.length)
+    : compact;
+  const groups = body.match(new RegExp(`.{1,${CODE_GROUP_LENGTH}}`, "g"));
+  return [CODE_PREFIX, ...(groups || [])].join("-");
+};
+
+const GIFT_COLUMNS =
+  "code, months, session_id, purchaser_id, redeemed_by, redeemed_at, revoked_at, created_at";
+
+/**
+ * Créer l'accès à la table premium_gift
+ * @param {Object} client - Client Supabase (clé service)
+ * @returns {Object} Méthodes renvoyant { data, error } (error : message)
+ */
+export const createGiftRepository = (client) => ({
+  /**
+   * Créer le code d'une session payée (le même code si déjà créé)
+   * @param {Object} session - Session Stripe Checkout "gift"
+   * @param {string} purchaserId - Acheteur
+   * @param {number} months - Mois offerts
+   */
+  async createForSession(session, purchaserId, months) {
+    const { data: existing, error: readError } = await this.getBySession(
+      session.id
+    );
+    if (readError) return { data: null, error: readError };
+    if (existing) return { data: existing, error: null };
+
+    const gift = {
+      code: generateGiftCode(),
+      months,
+      session_id: session.id,
+      purchaser_id: purchaserId,
+    };
+    const { error } = await client.from(TABLE).insert([gift]);
+    if (error) {
+      console.error("❌ Erreur création code cadeau:", error);
+      return { data: null, error: error.message };
+    }
+    return { data: gift, error: null };
+  },
+
+  async getBySession(sessionId) {
+    const { data, error } = await client
+      .from(TABLE)
+      .select(GIFT_COLUMNS)
+      .eq("session_id", sessionId)
+      .maybeSingle();
+    if (error) return { data: null, error: error.message };
+    return { data, error: null };
+  },
+
+  // Codes achetés par un utilisateur, du plus récent au plus ancien
+  async listByPurchaser(userId) {
+    const { data, error } = await client
+      .from(TABLE)
+      .select(GIFT_COLUMNS)
+      .eq("purchaser_id", userId)
+      .order("created_at", { ascending: false });
+    if (error) return { data: null, error: error.message };
+    return { data: data || [], error: null };
+  },
+
+  /**
+   * Réserver un code pour un utilisateur (une seule réservation possible)
+   * @returns {Promise<{ data: Object|null, error: string|null }>} data :
+   *   { gift } si réservé, sinon { reason: "not_found" | "redeemed" | "revoked" }
+   */
+  async claim(code, userId) {
+    const { data: gift, error } = await client
+      .from(TABLE)
+      .update({ redeemed_by: userId, redeemed_at: new Date().toISOString() })
+      .eq("code", code)
+      .is("redeemed_at", null)
+      .is("revoked_at", null)
+      .select(GIFT_COLUMNS)
+      .maybeSingle();
+    if (error) return { data: null, error: error.message };
+    if (gift) return { data: { gift }, error: null };
+
+    // Réservation refusée : code inconnu, déjà utilisé ou annulé
+    const { data: current, error: readError } = await client
+      .from(TABLE)
+      .select("redeemed_at, revoked_at")
+      .eq("code", code)
+      .maybeSingle();
+    if (readError) return { data: null, error: readError.message };
+
+    let reason = "not_found";
+    if (current?.revoked_at) reason = "revoked";
+    else if (current) reason = "redeemed";
+    return { data: { reason }, error: null };
+  },
+
+  // Annuler une réservation dont le crédit a échoué (réservation de
+  // l'utilisateur uniquement, jamais un code déjà crédité à un autre)
+  async release(code, userId) {
+    const { error } = await client
+      .from(TABLE)
+      .update({ redeemed_by: null, redeemed_at: null })
+      .eq("code", code)
+      .eq("redeemed_by", userId)
+      .not("redeemed_at", "is", null);
+    if (error) console.error("❌ Erreur libération code cadeau:", error);
+  },
+
+  /**
+   * Annuler le code d'une session remboursée (s'il n'a pas été utilisé)
+   * @returns {Promise<{ data: string|null }>} "revoked", "redeemed" ou null
+   *   si la session n'a pas de code
+   */
+  async revokeBySession(sessionId) {
+    const { data: gift, error } = await client
+      .from(TABLE)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("session_id", sessionId)
+      .is("redeemed_at", null)
+      .select("code")
+      .maybeSingle();
+    if (error) return { data: null, error: error.message };
+    if (gift) return { data: "revoked", error: null };
+
+    const { data: existing, error: readError } =
+      await this.getBySession(sessionId);
+    if (readError) return { data: null, error: readError };
+    return { data: existing ? "redeemed" : null, error: null };
+  },
+});
@@ -0,0 +1,35 @@
+// Recherches récentes de communes (localStorage du navigateur)
+
+const STORAGE_KEY = "meteo:recherches-recentes";
+const MAX_RECENT = 5;
+
+// localStorage n'existe pas côté serveur (SSR)
+const isBrowser = () => typeof window !== "undefined" && window.localStorage;
+
+export const recentSearches = {
+  // Lister les communes récemment consultées (plus récente en premier)
+  list() {
+    if (!isBrowser()) return [];
+    try {
+      return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+    } catch (err) {
+      return [];
+    }
+  },
+
+  // Ajouter une commune en tête de liste (sans doublon)
+  add(commune) {
+    if (!isBrowser() || !commune?.code) return;
+    const recent = [
+      commune,
+      ...this.list().filter((c) => c.code !== commune.code),
+    ].slice(0, MAX_RECENT);
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(recent));
+  },
+
+  // Vider l'historique
+  clear() {
+    if (!isBrowser()) return;
+    window.localStorage.removeItem(STORAGE_KEY);
+  },
+};
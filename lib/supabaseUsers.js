@@ -87,6 +87,27 @@ export const supabaseUserService = {
     }
   },
 
+  // Mettre à jour les préférences d'affichage (colonne JSONB preferences)
+  async updatePreferences(userId, preferences) {
+    try {
+      const { data, error } = await supabase
+        .from("user")
+        .update({ preferences, updated_at: new Date().toISOString() })
+        .eq("id", userId)
+        .select("preferences");
+
+      if (error) {
+        console.error("❌ Erreur mise à jour préférences:", error);
+        return { data: null, error: error.message };
+      }
+
+      return { data: data[0]?.preferences ?? preferences, error: null };
+    } catch (err) {
+      console.error("💥 Erreur updatePreferences:", err);
+      return { data: null, error: err.message };
+    }
+  },
+
   // Supprimer un utilisateur
   async deleteUser(userId) {
     try {
@@ -1,4 +1,10 @@
 import { z } from "zod";
+import { PREFERENCE_OPTIONS } from "./preferences";
+import { INSEE_REGEX } from "./communes";
+
+// Valeurs autorisées d'une préférence (clés de PREFERENCE_OPTIONS)
+const preferenceEnum = (key, message) =>
+  z.enum(Object.keys(PREFERENCE_OPTIONS[key]), { message });
 
 // Schéma pour l'inscription
 export const signUpSchema = z
@@ -56,3 +62,181 @@ export const changePasswordSchema = z
     message: "Les nouveaux mots de passe ne correspondent pas",
     path: ["confirmNewPassword"],
   });
+
+// Schéma pour les préférences d'affichage
+export const preferencesSchema = z.object({
+  temperatureUnit: preferenceEnum(
+    "temperatureUnit",
+    "Unité de température invalide"
+  ),
+  windUnit: preferenceEnum("windUnit", "Unité de vent invalide"),
+  timeFormat: preferenceEnum("timeFormat", "Format horaire invalide"),
+  language: preferenceEnum("language", "Langue non supportée"),
+});
+
+// Identifiant d'un favori (entier ou UUID selon la table)
+const favoriIdSchema = z.union([
+  z.number().int().positive(),
+  z.string().min(1, "Identifiant de favori invalide"),
+]);
+
+// Texte optionnel : "" ou espaces seuls reviennent à effacer (null)
+const optionalText = (max, message) =>
+  z
+    .string()
+    .trim()
+    .max(max, message)
+    .nullable()
+    .optional()
+    .transform((value) => (value === "" ? null : value));
+
+// Identifiant d'un groupe de favoris
+const favoriGroupIdSchema = z.string().uuid("Identifiant de groupe invalide");
+
+// Schéma pour la modification d'un favori (libellé, note et/ou groupe)
+export const favoriUpdateSchema = z
+  .object({
+    id: favoriIdSchema,
+    label: optionalText(60, "Le libellé ne doit pas dépasser 60 caractères"),
+    note: optionalText(500, "La note ne doit pas dépasser 500 caractères"),
+    // null : retirer le favori de son groupe
+    group_id: favoriGroupIdSchema.nullable().optional(),
+  })
+  .refine(
+    (data) =>
+      data.label !== undefined ||
+      data.note !== undefined ||
+      data.group_id !== undefined,
+    {
+      message: "label, note ou group_id requis",
+      path: ["label"],
+    }
+  );
+
+// Schéma pour le réordonnancement (liste complète des ids dans le nouvel ordre)
+export const favorisReorderSchema = z.object({
+  ids: z
+    .array(favoriIdSchema)
+    .min(1, "Liste des favoris requise")
+    .refine((ids) => new Set(ids.map(String)).size === ids.length, {
+      message: "Favori présent plusieurs fois",
+    }),
+});
+
+// Nom d'un groupe de favoris
+const favoriGroupNameSchema = z
+  .string()
+  .trim()
+  .min(1, "Nom du groupe requis")
+  .max(40, "Le nom du groupe ne doit pas dépasser 40 caractères");
+
+// Schéma pour la création d'un groupe de favoris
+export const favoriGroupCreateSchema = z.object({
+  name: favoriGroupNameSchema,
+});
+
+// Schéma pour le renommage d'un groupe de favoris
+export const favoriGroupUpdateSchema = z.object({
+  id: favoriGroupIdSchema,
+  name: favoriGroupNameSchema,
+});
+
+// Schéma pour la suppression d'un groupe de favoris
+export const favoriGroupDeleteSchema = z.object({
+  id: favoriGroupIdSchema,
+});
+
+// Favori local (visiteur non connecté) à fusionner dans le compte
+const localFavoriSchema = z.object({
+  ville: z.string().trim().min(1, "Nom de ville requis").max(100),
+  insee: z
+    .string()
+    .regex(INSEE_REGEX, "Code INSEE invalide")
+    .nullable()
+    .optional(),
+  lat: z.number().min(-90).max(90).nullable().optional(),
+  lon: z.number().min(-180).max(180).nullable().optional(),
+  label: optionalText(60, "Le libellé ne doit pas dépasser 60 caractères"),
+  note: optionalText(500, "La note ne doit pas dépasser 500 caractères"),
+});
+
+// Schéma pour la fusion des favoris locaux à la connexion
+export const favorisMergeSchema = z.object({
+  favoris: z
+    .array(localFavoriSchema)
+    .min(1, "Liste des favoris requise")
+    .max(50, "50 favoris maximum par fusion"),
+});
+
+// Coordonnée optionnelle d'une ligne d'import
+const importCoordinate = (min, max, message) =>
+  z
+    .number({ invalid_type_error: message })
+    .min(min, message)
+    .max(max, message)
+    .nullable()
+    .optional();
+
+// Schéma d'une ligne d'import de favoris (JSON, CSV ou GeoJSON)
+export const favoriImportRowSchema = z
+  .object({
+    ville: z
+      .string()
+      .trim()
+      .max(100, "Nom de ville trop long")
+      .nullable()
+      .optional(),
+    insee: z
+      .string()
+      .trim()
+      .toUpperCase()
+      .regex(INSEE_REGEX, "Code INSEE invalide")
+      .nullable()
+      .optional(),
+    lat: importCoordinate(-90, 90, "Latitude invalide"),
+    lon: importCoordinate(-180, 180, "Longitude invalide"),
+    label: optionalText(60, "Le libellé ne doit pas dépasser 60 caractères"),
+    note: optionalText(500, "La note ne doit pas dépasser 500 caractères"),
+  })
+  .refine((data) => data.ville || data.insee, {
+    message: "ville ou insee requis",
+    path: ["ville"],
+  });
+
+// Schéma pour l'utilisation d'un code cadeau (format normalisé par l'API)
+export const giftRedeemSchema = z.object({
+  code: z
+    .string({ required_error: "Code cadeau requis" })
+    .trim()
+    .min(1, "Code cadeau requis")
+    .max(40, "Code cadeau invalide"),
+});
+
+// Nombre maximal de localisations par appel à /api/weather/batch
+// (le tableau de bord découpe les favoris en lots de cette taille)
+export const WEATHER_BATCH_MAX_LOCATIONS = 20;
+
+// Schéma de l'appel météo groupé : chaque localisation doit être un objet ;
+// ville ou coordonnées sont ensuite vérifiées une à une par l'API (une
+// localisation invalide n'empêche pas les autres)
+export const weatherBatchSchema = z.object({
+  locations: z
+    .array(
+      z
+        .object(
+          {},
+          { invalid_type_error: "Localisation invalide (objet attendu)" }
+        )
+        .passthrough(),
+      {
+        required_error: "locations requis (tableau)",
+        invalid_type_error: "locations requis (tableau)",
+      }
+    )
+    .min(1, "locations requis (tableau)")
+    .max(
+      WEATHER_BATCH_MAX_LOCATIONS,
+      `${WEATHER_BATCH_MAX_LOCATIONS} localisations maximum par appel`
+    ),
+  lang: z.string().optional(),
+});
@@ -0,0 +1,84 @@
+// Cache des prévisions météo côté serveur (par localisation, avec TTL)
+
+// Durée de vie par défaut d'une entrée : 10 minutes
+export const DEFAULT_WEATHER_TTL_MS =
+  Number(process.env.WEATHER_CACHE_TTL_SECONDS || 600) * 1000;
+
+// Store en mémoire (par instance de serveur)
+// Tout store alternatif (Redis, Supabase...) doit exposer get/set/delete
+export class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    // Entrée expirée : on la supprime
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+// Service de cache utilisé par les API météo
+export const weatherCache = {
+  store: new MemoryCacheStore(),
+  ttlMs: DEFAULT_WEATHER_TTL_MS,
+
+  // Remplacer le store (ex: Redis en production, store vide en test)
+  setStore(store) {
+    this.store = store;
+  },
+
+  // Construire une clé stable pour une localisation et un fournisseur
+  buildKey({ insee, ville, lat, lon, lang = "fr" }, providerId = "default") {
+    // Les descriptions dépendent de la langue demandée
+    const prefix = `forecast:${providerId}:${lang}`;
+
+    if (lat != null && lon != null) {
+      // Arrondi à ~1 km pour mutualiser les recherches proches. Les
+      // prévisions dépendent des coordonnées envoyées par le client : le
+      // code INSEE seul ne suffit pas (sinon une requête aux coordonnées
+      // falsifiées remplirait le cache de la vraie commune)
+      const coords = `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+      return insee
+        ? `${prefix}:coords:${coords}:insee:${insee}`
+        : `${prefix}:coords:${coords}`;
+    }
+    return `${prefix}:ville:${String(ville).trim().toLowerCase()}`;
+  },
+
+  // Retourner la valeur en cache ou l'obtenir via fetcher puis la stocker
+  async getOrFetch(key, fetcher) {
+    const cached = await this.store.get(key);
+    if (cached) {
+      return { data: cached, error: null, cached: true };
+    }
+
+    const result = await fetcher();
+
+    // On ne met en cache que les réponses valides
+    if (result.data && !result.error) {
+      await this.store.set(key, result.data, this.ttlMs);
+    }
+
+    return { ...result, cached: false };
+  },
+};
@@ -0,0 +1,95 @@
+// Codes de conditions météo normalisés (indépendants du fournisseur)
+
+export const CONDITIONS = {
+  CLEAR: "clear",
+  PARTLY_CLOUDY: "partly-cloudy",
+  CLOUDY: "cloudy",
+  FOG: "fog",
+  DRIZZLE: "drizzle",
+  RAIN: "rain",
+  SNOW: "snow",
+  THUNDERSTORM: "thunderstorm",
+};
+
+// Libellés français par défaut (si le fournisseur n'en donne pas)
+export const CONDITION_LABELS = {
+  [CONDITIONS.CLEAR]: "ciel dégagé",
+  [CONDITIONS.PARTLY_CLOUDY]: "partiellement nuageux",
+  [CONDITIONS.CLOUDY]: "couvert",
+  [CONDITIONS.FOG]: "brouillard",
+  [CONDITIONS.DRIZZLE]: "bruine",
+  [CONDITIONS.RAIN]: "pluie",
+  [CONDITIONS.SNOW]: "neige",
+  [CONDITIONS.THUNDERSTORM]: "orage",
+};
+
+// Libellés par langue de prévision (préférence "language")
+export const CONDITION_LABELS_BY_LANGUAGE = {
+  fr: CONDITION_LABELS,
+  en: {
+    [CONDITIONS.CLEAR]: "clear sky",
+    [CONDITIONS.PARTLY_CLOUDY]: "partly cloudy",
+    [CONDITIONS.CLOUDY]: "overcast",
+    [CONDITIONS.FOG]: "fog",
+    [CONDITIONS.DRIZZLE]: "drizzle",
+    [CONDITIONS.RAIN]: "rain",
+    [CONDITIONS.SNOW]: "snow",
+    [CONDITIONS.THUNDERSTORM]: "thunderstorm",
+  },
+};
+
+// Libellé d'une condition dans une langue (français à défaut)
+export const getConditionLabel = (condition, language = "fr") =>
+  (CONDITION_LABELS_BY_LANGUAGE[language] || CONDITION_LABELS)[condition];
+
+// Correspondance condition -> pictogramme OpenWeatherMap (sans suffixe jour/nuit)
+const ICON_CODES = {
+  [CONDITIONS.CLEAR]: "01",
+  [CONDITIONS.PARTLY_CLOUDY]: "02",
+  [CONDITIONS.CLOUDY]: "04",
+  [CONDITIONS.FOG]: "50",
+  [CONDITIONS.DRIZZLE]: "09",
+  [CONDITIONS.RAIN]: "10",
+  [CONDITIONS.SNOW]: "13",
+  [CONDITIONS.THUNDERSTORM]: "11",
+};
+
+/**
+ * Construire l'URL du pictogramme d'une condition
+ * @param {string} condition - Code de condition normalisé
+ * @param {boolean} isDay - true pour la variante de jour
+ * @returns {string} URL de l'image
+ */
+export const getConditionIconUrl = (condition, isDay = true) => {
+  const code = ICON_CODES[condition] || ICON_CODES[CONDITIONS.CLOUDY];
+  return `https://openweathermap.org/img/wn/${code}${isDay ? "d" : "n"}.png`;
+};
+
+// Code OpenWeatherMap (weather[0].id) -> condition
+export const conditionFromOpenWeatherId = (id) => {
+  if (id >= 200 && id < 300) return CONDITIONS.THUNDERSTORM;
+  if (id >= 300 && id < 400) return CONDITIONS.DRIZZLE;
+  if (id >= 500 && id < 600) return CONDITIONS.RAIN;
+  if (id >= 600 && id < 700) return CONDITIONS.SNOW;
+  if (id >= 700 && id < 800) return CONDITIONS.FOG;
+  if (id === 800) return CONDITIONS.CLEAR;
+  if (id === 801 || id === 802) return CONDITIONS.PARTLY_CLOUDY;
+  return CONDITIONS.CLOUDY;
+};
+
+// Code WMO (Open-Meteo, Météo-France) -> condition
+export const conditionFromWmoCode = (code) => {
+  if (code === 0) return CONDITIONS.CLEAR;
+  if (code === 1 || code === 2) return CONDITIONS.PARTLY_CLOUDY;
+  if (code === 3) return CONDITIONS.CLOUDY;
+  if (code === 45 || code === 48) return CONDITIONS.FOG;
+  if (code >= 51 && code <= 57) return CONDITIONS.DRIZZLE;
+  if ((code >= 61 && code <= 67) || (code >= 80 && code <= 82)) {
+    return CONDITIONS.RAIN;
+  }
+  if ((code >= 71 && code <= 77) || code === 85 || code === 86) {
+    return CONDITIONS.SNOW;
+  }
+  if (code >= 95) return CONDITIONS.THUNDERSTORM;
+  return CONDITIONS.CLOUDY;
+};
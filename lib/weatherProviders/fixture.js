@@ -0,0 +1,79 @@
+// Adaptateur de démonstration : prévisions déterministes sans appel réseau
+// Utile en développement hors-ligne et pour les tests (WEATHER_PROVIDER=fixture)
+
+import { CONDITIONS, getConditionLabel } from "../weatherConditions";
+
+// Cycle de conditions rejoué jour après jour
+const CONDITION_CYCLE = [
+  CONDITIONS.CLEAR,
+  CONDITIONS.PARTLY_CLOUDY,
+  CONDITIONS.CLOUDY,
+  CONDITIONS.RAIN,
+  CONDITIONS.PARTLY_CLOUDY,
+];
+
+// Générer 5 jours de créneaux de 3h à partir d'aujourd'hui (UTC)
+export const buildFixtureForecast = (
+  { ville, lat, lon, lang = "fr" },
+  now = new Date()
+) => {
+  const start = Date.UTC(
+    now.getUTCFullYear(),
+    now.getUTCMonth(),
+    now.getUTCDate()
+  );
+
+  const points = [];
+  for (let slot = 0; slot < 5 * 8; slot++) {
+    const time = new Date(start + slot * 3 * 3600 * 1000);
+    const hour = time.getUTCHours();
+    const day = Math.floor(slot / 8);
+    const condition = CONDITION_CYCLE[day % CONDITION_CYCLE.length];
+
+    // Courbe de température simple : minimum à 3h, maximum vers 15h
+    const temperature =
+      12 + day + 6 * Math.sin(((hour - 9) / 24) * 2 * Math.PI);
+
+    points.push({
+      time: time.toISOString(),
+      date: time.toISOString().slice(0, 10),
+      hour,
+      temperature: Math.round(temperature * 10) / 10,
+      feelsLike: Math.round((temperature - 1.5) * 10) / 10,
+      humidity: 60 + (slot % 4) * 5,
+      pressure: 1015 - day,
+      visibility: 10000,
+      precipitation: condition === CONDITIONS.RAIN ? 1.2 : 0,
+      precipitationProbability: condition === CONDITIONS.RAIN ? 0.8 : 0.1,
+      windSpeed: 3 + (slot % 3),
+      windGust: 6 + (slot % 3),
+      windDirection: (slot * 45) % 360,
+      condition,
+      isDay: hour >= 7 && hour < 20,
+      description: getConditionLabel(condition, lang),
+    });
+  }
+
+  return {
+    provider: "fixture",
+    location: {
+      name: ville || "Démo",
+      country: "FR",
+      lat: lat ?? 48.8566,
+      lon: lon ?? 2.3522,
+      timezoneOffset: 0,
+      sunrise: new Date(start + 7 * 3600 * 1000).toISOString(),
+      sunset: new Date(start + 19 * 3600 * 1000).toISOString(),
+    },
+    points,
+  };
+};
+
+export const fixtureProvider = {
+  id: "fixture",
+  label: "Démo (données fictives)",
+
+  async getForecast(location) {
+    return { data: buildFixtureForecast(location), error: null, status: 200 };
+  },
+};
@@ -0,0 +1,35 @@
+// Registre des fournisseurs météo
+//
+// Chaque fournisseur expose :
+// - id (string), label (string)
+// - getForecast({ ville, lat, lon }) -> { data, error, status }
+//   où data suit le modèle normalisé { provider, location, points[] }
+//
+// Le fournisseur actif est choisi via WEATHER_PROVIDER (openweathermap par défaut)
+
+import { openWeatherMapProvider } from "./openWeatherMap";
+import { openMeteoProvider, meteoFranceProvider } from "./openMeteo";
+import { fixtureProvider } from "./fixture";
+
+export const weatherProviders = {
+  [openWeatherMapProvider.id]: openWeatherMapProvider,
+  [openMeteoProvider.id]: openMeteoProvider,
+  [meteoFranceProvider.id]: meteoFranceProvider,
+  [fixtureProvider.id]: fixtureProvider,
+};
+
+export const DEFAULT_WEATHER_PROVIDER = openWeatherMapProvider.id;
+
+// Retourner le fournisseur configuré (repli sur le fournisseur par défaut)
+export const getWeatherProvider = (
+  id = process.env.WEATHER_PROVIDER || DEFAULT_WEATHER_PROVIDER
+) => {
+  const provider = weatherProviders[id];
+
+  if (!provider) {
+    console.warn(`⚠️ Fournisseur météo inconnu "${id}", repli sur défaut`);
+    return weatherProviders[DEFAULT_WEATHER_PROVIDER];
+  }
+
+  return provider;
+};
@@ -0,0 +1,165 @@
+// Adaptateurs Open-Meteo (prévisions horaires, sans clé API)
+// Le même format sert pour les modèles Météo-France (AROME/ARPEGE)
+
+import { getConditionLabel, conditionFromWmoCode } from "../weatherConditions";
+
+const GEOCODING_URL =
+  process.env.OPEN_METEO_GEOCODING_URL ||
+  "https://geocoding-api.open-meteo.com/v1/search";
+
+const HOURLY_FIELDS = [
+  "temperature_2m",
+  "apparent_temperature",
+  "relative_humidity_2m",
+  "pressure_msl",
+  "visibility",
+  "precipitation",
+  "precipitation_probability",
+  "wind_speed_10m",
+  "wind_gusts_10m",
+  "wind_direction_10m",
+  "weather_code",
+  "is_day",
+];
+
+// Résoudre un nom de ville en coordonnées (France uniquement)
+const geocode = async (ville) => {
+  const url = new URL(GEOCODING_URL);
+  url.searchParams.append("name", ville);
+  url.searchParams.append("count", "1");
+  url.searchParams.append("language", "fr");
+  url.searchParams.append("countryCode", "FR");
+
+  const response = await fetch(url);
+  if (!response.ok) return null;
+
+  const { results } = await response.json();
+  return results?.[0] || null;
+};
+
+// Transformer la réponse Open-Meteo en modèle normalisé
+export const normalizeOpenMeteoForecast = (
+  payload,
+  place,
+  providerId,
+  lang = "fr"
+) => {
+  const hourly = payload.hourly || {};
+  const offset = payload.utc_offset_seconds || 0;
+
+  // Les heures sont fournies en heure locale ("2025-06-01T15:00")
+  const toUtcIso = (localTime) =>
+    new Date(Date.parse(`${localTime}:00Z`) - offset * 1000).toISOString();
+
+  const toIso = (localTime) => (localTime ? toUtcIso(localTime) : null);
+
+  return {
+    provider: providerId,
+    location: {
+      name: place?.name || "",
+      country: place?.country_code || "FR",
+      lat: payload.latitude,
+      lon: payload.longitude,
+      timezoneOffset: offset,
+      sunrise: toIso(payload.daily?.sunrise?.[0]),
+      sunset: toIso(payload.daily?.sunset?.[0]),
+    },
+    points: (hourly.time || []).map((localTime, i) => {
+      const condition = conditionFromWmoCode(hourly.weather_code?.[i]);
+      return {
+        time: toUtcIso(localTime),
+        date: localTime.slice(0, 10),
+        hour: Number(localTime.slice(11, 13)),
+        temperature: hourly.temperature_2m?.[i] ?? null,
+        feelsLike: hourly.apparent_temperature?.[i] ?? null,
+        humidity: hourly.relative_humidity_2m?.[i] ?? null,
+        pressure: hourly.pressure_msl?.[i] ?? null,
+        visibility: hourly.visibility?.[i] ?? null,
+        precipitation: hourly.precipitation?.[i] || 0,
+        // Open-Meteo donne un pourcentage, le modèle attend 0-1
+        precipitationProbability:
+          (hourly.precipitation_probability?.[i] ?? 0) / 100,
+        windSpeed: hourly.wind_speed_10m?.[i] ?? null,
+        windGust: hourly.wind_gusts_10m?.[i] ?? null,
+        windDirection: hourly.wind_direction_10m?.[i] ?? null,
+        condition,
+        isDay: hourly.is_day?.[i] !== 0,
+        description: getConditionLabel(condition, lang),
+      };
+    }),
+  };
+};
+
+/**
+ * Créer un adaptateur basé sur l'API Open-Meteo
+ * @param {Object} options
+ * @param {string} options.id - Identifiant du fournisseur
+ * @param {string} options.label - Nom affiché
+ * @param {string} options.endpoint - URL de l'API de prévision
+ */
+export const createOpenMeteoProvider = ({ id, label, endpoint }) => ({
+  id,
+  label,
+
+  async getForecast({ ville, lat, lon, lang = "fr" }) {
+    try {
+      let place = null;
+
+      // Open-Meteo ne travaille qu'avec des coordonnées
+      if (lat == null || lon == null) {
+        place = await geocode(ville);
+        if (!place) {
+          return { data: null, error: "Ville non trouvée", status: 404 };
+        }
+        lat = place.latitude;
+        lon = place.longitude;
+      }
+
+      const url = new URL(endpoint);
+      url.searchParams.append("latitude", lat);
+      url.searchParams.append("longitude", lon);
+      url.searchParams.append("hourly", HOURLY_FIELDS.join(","));
+      url.searchParams.append("daily", "sunrise,sunset");
+      url.searchParams.append("wind_speed_unit", "ms");
+      url.searchParams.append("timezone", "auto");
+      url.searchParams.append("forecast_days", "5");
+
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        console.error(`❌ Erreur ${label}:`, response.status);
+        return {
+          data: null,
+          error: "Service météo indisponible",
+          status: 502,
+        };
+      }
+
+      const payload = await response.json();
+      return {
+        data: normalizeOpenMeteoForecast(payload, place, id, lang),
+        error: null,
+        status: 200,
+      };
+    } catch (err) {
+      console.error(`💥 Erreur ${label} getForecast:`, err);
+      return { data: null, error: err.message, status: 502 };
+    }
+  },
+});
+
+export const openMeteoProvider = createOpenMeteoProvider({
+  id: "open-meteo",
+  label: "Open-Meteo",
+  endpoint:
+    process.env.OPEN_METEO_API_URL || "https://api.open-meteo.com/v1/forecast",
+});
+
+// Modèles Météo-France (AROME/ARPEGE) servis par Open-Meteo
+export const meteoFranceProvider = createOpenMeteoProvider({
+  id: "meteo-france",
+  label: "Météo-France",
+  endpoint:
+    process.env.METEO_FRANCE_API_URL ||
+    "https://api.open-meteo.com/v1/meteofrance",
+});
@@ -0,0 +1,110 @@
+// Adaptateur OpenWeatherMap (prévisions 5 jours par créneaux de 3h)
+
+import { conditionFromOpenWeatherId } from "../weatherConditions";
+
+// URL de l'API OpenWeatherMap (surchargeable pour pointer vers un stub local)
+const OPENWEATHER_API_URL =
+  process.env.OPENWEATHER_API_URL ||
+  "https://api.openweathermap.org/data/2.5/forecast";
+
+// Convertir un timestamp UNIX en date/heure locales de la ville
+const toLocalParts = (timestamp, timezoneOffset) => {
+  const local = new Date((timestamp + timezoneOffset) * 1000);
+  return {
+    date: local.toISOString().slice(0, 10), // YYYY-MM-DD
+    hour: local.getUTCHours(),
+  };
+};
+
+// Transformer la réponse OpenWeatherMap en modèle normalisé
+export const normalizeOpenWeatherForecast = (payload) => {
+  const timezoneOffset = payload.city?.timezone || 0;
+
+  return {
+    provider: "openweathermap",
+    location: {
+      name: payload.city?.name || "",
+      country: payload.city?.country || null,
+      lat: payload.city?.coord?.lat ?? null,
+      lon: payload.city?.coord?.lon ?? null,
+      timezoneOffset,
+      sunrise: payload.city?.sunrise
+        ? new Date(payload.city.sunrise * 1000).toISOString()
+        : null,
+      sunset: payload.city?.sunset
+        ? new Date(payload.city.sunset * 1000).toISOString()
+        : null,
+    },
+    points: (payload.list || []).map((item) => ({
+      time: new Date(item.dt * 1000).toISOString(),
+      ...toLocalParts(item.dt, timezoneOffset),
+      temperature: item.main?.temp ?? null,
+      feelsLike: item.main?.feels_like ?? null,
+      humidity: item.main?.humidity ?? null,
+      pressure: item.main?.pressure ?? null,
+      visibility: item.visibility ?? null,
+      // Cumul de pluie + neige sur le créneau de 3h (mm)
+      precipitation: (item.rain?.["3h"] || 0) + (item.snow?.["3h"] || 0),
+      precipitationProbability: item.pop ?? 0,
+      windSpeed: item.wind?.speed ?? null,
+      windGust: item.wind?.gust ?? null,
+      windDirection: item.wind?.deg ?? null,
+      condition: conditionFromOpenWeatherId(item.weather?.[0]?.id),
+      isDay: !item.weather?.[0]?.icon?.endsWith("n"),
+      description: item.weather?.[0]?.description || "",
+    })),
+  };
+};
+
+export const openWeatherMapProvider = {
+  id: "openweathermap",
+  label: "OpenWeatherMap",
+
+  // Récupérer les prévisions pour une ville ou des coordonnées
+  async getForecast({ ville, lat, lon, lang = "fr" }) {
+    const apiKey = process.env.OPENWEATHER_API_KEY;
+
+    if (!apiKey) {
+      console.error("❌ OPENWEATHER_API_KEY manquante dans .env.local");
+      return { data: null, error: "Service météo non configuré", status: 503 };
+    }
+
+    try {
+      const url = new URL(OPENWEATHER_API_URL);
+      if (lat != null && lon != null) {
+        url.searchParams.append("lat", lat);
+        url.searchParams.append("lon", lon);
+      } else {
+        url.searchParams.append("q", `${ville},fr`);
+      }
+      url.searchParams.append("appid", apiKey);
+      url.searchParams.append("units", "metric");
+      url.searchParams.append("lang", lang);
+
+      const response = await fetch(url);
+
+      if (response.status === 404) {
+        return { data: null, error: "Ville non trouvée", status: 404 };
+      }
+
+      if (!response.ok) {
+        console.error("❌ Erreur OpenWeatherMap:", response.status);
+        return {
+          data: null,
+          error: "Service météo indisponible",
+          status: 502,
+        };
+      }
+
+      const payload = await response.json();
+      return {
+        data: normalizeOpenWeatherForecast(payload),
+        error: null,
+        status: 200,
+      };
+    } catch (err) {
+      console.error("💥 Erreur OpenWeatherMap getForecast:", err);
+      return { data: null, error: err.message, status: 502 };
+    }
+  },
+};
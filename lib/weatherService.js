@@ -0,0 +1,36 @@
+// Service météo côté serveur : délègue au fournisseur configuré
+// ⚠️ À utiliser uniquement depuis les API routes (les clés API restent secrètes)
+
+import { getWeatherProvider } from "./weatherProviders";
+import { weatherCache } from "./weatherCache";
+
+export const weatherService = {
+  // Fournisseur actif (WEATHER_PROVIDER)
+  getProvider() {
+    return getWeatherProvider();
+  },
+
+  // Récupérer les prévisions normalisées pour une ville ou des coordonnées
+  // lang : langue des descriptions (préférence utilisateur, "fr" par défaut)
+  async getForecast({ ville, lat, lon, lang = "fr" }) {
+    const provider = this.getProvider();
+    console.log(`🌤️ Appel fournisseur ${provider.label}:`, {
+      ville,
+      lat,
+      lon,
+      lang,
+    });
+    return provider.getForecast({ ville, lat, lon, lang });
+  },
+
+  // Même chose en passant par le cache (clé : INSEE, coordonnées ou nom)
+  async getCachedForecast({ insee, ville, lat, lon, lang = "fr" }) {
+    const key = weatherCache.buildKey(
+      { insee, ville, lat, lon, lang },
+      this.getProvider().id
+    );
+    return weatherCache.getOrFetch(key, () =>
+      this.getForecast({ ville, lat, lon, lang })
+    );
+  },
+};
@@ -15,11 +15,6 @@ const nextConfig = {
     // Désactiver le lazy loading qui peut causer des préchargements
     unoptimized: false,
   },
-  // Variables d'environnement
-  env: {
-    NEXT_PUBLIC_OPENWEATHER_API_KEY:
-      process.env.NEXT_PUBLIC_OPENWEATHER_API_KEY,
-  },
   // Configuration Webpack ultra-simple pour éviter les préchargements
   webpack: (config, { dev, isServer }) => {
     // Désactiver tous les préchargements automatiques
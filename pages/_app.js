@@ -7,7 +7,8 @@
  * Architecture des providers:
  * 1. SessionProvider (NextAuth) - Gestion des sessions OAuth (Google, etc.)
  * 2. AuthProvider (Custom) - Système d'authentification principal avec Supabase
- * 3. Component - La page/composant demandé par l'utilisateur
+ * 3. PreferencesProvider - Unités, format horaire et langue des prévisions
+ * 4. Component - La page/composant demandé par l'utilisateur
  *
  * Fonctionnalités:
  * - Authentification hybride (NextAuth + Supabase)
@@ -16,8 +17,9 @@
  * - Context API pour l'état d'authentification
  *
  * Ordre d'encapsulation:
- * SessionProvider (externe) → AuthProvider (interne) → Page Component
+ * SessionProvider (externe) → AuthProvider → PreferencesProvider → Page Component
  * Cet ordre permet à AuthProvider d'accéder aux sessions NextAuth si nécessaire
+ * et à PreferencesProvider de lire les préférences de l'utilisateur connecté
  *
  * Intégration:
  * - Compatible avec toutes les pages de l'application
@@ -27,6 +29,7 @@
 
 import { SessionProvider } from "next-auth/react";
 import { AuthProvider } from "../contexts/AuthContext";
+import { PreferencesProvider } from "../contexts/PreferencesContext";
 import "../styles/globals.css";
 
 /**
@@ -51,10 +54,14 @@ export default function App({
       {/* Gère l'authentification Supabase et l'état utilisateur global */}
       {/* Accessible via useAuth() dans tous les composants enfants */}
       <AuthProvider>
-        {/* === COMPOSANT DE PAGE DYNAMIQUE === */}
-        {/* Rend la page demandée avec ses props spécifiques */}
-        {/* Hérite automatiquement des contextes d'authentification */}
-        <Component {...pageProps} />
+        {/* === PROVIDER DES PRÉFÉRENCES D'AFFICHAGE === */}
+        {/* Accessible via usePreferences() dans tous les composants enfants */}
+        <PreferencesProvider>
+          {/* === COMPOSANT DE PAGE DYNAMIQUE === */}
+          {/* Rend la page demandée avec ses props spécifiques */}
+          {/* Hérite automatiquement des contextes d'authentification */}
+          <Component {...pageProps} />
+        </PreferencesProvider>
       </AuthProvider>
     </SessionProvider>
   );
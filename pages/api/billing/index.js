@@ -0,0 +1,57 @@
+/**
+ * API FACTURATION - RÉSUMÉ DE L'ABONNEMENT
+ *
+ * Alimente l'onglet Facturation du profil.
+ *
+ * Endpoint supporté:
+ * - GET: formule, statut, échéance, moyen de paiement, dernières factures
+ *   et codes cadeaux achetés
+ *
+ * Authentification:
+ * - Jeton d'accès Supabase (Authorization: Bearer ou cookie sb-access-token)
+ *
+ * Réponses:
+ * - 200: { billing: { isPremium, plan, status, expiresAt, hasBillingAccount,
+ *   cancelAtPeriodEnd, paymentMethod, invoices, gifts, stripeUnavailable } }
+ * - 401: Jeton absent, invalide ou expiré
+ * - 404: Utilisateur non trouvé
+ * - 405: Méthode non autorisée
+ * - 500: Erreur serveur
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { stripe } from "../../../lib/stripe";
+import { requireUser } from "../../../lib/apiAuth";
+import { createBillingService } from "../../../lib/billing";
+
+const billingService = createBillingService(supabaseAdmin, stripe);
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["GET"],
+      received: req.method,
+    });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const { data, error } = await billingService.getSummary(user.id);
+    if (error) {
+      return res.status(error === "Utilisateur non trouvé" ? 404 : 500).json({
+        error,
+      });
+    }
+
+    return res.status(200).json({ billing: data });
+  } catch (error) {
+    console.error("💥 Erreur API facturation:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * API FACTURATION - PORTAIL CLIENT STRIPE
+ *
+ * Crée une session du portail client Stripe : l'utilisateur y résilie son
+ * abonnement, change de carte ou de formule, puis revient sur l'onglet
+ * Facturation du profil. Les changements reviennent par le webhook.
+ *
+ * Endpoint supporté:
+ * - POST: aucun paramètre (client Stripe du compte connecté)
+ *
+ * Authentification:
+ * - Jeton d'accès Supabase (Authorization: Bearer ou cookie sb-access-token)
+ *
+ * Réponses:
+ * - 200: { url } - Adresse du portail vers laquelle rediriger
+ * - 401: Jeton absent, invalide ou expiré
+ * - 404: Aucun client Stripe (jamais abonné)
+ * - 405: Méthode non autorisée
+ * - 500: Erreur Stripe ou serveur
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { stripe } from "../../../lib/stripe";
+import { requireUser } from "../../../lib/apiAuth";
+import { createBillingService } from "../../../lib/billing";
+
+const billingService = createBillingService(supabaseAdmin, stripe);
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["POST"],
+      received: req.method,
+    });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const { data, error } = await billingService.createPortalSession(
+      user.id,
+      `${process.env.NEXTAUTH_URL}/profile?tab=billing`
+    );
+    if (error) {
+      return res.status(500).json({
+        error: "Erreur création du portail de facturation",
+        details: error,
+      });
+    }
+    if (!data) {
+      return res.status(404).json({
+        error: "Aucun compte de facturation",
+        details: "Souscrivez un abonnement pour accéder à la facturation",
+      });
+    }
+
+    console.log("🧾 Portail de facturation ouvert pour:", user.id);
+    return res.status(200).json({ url: data.url });
+  } catch (error) {
+    console.error("💥 Erreur portail de facturation:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
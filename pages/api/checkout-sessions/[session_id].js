@@ -1,43 +1,60 @@
 /**
- * API VÉRIFICATION SESSION STRIPE - TRAITEMENT POST-PAIEMENT
+ * API VÉRIFICATION SESSION STRIPE - STATUT POST-PAIEMENT (LECTURE SEULE)
  *
- * Cette API vérifie et traite les sessions de paiement Stripe après redirection.
- * Elle est appelée sur la page de succès pour confirmer le paiement et activer le premium.
+ * Cette API indique à la page de succès où en est un paiement.
+ * Elle ne modifie rien : le premium est activé par le webhook Stripe
+ * (/api/stripe/webhook), même si l'utilisateur ferme l'onglet. Rappeler
+ * cette URL ne prolonge donc jamais l'abonnement.
  *
- * Fonctionnalités:
- * - Récupération et vérification de la session Stripe
- * - Activation automatique du statut premium après paiement
- * - Gestion de l'abonnement mensuel (30 jours)
- * - Mise à jour du customer ID Stripe
- * - Recherche d'utilisateur par métadonnées ou email
+ * Seul l'utilisateur qui a ouvert la session (table payments) peut la
+ * consulter ; une session refusée par le webhook (utilisateurs
+ * incohérents) n'est jamais présentée comme réussie.
+ *
+ * Authentification:
+ * - Jeton d'accès Supabase (Authorization: Bearer ou cookie sb-access-token)
  *
  * Paramètres (URL dynamique):
  * - session_id (string): ID de la session Stripe retournée après paiement
  *
  * Réponses:
- * - 200: Session vérifiée avec succès
+ * - 200: Statut de la session
+ *   - status: "complete" (premium activé par le webhook), "processing"
+ *     (paiement réglé, webhook pas encore reçu), "pending" (non réglé)
+ *     ou "rejected" (session non créditée)
  *   - session (object): Données de la session Stripe
- *   - user_updated (boolean): Statut de mise à jour utilisateur
- *   - premium_expires_at (string): Date d'expiration du premium
+ *   - is_premium (boolean), premium_expires_at (string|null): statut
+ *     de l'utilisateur activé (status "complete" uniquement)
+ *   - gift ({ code, months }): code cadeau d'un achat de premium offert
+ *     (status "complete", à la place du statut premium)
  * - 400: Session ID manquant
+ * - 401: Jeton absent, invalide ou expiré
+ * - 403: Session ouverte par un autre utilisateur
  * - 405: Méthode HTTP non autorisée (seul GET accepté)
  * - 500: Erreur Stripe ou base de données
  *
  * Workflow:
- * 1. Récupération de la session depuis Stripe
- * 2. Vérification du statut de paiement
- * 3. Identification de l'utilisateur (métadonnées ou email)
- * 4. Calcul de la date d'expiration (30 jours)
- * 5. Mise à jour du profil utilisateur
- *
- * Sécurité:
- * - Vérification côté serveur avec Stripe
- * - Utilisation de supabaseAdmin pour les mises à jour
- * - Validation du statut de paiement avant activation
+ * 1. Récupération de la session depuis Stripe et de son enregistrement
+ * 2. Vérification que la session appartient à l'utilisateur connecté
+ * 3. Recherche de l'activation enregistrée par le webhook (stripe_event)
+ * 4. Lecture du statut premium de l'utilisateur activé
  */
 
 import { stripe } from "../../../lib/stripe";
 import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { resolveEntitlements } from "../../../lib/entitlements";
+import { createPremiumService } from "../../../lib/premium";
+import { requireUser } from "../../../lib/apiAuth";
+import {
+  PAYMENT_STATUSES,
+  createPaymentsRepository,
+  isCheckoutSettled,
+  resolveCheckoutUser,
+} from "../../../lib/payments";
+import { createGiftRepository } from "../../../lib/premiumGift";
+
+const premiumService = createPremiumService(supabaseAdmin);
+const paymentsRepository = createPaymentsRepository(supabaseAdmin);
+const giftRepository = createGiftRepository(supabaseAdmin);
 
 export default async function handler(req, res) {
   console.log(
@@ -66,152 +83,106 @@ export default async function handler(req, res) {
     });
   }
 
+  const user = await requireUser(req, res);
+  if (!user) return;
+
   try {
     // === RÉCUPÉRATION DE LA SESSION STRIPE ===
-    console.log("📡 Récupération session depuis Stripe...");
     const session = await stripe.checkout.sessions.retrieve(session_id);
-
-    console.log("✅ Session Stripe récupérée:", {
+    const { data: payment, error: paymentError } =
+      await paymentsRepository.getBySession(session.id);
+    if (paymentError) throw new Error(paymentError);
+
+    // === PROPRIÉTAIRE DE LA SESSION ===
+    const { userId: ownerId, mismatch } = resolveCheckoutUser(session, payment);
+    if (!mismatch && ownerId && ownerId !== user.id) {
+      console.log("🚫 Session d'un autre utilisateur:", session.id);
+      return res.status(403).json({
+        error: "Session de paiement d'un autre utilisateur",
+        message: "Ce paiement n'a pas été effectué depuis votre compte.",
+      });
+    }
+    const sessionInfo = {
       id: session.id,
       payment_status: session.payment_status,
       customer_email: session.customer_email,
       amount_total: session.amount_total,
       currency: session.currency,
-      created: new Date(session.created * 1000).toISOString(),
-      metadata: session.metadata,
-    });
+    };
 
-    // === TRAITEMENT DU PAIEMENT RÉUSSI ===
-    if (session.payment_status === "paid") {
-      console.log("💰 Paiement confirmé, mise à jour du statut utilisateur...");
-
-      // === IDENTIFICATION DE L'UTILISATEUR ===
-      let userId = session.metadata?.user_id;
-      console.log("👤 User ID depuis métadonnées:", userId);
-
-      // Recherche par email si pas d'ID dans les métadonnées
-      if (!userId && session.customer_email) {
-        console.log(
-          "📧 Pas d'user_id, recherche par email:",
-          session.customer_email
-        );
-
-        const { data: userData } = await supabaseAdmin
-          .from("user")
-          .select("id")
-          .eq("email", session.customer_email)
-          .single();
-
-        console.log("🔍 Résultat recherche utilisateur:", userData);
-
-        if (userData) {
-          userId = userData.id;
-          console.log("✅ Utilisateur trouvé par email, ID:", userId);
-        } else {
-          console.log("⚠️ Aucun utilisateur trouvé avec cet email");
-        }
-      }
-
-      // === MISE À JOUR DU STATUT PREMIUM ===
-      if (userId) {
-        console.log("🔄 Mise à jour statut premium utilisateur...");
-
-        // === CALCUL DE LA DATE D'EXPIRATION ===
-        // Abonnement mensuel : 30 jours à partir de maintenant
-        const premiumExpiresAt = new Date();
-        premiumExpiresAt.setDate(premiumExpiresAt.getDate() + 30); // 30 jours
-
-        console.log("📅 Date d'expiration calculée:", {
-          current_date: new Date().toISOString(),
-          expires_at: premiumExpiresAt.toISOString(),
-          duration_days: 30,
-        });
-
-        // === PRÉPARATION DES DONNÉES DE MISE À JOUR ===
-        const updateData = {
-          is_premium: true, // Activation du statut premium
-          premium_expires_at: premiumExpiresAt.toISOString(), // Date d'expiration
-          stripe_customer_id: session.customer, // ID client Stripe pour futurs paiements
-        };
-
-        console.log("💾 Données de mise à jour:", updateData);
-
-        // === EXÉCUTION DE LA MISE À JOUR ===
-        const { error: updateError } = await supabaseAdmin
-          .from("user")
-          .update(updateData)
-          .eq("id", userId);
-
-        // Gestion des erreurs de mise à jour
-        if (updateError) {
-          console.error("❌ Erreur mise à jour Supabase:", updateError);
-
-          // On continue malgré l'erreur pour retourner les infos de session
-          return res.status(200).json({
-            session: {
-              id: session.id,
-              payment_status: session.payment_status,
-              customer_email: session.customer_email,
-              amount_total: session.amount_total,
-            },
-            user_updated: false,
-            error: "Erreur lors de la mise à jour du profil utilisateur",
-            details: updateError.message,
-          });
-        } else {
-          console.log(
-            `✅ Utilisateur ${userId} mis à jour premium jusqu'au ${premiumExpiresAt.toISOString()}`
-          );
-        }
-
-        // === RETOUR DE SUCCÈS AVEC MISE À JOUR ===
-        return res.status(200).json({
-          status: "complete",
-          session: {
-            id: session.id,
-            payment_status: session.payment_status,
-            customer_email: session.customer_email,
-            amount_total: session.amount_total,
-            currency: session.currency,
-          },
-          user_updated: true,
-          user_id: userId,
-          premium_expires_at: premiumExpiresAt.toISOString(),
-          stripe_customer_id: session.customer,
-          message: "Statut premium activé avec succès",
-        });
-      } else {
-        // === AUCUN UTILISATEUR TROUVÉ ===
-        console.log("❌ Aucun utilisateur trouvé pour ce paiement");
-
-        return res.status(200).json({
-          status: "complete",
-          session: {
-            id: session.id,
-            payment_status: session.payment_status,
-            customer_email: session.customer_email,
-            amount_total: session.amount_total,
-          },
-          user_updated: false,
-          error: "Utilisateur non trouvé",
-          message: "Paiement confirmé mais utilisateur non identifié",
-        });
-      }
-    } else {
-      // === PAIEMENT NON CONFIRMÉ ===
-      console.log("⏳ Paiement non finalisé, statut:", session.payment_status);
+    // === SESSION REFUSÉE (UTILISATEURS INCOHÉRENTS) ===
+    if (mismatch || payment?.status === PAYMENT_STATUSES.REJECTED) {
+      return res.status(200).json({
+        status: "rejected",
+        message:
+          "Ce paiement n'a pas pu être rattaché à votre compte. Contactez le support pour un remboursement.",
+      });
+    }
 
+    // === PAIEMENT NON RÉGLÉ ===
+    if (!isCheckoutSettled(session)) {
+      console.log("⏳ Paiement non finalisé, statut:", session.payment_status);
       return res.status(200).json({
         status: "pending",
-        session: {
-          id: session.id,
-          payment_status: session.payment_status,
-          customer_email: session.customer_email,
-        },
-        user_updated: false,
+        session: sessionInfo,
         message: `Paiement en cours: ${session.payment_status}`,
       });
     }
+
+    // === PREMIUM OFFERT : CODE CRÉÉ PAR LE WEBHOOK ? ===
+    if (session.metadata?.type === "gift") {
+      const { data: gift, error: giftError } =
+        await giftRepository.getBySession(session.id);
+      if (giftError) throw new Error(giftError);
+
+      return res.status(200).json(
+        gift
+          ? {
+              status: "complete",
+              session: sessionInfo,
+              gift: { code: gift.code, months: gift.months },
+              message: "Code cadeau créé",
+            }
+          : {
+              status: "processing",
+              session: sessionInfo,
+              message: "Paiement confirmé, création du code cadeau en cours",
+            }
+      );
+    }
+
+    // === ACTIVATION ENREGISTRÉE PAR LE WEBHOOK ? ===
+    const { data: userId, error } = await premiumService.getActivatedUserId(
+      session.id
+    );
+    if (error) throw new Error(error);
+
+    if (!userId) {
+      console.log("⏳ Paiement réglé, activation en attente du webhook");
+      return res.status(200).json({
+        status: "processing",
+        session: sessionInfo,
+        message: "Paiement confirmé, activation du premium en cours",
+      });
+    }
+
+    // === STATUT PREMIUM ACTUEL (LECTURE) ===
+    const { data: userRow, error: userError } = await supabaseAdmin
+      .from("user")
+      .select("is_premium, premium_expires_at")
+      .eq("id", userId)
+      .maybeSingle();
+    if (userError) throw new Error(userError.message);
+
+    const { isPremium, premiumExpiresAt } = resolveEntitlements(userRow);
+
+    return res.status(200).json({
+      status: "complete",
+      session: sessionInfo,
+      is_premium: isPremium,
+      premium_expires_at: premiumExpiresAt,
+      message: "Statut premium activé",
+    });
   } catch (error) {
     // === GESTION GLOBALE DES ERREURS ===
     console.error("💥 Erreur générale vérification session:", error);
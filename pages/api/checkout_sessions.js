@@ -2,24 +2,44 @@
  * API Route pour créer une session de paiement Stripe
  *
  * Cette API route gère la création de sessions de paiement Stripe pour l'achat premium.
- * Elle est appelée depuis la page d'accueil quand l'utilisateur clique sur "Acheter Premium".
+ * Elle est appelée depuis la page d'accueil quand l'utilisateur clique sur "S'abonner".
  *
  * Fonctionnalités :
- * - Création de session Stripe Checkout
- * - Configuration du produit premium (9,99€)
+ * - Création de session Stripe Checkout en mode abonnement
+ * - Formule mensuelle ou annuelle (Price ID STRIPE_PRICE_MONTHLY /
+ *   STRIPE_PRICE_YEARLY, prix définis dans Stripe)
+ * - Codes promotionnels Stripe saisis sur la page de paiement (abonnement)
+ * - Essai gratuit de STRIPE_TRIAL_DAYS jours pour un premier abonnement
+ * - Client Stripe existant réutilisé (stripe_customer_id) : factures et
+ *   moyen de paiement restent sur le même client ; sinon email pré-rempli
+ * - Nouvel abonnement refusé (409) tant qu'un abonnement est en cours
+ *   (active ou past_due) : il se gère depuis le portail client
+ * - Premium offert (type "gift") : paiement unique de 1 à 12 mois
+ *   (STRIPE_PRICE_GIFT_MONTH × mois), le webhook crée un code cadeau
  * - URLs de redirection (succès/annulation)
- * - Métadonnées utilisateur pour l'identification
+ * - Identification de l'utilisateur : client_reference_id et métadonnées
+ *   (session et abonnement), session enregistrée dans la table payments
+ *
+ * Le renouvellement est automatique : le webhook Stripe tient ensuite
+ * premium_expires_at à jour (lib/premium).
  *
  * Sécurité :
+ * - Utilisateur authentifié (jeton Supabase) : l'identité ne vient pas du
+ *   body ; un userId différent du compte connecté est refusé (403)
+ * - Le webhook ne crédite la session qu'à cet utilisateur, quel que soit
+ *   l'email saisi sur Stripe
  * - Validation des données utilisateur
  * - Vérification du format email
  * - Gestion d'erreurs complète
  *
  * Workflow :
- * 1. Réception des données utilisateur (ID + email)
- * 2. Validation des paramètres
+ * 1. Authentification, email de facturation (userEmail, sinon celui du
+ *    compte) et achat : abonnement (plan : "monthly" par défaut, ou
+ *    "yearly") ou premium offert (type : "gift", months : 1 à 12)
+ * 2. Validation des paramètres, client Stripe et abonnement en cours
  * 3. Création de la session Stripe
- * 4. Retour de l'URL de redirection
+ * 4. Enregistrement de la session (payments, statut pending)
+ * 5. Retour de l'URL de redirection
  *
  * @author Jean-Paul
  * @version 1.0.0
@@ -27,10 +47,141 @@
  */
 
 import Stripe from "stripe";
+import {
+  SUBSCRIPTION_PLANS,
+  createPremiumService,
+  getPlanPriceId,
+  getTrialDays,
+} from "../../lib/premium";
+import { GIFT_MONTHS, getGiftPriceId } from "../../lib/premiumGift";
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { requireUser } from "../../lib/apiAuth";
+import { createPaymentsRepository } from "../../lib/payments";
 
 // Initialisation du client Stripe avec la clé secrète
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
+const paymentsRepository = createPaymentsRepository(supabaseAdmin);
+const premiumService = createPremiumService(supabaseAdmin);
+
+// Réponse d'erreur de configuration (Price ID absent)
+const missingPrice = (envName, details) => {
+  console.error(`🔐 ${envName} manquant - ${details}`);
+  return {
+    status: 500,
+    body: { error: "Erreur de configuration", details },
+  };
+};
+
+/**
+ * Paramètres Stripe propres à l'achat demandé
+ * @param {Object} body - { type, plan, months }
+ * @param {string} userId - Compte connecté
+ * @param {Object} account - premiumService.getCheckoutAccount
+ * @returns {{ error: { status, body }|null, plan: string, params: Object,
+ *   metadata: Object }}
+ */
+const buildPurchase = (body, userId, account) => {
+  const { type = "subscription", plan = "monthly", months } = body;
+
+  // === PREMIUM OFFERT : PAIEMENT UNIQUE DE N MOIS ===
+  if (type === "gift") {
+    if (
+      !Number.isInteger(months) ||
+      months < GIFT_MONTHS.min ||
+      months > GIFT_MONTHS.max
+    ) {
+      return {
+        error: {
+          status: 400,
+          body: {
+            error: "Nombre de mois invalide",
+            details: `Entre ${GIFT_MONTHS.min} et ${GIFT_MONTHS.max} mois`,
+            received: months,
+          },
+        },
+      };
+    }
+
+    const priceId = getGiftPriceId();
+    if (!priceId) {
+      return {
+        error: missingPrice("STRIPE_PRICE_GIFT_MONTH", "Premium offert"),
+      };
+    }
+
+    return {
+      error: null,
+      plan: "gift",
+      metadata: { type: "gift", months: String(months) },
+      params: {
+        mode: "payment",
+        line_items: [{ price: priceId, quantity: months }],
+      },
+    };
+  }
+
+  // === ABONNEMENT MENSUEL OU ANNUEL ===
+  if (type !== "subscription" || !SUBSCRIPTION_PLANS[plan]) {
+    return {
+      error: {
+        status: 400,
+        body: {
+          error: "Formule inconnue",
+          allowed: [...Object.keys(SUBSCRIPTION_PLANS), "gift"],
+          received: type === "subscription" ? plan : type,
+        },
+      },
+    };
+  }
+
+  // Un seul abonnement à la fois (changement de formule : portail client)
+  if (account.hasOngoingSubscription) {
+    return {
+      error: {
+        status: 409,
+        body: {
+          error: "Abonnement déjà en cours",
+          details:
+            "Gérez votre abonnement depuis l'onglet Facturation de votre profil",
+        },
+      },
+    };
+  }
+
+  const priceId = getPlanPriceId(plan);
+  if (!priceId) {
+    return {
+      error: missingPrice(
+        SUBSCRIPTION_PLANS[plan].priceEnv,
+        "Formule d'abonnement non configurée"
+      ),
+    };
+  }
+
+  // Essai gratuit réservé au premier abonnement du compte
+  const trialDays = account.isFirstSubscription ? getTrialDays() : 0;
+
+  return {
+    error: null,
+    plan,
+    metadata: { plan, ...(trialDays && { trialDays: String(trialDays) }) },
+    params: {
+      // Abonnement renouvelé automatiquement
+      mode: "subscription",
+      line_items: [{ price: priceId, quantity: 1 }],
+      // Codes promotionnels créés dans Stripe (campagnes marketing) ;
+      // jamais sur le premium offert, dont le code doit avoir été payé
+      allow_promotion_codes: true,
+      // Recopiées sur l'abonnement : événements customer.subscription.*
+      subscription_data: {
+        metadata: { userId, plan },
+        ...(trialDays && { trial_period_days: trialDays }),
+      },
+    },
+  };
+};
+
 /**
  * Handler principal de l'API route
  *
@@ -44,20 +195,33 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: "Méthode non autorisée" });
   }
 
+  const user = await requireUser(req, res);
+  if (!user) return;
+
   try {
-    const { userId, userEmail } = req.body;
+    const userId = user.id;
+    const userEmail = req.body.userEmail || user.email;
 
-    console.log("🚀 Création session Stripe pour:", { userId, userEmail });
+    console.log("🚀 Création session Stripe pour:", {
+      userId,
+      userEmail,
+      type: req.body.type || "subscription",
+    });
 
-    // Validation des paramètres requis
-    if (!userId || !userEmail) {
-      console.log("❌ Paramètres manquants:", {
-        userId: !!userId,
-        userEmail: !!userEmail,
+    // Session ouverte pour le compte connecté uniquement
+    if (req.body.userId && req.body.userId !== userId) {
+      console.log("🚫 userId différent du compte connecté:", req.body.userId);
+      return res.status(403).json({
+        error: "Utilisateur non autorisé",
+        details: "La session doit être ouverte par le compte connecté",
       });
+    }
+
+    // Validation des paramètres requis
+    if (!userEmail) {
       return res.status(400).json({
-        error: "ID utilisateur et email requis",
-        details: "userId et userEmail sont obligatoires",
+        error: "Email requis",
+        details: "userEmail est obligatoire pour ce compte",
       });
     }
 
@@ -71,6 +235,17 @@ export default async function handler(req, res) {
       });
     }
 
+    // Client Stripe et abonnement en cours du compte connecté
+    const { data: account, error: accountError } =
+      await premiumService.getCheckoutAccount(userId);
+    if (accountError) throw new Error(accountError);
+
+    // Achat demandé : abonnement ou premium offert
+    const purchase = buildPurchase(req.body, userId, account);
+    if (purchase.error) {
+      return res.status(purchase.error.status).json(purchase.error.body);
+    }
+
     // Configuration de l'URL de base pour les redirections
     const baseUrl = process.env.NEXTAUTH_URL;
 
@@ -78,35 +253,24 @@ export default async function handler(req, res) {
 
     // Création de la session de paiement Stripe
     const session = await stripe.checkout.sessions.create({
-      // Mode de paiement unique (non récurrent)
-      mode: "payment",
-
-      // Configuration du produit premium
-      line_items: [
-        {
-          price_data: {
-            currency: "eur",
-            product_data: {
-              name: "Application Météo - Version Premium",
-              description:
-                "Accès premium pour 30 jours : favoris illimités, prévisions étendues, alertes personnalisées",
-            },
-            unit_amount: 999, // 9,99€ en centimes
-          },
-          quantity: 1,
-        },
-      ],
+      // Mode, prix et essai propres à l'achat (buildPurchase)
+      ...purchase.params,
+
+      // Utilisateur à créditer (vérifié par le webhook avec payments)
+      client_reference_id: userId,
 
       // Métadonnées pour identifier l'utilisateur après paiement
       metadata: {
         userId: userId,
         userEmail: userEmail,
-        purchaseType: "premium_monthly",
+        ...purchase.metadata,
         timestamp: new Date().toISOString(),
       },
 
-      // Email pré-rempli pour Stripe Checkout
-      customer_email: userEmail,
+      // Client Stripe du compte s'il existe, sinon email pré-rempli
+      ...(account.customerId
+        ? { customer: account.customerId }
+        : { customer_email: userEmail }),
 
       // URLs de redirection après paiement
       success_url: `${baseUrl}/success?session_id={CHECKOUT_SESSION_ID}`,
@@ -119,6 +283,10 @@ export default async function handler(req, res) {
       expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
     });
 
+    // Sans ligne payments, le webhook s'appuie sur client_reference_id
+    // et les métadonnées : la redirection vers Stripe reste possible
+    await paymentsRepository.recordCheckout(session, userId, purchase.plan);
+
     console.log("✅ Session Stripe créée:", {
       sessionId: session.id,
       url: session.url,
@@ -0,0 +1,99 @@
+/**
+ * API FAVORIS - EXPORT
+ *
+ * Télécharge les favoris de l'utilisateur dans leur ordre d'affichage.
+ *
+ * Endpoint supporté:
+ * - GET ?format=json|csv|geojson (json par défaut)
+ *
+ * Colonnes : ville, insee, lat, lon, label, note (lib/favorisTransfer).
+ * Les coordonnées manquantes sont complétées depuis l'API Géo (centre de
+ * la commune) : chaque point GeoJSON porte ainsi la position de la commune.
+ *
+ * Authentification:
+ * - Identique à /api/favoris (le cookie sb-access-token permet un simple
+ *   lien de téléchargement)
+ *
+ * Réponses:
+ * - 200: Fichier en pièce jointe (favoris-AAAA-MM-JJ.<format>)
+ * - 400: Format non supporté
+ * - 401: Jeton absent, invalide ou expiré
+ * - 405: Méthode non autorisée
+ * - 500: Erreur serveur
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { requireUser } from "../../../lib/apiAuth";
+import { communesService } from "../../../lib/communes";
+import {
+  createFavorisRepository,
+  sendRepositoryError,
+} from "../../../lib/favorisRepository";
+import {
+  FAVORIS_TRANSFER_FORMATS,
+  serializeFavoris,
+} from "../../../lib/favorisTransfer";
+
+const favorisRepository = createFavorisRepository(supabaseAdmin);
+
+// Compléter les coordonnées d'un favori depuis sa commune (code INSEE)
+const withCoordinates = async (favori) => {
+  if (
+    (Number.isFinite(favori.lat) && Number.isFinite(favori.lon)) ||
+    !favori.insee
+  ) {
+    return favori;
+  }
+
+  const { data: commune } = await communesService.getByCode(favori.insee);
+  return commune?.lat != null
+    ? { ...favori, lat: commune.lat, lon: commune.lon }
+    : favori;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["GET"],
+      received: req.method,
+    });
+  }
+
+  const format = req.query.format || "json";
+  if (!FAVORIS_TRANSFER_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: "Format non supporté",
+      allowed: FAVORIS_TRANSFER_FORMATS,
+      received: format,
+    });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  try {
+    const { data: favoris, error } = await favorisRepository.list(user.id);
+    if (error) return sendRepositoryError(res, error);
+
+    const complets = await Promise.all(favoris.map(withCoordinates));
+    const { body, contentType, extension } = serializeFavoris(complets, format);
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="favoris-${date}.${extension}"`
+    );
+    res.setHeader("Cache-Control", "private, no-store");
+
+    console.log(`📤 Export ${format}: ${complets.length} favoris`);
+    return res.status(200).send(body);
+  } catch (error) {
+    console.error("💥 Erreur API export favoris:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * API FAVORIS - GROUPES DE FAVORIS (PREMIUM)
+ *
+ * Gère les groupes nommés ("Bretagne", "Clients"...) qui organisent les
+ * villes favorites. Réservé aux comptes premium (lib/entitlements).
+ *
+ * Endpoints supportés:
+ * - GET: Liste des groupes de l'utilisateur
+ * - POST: Créer un groupe ({ name })
+ * - PATCH: Renommer un groupe ({ id, name })
+ * - DELETE: Supprimer un groupe ({ id }) ; ses favoris sont conservés
+ *   et redeviennent "sans groupe"
+ *
+ * Le rattachement d'un favori à un groupe se fait via
+ * PATCH /api/favoris ({ id, group_id }).
+ *
+ * Authentification:
+ * - Identique à /api/favoris (jeton d'accès Supabase)
+ *
+ * Réponses:
+ * - 200/201: { data: groupe(s) concerné(s), limits }
+ * - 400: Données invalides ou nom déjà utilisé
+ * - 401: Jeton absent, invalide ou expiré
+ * - 403: Offre gratuite
+ * - 404: Groupe introuvable pour cet utilisateur
+ * - 500: Erreur serveur
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { requireUser } from "../../../lib/apiAuth";
+import { canUseFavorisGroups } from "../../../lib/entitlements";
+import {
+  createFavorisRepository,
+  sendRepositoryError,
+} from "../../../lib/favorisRepository";
+import {
+  favoriGroupCreateSchema,
+  favoriGroupDeleteSchema,
+  favoriGroupUpdateSchema,
+} from "../../../lib/validations";
+
+const favorisRepository = createFavorisRepository(supabaseAdmin);
+
+// Réponse 400 homogène pour les erreurs de validation zod
+const invalid = (res, validation) =>
+  res.status(400).json({
+    error: "Données invalides",
+    details: validation.error.flatten().fieldErrors,
+  });
+
+export default async function handler(req, res) {
+  const { method } = req;
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const userId = user.id;
+
+  try {
+    // === DROITS DE L'UTILISATEUR ===
+    const { entitlements, limits } = await favorisRepository.getLimits(userId);
+
+    if (!canUseFavorisGroups(entitlements)) {
+      return res.status(403).json({
+        error: "Les groupes de favoris sont réservés aux comptes Premium",
+        limits,
+      });
+    }
+
+    // Résultat du dépôt → réponse JSON (status : 200 ou 201)
+    const respond = ({ data, error }, status = 200) =>
+      error
+        ? sendRepositoryError(res, error)
+        : res.status(status).json({ data, limits });
+
+    switch (method) {
+      // -------------------------------
+      // GET - LISTE DES GROUPES
+      // -------------------------------
+      case "GET":
+        return respond(await favorisRepository.listGroups(userId));
+
+      // -------------------------------
+      // POST - CRÉER UN GROUPE
+      // -------------------------------
+      case "POST": {
+        const validation = favoriGroupCreateSchema.safeParse(req.body || {});
+        if (!validation.success) return invalid(res, validation);
+
+        const result = await favorisRepository.createGroup(
+          userId,
+          validation.data.name
+        );
+        if (result.data) console.log("✅ Groupe créé:", result.data);
+        return respond(result, 201);
+      }
+
+      // -------------------------------
+      // PATCH - RENOMMER UN GROUPE
+      // -------------------------------
+      case "PATCH": {
+        const validation = favoriGroupUpdateSchema.safeParse(req.body || {});
+        if (!validation.success) return invalid(res, validation);
+
+        const { id, name } = validation.data;
+        return respond(await favorisRepository.renameGroup(userId, id, name));
+      }
+
+      // -------------------------------
+      // DELETE - SUPPRIMER UN GROUPE
+      // -------------------------------
+      case "DELETE": {
+        const validation = favoriGroupDeleteSchema.safeParse(req.body || {});
+        if (!validation.success) return invalid(res, validation);
+
+        const result = await favorisRepository.deleteGroup(
+          userId,
+          validation.data.id
+        );
+        if (result.data) console.log("🗑️ Groupe supprimé:", result.data);
+        return respond(result);
+      }
+
+      default:
+        return res.status(405).json({
+          error: "Méthode non autorisée",
+          allowed_methods: ["GET", "POST", "PATCH", "DELETE"],
+          received: method,
+        });
+    }
+  } catch (error) {
+    console.error("💥 Erreur API groupes de favoris:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * API FAVORIS - IMPORT
+ *
+ * Importe une liste de villes (ex. liste de sites tenue dans un tableur)
+ * et renvoie un rapport ligne par ligne.
+ *
+ * Endpoint supporté:
+ * - POST ?format=json|csv|geojson (json par défaut)
+ *   - csv : corps text/csv, en-tête ville,insee,lat,lon,label,note
+ *     (séparateur "," ou ";", colonnes facultatives sauf ville ou insee)
+ *   - json : tableau de lignes ou { favoris: [...] } (format d'export)
+ *   - geojson : FeatureCollection de points (propriétés = colonnes)
+ *
+ * Pour chaque ligne:
+ * 1. Validation zod (favoriImportRowSchema)
+ * 2. Résolution de la commune : code INSEE, sinon coordonnées, sinon nom
+ * 3. Commune déjà en favori → libellé/note mis à jour ("updated" ou
+ *    "unchanged") ; sinon ajout ("created") dans la limite de l'offre
+ * Rien n'est supprimé : réimporter le même fichier est sans effet.
+ *
+ * Réponses:
+ * - 200: { data: { results: [{ row, status, ville, insee, error }],
+ *   summary }, limits } ; row = numéro de ligne de données (1 = première)
+ * - 400: Format non supporté, fichier illisible ou trop de lignes
+ * - 401: Jeton absent, invalide ou expiré
+ * - 405: Méthode non autorisée
+ * - 500: Erreur serveur
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { requireUser } from "../../../lib/apiAuth";
+import { communesService, isSameFavoriCommune } from "../../../lib/communes";
+import {
+  createFavorisRepository,
+  sendRepositoryError,
+} from "../../../lib/favorisRepository";
+import {
+  FAVORIS_TRANSFER_FORMATS,
+  parseFavorisImport,
+} from "../../../lib/favorisTransfer";
+import { favoriImportRowSchema } from "../../../lib/validations";
+
+const favorisRepository = createFavorisRepository(supabaseAdmin);
+
+// Nombre maximal de lignes par import
+const MAX_IMPORT_ROWS = 200;
+
+// Résolutions simultanées auprès de l'API Géo
+const RESOLVE_CONCURRENCY = 10;
+
+/**
+ * Trouver la commune d'une ligne validée
+ * @returns {Promise<{ data: Object|null, error: string|null }>}
+ */
+const resolveCommune = async ({ ville, insee, lat, lon }) => {
+  if (insee) {
+    const { data } = await communesService.getByCode(insee);
+    return data
+      ? { data, error: null }
+      : { data: null, error: `Code INSEE inconnu : ${insee}` };
+  }
+
+  if (Number.isFinite(lat) && Number.isFinite(lon)) {
+    const { data, error } = await communesService.findByCoordinates(lat, lon);
+    return data ? { data, error: null } : { data: null, error };
+  }
+
+  // Nom seul : commune la plus peuplée portant ce nom
+  const { data, error } = await communesService.search(ville, { limit: 1 });
+  if (error) return { data: null, error };
+  return data.length
+    ? { data: data[0], error: null }
+    : { data: null, error: `Commune introuvable : ${ville}` };
+};
+
+// Validation puis résolution d'une ligne
+const prepareRow = async (raw, index) => {
+  const validation = favoriImportRowSchema.safeParse(raw ?? {});
+  if (!validation.success) {
+    const details = Object.values(
+      validation.error.flatten().fieldErrors
+    ).flat();
+    return {
+      row: index + 1,
+      error: details[0] || validation.error.issues[0]?.message,
+    };
+  }
+
+  const { data: commune, error } = await resolveCommune(validation.data);
+  return { row: index + 1, values: validation.data, commune, error };
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["POST"],
+      received: req.method,
+    });
+  }
+
+  const format = req.query.format || "json";
+  if (!FAVORIS_TRANSFER_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: "Format non supporté",
+      allowed: FAVORIS_TRANSFER_FORMATS,
+      received: format,
+    });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const userId = user.id;
+
+  const { rows, error: parseError } = parseFavorisImport(format, req.body);
+  if (parseError) {
+    return res.status(400).json({ error: parseError });
+  }
+  if (rows.length === 0) {
+    return res.status(400).json({ error: "Aucune ligne à importer" });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      error: `${MAX_IMPORT_ROWS} lignes maximum par import`,
+      received_count: rows.length,
+    });
+  }
+
+  try {
+    const { entitlements, limits } = await favorisRepository.getLimits(userId);
+
+    const { data: existing, error: listError } =
+      await favorisRepository.list(userId);
+    if (listError) return sendRepositoryError(res, listError);
+
+    // === VALIDATION ET RÉSOLUTION (par paquets) ===
+    const prepared = [];
+    for (let i = 0; i < rows.length; i += RESOLVE_CONCURRENCY) {
+      const chunk = rows.slice(i, i + RESOLVE_CONCURRENCY);
+      prepared.push(
+        ...(await Promise.all(
+          chunk.map((raw, offset) => prepareRow(raw, i + offset))
+        ))
+      );
+    }
+
+    // === RAPPROCHEMENT AVEC LES FAVORIS EXISTANTS (dans l'ordre) ===
+    const results = [];
+    const toCreate = [];
+    const toUpdate = [];
+
+    prepared.forEach(({ row, values, commune, error }) => {
+      if (error) {
+        results.push({ row, status: "error", error });
+        return;
+      }
+
+      const result = { row, ville: commune.nom, insee: commune.code };
+      results.push(result);
+
+      const favori = {
+        ville: commune.nom,
+        insee: commune.code,
+        lat: commune.lat,
+        lon: commune.lon,
+        label: values.label,
+        note: values.note,
+      };
+      const match = existing.find((f) => isSameFavoriCommune(f, favori));
+      if (!match) {
+        toCreate.push({ favori, result });
+        return;
+      }
+
+      // Déjà présente : seuls le libellé et la note fournis sont repris
+      const changes = {};
+      if (values.label !== undefined && values.label !== match.label) {
+        changes.label = values.label;
+      }
+      if (values.note !== undefined && values.note !== match.note) {
+        changes.note = values.note;
+      }
+
+      if (Object.keys(changes).length === 0) {
+        result.status = "unchanged";
+      } else {
+        Object.assign(match, changes);
+        toUpdate.push({ id: match.id, changes, result });
+        result.status = "updated";
+      }
+    });
+
+    // === NOUVEAUX FAVORIS (doublons du fichier et limite : dépôt) ===
+    if (toCreate.length > 0) {
+      const { data, error } = await favorisRepository.addMany(
+        userId,
+        toCreate.map(({ favori }) => favori),
+        entitlements
+      );
+      const resultOf = new Map(
+        toCreate.map(({ favori, result }) => [favori, result])
+      );
+
+      if (error) {
+        toCreate.forEach(({ result }) =>
+          Object.assign(result, { status: "error", error: error.message })
+        );
+      } else {
+        data.accepted.forEach((f) => {
+          resultOf.get(f).status = "created";
+        });
+        // Commune présente plusieurs fois dans le fichier
+        data.duplicates.forEach((f) => {
+          resultOf.get(f).status = "unchanged";
+        });
+        data.overflow.forEach((f) =>
+          Object.assign(resultOf.get(f), {
+            status: "error",
+            error: `Limite de ${limits.maxFavoris} favoris atteinte`,
+          })
+        );
+      }
+    }
+
+    const updates = await Promise.all(
+      toUpdate.map(({ id, changes }) =>
+        favorisRepository.update(userId, id, changes, entitlements)
+      )
+    );
+    updates.forEach(({ error }, index) => {
+      if (error) {
+        Object.assign(toUpdate[index].result, {
+          status: "error",
+          error: error.message,
+        });
+      }
+    });
+
+    const summary = results.reduce(
+      (counts, { status }) => ({
+        ...counts,
+        [status]: counts[status] + 1,
+      }),
+      { created: 0, updated: 0, unchanged: 0, error: 0 }
+    );
+
+    console.log(`📥 Import ${format}:`, summary);
+    return res.status(200).json({ data: { results, summary }, limits });
+  } catch (error) {
+    console.error("💥 Erreur API import favoris:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
@@ -3,30 +3,62 @@
  *
  * Cette API gère toutes les opérations CRUD pour les villes favorites.
  * Elle implémente la logique métier pour la limitation des favoris
- * (3 villes max pour utilisateurs gratuits).
+ * selon l'offre de l'utilisateur (lib/entitlements : 3 villes en gratuit,
+ * illimité en premium tant que premium_expires_at n'est pas dépassé).
  *
  * Endpoints supportés:
  * - GET: Récupérer la liste des favoris d'un utilisateur
- * - POST: Ajouter une nouvelle ville aux favoris
+ * - POST: Ajouter une nouvelle ville aux favoris (ajoutée en fin de liste)
+ * - PATCH: Modifier le libellé, la note et/ou le groupe d'un favori
  * - DELETE: Supprimer une ville des favoris
+ * (réordonnancement : voir /api/favoris/reorder)
+ *
+ * Authentification:
+ * - Jeton d'accès Supabase : en-tête "Authorization: Bearer <jeton>"
+ *   ou cookie sb-access-token
+ * - L'utilisateur est déduit du jeton (un userId envoyé est ignoré)
  *
  * Paramètres:
- * - userId (string): Identifiant unique de l'utilisateur
  * - ville (string): Nom de la ville (pour POST/DELETE)
+ * - insee (string): Code INSEE de la commune (POST, optionnel)
+ * - lat, lon (number): Coordonnées de la commune (POST, optionnel)
+ * - id (string): Identifiant du favori (PATCH/DELETE)
+ * - label (string|null): Libellé personnalisé, 60 caractères max (PATCH)
+ * - note (string|null): Note libre, 500 caractères max (PATCH)
+ * - group_id (string|null): Groupe du favori, premium uniquement (PATCH)
  *
  * Réponses:
  * - 200: Succès avec données
+ *   - data: favori(s) concerné(s)
+ *   - limits: { plan, maxFavoris, favorisGroups } applicables
+ *     (maxFavoris null = illimité)
  * - 400: Erreur de validation (limite atteinte, doublon, etc.)
+ * - 401: Jeton absent, invalide ou expiré
+ * - 403: Groupes de favoris réservés au premium (PATCH group_id)
+ * - 404: Favori introuvable pour cet utilisateur (PATCH/DELETE)
  * - 500: Erreur serveur
  * - 503: Table non configurée
  *
+ * Règles métier (doublons sans casse ni accents, limite, ordre) :
+ * lib/favorisRepository, partagé par toutes les API favoris.
+ *
  * Sécurité:
- * - Utilise supabaseAdmin pour contourner RLS
+ * - Utilise supabaseAdmin pour contourner RLS : chaque requête est donc
+ *   explicitement restreinte à l'utilisateur authentifié (user_id)
  * - Validation des paramètres d'entrée
  * - Gestion des erreurs SQL appropriée
  */
 
 import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { INSEE_REGEX } from "../../../lib/communes";
+import { requireUser } from "../../../lib/apiAuth";
+import {
+  createFavorisRepository,
+  sendRepositoryError,
+} from "../../../lib/favorisRepository";
+import { favoriUpdateSchema } from "../../../lib/validations";
+
+const favorisRepository = createFavorisRepository(supabaseAdmin);
 
 export default async function handler(req, res) {
   // Logs de debug pour tracer les requêtes
@@ -37,71 +69,45 @@ export default async function handler(req, res) {
 
   const { method } = req;
 
+  // === AUTHENTIFICATION ===
+  // Identité issue du jeton Supabase, jamais des paramètres de la requête
+  const user = await requireUser(req, res);
+  if (!user) {
+    console.log("❌ Requête favoris non authentifiée");
+    return;
+  }
+  const userId = user.id;
+
   try {
     // === VÉRIFICATION DE L'EXISTENCE DE LA TABLE ===
     // Essentiel pour éviter les erreurs si la base n'est pas configurée
     console.log("1. Test existence table favorie...");
-    const { data: testData, error: testError } = await supabaseAdmin
-      .from("favorie")
-      .select("id")
-      .limit(1);
-
-    // Gestion spécifique de l'erreur "table inexistante"
-    if (testError && testError.code === "PGRST116") {
-      console.log("2. ⚠️ Table favorie n'existe pas");
-      return res.status(503).json({
-        error: "Setup required",
-        message: "La table favorie doit être créée dans Supabase",
-        needsSetup: true,
-      });
-    }
-
-    // Gestion des autres erreurs de base de données
-    if (testError) {
-      console.error("3. Erreur inattendue:", testError);
-      return res.status(500).json({ error: testError.message });
+    const { error: setupError } = await favorisRepository.checkSetup();
+    if (setupError) {
+      console.log("2. ⚠️ Table favorie indisponible:", setupError.message);
+      return sendRepositoryError(res, setupError);
     }
 
     console.log("2. ✅ Table favorie existe");
 
+    // === DROITS DE L'UTILISATEUR ===
+    // Limites renvoyées avec chaque réponse pour piloter l'interface
+    const { entitlements, limits } = await favorisRepository.getLimits(userId);
+
     // === ROUTAGE SELON LA MÉTHODE HTTP ===
     switch (method) {
       // -------------------------------
       // GET - RÉCUPÉRER LES FAVORIS
       // -------------------------------
       case "GET": {
-        // Récupération de l'ID utilisateur depuis les paramètres de requête
-        const { userId } = req.query;
-
         console.log("3. 📖 GET favoris pour userId:", userId);
 
-        // Préparation de la requête de base avec tri chronologique
-        let query = supabaseAdmin
-          .from("favorie")
-          .select("*")
-          .order("created_at", { ascending: false }); // Plus récent en premier
+        // Favoris de l'utilisateur authentifié dans son ordre personnalisé
+        const { data: favoris, error } = await favorisRepository.list(userId);
+        if (error) return sendRepositoryError(res, error);
 
-        // Si userId est fourni, filtrer par utilisateur spécifique
-        if (userId) {
-          query = query.eq("user_id", userId);
-        }
-
-        // Exécution de la requête
-        const { data: favoris, error: getFavorisError } = await query;
-
-        // Gestion d'erreur base de données
-        if (getFavorisError) {
-          console.error("4. Erreur GET:", getFavorisError);
-          return res.status(500).json({ error: getFavorisError.message });
-        }
-
-        // Retour des données avec logs de debug
-        console.log(
-          "5. ✅ GET réussi:",
-          favoris?.length || 0,
-          "favoris trouvés"
-        );
-        return res.status(200).json({ data: favoris || [] });
+        console.log("5. ✅ GET réussi:", favoris.length, "favoris trouvés");
+        return res.status(200).json({ data: favoris, limits });
       }
 
       // -------------------------------
@@ -109,79 +115,79 @@ export default async function handler(req, res) {
       // -------------------------------
       case "POST": {
         // Extraction des paramètres depuis le body de la requête
-        const { userId: postUserId, ville } = req.body;
+        const { ville, insee, lat, lon } = req.body;
 
         // Validation des paramètres obligatoires
         if (!ville) {
           console.log("6. ❌ Paramètre ville manquant");
           return res.status(400).json({
             error: "ville requise",
-            received: { postUserId, ville },
+            received: { ville },
           });
         }
 
-        console.log("7. ➕ POST nouveau favori:", { postUserId, ville });
-
-        // === VÉRIFICATION DE LA LIMITE (3 FAVORIS MAX) ===
-        // Uniquement si un userId est fourni (utilisateur connecté)
-        if (postUserId) {
-          console.log("8. 🔍 Vérification limite pour userId:", postUserId);
+        // Validation de l'identité de la commune si fournie
+        if (insee && !INSEE_REGEX.test(insee)) {
+          return res.status(400).json({
+            error: "Code INSEE invalide",
+            received: { insee },
+          });
+        }
 
-          // Comptage des favoris existants pour cet utilisateur
-          const { data: existingFavoris, error: countError } =
-            await supabaseAdmin
-              .from("favorie")
-              .select("id")
-              .eq("user_id", postUserId);
+        console.log("7. ➕ POST nouveau favori:", { userId, ville, insee });
 
-          if (countError) {
-            console.error("9. Erreur comptage favoris:", countError);
-            return res.status(500).json({ error: countError.message });
-          }
+        // Doublon et limite de l'offre vérifiés par le dépôt
+        const { data: newFavori, error } = await favorisRepository.add(
+          userId,
+          { ville, insee, lat, lon },
+          entitlements
+        );
 
-          // Vérification de la limite des 3 favoris
-          if (existingFavoris && existingFavoris.length >= 3) {
-            console.log("10. ⚠️ Limite de 3 favoris atteinte");
-            return res.status(400).json({
-              error: "Limite de 3 favoris atteinte",
-              current_count: existingFavoris.length,
-              max_allowed: 3,
-            });
-          }
+        if (error) {
+          console.log("8. ⚠️ Ajout refusé:", error.message);
+          return sendRepositoryError(res, error, { limits });
         }
 
-        // === PRÉPARATION DES DONNÉES À INSÉRER ===
-        const insertData = { ville };
-        if (postUserId) {
-          insertData.user_id = postUserId;
-        }
+        console.log("9. ✅ POST réussi:", newFavori);
+        return res.status(201).json({ data: newFavori, limits });
+      }
 
-        console.log("11. 💾 Insertion nouveau favori:", insertData);
+      // -------------------------------
+      // PATCH - LIBELLÉ, NOTE ET GROUPE D'UN FAVORI
+      // -------------------------------
+      case "PATCH": {
+        // Validation côté serveur (longueurs, texte vide = effacement)
+        const validation = favoriUpdateSchema.safeParse(req.body || {});
+        if (!validation.success) {
+          console.log("10. ❌ Modification invalide");
+          return res.status(400).json({
+            error: "Données invalides",
+            details: validation.error.flatten().fieldErrors,
+          });
+        }
 
-        // === INSERTION DU NOUVEAU FAVORI ===
-        const { data: newFavori, error: addError } = await supabaseAdmin
-          .from("favorie")
-          .insert([insertData])
-          .select()
-          .single();
+        // Seuls les champs envoyés sont modifiés
+        const { id: updateId, ...changes } = validation.data;
+        const updateData = Object.fromEntries(
+          Object.entries(changes).filter(([, value]) => value !== undefined)
+        );
 
-        // Gestion des erreurs d'insertion
-        if (addError) {
-          console.error("12. Erreur ajout:", addError);
+        console.log("11. ✏️ PATCH favori:", { userId, updateId, updateData });
 
-          // Gestion spécifique de l'erreur de contrainte unique (doublon)
-          if (addError.code === "23505") {
-            return res.status(400).json({
-              error: "Cette ville est déjà en favoris",
-              ville: ville,
-            });
-          }
+        const { data: updatedFavori, error } = await favorisRepository.update(
+          userId,
+          updateId,
+          updateData,
+          entitlements
+        );
 
-          return res.status(500).json({ error: addError.message });
+        if (error) {
+          console.log("12. ⚠️ Modification refusée:", error.message);
+          return sendRepositoryError(res, error, { limits });
         }
 
-        console.log("13. ✅ POST réussi:", newFavori);
-        return res.status(201).json({ data: newFavori });
+        console.log("13. ✅ PATCH réussi:", updatedFavori);
+        return res.status(200).json({ data: updatedFavori, limits });
       }
 
       // -------------------------------
@@ -189,72 +195,47 @@ export default async function handler(req, res) {
       // -------------------------------
       case "DELETE": {
         // Extraction des paramètres de suppression
-        const {
-          userId: deleteUserId,
-          ville: deleteVille,
-          id: deleteId,
-        } = req.body;
+        const { ville: deleteVille, id: deleteId } = req.body;
 
         // Validation : au moins un critère de suppression requis
         if (!deleteVille && !deleteId) {
           console.log("14. ❌ Critères de suppression manquants");
           return res.status(400).json({
             error: "ville ou id requis pour la suppression",
-            received: { deleteUserId, deleteVille, deleteId },
+            received: { deleteVille, deleteId },
           });
         }
 
         console.log("15. 🗑️ DELETE favori:", {
-          deleteUserId,
+          userId,
           deleteVille,
           deleteId,
         });
 
-        // === CONSTRUCTION DE LA REQUÊTE DE SUPPRESSION ===
-        let deleteQuery = supabaseAdmin.from("favorie").delete();
-
-        // Suppression par ID (plus précis)
-        if (deleteId) {
-          deleteQuery = deleteQuery.eq("id", deleteId);
-        } else {
-          // Suppression par nom de ville
-          deleteQuery = deleteQuery.eq("ville", deleteVille);
-
-          // Filtrage additionnel par utilisateur si fourni
-          if (deleteUserId) {
-            deleteQuery = deleteQuery.eq("user_id", deleteUserId);
-          }
-        }
-
-        // Exécution de la suppression avec retour des données supprimées
-        const { data: deletedFavori, error: deleteError } = await deleteQuery
-          .select()
-          .single();
-
-        // Gestion des erreurs de suppression
-        if (deleteError) {
-          console.error("16. Erreur suppression:", deleteError);
-          return res.status(500).json({ error: deleteError.message });
-        }
+        // Par id (plus précis) ou par nom de ville ; un favori d'un autre
+        // utilisateur donne 404
+        const { data: deletedFavori, error } = await favorisRepository.remove(
+          userId,
+          { id: deleteId, ville: deleteVille }
+        );
 
-        // Vérification que quelque chose a été supprimé
-        if (!deletedFavori) {
-          console.log("17. ⚠️ Aucun favori trouvé à supprimer");
-          return res.status(404).json({ error: "Favori non trouvé" });
+        if (error) {
+          console.log("16. ⚠️ Suppression impossible:", error.message);
+          return sendRepositoryError(res, error);
         }
 
-        console.log("18. ✅ DELETE réussi:", deletedFavori);
-        return res.status(200).json({ data: deletedFavori });
+        console.log("17. ✅ DELETE réussi:", deletedFavori);
+        return res.status(200).json({ data: deletedFavori, limits });
       }
 
       // -------------------------------
       // MÉTHODE NON SUPPORTÉE
       // -------------------------------
       default:
-        console.log("19. ❌ Méthode non autorisée:", method);
+        console.log("18. ❌ Méthode non autorisée:", method);
         return res.status(405).json({
           error: "Méthode non autorisée",
-          allowed_methods: ["GET", "POST", "DELETE"],
+          allowed_methods: ["GET", "POST", "PATCH", "DELETE"],
           received: method,
         });
     }
@@ -0,0 +1,83 @@
+/**
+ * API FAVORIS - FUSION DES FAVORIS LOCAUX
+ *
+ * Appelée à la connexion (SIGNED_IN) pour importer dans le compte les
+ * favoris enregistrés sur l'appareil par un visiteur non connecté.
+ *
+ * Endpoint supporté:
+ * - POST: { favoris: [{ ville, insee, lat, lon, label, note }] }
+ *
+ * Règles (identiques à POST /api/favoris, lib/favorisRepository):
+ * - Doublon : même code INSEE, sinon même nom sans casse ni accents → ignoré
+ * - Limite de l'offre : les favoris en trop sont refusés, pas tronqués
+ *   en silence, et renvoyés dans `overflow`
+ *
+ * Réponses:
+ * - 200: { data: { added, duplicates, overflow }, limits }
+ * - 400: Données invalides
+ * - 401: Jeton absent, invalide ou expiré
+ * - 405: Méthode non autorisée
+ * - 500: Erreur serveur
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { requireUser } from "../../../lib/apiAuth";
+import {
+  createFavorisRepository,
+  sendRepositoryError,
+} from "../../../lib/favorisRepository";
+import { favorisMergeSchema } from "../../../lib/validations";
+
+const favorisRepository = createFavorisRepository(supabaseAdmin);
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["POST"],
+      received: req.method,
+    });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const userId = user.id;
+
+  const validation = favorisMergeSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Données invalides",
+      details: validation.error.flatten().fieldErrors,
+    });
+  }
+
+  try {
+    const { entitlements, limits } = await favorisRepository.getLimits(userId);
+
+    const { data, error } = await favorisRepository.addMany(
+      userId,
+      validation.data.favoris,
+      entitlements
+    );
+    if (error) return sendRepositoryError(res, error);
+
+    const { added, duplicates, overflow } = data;
+    console.log("✅ Fusion favoris locaux:", {
+      userId,
+      added: added.length,
+      duplicates: duplicates.length,
+      overflow: overflow.length,
+    });
+
+    return res.status(200).json({
+      data: { added, duplicates, overflow },
+      limits,
+    });
+  } catch (error) {
+    console.error("💥 Erreur API fusion favoris:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
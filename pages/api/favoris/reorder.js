@@ -0,0 +1,73 @@
+/**
+ * API FAVORIS - RÉORDONNANCEMENT
+ *
+ * Enregistre l'ordre personnalisé des villes favorites (glisser-déposer).
+ *
+ * Endpoint supporté:
+ * - PATCH: { ids } liste complète des favoris dans le nouvel ordre
+ *
+ * Authentification:
+ * - Identique à /api/favoris (jeton d'accès Supabase)
+ *
+ * Réponses:
+ * - 200: { data: favoris dans le nouvel ordre, limits }
+ * - 400: Liste invalide, incomplète ou contenant un favori d'un autre compte
+ * - 401: Jeton absent, invalide ou expiré
+ * - 405: Méthode non autorisée
+ * - 409: Favori ajouté ou supprimé entre-temps (liste à recharger)
+ * - 500: Erreur serveur
+ * L'ordre est enregistré en une seule instruction (fonction SQL
+ * reorder_favoris) : en cas d'erreur, l'ordre enregistré reste inchangé.
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { requireUser } from "../../../lib/apiAuth";
+import {
+  createFavorisRepository,
+  sendRepositoryError,
+} from "../../../lib/favorisRepository";
+import { favorisReorderSchema } from "../../../lib/validations";
+
+const favorisRepository = createFavorisRepository(supabaseAdmin);
+
+export default async function handler(req, res) {
+  if (req.method !== "PATCH") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["PATCH"],
+      received: req.method,
+    });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+  const userId = user.id;
+
+  const validation = favorisReorderSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Données invalides",
+      details: validation.error.flatten().fieldErrors,
+    });
+  }
+
+  try {
+    // La liste doit contenir exactement les favoris de l'utilisateur
+    const { data: favoris, error } = await favorisRepository.reorder(
+      userId,
+      validation.data.ids
+    );
+    if (error) return sendRepositoryError(res, error);
+
+    const { limits } = await favorisRepository.getLimits(userId);
+
+    console.log("✅ Favoris réordonnés pour userId:", userId);
+    return res.status(200).json({ data: favoris, limits });
+  } catch (error) {
+    console.error("💥 Erreur API réordonnancement:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
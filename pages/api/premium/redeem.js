@@ -0,0 +1,101 @@
+/**
+ * API PREMIUM - UTILISATION D'UN CODE CADEAU
+ *
+ * Ajoute au compte connecté les mois offerts par un code cadeau
+ * (premium_gift). Chaque code n'est utilisable qu'une fois, par n'importe
+ * quel compte : deux demandes simultanées ne peuvent pas le créditer deux
+ * fois (réservation atomique, lib/premiumGift).
+ *
+ * Endpoint supporté:
+ * - POST: { code } (casse, espaces et tirets indifférents)
+ *
+ * Authentification:
+ * - Jeton d'accès Supabase (Authorization: Bearer ou cookie sb-access-token)
+ *
+ * Réponses:
+ * - 200: { months, premium_expires_at } - Premium prolongé
+ * - 400: Code absent ou mal formé
+ * - 401: Jeton absent, invalide ou expiré
+ * - 404: Code inconnu
+ * - 405: Méthode non autorisée
+ * - 409: Code déjà utilisé ou annulé, abonnement en cours ou premium
+ *   permanent (le code reste alors utilisable)
+ * - 500: Erreur serveur
+ */
+
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { requireUser } from "../../../lib/apiAuth";
+import { createPremiumService } from "../../../lib/premium";
+import { normalizeGiftCode } from "../../../lib/premiumGift";
+import { giftRedeemSchema } from "../../../lib/validations";
+
+const premiumService = createPremiumService(supabaseAdmin);
+
+// Refus : statut HTTP et message par statut du service premium
+const REDEEM_ERRORS = {
+  not_found: { status: 404, error: "Code cadeau inconnu" },
+  redeemed_already: { status: 409, error: "Code cadeau déjà utilisé" },
+  revoked: { status: 409, error: "Code cadeau annulé" },
+  subscription_active: {
+    status: 409,
+    error:
+      "Abonnement en cours : résiliez-le ou utilisez le code à la fin de l'abonnement",
+  },
+  premium_permanent: {
+    status: 409,
+    error: "Votre compte bénéficie déjà d'un premium sans limite de durée",
+  },
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["POST"],
+      received: req.method,
+    });
+  }
+
+  const user = await requireUser(req, res);
+  if (!user) return;
+
+  const validation = giftRedeemSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    return res.status(400).json({
+      error: "Données invalides",
+      details: validation.error.flatten().fieldErrors,
+    });
+  }
+
+  try {
+    const { data, error } = await premiumService.redeemGift(
+      normalizeGiftCode(validation.data.code),
+      user.id
+    );
+    if (error) {
+      return res.status(500).json({
+        error: "Erreur lors de l'utilisation du code",
+        details: error,
+      });
+    }
+
+    const refusal = REDEEM_ERRORS[data.status];
+    if (refusal) {
+      return res.status(refusal.status).json({
+        error: refusal.error,
+        reason: data.status,
+      });
+    }
+
+    return res.status(200).json({
+      months: data.months,
+      premium_expires_at: data.premiumExpiresAt,
+    });
+  } catch (error) {
+    console.error("💥 Erreur utilisation code cadeau:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
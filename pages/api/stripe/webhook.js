@@ -0,0 +1,158 @@
+/**
+ * API WEBHOOK STRIPE - SOURCE DE VÉRITÉ DU PREMIUM
+ *
+ * Stripe appelle cette route à chaque événement de paiement, que
+ * l'utilisateur revienne ou non sur la page de succès.
+ *
+ * Endpoint supporté:
+ * - POST: événement Stripe signé (en-tête stripe-signature)
+ *
+ * Événements traités (lib/premium):
+ * - checkout.session.completed : premium activé (paiement réglé
+ *   uniquement) et abonnement rattaché à l'utilisateur qui a ouvert la
+ *   session ; session refusée si ses identifiants désignent des
+ *   utilisateurs différents (payments.status = rejected) ; premium offert :
+ *   code cadeau créé (premium_gift) pour un paiement encaissé uniquement
+ * - checkout.session.async_payment_succeeded : idem pour un paiement différé
+ * - checkout.session.async_payment_failed : session marquée failed
+ * - customer.subscription.created / updated / deleted : statut (active,
+ *   past_due, canceled) et expiration alignée sur la période payée
+ * - invoice.paid : période prolongée ; invoice.payment_failed : premium
+ *   conservé pendant le délai de grâce
+ * - charge.refunded : remboursement complet d'un paiement unique, période
+ *   achetée retirée (premium offert : code annulé s'il est inutilisé)
+ * Les autres types sont acquittés sans traitement.
+ *
+ * Idempotence:
+ * - Chaque événement est enregistré dans stripe_event avant traitement ;
+ *   un événement déjà enregistré est acquitté sans être réappliqué
+ * - En cas d'échec, l'enregistrement est retiré et la route répond 500 :
+ *   Stripe renverra l'événement
+ *
+ * Réponses:
+ * - 200: { received: true, ... } (traité, ignoré ou déjà traité)
+ * - 400: Signature absente ou invalide
+ * - 405: Méthode non autorisée
+ * - 500: Webhook non configuré ou erreur de traitement
+ */
+
+import { stripe } from "../../../lib/stripe";
+import { supabaseAdmin } from "../../../lib/supabaseAdmin";
+import { createPremiumService } from "../../../lib/premium";
+
+// Signature calculée sur le corps brut : analyse JSON de Next.js désactivée
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const premiumService = createPremiumService(supabaseAdmin);
+
+// Corps brut de la requête
+const readRawBody = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Traitement par type d'événement ({ data, error })
+const EVENT_HANDLERS = {
+  "checkout.session.completed": (event) =>
+    premiumService.activateFromCheckout(event),
+  "checkout.session.async_payment_succeeded": (event) =>
+    premiumService.activateFromCheckout(event),
+  "checkout.session.async_payment_failed": (event) =>
+    premiumService.failCheckout(event),
+  "customer.subscription.created": (event) =>
+    premiumService.syncSubscription(event),
+  "customer.subscription.updated": (event) =>
+    premiumService.syncSubscription(event),
+  "customer.subscription.deleted": (event) =>
+    premiumService.syncSubscription(event),
+  "invoice.paid": (event) => premiumService.syncInvoice(event),
+  "invoice.payment_failed": (event) => premiumService.syncInvoice(event),
+  "charge.refunded": (event) => premiumService.revokeFromRefund(event),
+};
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed_methods: ["POST"],
+      received: req.method,
+    });
+  }
+
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error("🔐 STRIPE_WEBHOOK_SECRET manquant");
+    return res.status(500).json({ error: "Webhook non configuré" });
+  }
+
+  const signature = req.headers["stripe-signature"];
+  if (!signature) {
+    return res.status(400).json({ error: "Signature Stripe manquante" });
+  }
+
+  // === VÉRIFICATION DE LA SIGNATURE ===
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      await readRawBody(req),
+      signature,
+      secret
+    );
+  } catch (error) {
+    console.error("❌ Signature webhook invalide:", error.message);
+    return res.status(400).json({
+      error: "Signature invalide",
+      details: error.message,
+    });
+  }
+
+  console.log("📨 Webhook Stripe:", { id: event.id, type: event.type });
+
+  const handleEvent = EVENT_HANDLERS[event.type];
+  if (!handleEvent) {
+    return res.status(200).json({ received: true, ignored: true });
+  }
+
+  // === IDEMPOTENCE ===
+  const { data: claimed, error: claimError } =
+    await premiumService.claimEvent(event);
+  if (claimError) {
+    return res.status(500).json({
+      error: "Erreur enregistrement événement",
+      details: claimError,
+    });
+  }
+  if (!claimed) {
+    console.log("🔁 Événement déjà traité:", event.id);
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  // === TRAITEMENT ===
+  try {
+    const { data, error } = await handleEvent(event);
+    if (error) {
+      await premiumService.releaseEvent(event.id);
+      console.error("❌ Erreur traitement webhook:", error);
+      return res.status(500).json({
+        error: "Erreur traitement événement",
+        details: error,
+      });
+    }
+
+    return res.status(200).json({ received: true, status: data.status });
+  } catch (error) {
+    await premiumService.releaseEvent(event.id);
+    console.error("💥 Erreur webhook Stripe:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+    });
+  }
+}
@@ -17,6 +17,8 @@
  * - 200: Statut récupéré avec succès
  *   - is_premium (boolean): Statut premium actuel (après vérification expiration)
  *   - premium_expires_at (string|null): Date d'expiration ISO ou null
+ *   - subscription_status (string|null): active, past_due, canceled ou null
+ *   - subscription_plan (string|null): monthly, yearly ou null
  * - 400: ID utilisateur manquant
  * - 405: Méthode HTTP non autorisée (seul GET accepté)
  * - 500: Erreur serveur/base de données
@@ -65,7 +67,9 @@ export default async function handler(req, res) {
     // Requête pour obtenir les informations premium de l'utilisateur
     const { data: userData, error } = await supabaseAdmin
       .from("user") // Table des profils utilisateurs
-      .select("is_premium, premium_expires_at") // Champs liés au premium
+      .select(
+        "is_premium, premium_expires_at, subscription_status, subscription_plan"
+      ) // Champs liés au premium et à l'abonnement
       .eq("id", userId) // Filtrage par ID utilisateur
       .single(); // Un seul résultat attendu
 
@@ -128,6 +132,8 @@ export default async function handler(req, res) {
     const response = {
       is_premium: isPremium,
       premium_expires_at: expirationInfo,
+      subscription_status: userData?.subscription_status || null,
+      subscription_plan: userData?.subscription_plan || null,
       checked_at: new Date().toISOString(), // Timestamp de vérification
       user_id: userId, // Confirmation de l'utilisateur vérifié
     };
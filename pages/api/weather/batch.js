@@ -0,0 +1,125 @@
+/**
+ * API MÉTÉO GROUPÉE - CONDITIONS ACTUELLES DE PLUSIEURS VILLES
+ *
+ * Résume en un seul appel la météo de plusieurs localisations (favoris) :
+ * conditions du créneau en cours, min/max du jour et tendance.
+ * Chaque localisation passe par le même cache que /api/weather/forecast.
+ *
+ * Authentification:
+ * - Jeton d'accès Supabase : en-tête "Authorization: Bearer <jeton>"
+ *   ou cookie sb-access-token
+ *
+ * Body (POST, JSON):
+ * - locations (array): [{ id, ville } | { id, lat, lon, insee? }]
+ *   (id : identifiant libre renvoyé tel quel, ex: id du favori),
+ *   20 localisations maximum (WEATHER_BATCH_MAX_LOCATIONS)
+ * - lang (string): Langue des descriptions, fr (défaut) ou en
+ *
+ * Réponses:
+ * - 200: { data: [{ id, current, today: { min, max }, trend, delta, error }] }
+ *   (une localisation en erreur n'empêche pas les autres : error renseigné)
+ * - 400: Paramètres manquants ou invalides (tableau absent ou vide, plus de
+ *   20 localisations, élément qui n'est pas un objet)
+ * - 401: Authentification requise (jusqu'à 20 appels au fournisseur par
+ *   requête : réservé au tableau de bord des comptes connectés)
+ * - 405: Méthode HTTP non autorisée (seul POST accepté)
+ */
+
+import { weatherService } from "../../../lib/weatherService";
+import { summarizeNow } from "../../../lib/dailySummary";
+import { INSEE_REGEX } from "../../../lib/communes";
+import { SUPPORTED_LANGUAGES } from "../../../lib/preferences";
+import { weatherBatchSchema } from "../../../lib/validations";
+import { requireUser } from "../../../lib/apiAuth";
+
+// Localisation exploitable par le service météo, ou null si invalide
+const toLocation = ({ ville, lat, lon, insee }, lang) => {
+  if (Number.isFinite(lat) && Number.isFinite(lon)) {
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return {
+      lat,
+      lon,
+      insee: insee && INSEE_REGEX.test(insee) ? insee : null,
+      lang,
+    };
+  }
+  if (typeof ville === "string" && ville.trim()) {
+    return { ville: ville.trim(), lang };
+  }
+  return null;
+};
+
+export default async function handler(req, res) {
+  // === VALIDATION DE LA MÉTHODE HTTP ===
+  if (req.method !== "POST") {
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed: "POST",
+      received: req.method,
+    });
+  }
+
+  // === AUTHENTIFICATION (quota du fournisseur) ===
+  const user = await requireUser(req, res);
+  if (!user) {
+    console.log("❌ Météo groupée non authentifiée");
+    return;
+  }
+
+  // === VALIDATION DES PARAMÈTRES ===
+  // Chaque élément doit être un objet avant d'être lu (null : 400)
+  const validation = weatherBatchSchema.safeParse(req.body || {});
+  if (!validation.success) {
+    const { formErrors, fieldErrors } = validation.error.flatten();
+    return res.status(400).json({
+      error: fieldErrors.locations?.[0] || formErrors[0] || "Données invalides",
+      details: fieldErrors,
+    });
+  }
+
+  const { locations, lang = "fr" } = validation.data;
+
+  if (!SUPPORTED_LANGUAGES.includes(lang)) {
+    return res.status(400).json({
+      error: "Langue non supportée",
+      allowed: SUPPORTED_LANGUAGES,
+      received: lang,
+    });
+  }
+
+  try {
+    // === RÉCUPÉRATION EN PARALLÈLE (CACHE OU FOURNISSEUR) ===
+    const now = new Date();
+    const data = await Promise.all(
+      locations.map(async (item) => {
+        const location = toLocation(item, lang);
+        if (!location) {
+          return { id: item.id ?? null, error: "Localisation invalide" };
+        }
+
+        const { data: forecast, error } =
+          await weatherService.getCachedForecast(location);
+        if (error) {
+          return { id: item.id ?? null, error };
+        }
+
+        return {
+          id: item.id ?? null,
+          ...summarizeNow(forecast, now),
+          error: null,
+        };
+      })
+    );
+
+    console.log(`✅ Météo groupée: ${data.length} localisation(s)`);
+    return res.status(200).json({ data });
+  } catch (error) {
+    // === GESTION GLOBALE DES ERREURS ===
+    console.error("💥 Erreur générale API météo groupée:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
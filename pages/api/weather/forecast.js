@@ -0,0 +1,128 @@
+/**
+ * API PRÉVISIONS MÉTÉO - PROXY SERVEUR AVEC CACHE
+ *
+ * Cette API interroge le fournisseur météo côté serveur afin de ne jamais
+ * exposer la clé API dans le navigateur. Les réponses sont normalisées
+ * puis mises en cache par localisation pour limiter la consommation du quota.
+ *
+ * Paramètres (Query):
+ * - ville (string): Nom de la ville recherchée
+ * - lat, lon (number): Coordonnées (prioritaires sur ville si fournies)
+ * - insee (string): Code INSEE de la commune (avec lat/lon ; la clé de
+ *   cache reste celle des coordonnées arrondies)
+ * - lang (string): Langue des descriptions, fr (défaut) ou en
+ *
+ * Réponses:
+ * - 200: Prévisions normalisées
+ *   - data (object): { provider, location, points }
+ *   - cached (boolean): true si la réponse provient du cache
+ * - 400: Paramètres manquants, invalides ou répétés
+ * - 404: Ville non trouvée
+ * - 405: Méthode HTTP non autorisée (seul GET accepté)
+ * - 502: Fournisseur météo indisponible
+ * - 503: Service météo non configuré
+ *
+ * Configuration:
+ * - WEATHER_PROVIDER: openweathermap (défaut), open-meteo, meteo-france, fixture
+ * - OPENWEATHER_API_KEY: Clé API OpenWeatherMap (serveur uniquement)
+ * - OPENWEATHER_API_URL: URL du fournisseur (stub local possible)
+ * - WEATHER_CACHE_TTL_SECONDS: Durée de vie du cache (600s par défaut)
+ */
+
+import { weatherService } from "../../../lib/weatherService";
+import { INSEE_REGEX } from "../../../lib/communes";
+import { SUPPORTED_LANGUAGES } from "../../../lib/preferences";
+
+// Paramètres lus par la route (chacun attendu une seule fois)
+const QUERY_PARAMS = ["ville", "insee", "lat", "lon", "lang"];
+
+export default async function handler(req, res) {
+  // === VALIDATION DE LA MÉTHODE HTTP ===
+  if (req.method !== "GET") {
+    console.log("❌ Méthode non autorisée:", req.method);
+    return res.status(405).json({
+      error: "Méthode non autorisée",
+      allowed: "GET",
+      received: req.method,
+    });
+  }
+
+  // === EXTRACTION ET VALIDATION DES PARAMÈTRES ===
+  // Paramètre répété (?ville=a&ville=b) : Next.js le fournit en tableau
+  const repeated = QUERY_PARAMS.filter(
+    (key) => req.query[key] != null && typeof req.query[key] !== "string"
+  );
+  if (repeated.length > 0) {
+    return res.status(400).json({
+      error: "Paramètre répété",
+      received: repeated,
+    });
+  }
+
+  const ville = req.query.ville?.trim();
+  const insee = req.query.insee?.trim() || null;
+  const hasCoords = req.query.lat != null && req.query.lon != null;
+  const lat = hasCoords ? Number(req.query.lat) : null;
+  const lon = hasCoords ? Number(req.query.lon) : null;
+  const lang = req.query.lang || "fr";
+
+  if (!ville && !hasCoords) {
+    return res.status(400).json({
+      error: "ville ou lat/lon requis",
+      received: req.query,
+    });
+  }
+
+  if (
+    hasCoords &&
+    (!Number.isFinite(lat) ||
+      !Number.isFinite(lon) ||
+      Math.abs(lat) > 90 ||
+      Math.abs(lon) > 180)
+  ) {
+    return res.status(400).json({
+      error: "Coordonnées invalides",
+      received: { lat: req.query.lat, lon: req.query.lon },
+    });
+  }
+
+  if (insee && (!INSEE_REGEX.test(insee) || !hasCoords)) {
+    return res.status(400).json({
+      error: "Code INSEE invalide ou coordonnées manquantes",
+      received: { insee, lat: req.query.lat, lon: req.query.lon },
+    });
+  }
+
+  if (!SUPPORTED_LANGUAGES.includes(lang)) {
+    return res.status(400).json({
+      error: "Langue non supportée",
+      allowed: SUPPORTED_LANGUAGES,
+      received: lang,
+    });
+  }
+
+  try {
+    // === RÉCUPÉRATION (CACHE OU FOURNISSEUR) ===
+    const location = hasCoords ? { lat, lon, insee, lang } : { ville, lang };
+    const { data, error, status, cached } =
+      await weatherService.getCachedForecast(location);
+
+    if (error) {
+      return res.status(status || 502).json({ error });
+    }
+
+    console.log(
+      `✅ Prévisions ${cached ? "(cache)" : "(fournisseur)"}:`,
+      location
+    );
+    return res.status(200).json({ data, cached });
+  } catch (error) {
+    // === GESTION GLOBALE DES ERREURS ===
+    console.error("💥 Erreur générale API météo:", error);
+    return res.status(500).json({
+      error: "Erreur serveur interne",
+      details: error.message,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
@@ -38,8 +38,25 @@ import Header from "../components/Header";
 import Hero from "../components/Hero";
 import Footer from "../components/Footer";
 import PremiumStatus from "../components/PremiumStatus";
+import Link from "next/link";
 import { useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { authFetch } from "../lib/apiClient";
+import { hasOngoingSubscription } from "../lib/entitlements";
+
+// Formules d'abonnement proposées : prix indicatifs, à garder identiques
+// aux prix Stripe (STRIPE_PRICE_MONTHLY / STRIPE_PRICE_YEARLY)
+const PLAN_OPTIONS = {
+  monthly: { label: "Mensuel", price: "9,99 € / mois", note: null },
+  yearly: { label: "Annuel", price: "99,90 € / an", note: "2 mois offerts" },
+};
+
+// Premium offert : durées proposées (prix unitaire STRIPE_PRICE_GIFT_MONTH)
+const GIFT_MONTH_OPTIONS = [1, 3, 6, 12];
+const GIFT_MONTH_PRICE = 9.99;
+
+const formatEuros = (amount) =>
+  amount.toLocaleString("fr-FR", { style: "currency", currency: "EUR" });
 
 /**
  * Composant principal de la page d'accueil
@@ -53,6 +70,15 @@ export default function Home() {
   // État local pour gérer le loading pendant la redirection Stripe
   const [isLoading, setIsLoading] = useState(false);
 
+  // Formule d'abonnement choisie (monthly | yearly)
+  const [plan, setPlan] = useState("monthly");
+
+  // Nombre de mois de premium offert
+  const [giftMonths, setGiftMonths] = useState(GIFT_MONTH_OPTIONS[1]);
+
+  // Statut premium chargé par PremiumStatus (abonnement en cours ?)
+  const [premiumStatus, setPremiumStatus] = useState(null);
+
   // Récupération du contexte d'authentification pour vérifier l'utilisateur connecté
   const { user, loading } = useAuth();
 
@@ -67,6 +93,7 @@ export default function Home() {
    *
    * Sécurité :
    * - Vérification obligatoire de l'authentification
+   * - Jeton d'accès envoyé à l'API : la session Stripe est liée au compte
    * - Timeout de 10 secondes pour éviter les blocages
    * - Gestion d'erreurs complète avec messages explicites
    *
@@ -77,9 +104,11 @@ export default function Home() {
    *
    * @async
    * @function handlePurchase
+   * @param {Object} purchase - Achat envoyé à l'API : { plan } pour un
+   *   abonnement, { type: "gift", months } pour offrir du premium
    * @returns {Promise<void>} Promesse de redirection vers Stripe ou gestion d'erreur
    */
-  const handlePurchase = async () => {
+  const handlePurchase = async (purchase) => {
     // Logs de débogage pour tracer le processus d'achat
     console.log("🚀 Tentative d'achat premium");
     console.log("📊 Loading:", loading);
@@ -114,7 +143,7 @@ export default function Home() {
       const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 secondes timeout
 
       // Appel API pour créer une session de paiement Stripe
-      const response = await fetch("/api/checkout_sessions", {
+      const response = await authFetch("/api/checkout_sessions", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
@@ -122,6 +151,7 @@ export default function Home() {
         body: JSON.stringify({
           userId: user.id, // ID utilisateur pour l'identification
           userEmail: user.email, // Email pour la facturation Stripe
+          ...purchase, // Formule ou premium offert (prix choisi côté serveur)
         }),
         signal: controller.signal, // Signal d'abort pour le timeout
       });
@@ -210,15 +240,16 @@ export default function Home() {
           <Hero />
 
           {/* Affichage du statut premium utilisateur */}
-          <PremiumStatus />
+          <PremiumStatus onStatusLoaded={setPremiumStatus} />
 
           {/* 
             Section d'achat premium avec intégration Stripe
             
             Cette section propose l'upgrade vers la version premium avec :
             - Description des fonctionnalités premium
-            - Prix affiché clairement (9,99€)
-            - Bouton d'achat avec gestion du loading
+            - Choix de la formule (mensuelle ou annuelle) et prix affiché
+            - Bouton d'abonnement avec gestion du loading (remplacé par un
+              lien vers l'onglet Facturation si un abonnement est en cours)
             - Design cohérent avec la charte graphique (bleu)
             
             Sécurité :
@@ -234,23 +265,108 @@ export default function Home() {
               Accédez à des fonctionnalités exclusives : prévisions étendues,
               alertes météo personnalisées et plus de favoris !
             </p>
-            <div className="flex items-center justify-between">
-              {/* Prix affiché de manière proéminente */}
-              <span className="text-2xl font-bold text-blue-800">9,99€</span>
+            {/* Abonné : pas de second abonnement, gestion via le portail */}
+            {hasOngoingSubscription(premiumStatus) ? (
+              <div className="flex items-center justify-between gap-4">
+                <p className="text-blue-800">
+                  Votre abonnement Premium est en cours.
+                </p>
+                <Link
+                  href="/profile?tab=billing"
+                  className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  Gérer mon abonnement
+                </Link>
+              </div>
+            ) : (
+              <>
+                {/* Choix de la formule (prix à garder identiques à ceux de Stripe) */}
+                <div className="flex gap-2 mb-4" role="radiogroup">
+                  {Object.entries(PLAN_OPTIONS).map(([value, option]) => (
+                    <button
+                      key={value}
+                      type="button"
+                      role="radio"
+                      aria-checked={plan === value}
+                      onClick={() => setPlan(value)}
+                      disabled={isLoading}
+                      className={`flex-1 px-4 py-2 rounded-lg border transition-colors ${
+                        plan === value
+                          ? "bg-blue-600 border-blue-600 text-white"
+                          : "bg-white border-blue-200 text-blue-800 hover:bg-blue-100"
+                      }`}
+                    >
+                      {option.label}
+                      {option.note && (
+                        <span className="block text-xs opacity-80">
+                          {option.note}
+                        </span>
+                      )}
+                    </button>
+                  ))}
+                </div>
+                <div className="flex items-center justify-between">
+                  {/* Prix affiché de manière proéminente */}
+                  <span className="text-2xl font-bold text-blue-800">
+                    {PLAN_OPTIONS[plan].price}
+                  </span>
+
+                  {/* 
+                    Bouton d'abonnement avec états multiples :
+                    - Normal : "S'abonner"
+                    - Loading : "Redirection..." avec désactivation
+                    - Hover : effet de transition couleur
+                    - Disabled : style atténué avec curseur interdit
+                  */}
+                  <button
+                    onClick={() => handlePurchase({ plan })}
+                    disabled={isLoading}
+                    className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-blue-400 disabled:cursor-not-allowed"
+                  >
+                    {isLoading ? "Redirection..." : "S'abonner"}
+                  </button>
+                </div>
+                <p className="text-sm text-blue-600 mt-3">
+                  Un code promo ? Saisissez-le sur la page de paiement.
+                </p>
+              </>
+            )}
+          </div>
 
-              {/* 
-                Bouton d'achat avec états multiples :
-                - Normal : "Acheter Premium"
-                - Loading : "Redirection..." avec désactivation
-                - Hover : effet de transition couleur
-                - Disabled : style atténué avec curseur interdit
-              */}
+          {/* 
+            Premium offert : paiement unique de N mois, le code cadeau
+            s'affiche sur la page de succès et dans l'onglet Facturation
+          */}
+          <div className="bg-purple-50 p-6 rounded-lg border border-purple-200">
+            <h2 className="text-xl font-bold text-purple-800 mb-4">
+              Offrir Premium
+            </h2>
+            <p className="text-purple-700 mb-4">
+              Payez une fois et recevez un code cadeau à transmettre : il
+              s&apos;utilise une seule fois, sur n&apos;importe quel compte.
+            </p>
+            <div className="flex items-center justify-between gap-4">
+              <select
+                value={giftMonths}
+                onChange={(e) => setGiftMonths(Number(e.target.value))}
+                disabled={isLoading}
+                aria-label="Durée offerte"
+                className="px-3 py-2 border border-purple-200 rounded-lg bg-white text-purple-800"
+              >
+                {GIFT_MONTH_OPTIONS.map((months) => (
+                  <option key={months} value={months}>
+                    {months} mois ({formatEuros(months * GIFT_MONTH_PRICE)})
+                  </option>
+                ))}
+              </select>
               <button
-                onClick={handlePurchase}
+                onClick={() =>
+                  handlePurchase({ type: "gift", months: giftMonths })
+                }
                 disabled={isLoading}
-                className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 transition-colors disabled:bg-blue-400 disabled:cursor-not-allowed"
+                className="bg-purple-600 text-white px-6 py-3 rounded-lg hover:bg-purple-700 transition-colors disabled:bg-purple-400 disabled:cursor-not-allowed"
               >
-                {isLoading ? "Redirection..." : "Acheter Premium"}
+                {isLoading ? "Redirection..." : "Offrir"}
               </button>
             </div>
           </div>
@@ -0,0 +1,140 @@
+/**
+ * Page météo partageable d'une commune : /meteo/[commune]
+ *
+ * Le segment d'URL combine le nom et le code INSEE de la commune
+ * (ex: /meteo/lyon-69123) afin de rester lisible tout en étant univoque.
+ * Les prévisions sont rendues côté serveur pour que le lien partagé
+ * affiche immédiatement la météo et des métadonnées (Open Graph) utiles.
+ *
+ * Résolution du segment :
+ * - "lyon-69123" → commune 69123 (nom corrigé si besoin par redirection)
+ * - "lyon" → meilleure correspondance de l'API Géo, puis redirection
+ *   vers l'URL canonique avec le code INSEE
+ * - commune introuvable → 404
+ */
+
+import Head from "next/head";
+import Header from "../../components/Header";
+import Hero from "../../components/Hero";
+import Footer from "../../components/Footer";
+import {
+  communesService,
+  communeSlug,
+  formatCommuneLabel,
+  parseCommuneSlug,
+} from "../../lib/communes";
+import { weatherService } from "../../lib/weatherService";
+import { getDayView, getFirstAvailableDate } from "../../lib/forecastDays";
+import { CONDITION_LABELS } from "../../lib/weatherConditions";
+
+const SITE_NAME = "La Météo de Jean-Paul";
+
+// Résumé du premier jour de prévision pour la balise description
+const buildDescription = (commune, forecast) => {
+  const label = formatCommuneLabel(commune);
+  const { points, apres } = getDayView(
+    forecast,
+    getFirstAvailableDate(forecast)
+  );
+
+  if (points.length === 0) {
+    return `Prévisions météo à ${label} heure par heure sur 5 jours.`;
+  }
+
+  const temperatures = points.map((p) => p.temperature);
+  const min = Math.round(Math.min(...temperatures));
+  const max = Math.round(Math.max(...temperatures));
+  const condition = CONDITION_LABELS[apres.condition] || apres.description;
+
+  return `Météo à ${label} aujourd'hui : ${min}°C à ${max}°C, ${condition.toLowerCase()}. Prévisions heure par heure sur 5 jours.`;
+};
+
+export default function CommunePage({ commune, forecast, siteUrl }) {
+  const title = `Météo ${commune.nom} – ${SITE_NAME}`;
+  const description = buildDescription(commune, forecast);
+  const url = `${siteUrl}/meteo/${communeSlug(commune)}`;
+
+  return (
+    <>
+      {/* Métadonnées SEO et aperçu de partage (Open Graph) */}
+      <Head>
+        <title>{title}</title>
+        <meta name="description" content={description} />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <link rel="icon" href="/favicon.ico" />
+        <link rel="canonical" href={url} />
+        <meta property="og:type" content="website" />
+        <meta property="og:site_name" content={SITE_NAME} />
+        <meta property="og:title" content={title} />
+        <meta property="og:description" content={description} />
+        <meta property="og:url" content={url} />
+        <meta
+          property="og:image"
+          content={`${siteUrl}/assets/img/7b302fa8-a663-4834-9720-708d43b96eda.png`}
+        />
+        <meta property="og:locale" content="fr_FR" />
+      </Head>
+
+      {/* Même mise en page que l'accueil */}
+      <div className="min-h-screen font-sans">
+        <div className="w-[350px] mx-auto p-4 rounded-lg min-h-[98vh] md:w-[98%] md:max-w-[980px] md:my-5 md:p-5 md:bg-fond-container md:rounded-xl md:flex md:flex-col md:gap-5 lg:w-4/5 lg:max-w-[1200px] lg:my-8 lg:p-8 lg:gap-5">
+          <Header />
+
+          {/* key : nouvel état initial quand on navigue vers une autre commune */}
+          <Hero
+            key={commune.code}
+            initialCommune={commune}
+            initialForecast={forecast}
+          />
+
+          <Footer />
+        </div>
+      </div>
+    </>
+  );
+}
+
+export async function getServerSideProps({ params }) {
+  const { code, nom } = parseCommuneSlug(params.commune);
+
+  // Code INSEE présent : recherche directe, sinon meilleure correspondance
+  let commune = null;
+  if (code) {
+    ({ data: commune } = await communesService.getByCode(code));
+  } else if (nom) {
+    const { data } = await communesService.search(nom, { limit: 1 });
+    commune = data[0] || null;
+  }
+
+  if (!commune) {
+    return { notFound: true };
+  }
+
+  // Redirection vers l'URL canonique (nom normalisé + code INSEE)
+  const slug = communeSlug(commune);
+  if (slug !== params.commune) {
+    return {
+      redirect: { destination: `/meteo/${slug}`, permanent: false },
+    };
+  }
+
+  // Prévisions via le cache partagé avec /api/weather/forecast
+  const { data: forecast, error } = await weatherService.getCachedForecast({
+    insee: commune.code,
+    lat: commune.lat,
+    lon: commune.lon,
+  });
+
+  if (error) {
+    // La page reste affichable : la recherche côté client prendra le relais
+    console.error("💥 Erreur prévisions SSR:", error);
+  }
+
+  return {
+    props: {
+      commune,
+      forecast: forecast || null,
+      siteUrl: process.env.NEXTAUTH_URL || "",
+    },
+  };
+}
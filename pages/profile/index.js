@@ -26,18 +26,33 @@
  *
  * Navigation:
  * 1. Informations personnelles: nom, prénom, téléphone, localité
- * 2. Mot de passe: changement sécurisé avec confirmation
- * 3. Zone dangereuse: suppression de compte avec avertissement
+ * 2. Préférences: unités, format horaire et langue des prévisions
+ * 3. Mot de passe: changement sécurisé avec confirmation
+ * 4. Facturation: abonnement, moyen de paiement, factures et portail Stripe
+ *    (accessible directement via /profile?tab=billing)
+ * 5. Zone dangereuse: suppression de compte avec avertissement
  */
 
 import { useState, useEffect } from "react";
 import { useRouter } from "next/router";
 import Link from "next/link";
 import { useAuth } from "../../contexts/AuthContext";
+import { usePreferences } from "../../contexts/PreferencesContext";
 import {
   updateProfileSchema,
   changePasswordSchema,
+  preferencesSchema,
 } from "../../lib/validations";
+import { PREFERENCE_OPTIONS } from "../../lib/preferences";
+import BillingPanel from "../../components/BillingPanel";
+
+// Libellés des champs de l'onglet Préférences
+const PREFERENCE_FIELDS = [
+  { name: "temperatureUnit", label: "Température" },
+  { name: "windUnit", label: "Vitesse du vent" },
+  { name: "timeFormat", label: "Format horaire" },
+  { name: "language", label: "Langue des prévisions" },
+];
 
 export default function Profile() {
   // === HOOKS ET SERVICES D'AUTHENTIFICATION ===
@@ -50,10 +65,13 @@ export default function Profile() {
     loading, // État de chargement de l'authentification
   } = useAuth();
 
+  // Préférences d'affichage (unités, format horaire, langue)
+  const { preferences, updatePreferences } = usePreferences();
+
   const router = useRouter(); // Router Next.js pour la navigation
 
   // === ÉTATS LOCAUX DE LA PAGE ===
-  const [activeTab, setActiveTab] = useState("profile"); // Onglet actif ("profile", "password", "danger")
+  const [activeTab, setActiveTab] = useState("profile"); // Onglet actif ("profile", "preferences", "password", "billing", "danger")
   const [isLoading, setIsLoading] = useState(false); // État de chargement des opérations
   const [message, setMessage] = useState(""); // Messages de succès/erreur
   const [errors, setErrors] = useState({}); // Erreurs de validation par champ
@@ -74,6 +92,9 @@ export default function Profile() {
     confirmNewPassword: "", // Confirmation du nouveau mot de passe
   });
 
+  // === DONNÉES DU FORMULAIRE PRÉFÉRENCES ===
+  const [preferencesData, setPreferencesData] = useState(preferences);
+
   // === PROTECTION DE LA ROUTE - REDIRECTION SI NON CONNECTÉ ===
   // Surveille l'état d'authentification et redirige vers la page de connexion
   useEffect(() => {
@@ -99,6 +120,20 @@ export default function Profile() {
     }
   }, [user]); // Se re-exécute quand l'utilisateur change
 
+  // === ONGLET DEMANDÉ DANS L'URL ===
+  // Retour du portail Stripe : /profile?tab=billing
+  useEffect(() => {
+    if (router.query.tab === "billing") {
+      setActiveTab("billing");
+    }
+  }, [router.query.tab]);
+
+  // === SYNCHRONISATION DES PRÉFÉRENCES ===
+  // Les préférences du compte arrivent après le premier rendu
+  useEffect(() => {
+    setPreferencesData(preferences);
+  }, [preferences]);
+
   // === ÉTATS DE CHARGEMENT - AFFICHAGE CONDITIONNEL ===
   // Affiche un loader pendant que l'authentification se charge
   if (loading) {
@@ -273,6 +308,48 @@ export default function Profile() {
     }
   };
 
+  /**
+   * Gère les modifications des listes de l'onglet Préférences
+   */
+  const handlePreferencesChange = (e) => {
+    const { name, value } = e.target;
+    setPreferencesData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  /**
+   * Enregistre les préférences (table user + localStorage)
+   */
+  const handlePreferencesSubmit = async (e) => {
+    e.preventDefault(); // Empêche le rechargement de la page
+    setIsLoading(true);
+    setErrors({});
+    setMessage("");
+
+    const result = preferencesSchema.safeParse(preferencesData);
+    if (!result.success) {
+      const fieldErrors = {};
+      result.error.errors.forEach((err) => {
+        fieldErrors[err.path[0]] = err.message;
+      });
+      setErrors(fieldErrors);
+      setIsLoading(false);
+      return;
+    }
+
+    const { error } = await updatePreferences(result.data);
+
+    if (error) {
+      console.error("❌ Erreur enregistrement préférences:", error);
+      setMessage(error);
+    } else {
+      setMessage("Préférences enregistrées avec succès !");
+    }
+    setIsLoading(false);
+  };
+
   /**
    * Traite la suppression définitive du compte utilisateur
    * Demande une confirmation avant de procéder à l'action irréversible
@@ -353,6 +430,18 @@ export default function Profile() {
                 Informations personnelles
               </button>
 
+              {/* Onglet Préférences */}
+              <button
+                onClick={() => setActiveTab("preferences")}
+                className={`py-4 px-6 text-sm font-medium ${
+                  activeTab === "preferences"
+                    ? "border-b-2 border-meteo-blue text-meteo-blue" // Style actif
+                    : "text-gray-500 hover:text-gray-700" // Style inactif
+                }`}
+              >
+                Préférences
+              </button>
+
               {/* Onglet Mot de passe */}
               <button
                 onClick={() => setActiveTab("password")}
@@ -365,6 +454,18 @@ export default function Profile() {
                 Mot de passe
               </button>
 
+              {/* Onglet Facturation */}
+              <button
+                onClick={() => setActiveTab("billing")}
+                className={`py-4 px-6 text-sm font-medium ${
+                  activeTab === "billing"
+                    ? "border-b-2 border-meteo-blue text-meteo-blue" // Style actif
+                    : "text-gray-500 hover:text-gray-700" // Style inactif
+                }`}
+              >
+                Facturation
+              </button>
+
               {/* Onglet Zone dangereuse */}
               <button
                 onClick={() => setActiveTab("danger")}
@@ -530,6 +631,52 @@ export default function Profile() {
               </form>
             )}
 
+            {/* === ONGLET PRÉFÉRENCES === */}
+            {activeTab === "preferences" && (
+              <form onSubmit={handlePreferencesSubmit} className="space-y-6">
+                {PREFERENCE_FIELDS.map(({ name, label }) => (
+                  <div key={name}>
+                    <label
+                      htmlFor={name}
+                      className="block text-sm font-medium text-gray-700"
+                    >
+                      {label}
+                    </label>
+                    <select
+                      id={name}
+                      name={name}
+                      value={preferencesData[name]}
+                      onChange={handlePreferencesChange}
+                      className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white focus:outline-none focus:ring-meteo-blue focus:border-meteo-blue"
+                    >
+                      {Object.entries(PREFERENCE_OPTIONS[name]).map(
+                        ([value, optionLabel]) => (
+                          <option key={value} value={value}>
+                            {optionLabel}
+                          </option>
+                        )
+                      )}
+                    </select>
+                    {errors[name] && (
+                      <p className="mt-1 text-sm text-red-600">
+                        {errors[name]}
+                      </p>
+                    )}
+                  </div>
+                ))}
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-meteo-blue hover:bg-meteo-title focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-meteo-blue disabled:opacity-50"
+                >
+                  {isLoading
+                    ? "Enregistrement..."
+                    : "Enregistrer les préférences"}
+                </button>
+              </form>
+            )}
+
             {/* Onglet Mot de passe */}
             {activeTab === "password" && (
               <form onSubmit={handlePasswordSubmit} className="space-y-6">
@@ -612,6 +759,9 @@ export default function Profile() {
               </form>
             )}
 
+            {/* === ONGLET FACTURATION === */}
+            {activeTab === "billing" && <BillingPanel />}
+
             {/* === ONGLET ZONE DANGEREUSE === */}
             {activeTab === "danger" && (
               <div className="space-y-6">
@@ -12,14 +12,16 @@
  * - Interface utilisateur avec feedback visuel approprié
  *
  * Workflow de paiement :
- * 1. Utilisateur clique "Acheter Premium" sur la page d'accueil
+ * 1. Utilisateur clique "S'abonner" sur la page d'accueil
  * 2. Redirection vers Stripe pour le paiement
  * 3. Stripe redirige vers cette page avec session_id
- * 4. Vérification backend du paiement et activation premium
+ * 4. Lecture du statut : le premium est activé par le webhook Stripe,
+ *    cette page ne fait que l'attendre (nouvelle lecture toutes les 2 s)
  * 5. Affichage du résultat à l'utilisateur
  *
  * États possibles :
  * - "loading" : Vérification en cours du statut de paiement
+ * - "processing" : Paiement réglé, activation par le webhook en attente
  * - "complete"/"paid" : Paiement réussi, premium activé
  * - "error" : Erreur lors du paiement ou de la vérification
  *
@@ -35,6 +37,11 @@
 
 import { useRouter } from "next/router";
 import { useEffect, useState } from "react";
+import { authFetch } from "../lib/apiClient";
+
+// Attente de l'activation par le webhook : lectures espacées de 2 s (1 min)
+const POLL_INTERVAL_MS = 2000;
+const MAX_POLLS = 30;
 
 /**
  * Composant de page de confirmation de paiement
@@ -54,6 +61,12 @@ export default function Success() {
   // État local pour tracker le statut de vérification du paiement
   const [status, setStatus] = useState("loading");
 
+  // Explication renvoyée par l'API (session refusée, autre compte...)
+  const [message, setMessage] = useState("");
+
+  // Code cadeau d'un achat de premium offert ({ code, months })
+  const [gift, setGift] = useState(null);
+
   /**
    * Effect de vérification du statut de paiement
    *
@@ -63,33 +76,47 @@ export default function Success() {
    *
    * Workflow :
    * 1. Vérification de la présence de session_id
-   * 2. Appel API vers /api/checkout-sessions/[session_id]
-   * 3. Traitement de la réponse et mise à jour du statut
+   * 2. Appel API vers /api/checkout-sessions/[session_id] (lecture seule)
+   * 3. Traitement de la réponse et mise à jour du statut ; nouvel appel
+   *    tant que le statut est "processing"
    * 4. Gestion des erreurs avec fallback approprié
    *
    * Dependencies : [session_id] - Se relance si l'ID change
    */
   useEffect(() => {
     // Vérification de la présence obligatoire de session_id
-    if (session_id) {
-      console.log("🔍 Success page - Session ID:", session_id);
+    let timer = null;
+    let cancelled = false;
 
-      // Appel API pour vérifier le statut de la session de paiement Stripe
-      fetch(`/api/checkout-sessions/${session_id}`)
+    // Appel API pour lire le statut de la session de paiement Stripe
+    const verifier = (tentative) =>
+      authFetch(`/api/checkout-sessions/${session_id}`)
         .then((res) => {
           console.log("📡 Success page - Response status:", res.status);
           return res.json();
         })
         .then((data) => {
+          if (cancelled) return;
           console.log("✅ Success page - Data received:", data);
           // Mise à jour du statut local avec la réponse de l'API
-          setStatus(data.status);
+          // (sans statut : 401/403, session d'un autre compte)
+          setStatus(data.status || "error");
+          setMessage(data.status === "complete" ? "" : data.message || "");
+          setGift(data.gift || null);
+          if (data.status === "processing" && tentative < MAX_POLLS) {
+            timer = setTimeout(() => verifier(tentative + 1), POLL_INTERVAL_MS);
+          }
         })
         .catch((error) => {
+          if (cancelled) return;
           console.error("❌ Success page - Error:", error);
           // En cas d'erreur, définir le statut comme erreur
           setStatus("error");
         });
+
+    if (session_id) {
+      console.log("🔍 Success page - Session ID:", session_id);
+      verifier(1);
     } else if (router.isReady) {
       // Log d'erreur seulement si le router est prêt et qu'il n'y a vraiment pas de session_id
       console.log(
@@ -98,6 +125,11 @@ export default function Success() {
       setStatus("error");
     }
     // Sinon, on reste en loading le temps que le router soit prêt
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
   }, [session_id, router.isReady]); // Dépendance : se relance quand session_id change ou router est prêt
 
   /**
@@ -118,6 +150,30 @@ export default function Success() {
     );
   }
 
+  /**
+   * Affichage du paiement confirmé en attente d'activation
+   *
+   * Le webhook Stripe arrive en général en quelques secondes ; au-delà
+   * d'une minute, l'activation se poursuit sans cette page.
+   */
+  if (status === "processing") {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-blue-50">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold mb-4">Paiement confirmé</h1>
+          <p className="text-blue-700 mb-6">
+            Activation de votre compte Premium en cours…
+          </p>
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-6"></div>
+          <p className="text-sm text-gray-600">
+            Vous pouvez fermer cette page : le Premium sera activé
+            automatiquement.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   /**
    * Affichage de confirmation de paiement réussi
    *
@@ -150,6 +206,21 @@ export default function Success() {
           <p className="text-green-600 mb-6">
             Votre commande a été traitée avec succès.
           </p>
+          {/* Premium offert : code à transmettre au bénéficiaire */}
+          {gift && (
+            <div className="bg-white border border-green-200 rounded-lg p-4 mb-6">
+              <p className="text-green-800 mb-2">
+                Code cadeau ({gift.months} mois de Premium) :
+              </p>
+              <p className="font-mono text-xl font-bold text-green-900 select-all">
+                {gift.code}
+              </p>
+              <p className="text-sm text-gray-600 mt-2">
+                Utilisable une seule fois, depuis l&apos;onglet Facturation du
+                profil. Il reste affiché dans votre onglet Facturation.
+              </p>
+            </div>
+          )}
           {/* Bouton de retour à la page d'accueil */}
           <button
             onClick={() => router.push("/")}
@@ -191,7 +262,8 @@ export default function Success() {
           Erreur de paiement
         </h1>
         <p className="text-red-600 mb-6">
-          Une erreur est survenue lors du traitement de votre paiement.
+          {message ||
+            "Une erreur est survenue lors du traitement de votre paiement."}
         </p>
         {/* Bouton de retour pour permettre une nouvelle tentative */}
         <button
@@ -0,0 +1,12 @@
+-- Identité des communes favorites par code INSEE (homonymes)
+-- et coordonnées pour interroger la météo sans géocodage
+
+ALTER TABLE favorie
+  ADD COLUMN IF NOT EXISTS insee VARCHAR(5),
+  ADD COLUMN IF NOT EXISTS lat DOUBLE PRECISION,
+  ADD COLUMN IF NOT EXISTS lon DOUBLE PRECISION;
+
+-- Une même commune ne peut être en favori qu'une fois par utilisateur
+CREATE UNIQUE INDEX IF NOT EXISTS favorie_user_insee_key
+  ON favorie (user_id, insee)
+  WHERE insee IS NOT NULL;
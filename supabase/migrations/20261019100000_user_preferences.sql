@@ -0,0 +1,5 @@
+-- Préférences d'affichage (unités, format horaire, langue des prévisions)
+-- ex: {"temperatureUnit":"celsius","windUnit":"kmh","timeFormat":"24h","language":"fr"}
+
+ALTER TABLE "user"
+  ADD COLUMN IF NOT EXISTS preferences JSONB NOT NULL DEFAULT '{}'::jsonb;
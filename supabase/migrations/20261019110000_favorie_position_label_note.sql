@@ -0,0 +1,24 @@
+-- Ordre personnalisé, libellé et note libre des favoris
+
+ALTER TABLE favorie
+  ADD COLUMN IF NOT EXISTS position INTEGER,
+  ADD COLUMN IF NOT EXISTS label VARCHAR(60),
+  ADD COLUMN IF NOT EXISTS note VARCHAR(500);
+
+-- Positions initiales : ordre d'affichage actuel (plus récent en premier)
+UPDATE favorie f
+SET position = ordered.rang
+FROM (
+  SELECT id,
+         ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY created_at DESC) - 1 AS rang
+  FROM favorie
+) AS ordered
+WHERE f.id = ordered.id
+  AND f.position IS NULL;
+
+ALTER TABLE favorie
+  ALTER COLUMN position SET DEFAULT 0,
+  ALTER COLUMN position SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS favorie_user_position_idx
+  ON favorie (user_id, position);
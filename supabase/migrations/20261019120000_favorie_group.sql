@@ -0,0 +1,26 @@
+-- Groupes de favoris (offre premium) : "Bretagne", "Clients"...
+
+CREATE TABLE IF NOT EXISTS favorie_group (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users (id) ON DELETE CASCADE,
+  name VARCHAR(40) NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Un nom de groupe unique par utilisateur (sans tenir compte de la casse)
+CREATE UNIQUE INDEX IF NOT EXISTS favorie_group_user_name_key
+  ON favorie_group (user_id, LOWER(name));
+
+ALTER TABLE favorie_group ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage own favorie groups" ON favorie_group
+  FOR ALL USING (auth.uid() = user_id);
+
+-- Rattachement d'un favori à un groupe (supprimer un groupe
+-- conserve ses favoris, qui redeviennent "sans groupe")
+ALTER TABLE favorie
+  ADD COLUMN IF NOT EXISTS group_id UUID
+    REFERENCES favorie_group (id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS favorie_group_id_idx ON favorie (group_id);
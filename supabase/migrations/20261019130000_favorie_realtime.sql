@@ -0,0 +1,20 @@
+-- Synchronisation des favoris en temps réel (Supabase Realtime)
+-- Un abonné ne reçoit que les lignes qu'il peut lire : lecture limitée
+-- aux favoris de l'utilisateur (les API passent par la clé service)
+
+ALTER TABLE favorie ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own favorie" ON favorie;
+CREATE POLICY "Users can view own favorie" ON favorie
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Publication des changements de la table (sans erreur si déjà publiée)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'favorie'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE favorie;
+  END IF;
+END $$;
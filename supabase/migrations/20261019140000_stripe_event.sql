@@ -0,0 +1,22 @@
+-- Événements Stripe traités par le webhook (/api/stripe/webhook)
+-- L'identifiant Stripe (evt_...) en clé primaire rend le traitement
+-- idempotent : un événement renvoyé par Stripe n'est appliqué qu'une fois.
+
+CREATE TABLE IF NOT EXISTS stripe_event (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  -- Objet concerné (session de paiement cs_..., paiement ch_...)
+  object_id TEXT,
+  payment_intent TEXT,
+  -- Utilisateur dont le premium a été modifié (null si non identifié)
+  user_id UUID REFERENCES auth.users (id) ON DELETE SET NULL,
+  processed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS stripe_event_object_id_idx
+  ON stripe_event (object_id);
+CREATE INDEX IF NOT EXISTS stripe_event_payment_intent_idx
+  ON stripe_event (payment_intent);
+
+-- Réservée au serveur (clé service) : aucune politique d'accès
+ALTER TABLE stripe_event ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,16 @@
+-- Abonnement Stripe (mensuel ou annuel) synchronisé par le webhook
+-- premium_expires_at suit la période payée ; subscription_status :
+-- active, past_due (paiement en échec, délai de grâce) ou canceled
+
+ALTER TABLE "user"
+  ADD COLUMN IF NOT EXISTS stripe_subscription_id TEXT,
+  ADD COLUMN IF NOT EXISTS subscription_status TEXT
+    CHECK (subscription_status IN ('active', 'past_due', 'canceled')),
+  ADD COLUMN IF NOT EXISTS subscription_plan TEXT
+    CHECK (subscription_plan IN ('monthly', 'yearly')),
+  -- Date de l'événement Stripe appliqué en dernier (événements désordonnés)
+  ADD COLUMN IF NOT EXISTS subscription_updated_at TIMESTAMP WITH TIME ZONE;
+
+-- Abonné retrouvé par son client Stripe (événements d'abonnement)
+CREATE INDEX IF NOT EXISTS user_stripe_customer_id_idx
+  ON "user" (stripe_customer_id);
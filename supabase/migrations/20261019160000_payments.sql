@@ -0,0 +1,34 @@
+-- Sessions de paiement Stripe Checkout (/api/checkout_sessions)
+-- Chaque session est enregistrée à sa création avec l'utilisateur qui
+-- l'a ouverte : le webhook ne crédite le premium qu'à cet utilisateur,
+-- quel que soit l'email saisi sur Stripe.
+
+CREATE TABLE IF NOT EXISTS payments (
+  -- Session Stripe (cs_...)
+  session_id TEXT PRIMARY KEY,
+  -- Utilisateur à l'origine de la session
+  user_id UUID REFERENCES auth.users (id) ON DELETE SET NULL,
+  mode TEXT NOT NULL DEFAULT 'subscription'
+    CHECK (mode IN ('payment', 'subscription')),
+  plan TEXT,
+  -- Montant en centimes (connu au règlement)
+  amount INTEGER,
+  currency TEXT,
+  -- pending : session créée ; paid : premium crédité ; failed : paiement
+  -- différé refusé ; rejected : utilisateur de la session incohérent
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'paid', 'failed', 'rejected')),
+  stripe_customer_id TEXT,
+  payment_intent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS payments_user_id_idx ON payments (user_id);
+
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+
+-- Écritures réservées au serveur (clé service) ; lecture de ses paiements
+DROP POLICY IF EXISTS "Users can view own payments" ON payments;
+CREATE POLICY "Users can view own payments" ON payments
+  FOR SELECT USING (auth.uid() = user_id);
@@ -0,0 +1,23 @@
+-- Premium offert : code cadeau créé par le webhook après le paiement d'une
+-- session "gift" (/api/checkout_sessions), utilisable une seule fois sur
+-- n'importe quel compte (/api/premium/redeem).
+
+CREATE TABLE IF NOT EXISTS premium_gift (
+  code TEXT PRIMARY KEY,
+  months INTEGER NOT NULL CHECK (months BETWEEN 1 AND 12),
+  -- Session payée : un seul code par session (événement rejoué)
+  session_id TEXT NOT NULL UNIQUE REFERENCES payments (session_id),
+  purchaser_id UUID REFERENCES auth.users (id) ON DELETE SET NULL,
+  -- Utilisation unique : renseignés ensemble par un UPDATE conditionnel
+  redeemed_by UUID REFERENCES auth.users (id) ON DELETE SET NULL,
+  redeemed_at TIMESTAMP WITH TIME ZONE,
+  -- Paiement remboursé avant utilisation : code inutilisable
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS premium_gift_purchaser_id_idx
+  ON premium_gift (purchaser_id);
+
+-- Réservée au serveur (clé service) : aucune politique d'accès
+ALTER TABLE premium_gift ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,11 @@
+-- Premium offert : redeemed_at marque seul l'utilisation d'un code.
+-- redeemed_by repasse à NULL à la suppression du compte bénéficiaire
+-- (ON DELETE SET NULL) : lib/premiumGift réserve donc un code sur
+-- redeemed_at IS NULL, et un bénéficiaire implique une date d'utilisation.
+
+ALTER TABLE premium_gift
+  DROP CONSTRAINT IF EXISTS premium_gift_redeemed_at_check;
+
+ALTER TABLE premium_gift
+  ADD CONSTRAINT premium_gift_redeemed_at_check
+  CHECK (redeemed_by IS NULL OR redeemed_at IS NOT NULL);
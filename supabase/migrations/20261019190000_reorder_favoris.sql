@@ -0,0 +1,32 @@
+-- Réordonnancement des favoris en une seule instruction (lib/favorisRepository)
+-- Tous les favoris de l'utilisateur changent de position, ou aucun : si la
+-- liste ne correspond plus exactement à ses favoris (ajout ou suppression
+-- entre-temps), l'exception annule la mise à jour.
+
+CREATE OR REPLACE FUNCTION reorder_favoris(p_user_id UUID, p_ids TEXT[])
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  updated_count INTEGER;
+  owned_count INTEGER;
+BEGIN
+  UPDATE favorie f
+  SET position = ordered.rang - 1
+  FROM unnest(p_ids) WITH ORDINALITY AS ordered(id, rang)
+  WHERE f.id::TEXT = ordered.id
+    AND f.user_id = p_user_id;
+  GET DIAGNOSTICS updated_count = ROW_COUNT;
+
+  SELECT COUNT(*) INTO owned_count FROM favorie WHERE user_id = p_user_id;
+
+  IF updated_count <> cardinality(p_ids) OR updated_count <> owned_count THEN
+    RAISE EXCEPTION 'Liste de favoris périmée'
+      USING ERRCODE = '40001';
+  END IF;
+END;
+$$;
+
+-- Réservée à la clé service : l'utilisateur est passé en paramètre
+REVOKE EXECUTE ON FUNCTION reorder_favoris(UUID, TEXT[])
+  FROM PUBLIC, anon, authenticated;
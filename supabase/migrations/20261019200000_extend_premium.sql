@@ -0,0 +1,27 @@
+-- Premium offert : prolongation atomique du premium d'un compte
+-- (lib/premium, redeemGift). L'expiration est relue par l'UPDATE lui-même :
+-- deux codes utilisés en même temps sur un compte s'ajoutent au lieu de
+-- repartir tous deux de la même date.
+-- Renvoie la nouvelle expiration, NULL si le compte est introuvable ou
+-- premium sans expiration (accès permanent conservé).
+
+CREATE OR REPLACE FUNCTION extend_premium(p_user_id UUID, p_days INTEGER)
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE sql
+AS $$
+  UPDATE "user"
+  SET is_premium = TRUE,
+      premium_expires_at = (
+        CASE
+          WHEN is_premium AND premium_expires_at > NOW() THEN premium_expires_at
+          ELSE NOW()
+        END
+      ) + make_interval(days => p_days)
+  WHERE id = p_user_id
+    AND NOT (is_premium AND premium_expires_at IS NULL)
+  RETURNING premium_expires_at;
+$$;
+
+-- Réservée à la clé service : l'utilisateur est passé en paramètre
+REVOKE EXECUTE ON FUNCTION extend_premium(UUID, INTEGER)
+  FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a" }, "jeton-b": { id: "user-b" } },
+    }),
+  };
+});
+
+const createSession = vi.hoisted(() => vi.fn());
+
+vi.mock("../../lib/stripe", () => ({
+  stripe: { billingPortal: { sessions: { create: createSession } } },
+}));
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import handler from "../../pages/api/billing/portal";
+
+const call = async (method, token = "jeton-a") => {
+  const res = createResponse();
+  await handler(
+    {
+      method,
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      body: {},
+      query: {},
+    },
+    res
+  );
+  return res;
+};
+
+describe("POST /api/billing/portal", () => {
+  beforeEach(() => {
+    supabaseAdmin.reset({
+      user: [
+        { id: "user-a", stripe_customer_id: "cus_a" },
+        { id: "user-b", stripe_customer_id: null },
+      ],
+    });
+    createSession.mockReset();
+    createSession.mockResolvedValue({ url: "https://billing.stripe.test/s" });
+    vi.stubEnv("NEXTAUTH_URL", "https://meteo.test");
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("renvoie l'URL du portail du client connecté", async () => {
+    const res = await call("POST");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ url: "https://billing.stripe.test/s" });
+    expect(createSession).toHaveBeenCalledWith({
+      customer: "cus_a",
+      return_url: "https://meteo.test/profile?tab=billing",
+    });
+  });
+
+  it("jamais abonné : 404 sans appel à Stripe", async () => {
+    const res = await call("POST", "jeton-b");
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe("Aucun compte de facturation");
+    expect(createSession).not.toHaveBeenCalled();
+  });
+
+  it("sans jeton : 401", async () => {
+    const res = await call("POST", null);
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("GET : 405", async () => {
+    const res = await call("GET");
+
+    expect(res.statusCode).toBe(405);
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+// Jetons : "jeton-a" → user-a, "jeton-b" → user-b
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a" }, "jeton-b": { id: "user-b" } },
+    }),
+  };
+});
+
+vi.mock("../../lib/stripe", () => ({
+  stripe: { checkout: { sessions: { retrieve: vi.fn() } } },
+}));
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import { stripe } from "../../lib/stripe";
+import handler from "../../pages/api/checkout-sessions/[session_id]";
+
+const ALICE = "user-a";
+const BOB = "user-b";
+
+const checkoutSession = (overrides = {}) => ({
+  id: "cs_test_1",
+  mode: "payment",
+  payment_status: "paid",
+  client_reference_id: ALICE,
+  metadata: { userId: ALICE },
+  customer_email: "alice@example.com",
+  amount_total: 499,
+  currency: "eur",
+  ...overrides,
+});
+
+const call = async (token) => {
+  const res = createResponse();
+  await handler(
+    {
+      method: "GET",
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      query: { session_id: "cs_test_1" },
+    },
+    res
+  );
+  return res;
+};
+
+describe("/api/checkout-sessions/[session_id]", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    supabaseAdmin.reset({
+      payments: [{ session_id: "cs_test_1", user_id: ALICE, status: "paid" }],
+      stripe_event: [
+        {
+          id: "evt_1",
+          type: "checkout.session.completed",
+          object_id: "cs_test_1",
+          user_id: ALICE,
+        },
+      ],
+      user: [
+        {
+          id: ALICE,
+          is_premium: true,
+          premium_expires_at: "2099-01-01T00:00:00.000Z",
+        },
+      ],
+    });
+    stripe.checkout.sessions.retrieve.mockResolvedValue(checkoutSession());
+  });
+
+  it("répond 401 sans jeton, sans interroger Stripe", async () => {
+    const res = await call(null);
+
+    expect(res.statusCode).toBe(401);
+    expect(stripe.checkout.sessions.retrieve).not.toHaveBeenCalled();
+  });
+
+  it("répond 403 à un autre utilisateur connecté", async () => {
+    const res = await call("jeton-b");
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe("Session de paiement d'un autre utilisateur");
+    expect(res.body.is_premium).toBeUndefined();
+  });
+
+  it("répond 403 d'après client_reference_id sans ligne payments", async () => {
+    supabaseAdmin.reset({ payments: [], stripe_event: [], user: [] });
+
+    const res = await call("jeton-b");
+    expect(res.statusCode).toBe(403);
+  });
+
+  it("renvoie le statut premium au propriétaire de la session", async () => {
+    const res = await call("jeton-a");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({
+      status: "complete",
+      is_premium: true,
+      premium_expires_at: "2099-01-01T00:00:00.000Z",
+    });
+  });
+
+  it("session aux sources incohérentes : rejected, jamais complete", async () => {
+    stripe.checkout.sessions.retrieve.mockResolvedValue(
+      checkoutSession({ metadata: { userId: BOB } })
+    );
+
+    for (const token of ["jeton-a", "jeton-b"]) {
+      const res = await call(token);
+      expect(res.statusCode).toBe(200);
+      expect(res.body.status).toBe("rejected");
+    }
+  });
+
+  it("session marquée rejected par le webhook : rejected", async () => {
+    supabaseAdmin.tables.payments[0].status = "rejected";
+
+    const res = await call("jeton-a");
+    expect(res.body.status).toBe("rejected");
+  });
+
+  it("paiement réglé sans activation enregistrée : processing", async () => {
+    supabaseAdmin.reset({
+      payments: [
+        { session_id: "cs_test_1", user_id: ALICE, status: "pending" },
+      ],
+      stripe_event: [],
+    });
+
+    const res = await call("jeton-a");
+    expect(res.body.status).toBe("processing");
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+const sessionsCreate = vi.hoisted(() => vi.fn());
+
+// La route crée son propre client Stripe à l'import
+vi.mock("stripe", () => ({
+  default: function Stripe() {
+    return { checkout: { sessions: { create: sessionsCreate } } };
+  },
+}));
+
+// Jeton : "jeton-a" → user-a
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a", email: "alice@example.com" } },
+    }),
+  };
+});
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import handler from "../../pages/api/checkout_sessions";
+
+const call = async (body) => {
+  const res = createResponse();
+  await handler(
+    {
+      method: "POST",
+      headers: { authorization: "Bearer jeton-a" },
+      body,
+    },
+    res
+  );
+  return res;
+};
+
+// Paramètres envoyés à Stripe pour la dernière session créée
+const stripeParams = () => sessionsCreate.mock.calls.at(-1)[0];
+
+describe("/api/checkout_sessions", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.stubEnv("STRIPE_PRICE_MONTHLY", "price_monthly");
+    vi.stubEnv("STRIPE_PRICE_YEARLY", "price_yearly");
+    vi.stubEnv("STRIPE_PRICE_GIFT_MONTH", "price_gift");
+    vi.stubEnv("STRIPE_TRIAL_DAYS", "0");
+    supabaseAdmin.reset({
+      user: [{ id: "user-a", is_premium: false }],
+      payments: [],
+    });
+    sessionsCreate.mockImplementation(async (params) => ({
+      id: "cs_test_1",
+      url: "https://checkout.stripe.test/cs_test_1",
+      mode: params.mode,
+    }));
+  });
+
+  describe("codes promotionnels", () => {
+    it("sont proposés sur un abonnement", async () => {
+      const res = await call({ plan: "yearly" });
+
+      expect(res.statusCode).toBe(200);
+      expect(stripeParams()).toMatchObject({
+        mode: "subscription",
+        allow_promotion_codes: true,
+      });
+    });
+
+    it("ne sont jamais proposés sur le premium offert", async () => {
+      const res = await call({ type: "gift", months: 6 });
+
+      expect(res.statusCode).toBe(200);
+      expect(stripeParams()).toMatchObject({
+        mode: "payment",
+        line_items: [{ price: "price_gift", quantity: 6 }],
+      });
+      expect(stripeParams()).not.toHaveProperty("allow_promotion_codes");
+    });
+  });
+
+  describe("abonnement en cours", () => {
+    it.each(["active", "past_due"])(
+      "refuse un nouvel abonnement (409) au statut %s",
+      async (status) => {
+        supabaseAdmin.tables.user[0].subscription_status = status;
+
+        const res = await call({ plan: "monthly" });
+
+        expect(res.statusCode).toBe(409);
+        expect(res.body.error).toBe("Abonnement déjà en cours");
+        expect(sessionsCreate).not.toHaveBeenCalled();
+      }
+    );
+
+    it("accepte un nouvel abonnement après résiliation", async () => {
+      supabaseAdmin.tables.user[0].subscription_status = "canceled";
+
+      const res = await call({ plan: "monthly" });
+      expect(res.statusCode).toBe(200);
+    });
+
+    it("laisse un abonné offrir du premium", async () => {
+      supabaseAdmin.tables.user[0].subscription_status = "active";
+
+      const res = await call({ type: "gift", months: 1 });
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  describe("client Stripe", () => {
+    it("réutilise le client Stripe connu du compte", async () => {
+      supabaseAdmin.tables.user[0].stripe_customer_id = "cus_alice";
+
+      await call({ plan: "monthly" });
+
+      expect(stripeParams().customer).toBe("cus_alice");
+      expect(stripeParams()).not.toHaveProperty("customer_email");
+    });
+
+    it("pré-remplit l'email sans client Stripe connu", async () => {
+      await call({ plan: "monthly" });
+
+      expect(stripeParams().customer_email).toBe("alice@example.com");
+      expect(stripeParams()).not.toHaveProperty("customer");
+    });
+  });
+
+  describe("essai gratuit", () => {
+    beforeEach(() => {
+      vi.stubEnv("STRIPE_TRIAL_DAYS", "7");
+    });
+
+    it("est proposé au premier abonnement", async () => {
+      await call({ plan: "monthly" });
+
+      expect(stripeParams().subscription_data.trial_period_days).toBe(7);
+      expect(stripeParams().metadata.trialDays).toBe("7");
+    });
+
+    it("n'est pas proposé à un ancien abonné", async () => {
+      Object.assign(supabaseAdmin.tables.user[0], {
+        stripe_subscription_id: "sub_1",
+        subscription_status: "canceled",
+      });
+
+      await call({ plan: "monthly" });
+
+      expect(stripeParams().subscription_data).not.toHaveProperty(
+        "trial_period_days"
+      );
+    });
+  });
+
+  it("enregistre la session ouverte par le compte connecté", async () => {
+    await call({ type: "gift", months: 2 });
+
+    expect(stripeParams().client_reference_id).toBe("user-a");
+    expect(supabaseAdmin.tables.payments).toEqual([
+      expect.objectContaining({
+        session_id: "cs_test_1",
+        user_id: "user-a",
+        status: "pending",
+      }),
+    ]);
+  });
+});
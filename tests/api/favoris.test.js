@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+// Jetons : "jeton-a" → user-a, "jeton-b" → user-b
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a" }, "jeton-b": { id: "user-b" } },
+    }),
+  };
+});
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import handler from "../../pages/api/favoris/index";
+
+const ALICE = { id: "user-a" };
+const BOB = { id: "user-b" };
+
+const FAVORIS = [
+  { id: 1, user_id: ALICE.id, ville: "Lyon", insee: "69123", position: 0 },
+  { id: 2, user_id: ALICE.id, ville: "Brest", insee: "29019", position: 1 },
+  { id: 3, user_id: BOB.id, ville: "Nantes", insee: "44109", position: 0 },
+];
+
+// Requête authentifiée avec le jeton de l'utilisateur
+const request = (method, { token = "jeton-a", body = {} } = {}) => ({
+  method,
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  body,
+  query: {},
+});
+
+const call = async (req) => {
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+};
+
+describe("/api/favoris", () => {
+  beforeEach(() => {
+    supabaseAdmin.reset({ favorie: FAVORIS, user: [] });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  describe("authentification", () => {
+    it.each(["GET", "POST", "PATCH", "DELETE"])(
+      "%s sans jeton répond 401",
+      async (method) => {
+        const res = await call(request(method, { token: null }));
+        expect(res.statusCode).toBe(401);
+        expect(res.body.error).toBe("Authentification requise");
+      }
+    );
+
+    it("un jeton invalide répond 401 sans toucher à la table", async () => {
+      const res = await call(
+        request("DELETE", { token: "jeton-expire", body: { id: 1 } })
+      );
+      expect(res.statusCode).toBe(401);
+      expect(supabaseAdmin.tables.favorie).toHaveLength(3);
+    });
+  });
+
+  describe("isolation entre utilisateurs", () => {
+    it("GET ne renvoie que les favoris de l'utilisateur du jeton", async () => {
+      const res = await call(request("GET"));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.data.map((f) => f.ville)).toEqual(["Lyon", "Brest"]);
+      expect(res.body.data.every((f) => f.user_id === ALICE.id)).toBe(true);
+    });
+
+    it("GET ignore un userId envoyé dans la requête", async () => {
+      const req = request("GET");
+      req.query = { userId: BOB.id };
+      req.body = { userId: BOB.id };
+
+      const res = await call(req);
+      expect(res.body.data.some((f) => f.user_id === BOB.id)).toBe(false);
+    });
+
+    it("DELETE du favori d'un autre utilisateur répond 404 et le conserve", async () => {
+      const res = await call(request("DELETE", { body: { id: 3 } }));
+
+      expect(res.statusCode).toBe(404);
+      expect(
+        supabaseAdmin.tables.favorie.find((f) => f.id === 3)
+      ).toMatchObject({
+        user_id: BOB.id,
+        ville: "Nantes",
+      });
+    });
+
+    it("DELETE par nom ne cible pas la ville d'un autre utilisateur", async () => {
+      const res = await call(request("DELETE", { body: { ville: "nantes" } }));
+
+      expect(res.statusCode).toBe(404);
+      expect(supabaseAdmin.tables.favorie).toHaveLength(3);
+    });
+
+    it("PATCH du favori d'un autre utilisateur répond 404 sans le modifier", async () => {
+      const res = await call(
+        request("PATCH", { body: { id: 3, label: "Chez Alice" } })
+      );
+
+      expect(res.statusCode).toBe(404);
+      expect(supabaseAdmin.tables.favorie.find((f) => f.id === 3).label).toBe(
+        undefined
+      );
+    });
+
+    it("PATCH et DELETE de son propre favori réussissent", async () => {
+      const patch = await call(
+        request("PATCH", { body: { id: 1, label: "Maison" } })
+      );
+      expect(patch.statusCode).toBe(200);
+      expect(patch.body.data.label).toBe("Maison");
+
+      const del = await call(request("DELETE", { body: { id: 2 } }));
+      expect(del.statusCode).toBe(200);
+      expect(supabaseAdmin.tables.favorie.map((f) => f.id)).toEqual([1, 3]);
+    });
+  });
+
+  describe("quota selon l'offre", () => {
+    const add = (ville) => call(request("POST", { body: { ville } }));
+
+    it("gratuit : 3e favori accepté, 4e refusé avec la limite", async () => {
+      const third = await add("Paris");
+      expect(third.statusCode).toBe(201);
+      expect(third.body.limits).toEqual({
+        plan: "free",
+        maxFavoris: 3,
+        favorisGroups: false,
+      });
+
+      const fourth = await add("Marseille");
+      expect(fourth.statusCode).toBe(400);
+      expect(fourth.body).toMatchObject({
+        error: "Limite de 3 favoris atteinte",
+        current_count: 3,
+        max_allowed: 3,
+      });
+      expect(supabaseAdmin.tables.favorie).toHaveLength(4);
+    });
+
+    it("premium : pas de limite", async () => {
+      supabaseAdmin.tables.user.push({ id: ALICE.id, is_premium: true });
+
+      await add("Paris");
+      const res = await add("Marseille");
+
+      expect(res.statusCode).toBe(201);
+      expect(res.body.limits.maxFavoris).toBeNull();
+    });
+
+    it("premium expiré : retour à la limite gratuite", async () => {
+      supabaseAdmin.tables.user.push({
+        id: ALICE.id,
+        is_premium: true,
+        premium_expires_at: "2020-01-01T00:00:00Z",
+      });
+
+      const res = await call(request("GET"));
+
+      expect(res.body.limits.plan).toBe("free");
+    });
+  });
+});
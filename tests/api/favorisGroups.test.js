@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+// Jetons : "jeton-a" → user-a, "jeton-b" → user-b
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a" }, "jeton-b": { id: "user-b" } },
+      // Nom de groupe unique par utilisateur
+      unique: { favorie_group: [["user_id", "name"]] },
+    }),
+  };
+});
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import groupsHandler from "../../pages/api/favoris/groups";
+import favorisHandler from "../../pages/api/favoris/index";
+
+const BRETAGNE = "11111111-1111-4111-8111-111111111111";
+const CLIENTS_BOB = "22222222-2222-4222-8222-222222222222";
+
+const TABLES = {
+  user: [{ id: "user-a", is_premium: true }],
+  favorie_group: [
+    { id: BRETAGNE, user_id: "user-a", name: "Bretagne", position: 0 },
+    { id: CLIENTS_BOB, user_id: "user-b", name: "Clients", position: 0 },
+  ],
+  favorie: [
+    { id: 1, user_id: "user-a", ville: "Brest", position: 0, group_id: null },
+  ],
+};
+
+const call = async (handler, method, { token = "jeton-a", body = {} } = {}) => {
+  const res = createResponse();
+  await handler(
+    {
+      method,
+      headers: { authorization: `Bearer ${token}` },
+      body,
+      query: {},
+    },
+    res
+  );
+  return res;
+};
+
+describe("/api/favoris/groups", () => {
+  beforeEach(() => {
+    supabaseAdmin.reset(TABLES);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("offre gratuite : 403 avec les limites", async () => {
+    const res = await call(groupsHandler, "GET", { token: "jeton-b" });
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.limits.favorisGroups).toBe(false);
+  });
+
+  it("GET ne liste que les groupes de l'utilisateur", async () => {
+    const res = await call(groupsHandler, "GET");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.map((g) => g.name)).toEqual(["Bretagne"]);
+  });
+
+  it("POST crée le groupe après les existants", async () => {
+    const res = await call(groupsHandler, "POST", {
+      body: { name: "  Clients " },
+    });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({
+      user_id: "user-a",
+      name: "Clients",
+      position: 1,
+    });
+  });
+
+  it("POST d'un nom déjà utilisé : 400", async () => {
+    const res = await call(groupsHandler, "POST", {
+      body: { name: "Bretagne" },
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe("Un groupe porte déjà ce nom");
+  });
+
+  it("PATCH renomme son groupe, 404 pour celui d'un autre", async () => {
+    const own = await call(groupsHandler, "PATCH", {
+      body: { id: BRETAGNE, name: "Finistère" },
+    });
+    expect(own.statusCode).toBe(200);
+    expect(own.body.data.name).toBe("Finistère");
+
+    const other = await call(groupsHandler, "PATCH", {
+      body: { id: CLIENTS_BOB, name: "Volé" },
+    });
+    expect(other.statusCode).toBe(404);
+    expect(
+      supabaseAdmin.tables.favorie_group.find((g) => g.id === CLIENTS_BOB).name
+    ).toBe("Clients");
+  });
+
+  it("DELETE supprime son groupe", async () => {
+    const res = await call(groupsHandler, "DELETE", { body: { id: BRETAGNE } });
+
+    expect(res.statusCode).toBe(200);
+    expect(supabaseAdmin.tables.favorie_group.map((g) => g.id)).toEqual([
+      CLIENTS_BOB,
+    ]);
+  });
+
+  it("identifiant de groupe invalide : 400", async () => {
+    const res = await call(groupsHandler, "DELETE", { body: { id: "1" } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.id).toEqual(["Identifiant de groupe invalide"]);
+  });
+});
+
+describe("PATCH /api/favoris (group_id)", () => {
+  beforeEach(() => {
+    supabaseAdmin.reset(TABLES);
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  const assign = (group_id, token) =>
+    call(favorisHandler, "PATCH", { token, body: { id: 1, group_id } });
+
+  it("rattache le favori à son groupe puis l'en retire", async () => {
+    const added = await assign(BRETAGNE);
+    expect(added.statusCode).toBe(200);
+    expect(added.body.data.group_id).toBe(BRETAGNE);
+
+    const removed = await assign(null);
+    expect(removed.statusCode).toBe(200);
+    expect(supabaseAdmin.tables.favorie[0].group_id).toBeNull();
+  });
+
+  it("groupe d'un autre utilisateur : 404 sans modification", async () => {
+    const res = await assign(CLIENTS_BOB);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe("Groupe non trouvé");
+    expect(supabaseAdmin.tables.favorie[0].group_id).toBeNull();
+  });
+
+  it("offre gratuite : 403", async () => {
+    supabaseAdmin.tables.user[0].is_premium = false;
+
+    const res = await assign(BRETAGNE);
+
+    expect(res.statusCode).toBe(403);
+    expect(supabaseAdmin.tables.favorie[0].group_id).toBeNull();
+  });
+});
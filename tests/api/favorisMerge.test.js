@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a" } },
+    }),
+  };
+});
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import handler from "../../pages/api/favoris/merge";
+
+const merge = async (favoris, token = "jeton-a") => {
+  const res = createResponse();
+  await handler(
+    {
+      method: "POST",
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      body: { favoris },
+      query: {},
+    },
+    res
+  );
+  return res;
+};
+
+describe("POST /api/favoris/merge", () => {
+  beforeEach(() => {
+    supabaseAdmin.reset({
+      user: [],
+      favorie: [
+        {
+          id: 1,
+          user_id: "user-a",
+          ville: "Lyon",
+          insee: "69123",
+          position: 0,
+        },
+      ],
+    });
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  it("doublons ignorés et dépassement de la limite signalé", async () => {
+    const res = await merge([
+      { ville: "Lyon", insee: "69123" },
+      { ville: "Brest" },
+      { ville: "Nantes" },
+      { ville: "Paris" },
+    ]);
+
+    expect(res.statusCode).toBe(200);
+    const { added, duplicates, overflow } = res.body.data;
+    expect(added.map((f) => f.ville)).toEqual(["Brest", "Nantes"]);
+    expect(duplicates.map((f) => f.ville)).toEqual(["Lyon"]);
+    expect(overflow.map((f) => f.ville)).toEqual(["Paris"]);
+    expect(res.body.limits.maxFavoris).toBe(3);
+    expect(supabaseAdmin.tables.favorie).toHaveLength(3);
+  });
+
+  it("sans jeton : 401 sans import", async () => {
+    const res = await merge([{ ville: "Brest" }], null);
+
+    expect(res.statusCode).toBe(401);
+    expect(supabaseAdmin.tables.favorie).toHaveLength(1);
+  });
+
+  it("liste vide : 400", async () => {
+    const res = await merge([]);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.details.favoris).toEqual(["Liste des favoris requise"]);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a" } },
+    }),
+  };
+});
+
+// API Géo : quelques communes connues
+vi.mock("../../lib/communes", async (importOriginal) => {
+  const communes = {
+    29019: { nom: "Brest", code: "29019", lat: 48.39, lon: -4.49 },
+    69123: { nom: "Lyon", code: "69123", lat: 45.76, lon: 4.83 },
+    44109: { nom: "Nantes", code: "44109", lat: 47.22, lon: -1.55 },
+  };
+  return {
+    ...(await importOriginal()),
+    communesService: {
+      getByCode: async (code) => ({ data: communes[code] || null }),
+      findByCoordinates: async () => ({ data: communes[44109], error: null }),
+      search: async (nom) => ({
+        data: Object.values(communes).filter((c) => c.nom === nom),
+        error: null,
+      }),
+    },
+  };
+});
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import importHandler from "../../pages/api/favoris/import";
+import exportHandler from "../../pages/api/favoris/export";
+
+const importFile = async (format, body) => {
+  const res = createResponse();
+  await importHandler(
+    {
+      method: "POST",
+      headers: { authorization: "Bearer jeton-a" },
+      body,
+      query: { format },
+    },
+    res
+  );
+  return res;
+};
+
+const exportFile = async (format) => {
+  const res = createResponse();
+  await exportHandler(
+    {
+      method: "GET",
+      headers: { authorization: "Bearer jeton-a" },
+      query: { format },
+    },
+    res
+  );
+  return res;
+};
+
+beforeEach(() => {
+  supabaseAdmin.reset({
+    user: [],
+    favorie: [
+      {
+        id: 101,
+        user_id: "user-a",
+        ville: "Lyon",
+        insee: "69123",
+        label: null,
+        position: 0,
+      },
+      {
+        id: 102,
+        user_id: "user-a",
+        ville: "Paris",
+        insee: "75056",
+        label: null,
+        position: 1,
+      },
+    ],
+  });
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+describe("GET /api/favoris/export", () => {
+  it("GeoJSON : points complétés depuis la commune", async () => {
+    const res = await exportFile("geojson");
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers["content-type"]).toContain("application/geo+json");
+    expect(res.headers["content-disposition"]).toMatch(
+      /attachment; filename="favoris-\d{4}-\d{2}-\d{2}\.geojson"/
+    );
+    const [lyon] = JSON.parse(res.body).features;
+    expect(lyon.geometry.coordinates).toEqual([4.83, 45.76]);
+  });
+
+  it("format inconnu : 400", async () => {
+    const res = await exportFile("xlsx");
+
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe("POST /api/favoris/import", () => {
+  it("rapport ligne par ligne : créée, mise à jour, erreurs", async () => {
+    const csv = [
+      "ville,insee,lat,lon,label",
+      "Brest,,,,Port",
+      ",69123,,,Siège",
+      "Atlantis,,,,",
+      "x,123,,,",
+      "Nantes,,47.2,-1.5,",
+    ].join("\n");
+
+    const res = await importFile("csv", csv);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.results).toEqual(
+      [
+        { row: 1, ville: "Brest", insee: "29019", status: "created" },
+        { row: 2, ville: "Lyon", insee: "69123", status: "updated" },
+        { row: 3, status: "error", error: "Commune introuvable : Atlantis" },
+        { row: 4, status: "error", error: "Code INSEE invalide" },
+        { row: 5, status: "error", error: "Limite de 3 favoris atteinte" },
+      ].map((result) => expect.objectContaining(result))
+    );
+    expect(res.body.data.summary).toEqual({
+      created: 1,
+      updated: 1,
+      unchanged: 0,
+      error: 3,
+    });
+    expect(supabaseAdmin.tables.favorie.map((f) => f.label)).toEqual([
+      "Siège",
+      null,
+      "Port",
+    ]);
+  });
+
+  it("réimporter le même fichier est sans effet", async () => {
+    const body = { favoris: [{ ville: "Brest", label: "Port" }] };
+
+    await importFile("json", body);
+    const res = await importFile("json", body);
+
+    expect(res.body.data.summary).toMatchObject({ created: 0, unchanged: 1 });
+    expect(supabaseAdmin.tables.favorie).toHaveLength(3);
+  });
+
+  it("format inconnu : 400", async () => {
+    const res = await importFile("xlsx", "");
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe("Format non supporté");
+  });
+});
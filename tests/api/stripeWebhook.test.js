@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { Readable } from "node:stream";
+import Stripe from "stripe";
+import { createResponse } from "../helpers/supabaseStub";
+
+// stripe_event.id : clé primaire (doublon → 23505)
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({ unique: { stripe_event: [["id"]] } }),
+  };
+});
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import handler from "../../pages/api/stripe/webhook";
+
+const SECRET = "whsec_test";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const signer = new Stripe("sk_test_vitest");
+
+// Requête signée comme par Stripe, corps brut lu en flux
+const call = async (event, { signature } = {}) => {
+  const payload = JSON.stringify(event);
+  const req = Readable.from([Buffer.from(payload)]);
+  req.method = "POST";
+  req.headers = {
+    "stripe-signature":
+      signature ??
+      signer.webhooks.generateTestHeaderString({ payload, secret: SECRET }),
+  };
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+};
+
+const refundEvent = (id = "evt_refund") => ({
+  id,
+  type: "charge.refunded",
+  created: Math.floor(Date.now() / 1000),
+  data: {
+    object: { id: "ch_1", refunded: true, payment_intent: "pi_1" },
+  },
+});
+
+const expiresInDays = () =>
+  Math.round(
+    (Date.parse(supabaseAdmin.tables.user[0].premium_expires_at) - Date.now()) /
+      DAY_MS
+  );
+
+describe("/api/stripe/webhook", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.stubEnv("STRIPE_WEBHOOK_SECRET", SECRET);
+    supabaseAdmin.reset({
+      user: [
+        {
+          id: "user-a",
+          is_premium: true,
+          premium_expires_at: new Date(Date.now() + 60 * DAY_MS).toISOString(),
+        },
+      ],
+      payments: [],
+      premium_gift: [],
+      // Activation par un paiement unique, à l'origine du remboursement
+      stripe_event: [
+        {
+          id: "evt_checkout",
+          type: "checkout.session.completed",
+          object_id: "cs_1",
+          payment_intent: "pi_1",
+          user_id: "user-a",
+        },
+      ],
+    });
+  });
+
+  it("refuse une signature invalide (400) sans rien enregistrer", async () => {
+    const res = await call(refundEvent(), { signature: "t=1,v1=falsifiee" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe("Signature invalide");
+    expect(supabaseAdmin.tables.stripe_event).toHaveLength(1);
+    expect(expiresInDays()).toBe(60);
+  });
+
+  it("refuse un corps modifié après signature", async () => {
+    const signature = signer.webhooks.generateTestHeaderString({
+      payload: JSON.stringify(refundEvent()),
+      secret: SECRET,
+    });
+
+    const res = await call(refundEvent("evt_autre"), { signature });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it("un remboursement retire la période achetée", async () => {
+    const res = await call(refundEvent());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ received: true, status: "shortened" });
+    expect(expiresInDays()).toBe(30);
+    expect(supabaseAdmin.tables.user[0].is_premium).toBe(true);
+  });
+
+  it("un événement rejoué est acquitté sans être réappliqué", async () => {
+    await call(refundEvent());
+    const res = await call(refundEvent());
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ received: true, duplicate: true });
+    expect(expiresInDays()).toBe(30);
+  });
+
+  it("un traitement en échec libère l'événement pour le prochain envoi", async () => {
+    supabaseAdmin.failures.user = { update: { message: "connexion perdue" } };
+
+    const failed = await call(refundEvent());
+
+    expect(failed.statusCode).toBe(500);
+    expect(supabaseAdmin.tables.stripe_event.map((e) => e.id)).not.toContain(
+      "evt_refund"
+    );
+    expect(expiresInDays()).toBe(60);
+
+    delete supabaseAdmin.failures.user;
+    const retried = await call(refundEvent());
+
+    expect(retried.statusCode).toBe(200);
+    expect(retried.body.status).toBe("shortened");
+    expect(expiresInDays()).toBe(30);
+  });
+
+  it("acquitte un type d'événement non traité", async () => {
+    const res = await call({ ...refundEvent(), type: "customer.created" });
+
+    expect(res.body).toEqual({ received: true, ignored: true });
+    expect(supabaseAdmin.tables.stripe_event).toHaveLength(1);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+vi.mock("../../lib/weatherService", () => ({
+  weatherService: { getCachedForecast: vi.fn() },
+}));
+
+// Jeton : "jeton-a" → user-a
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a" } },
+    }),
+  };
+});
+
+import { weatherService } from "../../lib/weatherService";
+import handler from "../../pages/api/weather/batch";
+
+const FORECAST = {
+  location: { timezoneOffset: 0 },
+  points: [
+    { time: "2026-10-19T09:00:00Z", date: "2026-10-19", temperature: 12 },
+    { time: "2026-10-19T12:00:00Z", date: "2026-10-19", temperature: 15 },
+  ],
+};
+
+const call = async (body, token = "jeton-a") => {
+  const res = createResponse();
+  await handler(
+    {
+      method: "POST",
+      headers: token ? { authorization: `Bearer ${token}` } : {},
+      body,
+    },
+    res
+  );
+  return res;
+};
+
+const locations = (count) =>
+  Array.from({ length: count }, (_, i) => ({ id: i, ville: `Ville ${i}` }));
+
+describe("/api/weather/batch", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    weatherService.getCachedForecast.mockResolvedValue({
+      data: FORECAST,
+      error: null,
+    });
+  });
+
+  it.each([
+    ["sans jeton", null],
+    ["avec un jeton invalide", "jeton-inconnu"],
+  ])("refuse un appel %s (401)", async (_, token) => {
+    const res = await call({ locations: locations(20) }, token);
+
+    expect(res.statusCode).toBe(401);
+    expect(weatherService.getCachedForecast).not.toHaveBeenCalled();
+  });
+
+  it("refuse une localisation nulle (400, pas 500)", async () => {
+    const res = await call({ locations: [{ id: 1, ville: "Lyon" }, null] });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe("Localisation invalide (objet attendu)");
+    expect(weatherService.getCachedForecast).not.toHaveBeenCalled();
+  });
+
+  it.each([undefined, [], "Lyon"])(
+    "refuse un tableau de localisations absent ou vide (%j)",
+    async (value) => {
+      const res = await call({ locations: value });
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.error).toBe("locations requis (tableau)");
+    }
+  );
+
+  it("refuse plus de 20 localisations", async () => {
+    const res = await call({ locations: locations(21) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe("20 localisations maximum par appel");
+  });
+
+  it("accepte un lot de 20 localisations", async () => {
+    const res = await call({ locations: locations(20) });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(20);
+  });
+
+  it("signale une localisation inexploitable sans bloquer les autres", async () => {
+    const res = await call({
+      locations: [
+        { id: "a", ville: "Lyon" },
+        { id: "b", lat: 123, lon: 4 },
+      ],
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toEqual([
+      expect.objectContaining({ id: "a", error: null }),
+      { id: "b", error: "Localisation invalide" },
+    ]);
+  });
+});
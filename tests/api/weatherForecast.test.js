@@ -0,0 +1,71 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+vi.mock("../../lib/weatherService", () => ({
+  weatherService: { getCachedForecast: vi.fn() },
+}));
+
+import { weatherService } from "../../lib/weatherService";
+import handler from "../../pages/api/weather/forecast";
+
+const call = async (query) => {
+  const res = createResponse();
+  await handler({ method: "GET", headers: {}, query }, res);
+  return res;
+};
+
+describe("/api/weather/forecast", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    weatherService.getCachedForecast.mockResolvedValue({
+      data: { provider: "fixture", location: {}, points: [] },
+      error: null,
+      cached: false,
+    });
+  });
+
+  it.each([
+    ["ville", { ville: ["Lyon", "Paris"] }],
+    ["insee", { lat: "45.7", lon: "4.8", insee: ["69123", "75056"] }],
+    ["lang", { ville: "Lyon", lang: ["fr", "en"] }],
+  ])("refuse un paramètre %s répété (400, pas 500)", async (key, query) => {
+    const res = await call(query);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body).toEqual({ error: "Paramètre répété", received: [key] });
+    expect(weatherService.getCachedForecast).not.toHaveBeenCalled();
+  });
+
+  it("interroge le service par coordonnées et code INSEE", async () => {
+    const res = await call({ lat: "45.758", lon: "4.835", insee: " 69123 " });
+
+    expect(res.statusCode).toBe(200);
+    expect(weatherService.getCachedForecast).toHaveBeenCalledWith({
+      lat: 45.758,
+      lon: 4.835,
+      insee: "69123",
+      lang: "fr",
+    });
+  });
+
+  it("refuse des coordonnées hors limites", async () => {
+    const res = await call({ lat: "123", lon: "4" });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe("Coordonnées invalides");
+  });
+
+  it("relaie l'erreur du fournisseur avec son statut", async () => {
+    weatherService.getCachedForecast.mockResolvedValue({
+      data: null,
+      error: "Ville non trouvée",
+      status: 404,
+    });
+
+    const res = await call({ ville: "Nullepart" });
+
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,83 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { useState } from "react";
+import {
+  render,
+  screen,
+  fireEvent,
+  act,
+  cleanup,
+} from "@testing-library/react";
+
+vi.mock("../../lib/communes", () => ({
+  communesService: { search: vi.fn() },
+  formatCommuneLabel: (commune) => commune.nom,
+}));
+
+import { communesService } from "../../lib/communes";
+import { recentSearches } from "../../lib/recentSearches";
+import CommuneSearch from "../../components/CommuneSearch";
+
+const LYON = { code: "69123", nom: "Lyon" };
+const PARIS = { code: "75056", nom: "Paris" };
+
+// Parent qui contrôle le texte saisi, comme Hero
+function Harness() {
+  const [query, setQuery] = useState("");
+  return (
+    <CommuneSearch query={query} onQueryChange={setQuery} onSelect={vi.fn()} />
+  );
+}
+
+const input = () => screen.getByRole("combobox");
+const listbox = () => screen.getByRole("listbox", { hidden: true });
+
+// Laisse passer le délai de l'autocomplétion et la réponse de l'API
+const flushDebounce = () => act(() => vi.runAllTimersAsync());
+
+describe("CommuneSearch", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    window.localStorage.clear();
+    recentSearches.add(PARIS);
+    communesService.search.mockResolvedValue({ data: [LYON], aborted: false });
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+  });
+
+  it("propose les recherches récentes au focus d'un champ vide", () => {
+    render(<Harness />);
+
+    fireEvent.focus(input());
+
+    expect(listbox().hidden).toBe(false);
+    expect(screen.getByRole("option").textContent).toBe("Paris");
+  });
+
+  it("propose les recherches récentes quand le champ est vidé", async () => {
+    render(<Harness />);
+    fireEvent.change(input(), { target: { value: "Ly" } });
+    await flushDebounce();
+    expect(screen.getByRole("option").textContent).toBe("Lyon");
+
+    fireEvent.change(input(), { target: { value: "" } });
+    await flushDebounce();
+
+    expect(input().getAttribute("aria-expanded")).toBe("true");
+    expect(screen.getByRole("option").textContent).toBe("Paris");
+  });
+
+  it("ferme la liste sous deux caractères", async () => {
+    render(<Harness />);
+    fireEvent.change(input(), { target: { value: "Ly" } });
+    await flushDebounce();
+
+    fireEvent.change(input(), { target: { value: "L" } });
+    await flushDebounce();
+
+    expect(listbox().hidden).toBe(true);
+  });
+});
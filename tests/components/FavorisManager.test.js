@@ -0,0 +1,168 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  cleanup,
+  act,
+} from "@testing-library/react";
+
+const authFetch = vi.hoisted(() => vi.fn());
+
+vi.mock("../../lib/apiClient", () => ({ authFetch }));
+
+vi.mock("../../lib/supabase", () => ({ supabase: {} }));
+
+// Même objet à chaque rendu, comme le contexte réel
+const auth = vi.hoisted(() => ({
+  user: { id: "user-a" },
+  loading: false,
+  isDemoMode: false,
+  favorisMerge: null,
+  clearFavorisMerge: () => {},
+}));
+
+vi.mock("../../contexts/AuthContext", () => ({ useAuth: () => auth }));
+
+vi.mock("../../lib/favorisSync", () => ({
+  createFavorisSync: () => ({
+    subscribe: () => ({ notify: () => {}, unsubscribe: () => {} }),
+  }),
+}));
+
+vi.mock("../../components/FavorisDashboard", () => ({ default: () => null }));
+
+import FavorisManager from "../../components/FavorisManager";
+
+const LIMITS = { plan: "free", maxFavoris: 3, favorisGroups: false };
+const BREST = { id: 1, ville: "Brest", insee: "29019", position: 0 };
+const LYON = { nom: "Lyon", code: "69123", lat: 45.76, lon: 4.83 };
+
+const reply = (status, body) => ({
+  ok: status < 300,
+  status,
+  json: async () => body,
+});
+
+// Réponse du serveur à une requête, par méthode (GET : liste des favoris)
+let responses;
+
+const requests = (method) =>
+  authFetch.mock.calls.filter(([, options]) => options?.method === method);
+
+const renderManager = async () => {
+  render(<FavorisManager villeActuelle="Lyon" communeActuelle={LYON} />);
+  await screen.findByText(/Brest/);
+};
+
+describe("FavorisManager - mises à jour optimistes", () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    responses = {
+      GET: () => reply(200, { data: [BREST], limits: LIMITS }),
+    };
+    authFetch.mockReset();
+    authFetch.mockImplementation(async (url, options = {}) =>
+      responses[options.method || "GET"]()
+    );
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.useRealTimers();
+  });
+
+  describe("ajout", () => {
+    it("affiché avant la réponse du serveur, puis remplacé par la ligne créée", async () => {
+      let respond;
+      responses.POST = () => new Promise((resolve) => (respond = resolve));
+      await renderManager();
+
+      fireEvent.click(screen.getByText("➕ Ajouter aux favoris"));
+
+      expect(await screen.findByText(/Lyon/)).toBeTruthy();
+      expect(JSON.parse(requests("POST")[0][1].body)).toEqual({
+        ville: "Lyon",
+        insee: "69123",
+        lat: 45.76,
+        lon: 4.83,
+      });
+
+      respond(
+        reply(201, {
+          data: { id: 2, ville: "Lyon", insee: "69123", position: 1 },
+          limits: LIMITS,
+        })
+      );
+
+      expect(await screen.findByText(/Ville ajoutée aux favoris/)).toBeTruthy();
+      expect(screen.getByText(/Lyon/).closest("[draggable]").draggable).toBe(
+        true
+      );
+    });
+
+    it("refusé par le serveur : retiré et erreur affichée", async () => {
+      responses.POST = () =>
+        reply(400, { error: "Limite de 3 favoris atteinte", limits: LIMITS });
+      await renderManager();
+
+      fireEvent.click(screen.getByText("➕ Ajouter aux favoris"));
+
+      const statut = await screen.findByRole("status");
+      expect(statut.textContent).toContain("❌ Limite de 3 favoris atteinte");
+      expect(screen.queryByText(/📍 Lyon/)).toBeNull();
+    });
+  });
+
+  describe("suppression", () => {
+    const supprimerBrest = () =>
+      fireEvent.click(screen.getByTitle("Supprimer ce favori"));
+
+    it("retirée aussitôt, « Annuler » la restaure sans appel", async () => {
+      responses.DELETE = () => reply(200, { data: BREST });
+      await renderManager();
+
+      supprimerBrest();
+
+      expect(screen.queryByText(/📍 Brest/)).toBeNull();
+      expect(screen.getByRole("status").textContent).toContain(
+        "Brest supprimé des favoris"
+      );
+
+      fireEvent.click(screen.getByText("Annuler"));
+      act(() => vi.advanceTimersByTime(5000));
+
+      expect(screen.getByText(/📍 Brest/)).toBeTruthy();
+      expect(requests("DELETE")).toHaveLength(0);
+    });
+
+    it("envoyée au serveur une fois le délai d'annulation écoulé", async () => {
+      responses.DELETE = () => reply(200, { data: BREST });
+      await renderManager();
+
+      supprimerBrest();
+      expect(requests("DELETE")).toHaveLength(0);
+
+      act(() => vi.advanceTimersByTime(5000));
+
+      await waitFor(() => expect(requests("DELETE")).toHaveLength(1));
+      expect(JSON.parse(requests("DELETE")[0][1].body)).toEqual({ id: 1 });
+    });
+
+    it("refusée par le serveur : favori remis à sa place", async () => {
+      responses.DELETE = () => reply(500, { error: "Erreur serveur interne" });
+      await renderManager();
+
+      supprimerBrest();
+      act(() => vi.advanceTimersByTime(5000));
+
+      expect(await screen.findByText(/📍 Brest/)).toBeTruthy();
+      expect(screen.getByRole("status").textContent).toContain(
+        "❌ Erreur serveur interne"
+      );
+    });
+  });
+});
@@ -0,0 +1,262 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { useEffect } from "react";
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  cleanup,
+} from "@testing-library/react";
+
+const LYON = { nom: "Lyon", code: "69123", lat: 45.758, lon: 4.835 };
+
+// Même commune telle que renvoyée par l'API Géo
+const LYON_GEO = {
+  nom: "Lyon",
+  code: "69123",
+  centre: { coordinates: [4.835, 45.758] },
+};
+
+const favorisMounts = vi.hoisted(() => vi.fn());
+
+// Routeur de la page courante (réglé par chaque test)
+const router = vi.hoisted(() => ({}));
+
+// Préférences courantes (langue modifiable en cours de test)
+const preferences = vi.hoisted(() => ({ language: "fr" }));
+
+vi.mock("next/router", () => ({ useRouter: () => router }));
+
+// Utilisateur connecté (null = visiteur)
+const auth = vi.hoisted(() => ({ user: null }));
+
+vi.mock("../../contexts/AuthContext", () => ({
+  useAuth: () => ({ user: auth.user }),
+}));
+
+vi.mock("../../contexts/PreferencesContext", () => ({
+  usePreferences: () => ({
+    preferences: { ...preferences },
+    format: new Proxy({}, { get: () => (value) => String(value) }),
+  }),
+}));
+
+// Compte les montages : une navigation remonterait les favoris
+vi.mock("../../components/FavorisManager", () => ({
+  default: function FavorisManager() {
+    useEffect(() => favorisMounts(), []);
+    return null;
+  },
+}));
+
+vi.mock("../../components/CommuneSearch", () => ({
+  default: function CommuneSearch({ onSelect, onQueryChange }) {
+    return (
+      <>
+        <button type="button" onClick={() => onSelect(LYON)}>
+          Choisir Lyon
+        </button>
+        <button type="button" onClick={() => onQueryChange("Londres")}>
+          Saisir Londres
+        </button>
+      </>
+    );
+  },
+}));
+
+import Hero from "../../components/Hero";
+
+const forecast = (name) => ({
+  location: { name, lat: 51.5, lon: -0.12, timezoneOffset: 0 },
+  points: [],
+});
+
+const SHALLOW = { shallow: true, scroll: false };
+
+const searchLondres = () => {
+  fireEvent.click(screen.getByText("Saisir Londres"));
+  fireEvent.click(screen.getByText("Valider"));
+};
+
+describe("Hero", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    preferences.language = "fr";
+    auth.user = null;
+    Object.assign(router, {
+      pathname: "/",
+      asPath: "/",
+      query: {},
+      replace: vi.fn(),
+    });
+    vi.stubGlobal(
+      "fetch",
+      vi.fn(async (url) => ({
+        ok: true,
+        // API Géo (géocodage inverse) ou proxy des prévisions
+        json: async () =>
+          String(url).includes("/communes")
+            ? [LYON_GEO]
+            : {
+                data: forecast(
+                  String(url).includes("ville=") ? "London" : "Lyon"
+                ),
+              },
+      }))
+    );
+  });
+
+  afterEach(() => {
+    cleanup();
+    vi.unstubAllGlobals();
+  });
+
+  it("depuis l'accueil : URL de la commune sans changer de page", async () => {
+    render(<Hero />);
+
+    fireEvent.click(screen.getByText("Choisir Lyon"));
+
+    await waitFor(() => expect(router.replace).toHaveBeenCalled());
+    expect(router.replace).toHaveBeenCalledWith(
+      { pathname: "/", query: {} },
+      "/meteo/lyon-69123",
+      SHALLOW
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(favorisMounts).toHaveBeenCalledTimes(1);
+  });
+
+  describe("sur la page d'une commune", () => {
+    beforeEach(() => {
+      Object.assign(router, {
+        pathname: "/meteo/[commune]",
+        asPath: "/meteo/paris-75056",
+        query: { commune: "paris-75056" },
+      });
+    });
+
+    it("une autre commune remplace l'URL (routage shallow)", async () => {
+      render(<Hero />);
+
+      fireEvent.click(screen.getByText("Choisir Lyon"));
+
+      await waitFor(() =>
+        expect(router.replace).toHaveBeenCalledWith(
+          "/meteo/lyon-69123",
+          "/meteo/lyon-69123",
+          SHALLOW
+        )
+      );
+    });
+
+    it("une recherche libre ramène l'URL à l'accueil", async () => {
+      render(<Hero />);
+
+      searchLondres();
+
+      await waitFor(() =>
+        expect(router.replace).toHaveBeenCalledWith(
+          { pathname: "/meteo/[commune]", query: { commune: "paris-75056" } },
+          "/",
+          SHALLOW
+        )
+      );
+      expect(favorisMounts).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("changement de langue", () => {
+    const lastForecastUrl = () => fetch.mock.calls.at(-1)[0];
+
+    it("relance la dernière recherche dans la nouvelle langue", async () => {
+      const { rerender } = render(<Hero />);
+      fireEvent.click(screen.getByText("Choisir Lyon"));
+      await waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+
+      preferences.language = "en";
+      rerender(<Hero />);
+
+      await waitFor(() => expect(fetch).toHaveBeenCalledTimes(2));
+      expect(lastForecastUrl()).toContain("insee=69123");
+      expect(lastForecastUrl()).toContain("lang=en");
+    });
+
+    it("recharge les prévisions pré-rendues (langue par défaut)", async () => {
+      preferences.language = "en";
+
+      render(<Hero initialCommune={LYON} initialForecast={forecast("Lyon")} />);
+
+      await waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+      expect(lastForecastUrl()).toContain("lang=en");
+    });
+
+    it("sans recherche affichée, aucun appel", async () => {
+      const { rerender } = render(<Hero />);
+
+      preferences.language = "en";
+      rerender(<Hero />);
+
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  it("recherche libre depuis l'accueil : URL inchangée", async () => {
+    render(<Hero />);
+
+    searchLondres();
+
+    await waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+    await screen.findByText("London");
+    expect(router.replace).not.toHaveBeenCalled();
+  });
+
+  describe("météo autour de moi", () => {
+    const locate = (outcome) => {
+      vi.stubGlobal("navigator", {
+        geolocation: {
+          getCurrentPosition: (onSuccess, onError) =>
+            outcome.coords
+              ? onSuccess(outcome)
+              : onError({ code: 1, PERMISSION_DENIED: 1 }),
+        },
+      });
+      fireEvent.click(screen.getByLabelText("Météo autour de moi"));
+    };
+
+    it("position -> commune par géocodage inverse et prévisions par coordonnées", async () => {
+      render(<Hero />);
+
+      locate({ coords: { latitude: 45.76, longitude: 4.84 } });
+
+      await screen.findByText("Lyon");
+      const [geoUrl, forecastUrl] = fetch.mock.calls.map(([url]) =>
+        String(url)
+      );
+      expect(geoUrl).toContain("lat=45.76");
+      expect(geoUrl).toContain("lon=4.84");
+      expect(forecastUrl).toContain("lat=45.76");
+      expect(forecastUrl).toContain("insee=69123");
+    });
+
+    it("refus : repli sur la localité du profil", async () => {
+      auth.user = { id: "u1", user_metadata: { localite: "Londres" } };
+      render(<Hero />);
+
+      locate({ code: 1 });
+
+      await screen.findByText(/Géolocalisation refusée/);
+      await waitFor(() => expect(fetch).toHaveBeenCalledTimes(1));
+      expect(fetch.mock.calls[0][0]).toContain("ville=Londres");
+    });
+
+    it("refus sans localité : message seul, aucun appel", async () => {
+      render(<Hero />);
+
+      locate({ code: 1 });
+
+      await screen.findByText("⚠️ Géolocalisation refusée");
+      expect(fetch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// @vitest-environment jsdom
+import { describe, it, expect, afterEach } from "vitest";
+import { render, screen, within, cleanup } from "@testing-library/react";
+import HourlyTimeline from "../../components/HourlyTimeline";
+
+const point = (hour, overrides = {}) => ({
+  time: `2026-10-20T${String(hour).padStart(2, "0")}:00:00.000Z`,
+  date: "2026-10-20",
+  hour,
+  temperature: 12,
+  precipitationProbability: 0.4,
+  windSpeed: 5,
+  windDirection: 90,
+  condition: "rain",
+  isDay: true,
+  description: "pluie",
+  ...overrides,
+});
+
+describe("HourlyTimeline", () => {
+  afterEach(cleanup);
+
+  it("affiche chaque créneau du jour, pas seulement trois", () => {
+    const points = [0, 3, 6, 9, 12, 15, 18, 21].map((hour) => point(hour));
+
+    render(<HourlyTimeline points={points} />);
+
+    expect(screen.getAllByRole("listitem")).toHaveLength(8);
+  });
+
+  it("heure, température, risque de pluie et vent (préférences par défaut)", () => {
+    render(<HourlyTimeline points={[point(15)]} />);
+
+    const slot = screen.getByRole("listitem");
+    expect(within(slot).getByText("15:00")).toBeTruthy();
+    expect(within(slot).getByText("12°C")).toBeTruthy();
+    expect(slot.textContent).toContain("40");
+    expect(within(slot).getByTitle("Vent").textContent).toContain("18 km/h");
+    expect(within(slot).getByAltText("pluie")).toBeTruthy();
+  });
+
+  it("flèche orientée dans le sens du vent, absente sans direction", () => {
+    render(
+      <HourlyTimeline points={[point(9), point(12, { windDirection: null })]} />
+    );
+
+    const [withDirection, withoutDirection] = screen.getAllByTitle("Vent");
+    expect(withDirection.querySelector("[aria-hidden]").style.transform).toBe(
+      "rotate(270deg)"
+    );
+    expect(withoutDirection.querySelector("[aria-hidden]")).toBeNull();
+  });
+
+  it("rien tant qu'aucun jour n'est chargé", () => {
+    const { container } = render(<HourlyTimeline points={[]} />);
+
+    expect(container.innerHTML).toBe("");
+  });
+});
@@ -0,0 +1,300 @@
+// Client Supabase en mémoire pour les tests (supabaseAdmin injecté)
+// Couvre le sous-ensemble de l'API utilisé par lib/ et pages/api :
+// from().select/insert/update/upsert/delete + eq/is/not/in/order/limit,
+// single/maybeSingle, rpc(fonction) et auth.getUser(jeton).
+//
+// Les tables sont de simples tableaux de lignes : tables.favorie, etc.
+
+let nextId = 1;
+
+const matches = (row, filters) => filters.every((filter) => filter(row));
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return a < b ? -1 : 1;
+};
+
+class QueryBuilder {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.filters = [];
+    this.orders = [];
+    this.action = "select";
+    this.payload = null;
+    this.returning = false;
+    this.maxRows = null;
+    this.options = {};
+    this.cardinality = "many";
+  }
+
+  get rows() {
+    if (!this.store.tables[this.table]) this.store.tables[this.table] = [];
+    return this.store.tables[this.table];
+  }
+
+  select(columns = "*", options = {}) {
+    if (this.action === "select") this.options = options;
+    else this.returning = true;
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = rows;
+    return this;
+  }
+
+  update(patch) {
+    this.action = "update";
+    this.payload = patch;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = "upsert";
+    this.payload = rows;
+    this.options = options;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  // Comme en SQL, "= NULL" n'est jamais vrai (utiliser is)
+  eq(column, value) {
+    this.filters.push((row) => value !== null && row[column] === value);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push((row) => (row[column] ?? null) === value);
+    return this;
+  }
+
+  // Négation d'un filtre eq ou is : not("user_id", "is", null)
+  not(column, operator, value) {
+    this.filters.push((row) =>
+      operator === "is"
+        ? (row[column] ?? null) !== value
+        : row[column] !== value
+    );
+    return this;
+  }
+
+  in(column, values) {
+    this.filters.push((row) => values.includes(row[column]));
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = "maybeSingle";
+    return this;
+  }
+
+  execute() {
+    const failure = this.store.failures[this.table]?.[this.action];
+    if (failure) return { data: null, error: failure, count: null };
+
+    let data;
+    switch (this.action) {
+      case "insert":
+        data = this.insertRows(this.payload);
+        if (data.error) return { data: null, error: data.error };
+        break;
+      case "upsert":
+        data = this.upsertRows(this.payload);
+        break;
+      case "update":
+        data = this.rows.filter((row) => matches(row, this.filters));
+        data.forEach((row) => Object.assign(row, this.payload));
+        break;
+      case "delete":
+        data = this.rows.filter((row) => matches(row, this.filters));
+        this.store.tables[this.table] = this.rows.filter(
+          (row) => !data.includes(row)
+        );
+        break;
+      default:
+        data = this.rows.filter((row) => matches(row, this.filters));
+    }
+
+    data = this.sort([...data]);
+    if (this.maxRows != null) data = data.slice(0, this.maxRows);
+    data = data.map((row) => ({ ...row }));
+
+    if (this.action === "select" && this.options.head) {
+      return { data: null, error: null, count: data.length };
+    }
+    if (this.action !== "select" && !this.returning) {
+      return { data: null, error: null };
+    }
+    if (this.cardinality === "many") return { data, error: null };
+    if (data.length > 1 || (this.cardinality === "single" && !data.length)) {
+      return {
+        data: null,
+        error: { code: "PGRST116", message: "Nombre de lignes inattendu" },
+      };
+    }
+    return { data: data[0] ?? null, error: null };
+  }
+
+  insertRows(rows) {
+    const unique = this.store.unique[this.table] || [];
+    const created = [];
+    for (const input of rows) {
+      const row = {
+        id: nextId++,
+        created_at: new Date(Date.now() + nextId).toISOString(),
+        ...input,
+      };
+      const conflict = unique.some((columns) =>
+        [...this.rows, ...created].some((other) =>
+          columns.every(
+            (column) => row[column] != null && other[column] === row[column]
+          )
+        )
+      );
+      if (conflict) {
+        return { error: { code: "23505", message: "duplicate key value" } };
+      }
+      created.push(row);
+    }
+    this.rows.push(...created);
+    return created;
+  }
+
+  upsertRows(rows) {
+    const key = this.options.onConflict || "id";
+    return rows.map((input) => {
+      const existing = this.rows.find((row) => row[key] === input[key]);
+      if (existing) return Object.assign(existing, input);
+      const row = { ...input };
+      this.rows.push(row);
+      return row;
+    });
+  }
+
+  sort(rows) {
+    return rows.sort((a, b) => {
+      for (const { column, ascending } of this.orders) {
+        const order = compare(a[column], b[column]);
+        if (order) return ascending ? order : -order;
+      }
+      return 0;
+    });
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+}
+
+/**
+ * Créer un client Supabase en mémoire
+ * Un module qui crée son dépôt à l'import (API routes) garde le même
+ * client : réinitialiser les tables avec reset() plutôt que le recréer.
+ * @param {Object} options
+ * @param {Object} options.tables - Lignes initiales par table
+ * @param {Object} options.users - Utilisateur Supabase Auth par jeton
+ * @param {Object} options.unique - Contraintes uniques : { table: [[col, ...]] }
+ * @param {Object} options.functions - Fonctions SQL appelées par rpc() :
+ *   { nom: (tables, args) => { data, error } }
+ */
+export const createSupabaseStub = ({
+  tables = {},
+  users = {},
+  unique = {},
+  functions = {},
+} = {}) => {
+  const store = {
+    tables: structuredClone(tables),
+    unique,
+    // Erreur forcée par table et action : store.failures.favorie = { select }
+    failures: {},
+  };
+
+  return {
+    tables: store.tables,
+    failures: store.failures,
+    from: (table) => new QueryBuilder(store, table),
+    // Erreur forcée : store.failures.<fonction> = { rpc }
+    async rpc(name, args = {}) {
+      const failure = store.failures[name]?.rpc;
+      if (failure) return { data: null, error: failure };
+      if (!functions[name]) {
+        return {
+          data: null,
+          error: { code: "PGRST202", message: `Fonction ${name} absente` },
+        };
+      }
+      return functions[name](store.tables, args);
+    },
+    // Remplacer le contenu des tables (entre deux tests)
+    reset(nextTables = {}) {
+      Object.keys(store.tables).forEach((table) => delete store.tables[table]);
+      Object.keys(store.failures).forEach(
+        (table) => delete store.failures[table]
+      );
+      Object.assign(store.tables, structuredClone(nextTables));
+    },
+    auth: {
+      async getUser(token) {
+        const user = users[token];
+        if (!user) {
+          return { data: { user: null }, error: { message: "invalid JWT" } };
+        }
+        return { data: { user }, error: null };
+      },
+    },
+  };
+};
+
+/**
+ * Réponse Next.js minimale : statut et corps JSON enregistrés
+ */
+export const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      return res;
+    },
+    setHeader(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+  };
+  return res;
+};
@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createResponse } from "../helpers/supabaseStub";
+
+// Jeton valide : "jeton-a"
+vi.mock("../../lib/supabaseAdmin", async () => {
+  const { createSupabaseStub } = await import("../helpers/supabaseStub");
+  return {
+    supabaseAdmin: createSupabaseStub({
+      users: { "jeton-a": { id: "user-a", email: "alice@example.com" } },
+    }),
+  };
+});
+
+import { supabaseAdmin } from "../../lib/supabaseAdmin";
+import {
+  getAccessToken,
+  getAuthenticatedUser,
+  requireUser,
+} from "../../lib/apiAuth";
+
+const ALICE = { id: "user-a", email: "alice@example.com" };
+
+describe("getAccessToken", () => {
+  it("lit l'en-tête Authorization Bearer en priorité", () => {
+    const req = {
+      headers: { authorization: "Bearer jeton-entete" },
+      cookies: { "sb-access-token": "jeton-cookie" },
+    };
+    expect(getAccessToken(req)).toBe("jeton-entete");
+  });
+
+  it("se rabat sur le cookie sb-access-token", () => {
+    const req = { headers: {}, cookies: { "sb-access-token": "jeton-cookie" } };
+    expect(getAccessToken(req)).toBe("jeton-cookie");
+  });
+
+  it("renvoie null sans jeton ou avec un Bearer vide", () => {
+    expect(getAccessToken({ headers: {} })).toBeNull();
+    expect(
+      getAccessToken({ headers: { authorization: "Bearer  " } })
+    ).toBeNull();
+  });
+});
+
+describe("requireUser", () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("répond 401 sans jeton", async () => {
+    const res = createResponse();
+    const user = await requireUser({ headers: {} }, res);
+
+    expect(user).toBeNull();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ error: "Authentification requise" });
+  });
+
+  it("répond 401 avec un jeton invalide", async () => {
+    const res = createResponse();
+    const req = { headers: { authorization: "Bearer jeton-inconnu" } };
+
+    expect(await requireUser(req, res)).toBeNull();
+    expect(res.statusCode).toBe(401);
+    expect(res.body).toEqual({ error: "Session invalide ou expirée" });
+  });
+
+  it("répond 401 si Supabase Auth échoue", async () => {
+    vi.spyOn(supabaseAdmin.auth, "getUser").mockRejectedValue(
+      new Error("réseau")
+    );
+    const res = createResponse();
+    const req = { headers: { authorization: "Bearer jeton-a" } };
+
+    expect(await requireUser(req, res)).toBeNull();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("renvoie l'utilisateur du jeton", async () => {
+    const res = createResponse();
+    const req = { headers: { authorization: "Bearer jeton-a" } };
+
+    expect(await requireUser(req, res)).toEqual(ALICE);
+    expect(res.body).toBeUndefined();
+    expect(await getAuthenticatedUser(req)).toEqual({
+      user: ALICE,
+      error: null,
+    });
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createSupabaseStub } from "../helpers/supabaseStub";
+import { createBillingService } from "../../lib/billing";
+
+const CARD = {
+  card: { brand: "visa", last4: "4242", exp_month: 4, exp_year: 2030 },
+};
+
+const ABONNE = {
+  id: "u1",
+  is_premium: true,
+  premium_expires_at: "2026-11-19T00:00:00.000Z",
+  subscription_status: "active",
+  subscription_plan: "monthly",
+  stripe_customer_id: "cus_1",
+  stripe_subscription_id: "sub_1",
+};
+
+// Client Stripe réduit aux appels de lib/billing
+const createStripe = () => ({
+  subscriptions: {
+    retrieve: vi.fn(async () => ({
+      cancel_at_period_end: true,
+      default_payment_method: CARD,
+    })),
+  },
+  customers: {
+    retrieve: vi.fn(async () => ({
+      invoice_settings: { default_payment_method: null },
+    })),
+  },
+  invoices: {
+    list: vi.fn(async () => ({
+      data: [
+        {
+          id: "in_1",
+          number: "A-0001",
+          created: 1760000000,
+          amount_paid: 499,
+          amount_due: 499,
+          currency: "eur",
+          status: "paid",
+          invoice_pdf: "https://stripe.test/in_1.pdf",
+        },
+        { id: "in_2", status: "draft", amount_due: 499 },
+      ],
+    })),
+  },
+  billingPortal: {
+    sessions: {
+      create: vi.fn(async () => ({ url: "https://billing.stripe.test/s" })),
+    },
+  },
+});
+
+describe("createBillingService", () => {
+  let client;
+  let stripe;
+  let billing;
+
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    client = createSupabaseStub({
+      tables: {
+        user: [ABONNE, { id: "u2", is_premium: false }],
+        premium_gift: [
+          {
+            code: "CADEAU-ABCD-EFGH-JKLM",
+            months: 3,
+            purchaser_id: "u1",
+            redeemed_by: "u3",
+            redeemed_at: "2026-10-01T00:00:00.000Z",
+            revoked_at: null,
+            created_at: "2026-09-01T00:00:00.000Z",
+          },
+        ],
+      },
+    });
+    stripe = createStripe();
+    billing = createBillingService(client, stripe);
+  });
+
+  describe("getSummary", () => {
+    it("formule, échéance, carte, factures hors brouillons et cadeaux", async () => {
+      const { data, error } = await billing.getSummary("u1");
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({
+        isPremium: true,
+        plan: "monthly",
+        status: "active",
+        expiresAt: ABONNE.premium_expires_at,
+        hasBillingAccount: true,
+        cancelAtPeriodEnd: true,
+        paymentMethod: {
+          brand: "visa",
+          last4: "4242",
+          expMonth: 4,
+          expYear: 2030,
+        },
+        stripeUnavailable: false,
+      });
+      expect(data.invoices).toEqual([
+        {
+          id: "in_1",
+          number: "A-0001",
+          date: "2025-10-09T08:53:20.000Z",
+          amount: 499,
+          currency: "eur",
+          status: "paid",
+          pdfUrl: "https://stripe.test/in_1.pdf",
+          hostedUrl: null,
+        },
+      ]);
+      expect(data.gifts).toEqual([
+        {
+          code: "CADEAU-ABCD-EFGH-JKLM",
+          months: 3,
+          createdAt: "2026-09-01T00:00:00.000Z",
+          redeemed: true,
+          revoked: false,
+        },
+      ]);
+      expect(stripe.invoices.list).toHaveBeenCalledWith({
+        customer: "cus_1",
+        limit: 12,
+      });
+    });
+
+    it("sans carte sur l'abonnement : carte par défaut du client", async () => {
+      stripe.subscriptions.retrieve.mockResolvedValue({
+        default_payment_method: null,
+      });
+      stripe.customers.retrieve.mockResolvedValue({
+        invoice_settings: { default_payment_method: CARD },
+      });
+
+      const { data } = await billing.getSummary("u1");
+
+      expect(data.paymentMethod.last4).toBe("4242");
+    });
+
+    it("jamais abonné : aucun appel à Stripe", async () => {
+      const { data } = await billing.getSummary("u2");
+
+      expect(data).toMatchObject({
+        isPremium: false,
+        hasBillingAccount: false,
+        invoices: [],
+      });
+      expect(stripe.invoices.list).not.toHaveBeenCalled();
+    });
+
+    it("Stripe indisponible : résumé du compte quand même", async () => {
+      stripe.invoices.list.mockRejectedValue(new Error("timeout"));
+
+      const { data, error } = await billing.getSummary("u1");
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({
+        isPremium: true,
+        stripeUnavailable: true,
+        invoices: [],
+      });
+    });
+
+    it("utilisateur inconnu : erreur", async () => {
+      expect(await billing.getSummary("inconnu")).toEqual({
+        data: null,
+        error: "Utilisateur non trouvé",
+      });
+    });
+  });
+
+  describe("createPortalSession", () => {
+    it("session du client Stripe avec la page de retour", async () => {
+      const { data } = await billing.createPortalSession("u1", "/profile");
+
+      expect(data).toEqual({ url: "https://billing.stripe.test/s" });
+      expect(stripe.billingPortal.sessions.create).toHaveBeenCalledWith({
+        customer: "cus_1",
+        return_url: "/profile",
+      });
+    });
+
+    it("sans client Stripe : data null, sans erreur", async () => {
+      expect(await billing.createPortalSession("u2", "/profile")).toEqual({
+        data: null,
+        error: null,
+      });
+    });
+
+    it("erreur Stripe renvoyée", async () => {
+      stripe.billingPortal.sessions.create.mockRejectedValue(
+        new Error("No configuration provided")
+      );
+
+      const { data, error } = await billing.createPortalSession("u1", "/p");
+
+      expect(data).toBeNull();
+      expect(error).toBe("No configuration provided");
+    });
+  });
+});
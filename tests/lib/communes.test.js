@@ -0,0 +1,126 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  communesService,
+  toCommuneRef,
+  formatCommuneLabel,
+  isSameFavoriCommune,
+} from "../../lib/communes";
+
+const respond = (body, ok = true) =>
+  vi.fn(async () => ({ ok, status: ok ? 200 : 500, json: async () => body }));
+
+// Deux homonymes du Gers et de la Martinique (réponse de l'API Géo)
+const SAINT_MARTIN_GERS = {
+  nom: "Saint-Martin",
+  code: "32399",
+  codesPostaux: ["32300"],
+  departement: { code: "32", nom: "Gers" },
+  centre: { type: "Point", coordinates: [0.35, 43.5] },
+};
+
+describe("identité d'une commune", () => {
+  it("référence : code INSEE, coordonnées du centre, département", () => {
+    expect(toCommuneRef(SAINT_MARTIN_GERS)).toEqual({
+      nom: "Saint-Martin",
+      code: "32399",
+      lat: 43.5,
+      lon: 0.35,
+      departement: { code: "32", nom: "Gers" },
+      codesPostaux: ["32300"],
+    });
+  });
+
+  it("libellé désambiguïsé par le département", () => {
+    expect(formatCommuneLabel(toCommuneRef(SAINT_MARTIN_GERS))).toBe(
+      "Saint-Martin (Gers, 32)"
+    );
+    expect(formatCommuneLabel({ nom: "Lyon", departement: null })).toBe("Lyon");
+  });
+
+  it("homonymes distingués par le code INSEE, sinon par le nom", () => {
+    const gers = { ville: "Saint-Martin", insee: "32399" };
+    const martinique = { ville: "Saint-Martin", insee: "97231" };
+
+    expect(isSameFavoriCommune(gers, martinique)).toBe(false);
+    expect(isSameFavoriCommune(gers, { ville: "saint martin" })).toBe(true);
+  });
+});
+
+describe("communesService.search", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("demande le code, les codes postaux, le département et le centre", async () => {
+    vi.stubGlobal("fetch", respond([SAINT_MARTIN_GERS]));
+
+    const { data } = await communesService.search("Saint-Martin");
+
+    const url = fetch.mock.calls[0][0];
+    expect(url.searchParams.get("fields")).toBe(
+      "nom,code,codesPostaux,departement,centre"
+    );
+    expect(url.searchParams.get("nom")).toBe("Saint-Martin");
+    expect(data[0].code).toBe("32399");
+  });
+});
+
+describe("communesService.findByCoordinates", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("commune contenant le point, coordonnées du centre", async () => {
+    vi.stubGlobal(
+      "fetch",
+      respond([
+        {
+          nom: "Lyon",
+          code: "69123",
+          codesPostaux: ["69001"],
+          departement: { code: "69", nom: "Rhône" },
+          centre: { coordinates: [4.835, 45.758] },
+        },
+      ])
+    );
+
+    const { data, error } = await communesService.findByCoordinates(
+      45.76,
+      4.84
+    );
+
+    expect(error).toBeNull();
+    expect(data).toMatchObject({
+      nom: "Lyon",
+      code: "69123",
+      lat: 45.758,
+      lon: 4.835,
+    });
+    const url = fetch.mock.calls[0][0];
+    expect(url.pathname).toBe("/communes");
+    expect(url.searchParams.get("lat")).toBe("45.76");
+    expect(url.searchParams.get("lon")).toBe("4.84");
+  });
+
+  it("position hors de France : aucune commune", async () => {
+    vi.stubGlobal("fetch", respond([]));
+
+    const { data, error } = await communesService.findByCoordinates(51.5, 0);
+
+    expect(data).toBeNull();
+    expect(error).toBe("Aucune commune à cette position");
+  });
+
+  it("erreur de l'API Géo renvoyée sans exception", async () => {
+    vi.stubGlobal("fetch", respond(null, false));
+
+    const { data, error } = await communesService.findByCoordinates(45, 4);
+
+    expect(data).toBeNull();
+    expect(error).toBe("Erreur API Géo (500)");
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "vitest";
+import { summarizeDay } from "../../lib/dailySummary";
+
+// Paris en heure d'été (UTC+2) : lever/coucher fournis pour le 19 octobre
+const LOCATION = {
+  timezoneOffset: 7200,
+  sunrise: "2026-10-19T06:10:00.000Z",
+  sunset: "2026-10-19T16:40:00.000Z",
+};
+
+const point = (date, hour, temperature) => ({
+  date,
+  time: `${date}T${String(hour).padStart(2, "0")}:00:00Z`,
+  temperature,
+  humidity: 70,
+  windSpeed: 3,
+});
+
+const day = (date) => [point(date, 9, 11), point(date, 15, 16)];
+
+describe("summarizeDay", () => {
+  it("reprend lever, coucher et durée du jour pour leur jour", () => {
+    const summary = summarizeDay(day("2026-10-19"), LOCATION);
+
+    expect(summary).toMatchObject({
+      sunrise: LOCATION.sunrise,
+      sunset: LOCATION.sunset,
+      daylightSeconds: 10.5 * 3600,
+    });
+  });
+
+  it("n'affiche pas le soleil d'aujourd'hui pour un autre jour", () => {
+    const summary = summarizeDay(day("2026-10-21"), LOCATION);
+
+    expect(summary).toMatchObject({
+      sunrise: null,
+      sunset: null,
+      daylightSeconds: null,
+      temperature: { min: 11, max: 16 },
+    });
+  });
+
+  it("compare les dates dans le fuseau de la ville", () => {
+    // Lever à 23h30 UTC le 18 : déjà le 19 à Auckland (UTC+13)
+    const summary = summarizeDay(day("2026-10-19"), {
+      timezoneOffset: 13 * 3600,
+      sunrise: "2026-10-18T23:30:00.000Z",
+      sunset: "2026-10-19T06:00:00.000Z",
+    });
+
+    expect(summary.sunrise).toBe("2026-10-18T23:30:00.000Z");
+  });
+
+  it("sans créneau, aucun bulletin", () => {
+    expect(summarizeDay([], LOCATION)).toBeNull();
+  });
+});
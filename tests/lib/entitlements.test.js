@@ -0,0 +1,82 @@
+import { describe, it, expect, vi } from "vitest";
+import {
+  resolvePlan,
+  resolveEntitlements,
+  canAddFavori,
+  toApiLimits,
+  entitlementsService,
+} from "../../lib/entitlements";
+import { createSupabaseStub } from "../helpers/supabaseStub";
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+describe("resolvePlan", () => {
+  it.each([
+    ["sans ligne user", null, "free"],
+    ["non premium", { is_premium: false }, "free"],
+    ["premium sans expiration", { is_premium: true }, "premium"],
+    [
+      "premium en cours",
+      { is_premium: true, premium_expires_at: "2026-11-01T00:00:00Z" },
+      "premium",
+    ],
+    [
+      "premium expiré",
+      { is_premium: true, premium_expires_at: "2026-10-01T00:00:00Z" },
+      "free",
+    ],
+  ])("%s → %s", (_, userRow, plan) => {
+    expect(resolvePlan(userRow, NOW)).toBe(plan);
+  });
+});
+
+describe("limites", () => {
+  it("gratuit : 3 favoris au plus", () => {
+    const free = resolveEntitlements(null, NOW);
+
+    expect(canAddFavori(free, 2)).toBe(true);
+    expect(canAddFavori(free, 3)).toBe(false);
+    expect(toApiLimits(free)).toEqual({
+      plan: "free",
+      maxFavoris: 3,
+      favorisGroups: false,
+    });
+  });
+
+  it("premium : favoris illimités et date d'expiration exposée", () => {
+    const premium = resolveEntitlements(
+      { is_premium: true, premium_expires_at: "2026-11-01T00:00:00Z" },
+      NOW
+    );
+
+    expect(premium.premiumExpiresAt).toBe("2026-11-01T00:00:00Z");
+    expect(canAddFavori(premium, 50)).toBe(true);
+    expect(toApiLimits(premium).maxFavoris).toBeNull();
+  });
+});
+
+describe("entitlementsService.getForUser", () => {
+  it("lit l'offre de la ligne user", async () => {
+    const client = createSupabaseStub({
+      tables: { user: [{ id: "u1", is_premium: true }] },
+    });
+
+    const { data, error } = await entitlementsService.getForUser(client, "u1");
+
+    expect(error).toBeNull();
+    expect(data.plan).toBe("premium");
+  });
+
+  it("erreur de lecture : offre gratuite, jamais plus de droits", async () => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    const client = createSupabaseStub({
+      tables: { user: [{ id: "u1", is_premium: true }] },
+    });
+    client.failures.user = { select: { message: "connexion perdue" } };
+
+    const { data, error } = await entitlementsService.getForUser(client, "u1");
+
+    expect(error).toBe("connexion perdue");
+    expect(data.plan).toBe("free");
+  });
+});
@@ -0,0 +1,322 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createSupabaseStub } from "../helpers/supabaseStub";
+import { createFavorisRepository } from "../../lib/favorisRepository";
+import { resolveEntitlements } from "../../lib/entitlements";
+
+const USER = "user-a";
+const OTHER = "user-b";
+
+const FREE = resolveEntitlements(null);
+const PREMIUM = resolveEntitlements({ is_premium: true });
+
+// Fonction SQL reorder_favoris (migration 20261019190000) : une seule
+// instruction, annulée si la liste ne couvre plus exactement les favoris
+const reorderFavoris = (tables, { p_user_id: userId, p_ids: ids }) => {
+  const owned = tables.favorie.filter((f) => f.user_id === userId);
+  const ordered = ids
+    .map((id) => owned.find((f) => String(f.id) === id))
+    .filter(Boolean);
+  if (ordered.length !== ids.length || ordered.length !== owned.length) {
+    return {
+      data: null,
+      error: { code: "40001", message: "Liste de favoris périmée" },
+    };
+  }
+  ordered.forEach((f, position) => {
+    f.position = position;
+  });
+  return { data: null, error: null };
+};
+
+const favori = (id, ville, extra = {}) => ({
+  id,
+  user_id: USER,
+  ville,
+  insee: null,
+  position: id - 1,
+  created_at: `2026-01-0${id}T00:00:00.000Z`,
+  ...extra,
+});
+
+describe("createFavorisRepository", () => {
+  let client;
+  let repository;
+
+  const setup = (favoris) => {
+    client = createSupabaseStub({
+      tables: { favorie: favoris },
+      functions: { reorder_favoris: reorderFavoris },
+    });
+    repository = createFavorisRepository(client);
+  };
+
+  const villes = () =>
+    client.tables.favorie.filter((f) => f.user_id === USER).map((f) => f.ville);
+
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    setup([]);
+  });
+
+  describe("doublons", () => {
+    it.each(["saint-étienne", "SAINT-ETIENNE", "Saint-Etienne"])(
+      "refuse %s si Saint-Étienne est déjà en favori",
+      async (ville) => {
+        setup([favori(1, "Saint-Étienne")]);
+
+        const { error } = await repository.add(USER, { ville }, PREMIUM);
+
+        expect(error).toMatchObject({
+          status: 400,
+          message: "Cette ville est déjà en favoris",
+        });
+        expect(villes()).toEqual(["Saint-Étienne"]);
+      }
+    );
+
+    it("le code INSEE prime sur le nom : homonymes acceptés", async () => {
+      setup([favori(1, "Saint-Denis", { insee: "93066" })]);
+
+      const { error } = await repository.add(
+        USER,
+        { ville: "Saint-Denis", insee: "97411" },
+        PREMIUM
+      );
+
+      expect(error).toBeNull();
+      expect(villes()).toEqual(["Saint-Denis", "Saint-Denis"]);
+    });
+
+    it("le code INSEE prime sur le nom : même commune sous un autre nom", async () => {
+      setup([favori(1, "Lyon", { insee: "69123" })]);
+
+      const { error } = await repository.add(
+        USER,
+        { ville: "Lyon 1er", insee: "69123" },
+        PREMIUM
+      );
+
+      expect(error?.status).toBe(400);
+    });
+
+    it("ignore les favoris des autres utilisateurs", async () => {
+      setup([favori(1, "Lyon", { user_id: OTHER })]);
+
+      const { data, error } = await repository.add(
+        USER,
+        { ville: "Lyon" },
+        FREE
+      );
+
+      expect(error).toBeNull();
+      expect(data).toMatchObject({ user_id: USER, ville: "Lyon" });
+    });
+
+    it("addMany écarte les doublons du compte et du lot", async () => {
+      setup([favori(1, "Paris")]);
+
+      const { data } = await repository.addMany(
+        USER,
+        [{ ville: "paris" }, { ville: "Nîmes" }, { ville: "NIMES" }],
+        PREMIUM
+      );
+
+      expect(data.accepted).toEqual([{ ville: "Nîmes" }]);
+      expect(data.duplicates).toEqual([{ ville: "paris" }, { ville: "NIMES" }]);
+      expect(villes()).toEqual(["Paris", "Nîmes"]);
+    });
+  });
+
+  describe("limite de l'offre", () => {
+    it("add refuse un 4e favori en gratuit", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest"), favori(3, "Nice")]);
+
+      const { error } = await repository.add(USER, { ville: "Pau" }, FREE);
+
+      expect(error).toMatchObject({
+        status: 400,
+        message: "Limite de 3 favoris atteinte",
+        details: { current_count: 3, max_allowed: 3 },
+      });
+      expect(villes()).toHaveLength(3);
+    });
+
+    it("add accepte un 4e favori en premium", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest"), favori(3, "Nice")]);
+
+      const { error } = await repository.add(USER, { ville: "Pau" }, PREMIUM);
+
+      expect(error).toBeNull();
+      expect(villes()).toHaveLength(4);
+    });
+
+    it("la limite ne compte que les favoris de l'utilisateur", async () => {
+      setup([
+        favori(1, "Lyon", { user_id: OTHER }),
+        favori(2, "Brest", { user_id: OTHER }),
+        favori(3, "Nice", { user_id: OTHER }),
+      ]);
+
+      const { error } = await repository.add(USER, { ville: "Pau" }, FREE);
+      expect(error).toBeNull();
+    });
+
+    it("addMany s'arrête à la limite et renvoie le reste en overflow", async () => {
+      setup([favori(1, "Lyon")]);
+
+      const { data } = await repository.addMany(
+        USER,
+        [
+          { ville: "Brest" },
+          { ville: "lyon" },
+          { ville: "Nice" },
+          { ville: "Pau" },
+        ],
+        FREE
+      );
+
+      expect(data.accepted.map((f) => f.ville)).toEqual(["Brest", "Nice"]);
+      expect(data.duplicates.map((f) => f.ville)).toEqual(["lyon"]);
+      expect(data.overflow.map((f) => f.ville)).toEqual(["Pau"]);
+      expect(data.added).toHaveLength(2);
+      expect(villes()).toEqual(["Lyon", "Brest", "Nice"]);
+    });
+
+    it("addMany sans favori accepté n'insère rien", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest"), favori(3, "Nice")]);
+
+      const { data } = await repository.addMany(USER, [{ ville: "Pau" }], FREE);
+
+      expect(data).toMatchObject({ added: [], accepted: [] });
+      expect(data.overflow).toHaveLength(1);
+    });
+  });
+
+  describe("ordre", () => {
+    it("list trie par position, puis du plus récent au plus ancien", async () => {
+      setup([
+        favori(1, "Ancien", { position: 1 }),
+        favori(2, "Premier", { position: 0 }),
+        favori(3, "Récent", { position: 1 }),
+        favori(4, "Sans position", { position: null }),
+      ]);
+
+      const { data } = await repository.list(USER);
+
+      expect(data.map((f) => f.ville)).toEqual([
+        "Premier",
+        "Récent",
+        "Ancien",
+        "Sans position",
+      ]);
+    });
+
+    it("add place le nouveau favori en fin de liste", async () => {
+      setup([
+        favori(1, "Lyon", { position: 0 }),
+        favori(2, "Brest", { position: 4 }),
+      ]);
+
+      const { data } = await repository.add(USER, { ville: "Pau" }, PREMIUM);
+
+      expect(data.position).toBe(5);
+    });
+
+    it("addMany numérote les favoris ajoutés à la suite", async () => {
+      setup([favori(1, "Lyon", { position: 0 })]);
+
+      const { data } = await repository.addMany(
+        USER,
+        [{ ville: "Brest" }, { ville: "Nice" }],
+        PREMIUM
+      );
+
+      expect(data.added.map((f) => f.position)).toEqual([1, 2]);
+    });
+
+    it("reorder enregistre le nouvel ordre", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest"), favori(3, "Nice")]);
+
+      const { data, error } = await repository.reorder(USER, [3, 1, 2]);
+
+      expect(error).toBeNull();
+      expect(data.map((f) => f.ville)).toEqual(["Nice", "Lyon", "Brest"]);
+      expect(data.map((f) => f.position)).toEqual([0, 1, 2]);
+    });
+
+    it("reorder refuse une liste partielle", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest"), favori(3, "Nice")]);
+
+      const { error } = await repository.reorder(USER, [2, 1]);
+
+      expect(error).toMatchObject({
+        status: 400,
+        details: { expected_count: 3, received_count: 2 },
+      });
+      expect(client.tables.favorie.map((f) => f.position)).toEqual([0, 1, 2]);
+    });
+
+    it("reorder refuse l'id d'un favori d'un autre utilisateur", async () => {
+      setup([
+        favori(1, "Lyon"),
+        favori(2, "Brest"),
+        favori(3, "Nantes", { user_id: OTHER, position: 7 }),
+      ]);
+
+      const { error } = await repository.reorder(USER, [3, 1]);
+
+      expect(error?.status).toBe(400);
+      expect(client.tables.favorie.find((f) => f.id === 3).position).toBe(7);
+    });
+
+    it("reorder refuse un id répété à la place d'un favori", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest")]);
+
+      const { error } = await repository.reorder(USER, [1, 1]);
+
+      expect(error?.status).toBe(400);
+    });
+
+    it("reorder enregistre l'ordre en un seul appel", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest")]);
+      const rpc = vi.spyOn(client, "rpc");
+
+      await repository.reorder(USER, [2, 1]);
+
+      expect(rpc).toHaveBeenCalledTimes(1);
+      expect(rpc).toHaveBeenCalledWith("reorder_favoris", {
+        p_user_id: USER,
+        p_ids: ["2", "1"],
+      });
+    });
+
+    it("reorder en échec : erreur 500 et ordre enregistré inchangé", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest"), favori(3, "Nice")]);
+      client.failures.reorder_favoris = {
+        rpc: { code: "08006", message: "connexion perdue" },
+      };
+
+      const { data, error } = await repository.reorder(USER, [3, 1, 2]);
+
+      expect(data).toBeNull();
+      expect(error).toMatchObject({ status: 500, message: "connexion perdue" });
+      expect(client.tables.favorie.map((f) => f.position)).toEqual([0, 1, 2]);
+    });
+
+    it("reorder refuse (409) une liste périmée entre lecture et écriture", async () => {
+      setup([favori(1, "Lyon"), favori(2, "Brest")]);
+      // Favori ajouté par un autre onglet après la lecture de la liste
+      const list = repository.list.bind(repository);
+      vi.spyOn(repository, "list").mockImplementationOnce(async (userId) => {
+        const result = await list(userId);
+        client.tables.favorie.push(favori(3, "Nice"));
+        return result;
+      });
+
+      const { error } = await repository.reorder(USER, [2, 1]);
+
+      expect(error?.status).toBe(409);
+      expect(client.tables.favorie.map((f) => f.position)).toEqual([0, 1, 2]);
+    });
+  });
+});
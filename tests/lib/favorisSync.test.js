@@ -0,0 +1,208 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createFavorisSync } from "../../lib/favorisSync";
+
+// Supabase Realtime en mémoire : le filtre user_id=eq.X est appliqué comme
+// côté serveur, les événements sans filtre sont reçus par tous les canaux
+const createRealtimeStub = () => {
+  const channels = new Set();
+
+  const matchesFilter = (filter, row) => {
+    if (!filter) return true;
+    const [, column, value] = filter.match(/^(\w+)=eq\.(.+)$/);
+    return String(row?.[column]) === value;
+  };
+
+  return {
+    channels,
+    channel(name) {
+      const listeners = [];
+      const channel = {
+        name,
+        on(type, options, callback) {
+          listeners.push({ options, callback });
+          return channel;
+        },
+        subscribe(callback) {
+          channel.setStatus = callback;
+          channels.add(channel);
+          return channel;
+        },
+        emit(eventType, { new: newRow = {}, old = {} }) {
+          listeners
+            .filter(({ options }) => options.event === eventType)
+            .filter(({ options }) =>
+              matchesFilter(
+                options.filter,
+                eventType === "DELETE" ? old : newRow
+              )
+            )
+            .forEach(({ callback }) =>
+              callback({ eventType, new: newRow, old })
+            );
+        },
+      };
+      return channel;
+    },
+    removeChannel: vi.fn((channel) => channels.delete(channel)),
+    // Changement de la table favorie, diffusé à tous les canaux ouverts
+    emit(eventType, rows) {
+      channels.forEach((channel) => channel.emit(eventType, rows));
+    },
+  };
+};
+
+// BroadcastChannel en mémoire : un message n'est pas reçu par son émetteur
+const createBroadcastHub = () => {
+  const open = new Set();
+  return (name) => {
+    const channel = {
+      name,
+      onmessage: null,
+      postMessage(data) {
+        open.forEach((other) => {
+          if (other !== channel && other.name === name) {
+            other.onmessage?.({ data });
+          }
+        });
+      },
+      close: vi.fn(() => open.delete(channel)),
+    };
+    open.add(channel);
+    return channel;
+  };
+};
+
+describe("createFavorisSync", () => {
+  let realtime;
+  let createBroadcast;
+
+  beforeEach(() => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    realtime = createRealtimeStub();
+    createBroadcast = createBroadcastHub();
+  });
+
+  const openTab = (userId, { client = realtime } = {}) => {
+    const onChange = vi.fn();
+    const subscription = createFavorisSync({
+      client,
+      createBroadcast,
+    }).subscribe(userId, onChange);
+    return { onChange, ...subscription };
+  };
+
+  describe("Realtime", () => {
+    it("transmet l'INSERT d'un favori du compte avec son id", () => {
+      const tab = openTab("user-a");
+
+      realtime.emit("INSERT", { new: { id: 7, user_id: "user-a" } });
+
+      expect(tab.onChange).toHaveBeenCalledWith({ type: "INSERT", id: 7 });
+    });
+
+    it("ignore l'INSERT et l'UPDATE d'un autre utilisateur", () => {
+      const tab = openTab("user-a");
+
+      realtime.emit("INSERT", { new: { id: 8, user_id: "user-b" } });
+      realtime.emit("UPDATE", { new: { id: 8, user_id: "user-b" } });
+
+      expect(tab.onChange).not.toHaveBeenCalled();
+    });
+
+    it("transmet l'UPDATE d'un favori du compte", () => {
+      const tab = openTab("user-a");
+
+      realtime.emit("UPDATE", { new: { id: 7, user_id: "user-a" } });
+
+      expect(tab.onChange).toHaveBeenCalledWith({ type: "UPDATE", id: 7 });
+    });
+
+    it("transmet le DELETE avec l'id de l'ancienne ligne", () => {
+      const tab = openTab("user-a");
+
+      realtime.emit("DELETE", { old: { id: 7 } });
+
+      expect(tab.onChange).toHaveBeenCalledWith({ type: "DELETE", id: 7 });
+    });
+
+    it("sans utilisateur, n'ouvre aucun canal Realtime", () => {
+      openTab(null);
+      expect(realtime.channels.size).toBe(0);
+    });
+
+    it("unsubscribe ferme le canal Realtime et le BroadcastChannel", () => {
+      const tab = openTab("user-a");
+      const [channel] = realtime.channels;
+
+      tab.unsubscribe();
+
+      expect(realtime.removeChannel).toHaveBeenCalledWith(channel);
+      realtime.emit("INSERT", { new: { id: 7, user_id: "user-a" } });
+      expect(tab.onChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("BroadcastChannel", () => {
+    it("prévient les autres onglets du même compte", () => {
+      const tab1 = openTab("user-a");
+      const tab2 = openTab("user-a");
+
+      tab2.notify();
+
+      expect(tab1.onChange).toHaveBeenCalledWith({
+        type: "BROADCAST",
+        id: null,
+      });
+      expect(tab2.onChange).not.toHaveBeenCalled();
+    });
+
+    it("ignore les messages d'un autre utilisateur", () => {
+      const tab = openTab("user-a");
+      const other = openTab("user-b");
+      const visitor = openTab(null);
+
+      other.notify();
+      visitor.notify();
+
+      expect(tab.onChange).not.toHaveBeenCalled();
+      expect(visitor.onChange).not.toHaveBeenCalled();
+    });
+
+    it("relie les onglets d'un visiteur sans Realtime", () => {
+      const tab1 = openTab(null, { client: null });
+      const tab2 = openTab(null, { client: null });
+
+      tab2.notify();
+
+      expect(tab1.onChange).toHaveBeenCalledWith({
+        type: "BROADCAST",
+        id: null,
+      });
+    });
+
+    it("est ignoré tant que Realtime est connecté", () => {
+      const tab1 = openTab("user-a");
+      const tab2 = openTab("user-a");
+      const [channel] = realtime.channels;
+
+      channel.setStatus("SUBSCRIBED");
+      tab2.notify();
+      expect(tab1.onChange).not.toHaveBeenCalled();
+
+      // Canal en erreur : retour au BroadcastChannel
+      channel.setStatus("CHANNEL_ERROR");
+      tab2.notify();
+      expect(tab1.onChange).toHaveBeenCalledTimes(1);
+    });
+
+    it("onglet fermé : plus aucun message reçu", () => {
+      const tab1 = openTab("user-a");
+      const tab2 = openTab("user-a");
+
+      tab1.unsubscribe();
+      tab2.notify();
+
+      expect(tab1.onChange).not.toHaveBeenCalled();
+    });
+  });
+});
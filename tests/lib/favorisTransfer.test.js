@@ -0,0 +1,110 @@
+import { describe, it, expect } from "vitest";
+import {
+  serializeFavoris,
+  parseCsv,
+  parseFavorisImport,
+} from "../../lib/favorisTransfer";
+
+const FAVORIS = [
+  {
+    id: 1,
+    user_id: "user-a",
+    ville: "Brest",
+    insee: "29019",
+    lat: 48.39,
+    lon: -4.49,
+    label: 'Site "Nord", quai',
+    note: null,
+  },
+  { id: 2, ville: "Lyon", insee: "69123", lat: null, lon: null },
+];
+
+describe("serializeFavoris", () => {
+  it("JSON : colonnes publiques uniquement", () => {
+    const { body, contentType } = serializeFavoris(FAVORIS, "json");
+
+    expect(contentType).toContain("application/json");
+    expect(JSON.parse(body).favoris[0]).toEqual({
+      ville: "Brest",
+      insee: "29019",
+      lat: 48.39,
+      lon: -4.49,
+      label: 'Site "Nord", quai',
+      note: null,
+    });
+  });
+
+  it("CSV : BOM, en-tête et échappement RFC 4180", () => {
+    const { body } = serializeFavoris(FAVORIS, "csv");
+
+    expect(body.split("\r\n")).toEqual([
+      "﻿ville,insee,lat,lon,label,note",
+      'Brest,29019,48.39,-4.49,"Site ""Nord"", quai",',
+      "Lyon,69123,,,,",
+      "",
+    ]);
+  });
+
+  it("GeoJSON : point (lon, lat), géométrie nulle sans coordonnées", () => {
+    const { features } = JSON.parse(serializeFavoris(FAVORIS, "geojson").body);
+
+    expect(features[0].geometry).toEqual({
+      type: "Point",
+      coordinates: [-4.49, 48.39],
+    });
+    expect(features[0].properties).not.toHaveProperty("lat");
+    expect(features[1].geometry).toBeNull();
+  });
+});
+
+describe("import", () => {
+  it("aller-retour CSV et GeoJSON sans perte", () => {
+    for (const format of ["csv", "geojson"]) {
+      const { body } = serializeFavoris(FAVORIS, format);
+      const { rows, error } = parseFavorisImport(format, body);
+
+      expect(error).toBeNull();
+      expect(rows[0]).toMatchObject({
+        ville: "Brest",
+        insee: "29019",
+        lat: 48.39,
+        lon: -4.49,
+        label: 'Site "Nord", quai',
+      });
+    }
+  });
+
+  it("CSV de tableur français : « ; », virgule décimale, INSEE sans zéro", () => {
+    const csv = "Ville;INSEE;lat;lon;label\nBourg;1053;46,2;5,22;\n;;;;\n";
+
+    const { rows } = parseFavorisImport("csv", csv);
+
+    expect(rows).toEqual([
+      { ville: "Bourg", insee: "01053", lat: 46.2, lon: 5.22 },
+    ]);
+  });
+
+  it("cellule entre guillemets sur plusieurs lignes", () => {
+    expect(parseCsv('ville,note\nBrest,"ligne 1\nligne 2"')).toEqual([
+      ["ville", "note"],
+      ["Brest", "ligne 1\nligne 2"],
+    ]);
+  });
+
+  it.each([
+    [
+      "csv",
+      "label,note\nx,y",
+      "Colonne ville ou insee requise dans l'en-tête CSV",
+    ],
+    ["csv", { ville: "Brest" }, "Contenu CSV attendu (text/csv)"],
+    ["json", "{", "JSON invalide"],
+    ["json", { ville: "Brest" }, "Tableau de favoris attendu"],
+    ["geojson", [], "FeatureCollection GeoJSON attendue"],
+  ])("%s illisible : %j", (format, body, message) => {
+    expect(parseFavorisImport(format, body)).toEqual({
+      rows: [],
+      error: message,
+    });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect } from "vitest";
+import {
+  FORECAST_WINDOW_DAYS,
+  getLocalToday,
+  addDays,
+  getWeekdayIndex,
+  getForecastDays,
+  getFirstAvailableDate,
+  getDayView,
+} from "../../lib/forecastDays";
+
+// Lundi 19 octobre 2026, 23h30 UTC : déjà mardi 20 à Paris (UTC+2)
+const NOW = new Date("2026-10-19T23:30:00Z");
+
+const slot = (date, hour) => ({ date, hour, time: `${date}T${hour}` });
+
+// Fenêtre de 5 jours à partir de mardi, créneaux de 3h
+const FORECAST = {
+  location: { timezoneOffset: 7200 },
+  points: ["2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23"].flatMap(
+    (date) => [0, 3, 6, 9, 12, 15, 18, 21].map((hour) => slot(date, hour))
+  ),
+};
+
+describe("dates locales", () => {
+  it("aujourd'hui selon le fuseau de la ville", () => {
+    expect(getLocalToday(7200, NOW)).toBe("2026-10-20");
+    expect(getLocalToday(-18000, NOW)).toBe("2026-10-19");
+  });
+
+  it("ajout de jours à travers un changement de mois", () => {
+    expect(addDays("2026-10-30", 3)).toBe("2026-11-02");
+  });
+
+  it("index du jour : 0 = lundi, 6 = dimanche", () => {
+    expect(getWeekdayIndex("2026-10-19")).toBe(0);
+    expect(getWeekdayIndex("2026-10-25")).toBe(6);
+  });
+});
+
+describe("getForecastDays", () => {
+  it("jours réels à partir d'aujourd'hui, au-delà de l'horizon indisponibles", () => {
+    const days = getForecastDays(FORECAST, NOW);
+
+    expect(days).toHaveLength(FORECAST_WINDOW_DAYS);
+    expect(days.map((day) => day.date)).toEqual([
+      "2026-10-20",
+      "2026-10-21",
+      "2026-10-22",
+      "2026-10-23",
+      "2026-10-24",
+      "2026-10-25",
+      "2026-10-26",
+    ]);
+    expect(days.map((day) => day.available)).toEqual([
+      true,
+      true,
+      true,
+      true,
+      false,
+      false,
+      false,
+    ]);
+    expect(days[0]).toMatchObject({ weekdayIndex: 1 });
+    expect(days[0].label).toMatch(/20/);
+  });
+
+  it("premier jour disponible, null sans prévisions", () => {
+    expect(getFirstAvailableDate(FORECAST, NOW)).toBe("2026-10-20");
+    expect(getFirstAvailableDate(null, NOW)).toBeNull();
+  });
+});
+
+describe("getDayView", () => {
+  it("créneaux du jour et moments les plus proches de 9h, 15h et 21h", () => {
+    const view = getDayView(FORECAST, "2026-10-21");
+
+    expect(view.points).toHaveLength(8);
+    expect(view.points.every((p) => p.date === "2026-10-21")).toBe(true);
+    expect([view.matin.hour, view.apres.hour, view.soir.hour]).toEqual([
+      9, 15, 21,
+    ]);
+  });
+
+  it("jour partiel : créneau le plus proche disponible", () => {
+    const partial = {
+      points: [slot("2026-10-20", 18), slot("2026-10-20", 21)],
+    };
+
+    const view = getDayView(partial, "2026-10-20");
+
+    expect(view.matin.hour).toBe(18);
+    expect(view.soir.hour).toBe(21);
+  });
+
+  it("jour hors horizon : aucun créneau", () => {
+    expect(getDayView(FORECAST, "2026-10-25")).toEqual({
+      points: [],
+      matin: null,
+      apres: null,
+      soir: null,
+    });
+  });
+});
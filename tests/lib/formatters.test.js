@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { createFormatters, MISSING_VALUE } from "../../lib/formatters";
+
+describe("createFormatters", () => {
+  const celsius = createFormatters();
+  const fahrenheit = createFormatters({
+    temperatureUnit: "fahrenheit",
+    windUnit: "mph",
+    timeFormat: "12h",
+    language: "en",
+  });
+
+  it("convertit et arrondit les températures", () => {
+    expect(celsius.temperature(12.6)).toBe("13°C");
+    expect(celsius.temperature(0)).toBe("0°C");
+    expect(fahrenheit.temperature(20)).toBe("68°F");
+  });
+
+  it.each([null, undefined, NaN])(
+    "affiche un tiret pour une température absente (%s)",
+    (value) => {
+      expect(celsius.temperature(value)).toBe(MISSING_VALUE);
+      expect(fahrenheit.temperature(value)).toBe(MISSING_VALUE);
+      expect(celsius.temperatureValue(value)).toBeNull();
+    }
+  );
+
+  it("formate le vent dans l'unité choisie", () => {
+    expect(celsius.wind(10)).toBe("36 km/h");
+    expect(fahrenheit.wind(10)).toBe("22 mph");
+  });
+
+  it("formate l'heure d'un créneau en 24 h ou 12 h", () => {
+    expect(celsius.hour(15)).toBe("15:00");
+    expect(fahrenheit.hour(15)).toBe("3 PM");
+  });
+});
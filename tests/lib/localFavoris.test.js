@@ -0,0 +1,152 @@
+// @vitest-environment jsdom
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+const authFetch = vi.hoisted(() => vi.fn());
+
+vi.mock("../../lib/apiClient", () => ({ authFetch }));
+
+import { localFavoris } from "../../lib/localFavoris";
+
+// Réponse de /api/favoris/merge
+const mergeResponse = (data, ok = true) => ({
+  ok,
+  json: async () =>
+    ok ? { data, limits: { plan: "free", maxFavoris: 3 } } : data,
+});
+
+const villes = () => localFavoris.list().map((f) => f.ville);
+
+describe("localFavoris", () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    authFetch.mockReset();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  describe("règles de l'offre gratuite", () => {
+    it("ajoute avec la même forme que l'API, à la suite", () => {
+      localFavoris.add({ ville: "Lyon", insee: "69123", lat: 45.7, lon: 4.8 });
+      const { data } = localFavoris.add({ ville: "Brest" });
+
+      expect(data).toMatchObject({
+        ville: "Brest",
+        insee: null,
+        position: 1,
+        label: null,
+        group_id: null,
+      });
+      expect(data.id).toMatch(/^local-/);
+      expect(villes()).toEqual(["Lyon", "Brest"]);
+    });
+
+    it("refuse un doublon (sans casse ni accents)", () => {
+      localFavoris.add({ ville: "Saint-Étienne" });
+
+      const { error } = localFavoris.add({ ville: "saint etienne" });
+
+      expect(error).toBe("Cette ville est déjà en favoris");
+      expect(villes()).toHaveLength(1);
+    });
+
+    it("refuse un 4e favori", () => {
+      ["Lyon", "Brest", "Nantes"].forEach((ville) =>
+        localFavoris.add({ ville })
+      );
+
+      const { error } = localFavoris.add({ ville: "Paris" });
+
+      expect(error).toBe("Limite de 3 favoris atteinte");
+      expect(localFavoris.limits.maxFavoris).toBe(3);
+    });
+
+    it("modifie, réordonne et supprime", () => {
+      const lyon = localFavoris.add({ ville: "Lyon" }).data;
+      const brest = localFavoris.add({ ville: "Brest" }).data;
+
+      expect(
+        localFavoris.update({ id: lyon.id, label: "Maison" }).data
+      ).toMatchObject({ label: "Maison" });
+      localFavoris.reorder([brest.id, lyon.id]);
+      expect(villes()).toEqual(["Brest", "Lyon"]);
+
+      localFavoris.remove(brest.id);
+      expect(villes()).toEqual(["Lyon"]);
+    });
+
+    it("libellé trop long : erreur de validation", () => {
+      const { id } = localFavoris.add({ ville: "Lyon" }).data;
+
+      const { error } = localFavoris.update({ id, label: "x".repeat(61) });
+
+      expect(error).toBe("Le libellé ne doit pas dépasser 60 caractères");
+    });
+  });
+
+  describe("mergeIntoAccount", () => {
+    beforeEach(() => {
+      ["Lyon", "Brest", "Nantes"].forEach((ville) =>
+        localFavoris.add({ ville })
+      );
+    });
+
+    it("envoie les favoris et ne garde que ceux refusés pour la limite", async () => {
+      authFetch.mockResolvedValue(
+        mergeResponse({
+          added: [{ ville: "Lyon" }],
+          duplicates: [{ ville: "Brest" }],
+          overflow: [{ ville: "Nantes" }],
+        })
+      );
+
+      const { data, error } = await localFavoris.mergeIntoAccount();
+
+      expect(error).toBeNull();
+      expect(data.overflow).toEqual([{ ville: "Nantes" }]);
+      expect(data.limits.plan).toBe("free");
+      expect(villes()).toEqual(["Nantes"]);
+
+      const [url, options] = authFetch.mock.calls[0];
+      expect(url).toBe("/api/favoris/merge");
+      expect(JSON.parse(options.body).favoris.map((f) => f.ville)).toEqual([
+        "Lyon",
+        "Brest",
+        "Nantes",
+      ]);
+    });
+
+    it("SIGNED_IN répété : une seule fusion", async () => {
+      authFetch.mockResolvedValue(
+        mergeResponse({ added: [], duplicates: [], overflow: [] })
+      );
+
+      await Promise.all([
+        localFavoris.mergeIntoAccount(),
+        localFavoris.mergeIntoAccount(),
+      ]);
+
+      expect(authFetch).toHaveBeenCalledTimes(1);
+      expect(villes()).toEqual([]);
+    });
+
+    it("échec de l'API : favoris conservés sur l'appareil", async () => {
+      authFetch.mockResolvedValue(
+        mergeResponse({ error: "Erreur serveur interne" }, false)
+      );
+
+      const { error } = await localFavoris.mergeIntoAccount();
+
+      expect(error).toBe("Erreur serveur interne");
+      expect(villes()).toHaveLength(3);
+    });
+
+    it("rien à fusionner : aucun appel", async () => {
+      window.localStorage.clear();
+
+      const { data } = await localFavoris.mergeIntoAccount();
+
+      expect(data).toBeNull();
+      expect(authFetch).not.toHaveBeenCalled();
+    });
+  });
+});
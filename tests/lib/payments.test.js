@@ -0,0 +1,209 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createSupabaseStub } from "../helpers/supabaseStub";
+import { resolveCheckoutUser } from "../../lib/payments";
+import { createPremiumService } from "../../lib/premium";
+
+const ALICE = "user-a";
+const BOB = "user-b";
+
+const checkoutSession = (overrides = {}) => ({
+  id: "cs_test_1",
+  mode: "payment",
+  payment_status: "paid",
+  client_reference_id: ALICE,
+  metadata: { userId: ALICE },
+  customer: "cus_1",
+  customer_email: "quelquun@example.com",
+  amount_total: 499,
+  currency: "eur",
+  payment_intent: "pi_1",
+  ...overrides,
+});
+
+const completedEvent = (session) => ({
+  id: "evt_1",
+  type: "checkout.session.completed",
+  created: Math.floor(Date.parse("2026-10-19T12:00:00Z") / 1000),
+  data: { object: session },
+});
+
+describe("resolveCheckoutUser", () => {
+  it("renvoie l'utilisateur quand les trois sources concordent", () => {
+    expect(resolveCheckoutUser(checkoutSession(), { user_id: ALICE })).toEqual({
+      userId: ALICE,
+      mismatch: false,
+    });
+  });
+
+  it("se contente des sources présentes", () => {
+    const session = checkoutSession({
+      client_reference_id: null,
+      metadata: {},
+    });
+    expect(resolveCheckoutUser(session, { user_id: ALICE })).toEqual({
+      userId: ALICE,
+      mismatch: false,
+    });
+    expect(resolveCheckoutUser(checkoutSession(), null)).toEqual({
+      userId: ALICE,
+      mismatch: false,
+    });
+  });
+
+  it.each([
+    ["la ligne payments", { user_id: BOB }, {}],
+    ["client_reference_id", { user_id: ALICE }, { client_reference_id: BOB }],
+    ["metadata.userId", { user_id: ALICE }, { metadata: { userId: BOB } }],
+  ])(
+    "refuse la session si %s désigne un autre utilisateur",
+    (_, payment, overrides) => {
+      expect(resolveCheckoutUser(checkoutSession(overrides), payment)).toEqual({
+        userId: null,
+        mismatch: true,
+      });
+    }
+  );
+
+  it("sans aucune source, aucun utilisateur ni désaccord", () => {
+    const session = checkoutSession({
+      client_reference_id: null,
+      metadata: {},
+    });
+    expect(resolveCheckoutUser(session, null)).toEqual({
+      userId: null,
+      mismatch: false,
+    });
+  });
+});
+
+describe("activateFromCheckout", () => {
+  let client;
+  let premium;
+
+  const setup = (payments) => {
+    client = createSupabaseStub({
+      tables: {
+        payments,
+        user: [
+          { id: ALICE, is_premium: false, premium_expires_at: null },
+          { id: BOB, is_premium: false, premium_expires_at: null },
+        ],
+        stripe_event: [],
+      },
+    });
+    premium = createPremiumService(client);
+  };
+
+  const userRow = (id) => client.tables.user.find((u) => u.id === id);
+  const paymentRow = () =>
+    client.tables.payments.find((p) => p.session_id === "cs_test_1");
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it.each([
+    ["payments ≠ client_reference_id", BOB, { client_reference_id: ALICE }],
+    ["payments ≠ metadata.userId", ALICE, { metadata: { userId: BOB } }],
+    [
+      "client_reference_id ≠ metadata.userId",
+      ALICE,
+      { client_reference_id: ALICE, metadata: { userId: BOB } },
+    ],
+  ])(
+    "%s : session marquée rejected, aucun premium crédité",
+    async (_, owner, overrides) => {
+      setup([{ session_id: "cs_test_1", user_id: owner, status: "pending" }]);
+
+      const { data, error } = await premium.activateFromCheckout(
+        completedEvent(checkoutSession(overrides))
+      );
+
+      expect(error).toBeNull();
+      expect(data).toEqual({ status: "user_mismatch" });
+      expect(paymentRow().status).toBe("rejected");
+      expect(paymentRow().user_id).toBe(owner);
+      expect(userRow(ALICE).is_premium).toBe(false);
+      expect(userRow(BOB).is_premium).toBe(false);
+    }
+  );
+
+  it("session sans ligne payments et sources incohérentes : ligne rejected créée", async () => {
+    setup([]);
+
+    const { data } = await premium.activateFromCheckout(
+      completedEvent(checkoutSession({ metadata: { userId: BOB } }))
+    );
+
+    expect(data.status).toBe("user_mismatch");
+    expect(paymentRow()).toMatchObject({ status: "rejected" });
+    expect(paymentRow().user_id).toBeUndefined();
+  });
+
+  it("sources concordantes : premium de l'utilisateur de la session, pas de l'email Stripe", async () => {
+    setup([{ session_id: "cs_test_1", user_id: ALICE, status: "pending" }]);
+
+    const { data } = await premium.activateFromCheckout(
+      completedEvent(checkoutSession())
+    );
+
+    expect(data).toMatchObject({ status: "activated", userId: ALICE });
+    expect(paymentRow()).toMatchObject({ status: "paid", user_id: ALICE });
+    expect(userRow(ALICE)).toMatchObject({
+      is_premium: true,
+      stripe_customer_id: "cus_1",
+    });
+    expect(userRow(BOB).is_premium).toBe(false);
+  });
+
+  describe("premium offert", () => {
+    const giftSession = (overrides = {}) =>
+      checkoutSession({
+        metadata: { userId: ALICE, type: "gift", months: "3" },
+        ...overrides,
+      });
+
+    it("session payée : code cadeau créé, premium de l'acheteur inchangé", async () => {
+      setup([{ session_id: "cs_test_1", user_id: ALICE, status: "pending" }]);
+
+      const { data } = await premium.activateFromCheckout(
+        completedEvent(giftSession())
+      );
+
+      expect(data).toEqual({ status: "gift_created", userId: ALICE });
+      expect(client.tables.premium_gift).toEqual([
+        expect.objectContaining({
+          session_id: "cs_test_1",
+          purchaser_id: ALICE,
+          months: 3,
+        }),
+      ]);
+      expect(paymentRow().status).toBe("paid");
+      expect(userRow(ALICE).is_premium).toBe(false);
+    });
+
+    it("session sans paiement dû : aucun code cadeau, session rejected", async () => {
+      setup([{ session_id: "cs_test_1", user_id: ALICE, status: "pending" }]);
+
+      const { data } = await premium.activateFromCheckout(
+        completedEvent(giftSession({ payment_status: "no_payment_required" }))
+      );
+
+      expect(data).toEqual({ status: "gift_unpaid" });
+      expect(client.tables.premium_gift ?? []).toHaveLength(0);
+      expect(paymentRow().status).toBe("rejected");
+    });
+  });
+
+  it("paiement non réglé : rien n'est modifié", async () => {
+    setup([{ session_id: "cs_test_1", user_id: ALICE, status: "pending" }]);
+
+    const { data } = await premium.activateFromCheckout(
+      completedEvent(checkoutSession({ payment_status: "unpaid" }))
+    );
+
+    expect(data).toEqual({ status: "pending" });
+    expect(paymentRow().status).toBe("pending");
+  });
+});
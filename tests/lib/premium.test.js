@@ -0,0 +1,218 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createSupabaseStub } from "../helpers/supabaseStub";
+import { createPremiumService, PAYMENT_GRACE_DAYS } from "../../lib/premium";
+
+const DAY = 24 * 60 * 60;
+const unix = (iso) => Math.floor(Date.parse(iso) / 1000);
+
+// Renouvellement du 1er novembre : la facture porte la période écoulée
+// (octobre), la ligne d'abonnement la période facturée (novembre)
+const OCTOBER = unix("2026-10-01T00:00:00Z");
+const NOVEMBER = unix("2026-11-01T00:00:00Z");
+const DECEMBER = unix("2026-12-01T00:00:00Z");
+
+const renewalInvoice = (lines) => ({
+  id: "in_renouvellement",
+  customer: "cus_1",
+  subscription: "sub_1",
+  billing_reason: "subscription_cycle",
+  period_start: OCTOBER,
+  period_end: NOVEMBER,
+  lines: {
+    data: lines ?? [
+      {
+        type: "subscription",
+        proration: false,
+        period: { start: NOVEMBER, end: DECEMBER },
+      },
+    ],
+  },
+});
+
+const invoiceEvent = (type, invoice) => ({
+  id: `evt_${type}`,
+  type,
+  created: NOVEMBER + 60,
+  data: { object: invoice },
+});
+
+describe("syncInvoice", () => {
+  let client;
+  let premium;
+
+  const user = () => client.tables.user[0];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date((NOVEMBER + 3600) * 1000));
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    client = createSupabaseStub({
+      tables: {
+        user: [
+          {
+            id: "user-a",
+            is_premium: true,
+            premium_expires_at: new Date(NOVEMBER * 1000).toISOString(),
+            stripe_customer_id: "cus_1",
+            subscription_status: "active",
+          },
+        ],
+        stripe_event: [],
+      },
+    });
+    premium = createPremiumService(client);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("renouvellement en échec : premium conservé pendant le délai de grâce", async () => {
+    const { data } = await premium.syncInvoice(
+      invoiceEvent("invoice.payment_failed", renewalInvoice())
+    );
+
+    expect(data).toEqual({ status: "past_due", userId: "user-a" });
+    expect(user()).toMatchObject({
+      is_premium: true,
+      subscription_status: "past_due",
+      premium_expires_at: new Date(
+        (NOVEMBER + PAYMENT_GRACE_DAYS * DAY) * 1000
+      ).toISOString(),
+    });
+  });
+
+  it("format récent des lignes (parent) : même délai de grâce", async () => {
+    const invoice = renewalInvoice([
+      {
+        parent: {
+          type: "subscription_item_details",
+          subscription_item_details: { proration: false },
+        },
+        period: { start: NOVEMBER, end: DECEMBER },
+      },
+    ]);
+
+    await premium.syncInvoice(invoiceEvent("invoice.payment_failed", invoice));
+
+    expect(user().is_premium).toBe(true);
+  });
+
+  it("ignore les lignes de prorata de la période précédente", async () => {
+    const invoice = renewalInvoice([
+      {
+        type: "subscription",
+        proration: true,
+        period: { start: OCTOBER + 10 * DAY, end: NOVEMBER },
+      },
+      {
+        type: "subscription",
+        proration: false,
+        period: { start: NOVEMBER, end: DECEMBER },
+      },
+    ]);
+
+    await premium.syncInvoice(invoiceEvent("invoice.payment_failed", invoice));
+
+    expect(user().is_premium).toBe(true);
+  });
+
+  it("renouvellement réglé : premium jusqu'à la fin de la nouvelle période", async () => {
+    await premium.syncInvoice(invoiceEvent("invoice.paid", renewalInvoice()));
+
+    expect(user()).toMatchObject({
+      is_premium: true,
+      subscription_status: "active",
+      premium_expires_at: new Date(DECEMBER * 1000).toISOString(),
+    });
+  });
+});
+
+describe("syncSubscription", () => {
+  let client;
+  let premium;
+
+  const user = () => client.tables.user[0];
+
+  const subscriptionEvent = (subscription, created = NOVEMBER + 60) => ({
+    id: `evt_${subscription.status}_${created}`,
+    type: "customer.subscription.updated",
+    created,
+    data: {
+      object: {
+        id: "sub_1",
+        customer: "cus_1",
+        metadata: { userId: "user-a" },
+        current_period_start: NOVEMBER,
+        current_period_end: DECEMBER,
+        items: { data: [{ price: { id: "price_monthly" } }] },
+        ...subscription,
+      },
+    },
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date((NOVEMBER + 3600) * 1000));
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    vi.stubEnv("STRIPE_PRICE_MONTHLY", "price_monthly");
+    client = createSupabaseStub({
+      tables: { user: [{ id: "user-a", is_premium: false }], stripe_event: [] },
+    });
+    premium = createPremiumService(client);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("abonnement actif : premium jusqu'à la fin de la période", async () => {
+    await premium.syncSubscription(subscriptionEvent({ status: "active" }));
+
+    expect(user()).toMatchObject({
+      is_premium: true,
+      premium_expires_at: new Date(DECEMBER * 1000).toISOString(),
+      stripe_subscription_id: "sub_1",
+      subscription_status: "active",
+      subscription_plan: "monthly",
+    });
+  });
+
+  it("impayé : délai de grâce à partir du début de la période", async () => {
+    await premium.syncSubscription(subscriptionEvent({ status: "past_due" }));
+
+    expect(user()).toMatchObject({
+      is_premium: true,
+      subscription_status: "past_due",
+      premium_expires_at: new Date(
+        (NOVEMBER + PAYMENT_GRACE_DAYS * DAY) * 1000
+      ).toISOString(),
+    });
+  });
+
+  it("résilié : premium retiré à la fin effective", async () => {
+    await premium.syncSubscription(
+      subscriptionEvent({ status: "canceled", ended_at: NOVEMBER })
+    );
+
+    expect(user()).toMatchObject({
+      is_premium: false,
+      subscription_status: "canceled",
+    });
+  });
+
+  it("ignore un événement plus ancien que le dernier appliqué", async () => {
+    await premium.syncSubscription(
+      subscriptionEvent(
+        { status: "canceled", ended_at: NOVEMBER },
+        NOVEMBER + 120
+      )
+    );
+    const { data } = await premium.syncSubscription(
+      subscriptionEvent({ status: "active" }, NOVEMBER + 60)
+    );
+
+    expect(data.status).toBe("outdated");
+    expect(user().subscription_status).toBe("canceled");
+  });
+});
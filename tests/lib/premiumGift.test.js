@@ -0,0 +1,197 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { createSupabaseStub } from "../helpers/supabaseStub";
+import { createGiftRepository, normalizeGiftCode } from "../../lib/premiumGift";
+import { createPremiumService } from "../../lib/premium";
+
+const CODE = "CADEAU-ABCD-EFGH-JKLM";
+const OTHER_CODE = "CADEAU-NPQR-STUV-WXYZ";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fonction SQL extend_premium (migration 20261019200000) : l'expiration
+// est relue au moment de la mise à jour
+const extendPremium = (tables, { p_user_id: userId, p_days: days }) => {
+  const user = tables.user.find((u) => u.id === userId);
+  if (!user || (user.is_premium && !user.premium_expires_at)) {
+    return { data: null, error: null };
+  }
+  const current = user.is_premium ? Date.parse(user.premium_expires_at) : 0;
+  const start = Math.max(current || 0, Date.now());
+  user.is_premium = true;
+  user.premium_expires_at = new Date(start + days * DAY_MS).toISOString();
+  return { data: user.premium_expires_at, error: null };
+};
+
+const gift = (overrides = {}) => ({
+  code: CODE,
+  months: 3,
+  session_id: "cs_gift_1",
+  purchaser_id: "acheteur",
+  redeemed_by: null,
+  redeemed_at: null,
+  revoked_at: null,
+  ...overrides,
+});
+
+// Compte bénéficiaire supprimé : redeemed_by remis à NULL par la clé
+// étrangère (ON DELETE SET NULL), redeemed_at conservé
+const giftOfDeletedAccount = () =>
+  gift({ redeemed_by: null, redeemed_at: "2026-10-01T00:00:00.000Z" });
+
+describe("normalizeGiftCode", () => {
+  it("accepte casse, espaces et tirets quelconques", () => {
+    expect(normalizeGiftCode(" cadeau abcd-efgh jklm ")).toBe(CODE);
+    expect(normalizeGiftCode("ABCDEFGHJKLM")).toBe(CODE);
+  });
+});
+
+describe("createGiftRepository", () => {
+  let client;
+  let gifts;
+
+  const setup = (rows) => {
+    client = createSupabaseStub({ tables: { premium_gift: rows } });
+    gifts = createGiftRepository(client);
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  it("claim réserve un code une seule fois", async () => {
+    setup([gift()]);
+
+    const first = await gifts.claim(CODE, "user-a");
+    const second = await gifts.claim(CODE, "user-b");
+
+    expect(first.data.gift).toMatchObject({
+      code: CODE,
+      redeemed_by: "user-a",
+    });
+    expect(second.data).toEqual({ reason: "redeemed" });
+    expect(client.tables.premium_gift[0].redeemed_by).toBe("user-a");
+  });
+
+  it("claim refuse le code d'un bénéficiaire supprimé", async () => {
+    setup([giftOfDeletedAccount()]);
+
+    const { data } = await gifts.claim(CODE, "user-b");
+
+    expect(data).toEqual({ reason: "redeemed" });
+    expect(client.tables.premium_gift[0].redeemed_by).toBeNull();
+  });
+
+  it("claim distingue code inconnu et code annulé", async () => {
+    setup([gift({ revoked_at: "2026-10-02T00:00:00.000Z" })]);
+
+    expect((await gifts.claim(CODE, "user-a")).data).toEqual({
+      reason: "revoked",
+    });
+    expect((await gifts.claim("CADEAU-ZZZZ-ZZZZ-ZZZZ", "user-a")).data).toEqual(
+      { reason: "not_found" }
+    );
+  });
+
+  it("release ne libère que la réservation de l'utilisateur", async () => {
+    setup([gift({ redeemed_by: "user-a", redeemed_at: "2026-10-01" })]);
+
+    await gifts.release(CODE, "user-b");
+    expect(client.tables.premium_gift[0].redeemed_at).toBe("2026-10-01");
+
+    await gifts.release(CODE, "user-a");
+    expect(client.tables.premium_gift[0]).toMatchObject({
+      redeemed_by: null,
+      redeemed_at: null,
+    });
+  });
+
+  it("release ne rend jamais utilisable le code d'un bénéficiaire supprimé", async () => {
+    setup([giftOfDeletedAccount()]);
+
+    await gifts.release(CODE, null);
+
+    expect(client.tables.premium_gift[0].redeemed_at).not.toBeNull();
+  });
+
+  it("revokeBySession annule un code inutilisé", async () => {
+    setup([gift()]);
+
+    const { data } = await gifts.revokeBySession("cs_gift_1");
+
+    expect(data).toBe("revoked");
+    expect(client.tables.premium_gift[0].revoked_at).not.toBeNull();
+  });
+
+  it("revokeBySession laisse un code utilisé, même par un compte supprimé", async () => {
+    setup([giftOfDeletedAccount()]);
+
+    const { data } = await gifts.revokeBySession("cs_gift_1");
+
+    expect(data).toBe("redeemed");
+    expect(client.tables.premium_gift[0].revoked_at).toBeNull();
+  });
+});
+
+describe("redeemGift", () => {
+  let client;
+  let premium;
+
+  beforeEach(() => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    client = createSupabaseStub({
+      tables: {
+        premium_gift: [gift(), gift({ code: OTHER_CODE, months: 1 })],
+        user: [
+          { id: "user-a", is_premium: false },
+          { id: "user-b", is_premium: false },
+        ],
+      },
+      functions: { extend_premium: extendPremium },
+    });
+    premium = createPremiumService(client);
+  });
+
+  it("crédite les mois du code une seule fois", async () => {
+    const first = await premium.redeemGift(CODE, "user-a");
+    const second = await premium.redeemGift(CODE, "user-b");
+
+    expect(first.data).toMatchObject({ status: "redeemed", months: 3 });
+    expect(second.data).toEqual({ status: "redeemed_already" });
+    expect(client.tables.user.find((u) => u.id === "user-b").is_premium).toBe(
+      false
+    );
+  });
+
+  it("deux codes utilisés en même temps sur un compte s'additionnent", async () => {
+    const [first, second] = await Promise.all([
+      premium.redeemGift(CODE, "user-a"),
+      premium.redeemGift(OTHER_CODE, "user-a"),
+    ]);
+
+    expect(first.data.status).toBe("redeemed");
+    expect(second.data.status).toBe("redeemed");
+    const expiresInDays =
+      (Date.parse(client.tables.user[0].premium_expires_at) - Date.now()) /
+      DAY_MS;
+    expect(Math.round(expiresInDays)).toBe(4 * 30);
+  });
+
+  it("crédit impossible : le code redevient utilisable", async () => {
+    client.failures.extend_premium = { rpc: { message: "connexion perdue" } };
+
+    const { error } = await premium.redeemGift(CODE, "user-a");
+
+    expect(error).toBe("connexion perdue");
+    expect(client.tables.premium_gift[0]).toMatchObject({
+      redeemed_by: null,
+      redeemed_at: null,
+    });
+  });
+
+  it("refuse un code déjà utilisé par un compte supprimé depuis", async () => {
+    client.tables.premium_gift[0] = giftOfDeletedAccount();
+
+    const { data } = await premium.redeemGift(CODE, "user-b");
+
+    expect(data).toEqual({ status: "redeemed_already" });
+  });
+});
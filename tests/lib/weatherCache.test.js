@@ -0,0 +1,86 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { MemoryCacheStore, weatherCache } from "../../lib/weatherCache";
+
+const LYON = { insee: "69123", lat: 45.758, lon: 4.835 };
+
+describe("weatherCache.buildKey", () => {
+  it("arrondit les coordonnées à deux décimales", () => {
+    expect(weatherCache.buildKey({ lat: 45.7581, lon: 4.8349 }, "owm")).toBe(
+      "forecast:owm:fr:coords:45.76,4.83"
+    );
+  });
+
+  it("garde les coordonnées dans la clé quand le code INSEE est fourni", () => {
+    expect(weatherCache.buildKey(LYON, "owm")).toBe(
+      "forecast:owm:fr:coords:45.76,4.83:insee:69123"
+    );
+  });
+
+  it("un même code INSEE à d'autres coordonnées donne une autre clé", () => {
+    const falsifiee = { ...LYON, lat: 48.857, lon: 2.352 };
+    expect(weatherCache.buildKey(falsifiee, "owm")).not.toBe(
+      weatherCache.buildKey(LYON, "owm")
+    );
+  });
+
+  it("distingue la langue et le fournisseur", () => {
+    const key = weatherCache.buildKey(LYON, "owm");
+    expect(weatherCache.buildKey({ ...LYON, lang: "en" }, "owm")).not.toBe(key);
+    expect(weatherCache.buildKey(LYON, "open-meteo")).not.toBe(key);
+  });
+
+  it("se rabat sur le nom de ville sans coordonnées", () => {
+    expect(weatherCache.buildKey({ ville: "  Lyon " }, "owm")).toBe(
+      "forecast:owm:fr:ville:lyon"
+    );
+  });
+});
+
+describe("weatherCache.getOrFetch", () => {
+  beforeEach(() => {
+    weatherCache.setStore(new MemoryCacheStore());
+  });
+
+  it("une réponse à des coordonnées falsifiées n'est pas servie pour la commune", async () => {
+    const falsifiee = { ...LYON, lat: 48.857, lon: 2.352 };
+    const fetcher = vi
+      .fn()
+      .mockResolvedValueOnce({ data: { ville: "Paris" }, error: null })
+      .mockResolvedValueOnce({ data: { ville: "Lyon" }, error: null });
+
+    await weatherCache.getOrFetch(
+      weatherCache.buildKey(falsifiee, "owm"),
+      fetcher
+    );
+    const result = await weatherCache.getOrFetch(
+      weatherCache.buildKey(LYON, "owm"),
+      fetcher
+    );
+
+    expect(result).toMatchObject({ data: { ville: "Lyon" }, cached: false });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("sert la réponse en cache pour les mêmes coordonnées", async () => {
+    const fetcher = vi.fn().mockResolvedValue({ data: { ok: 1 }, error: null });
+    const key = weatherCache.buildKey(LYON, "owm");
+
+    await weatherCache.getOrFetch(key, fetcher);
+    const result = await weatherCache.getOrFetch(key, fetcher);
+
+    expect(result.cached).toBe(true);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it("ne met pas en cache une erreur du fournisseur", async () => {
+    const fetcher = vi
+      .fn()
+      .mockResolvedValue({ data: null, error: "Fournisseur indisponible" });
+    const key = weatherCache.buildKey(LYON, "owm");
+
+    await weatherCache.getOrFetch(key, fetcher);
+    await weatherCache.getOrFetch(key, fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  getWeatherProvider,
+  DEFAULT_WEATHER_PROVIDER,
+} from "../../lib/weatherProviders";
+import {
+  normalizeOpenWeatherForecast,
+  openWeatherMapProvider,
+} from "../../lib/weatherProviders/openWeatherMap";
+import {
+  normalizeOpenMeteoForecast,
+  openMeteoProvider,
+} from "../../lib/weatherProviders/openMeteo";
+
+// 19 octobre 2026, 22h UTC : déjà le 20 à minuit à Paris (UTC+2)
+const DT = Date.parse("2026-10-19T22:00:00Z") / 1000;
+
+const OPEN_WEATHER_PAYLOAD = {
+  city: {
+    name: "Paris",
+    country: "FR",
+    coord: { lat: 48.85, lon: 2.35 },
+    timezone: 7200,
+    sunrise: DT - 15 * 3600,
+  },
+  list: [
+    {
+      dt: DT,
+      main: { temp: 9.4, feels_like: 7.1, humidity: 88, pressure: 1012 },
+      visibility: 8000,
+      rain: { "3h": 1.2 },
+      snow: { "3h": 0.3 },
+      pop: 0.6,
+      wind: { speed: 4.2, gust: 9.1, deg: 220 },
+      weather: [{ id: 500, icon: "10n", description: "légère pluie" }],
+    },
+  ],
+};
+
+const OPEN_METEO_PAYLOAD = {
+  latitude: 48.85,
+  longitude: 2.35,
+  utc_offset_seconds: 7200,
+  hourly: {
+    time: ["2026-10-20T00:00"],
+    temperature_2m: [9.4],
+    precipitation_probability: [60],
+    weather_code: [61],
+    is_day: [0],
+  },
+  daily: { sunrise: ["2026-10-20T08:15"], sunset: ["2026-10-20T18:40"] },
+};
+
+describe("normalizeOpenWeatherForecast", () => {
+  const { location, points } =
+    normalizeOpenWeatherForecast(OPEN_WEATHER_PAYLOAD);
+
+  it("date et heure des créneaux dans le fuseau de la ville", () => {
+    expect(points[0]).toMatchObject({
+      time: "2026-10-19T22:00:00.000Z",
+      date: "2026-10-20",
+      hour: 0,
+    });
+    expect(location.timezoneOffset).toBe(7200);
+  });
+
+  it("convertit les mesures dans le modèle normalisé", () => {
+    expect(points[0]).toMatchObject({
+      temperature: 9.4,
+      feelsLike: 7.1,
+      precipitation: 1.5,
+      precipitationProbability: 0.6,
+      windSpeed: 4.2,
+      windGust: 9.1,
+      condition: "rain",
+      isDay: false,
+      description: "légère pluie",
+    });
+  });
+
+  it("laisse à null une mesure absente", () => {
+    const { points: sparse } = normalizeOpenWeatherForecast({
+      list: [{ dt: DT, weather: [] }],
+    });
+
+    expect(sparse[0]).toMatchObject({
+      temperature: null,
+      windSpeed: null,
+      precipitation: 0,
+      condition: "cloudy",
+    });
+  });
+});
+
+describe("normalizeOpenMeteoForecast", () => {
+  it("heures locales converties en UTC et probabilité ramenée à 0-1", () => {
+    const { location, points } = normalizeOpenMeteoForecast(
+      OPEN_METEO_PAYLOAD,
+      null,
+      "open-meteo",
+      "en"
+    );
+
+    expect(points[0]).toMatchObject({
+      time: "2026-10-19T22:00:00.000Z",
+      date: "2026-10-20",
+      hour: 0,
+      precipitationProbability: 0.6,
+      condition: "rain",
+      isDay: false,
+      description: "rain",
+    });
+    expect(location.sunrise).toBe("2026-10-20T06:15:00.000Z");
+  });
+});
+
+describe("getWeatherProvider", () => {
+  it("se rabat sur le fournisseur par défaut pour un id inconnu", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(getWeatherProvider("inconnu").id).toBe(DEFAULT_WEATHER_PROVIDER);
+    expect(getWeatherProvider("open-meteo")).toBe(openMeteoProvider);
+  });
+});
+
+describe("getForecast", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+    vi.stubGlobal("fetch", vi.fn());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("OpenWeatherMap sans clé : 503 sans appel réseau", async () => {
+    vi.stubEnv("OPENWEATHER_API_KEY", "");
+
+    const result = await openWeatherMapProvider.getForecast({ ville: "Lyon" });
+
+    expect(result).toMatchObject({ data: null, status: 503 });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it("OpenWeatherMap : 404 du fournisseur → ville non trouvée", async () => {
+    vi.stubEnv("OPENWEATHER_API_KEY", "cle");
+    fetch.mockResolvedValue({ ok: false, status: 404 });
+
+    const result = await openWeatherMapProvider.getForecast({ ville: "Xyz" });
+
+    expect(result).toEqual({
+      data: null,
+      error: "Ville non trouvée",
+      status: 404,
+    });
+    expect(String(fetch.mock.calls[0][0])).toContain("q=Xyz%2Cfr");
+  });
+
+  it("Open-Meteo : ville géocodée puis prévisions par coordonnées", async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          results: [{ name: "Paris", latitude: 48.85, longitude: 2.35 }],
+        }),
+      })
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => OPEN_METEO_PAYLOAD,
+      });
+
+    const { data, status } = await openMeteoProvider.getForecast({
+      ville: "Paris",
+    });
+
+    expect(status).toBe(200);
+    expect(data.location.name).toBe("Paris");
+    expect(String(fetch.mock.calls[1][0])).toContain("latitude=48.85");
+  });
+});
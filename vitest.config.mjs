@@ -0,0 +1,23 @@
+import { defineConfig } from "vitest/config";
+
+// Tests unitaires, d'API routes et de composants (npm test) : pas de réseau,
+// Supabase et Stripe sont remplacés par des doublures en mémoire
+// (tests/helpers) ; les tests de composants passent en jsdom par fichier
+// (commentaire @vitest-environment jsdom)
+export default defineConfig({
+  // Composants en .js avec JSX (runtime automatique, comme Next)
+  esbuild: { loader: "jsx", include: /\.js$/, exclude: [], jsx: "automatic" },
+  test: {
+    environment: "node",
+    include: ["tests/**/*.test.js"],
+    // Variables posées par vi.stubEnv restaurées après chaque test
+    unstubEnvs: true,
+    env: {
+      NEXT_PUBLIC_SUPABASE_URL: "http://localhost:54321",
+      NEXT_PUBLIC_SUPABASE_ANON_KEY: "test-anon-key",
+      SUPABASE_SERVICE_ROLE_KEY: "test-service-key",
+      // Client Stripe réel (vérification locale des signatures), sans réseau
+      STRIPE_SECRET_KEY: "sk_test_vitest",
+    },
+  },
+});